@@ -0,0 +1,247 @@
+// Audit Log Module
+// Append-only, hash-chained trail of PHI access and destructive calls
+//
+// Every entry records who (user sub or service key), what (action, method, route),
+// which patient data (externalId / org_connection_id, record count), when and from
+// which IP. Each entry's hash covers the previous entry's hash, so any edit or
+// deletion in the middle of the log breaks the chain and is reported by verify().
+//
+// The log is appended to AUDIT_LOG_PATH, by default audit-log.ndjson in STORAGE_DIR
+// whatever the storage driver, so it survives restarts; entries are never rewritten
+// or compacted. Only the tail of the chain is kept in memory: queries, exports and
+// verification read the file a chunk at a time.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { storage, STORAGE_DIR } = require('./storage');
+const { logger } = require('./logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+const QUERY_LIMIT = 1000;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256')
+    .update(`${content.prevHash}|${JSON.stringify(content)}`)
+    .digest('hex');
+}
+
+// Resolves once a stream can take more writes, or has closed
+function drained(stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+class AuditLog {
+  constructor(filePath = process.env.AUDIT_LOG_PATH || path.join(storage.dir || STORAGE_DIR, 'audit-log.ndjson')) {
+    if (!filePath) {
+      throw new Error('The audit log needs a file: set AUDIT_LOG_PATH or STORAGE_DIR');
+    }
+    this.filePath = filePath;
+    this.lastHash = GENESIS_HASH;
+    this.lastSeq = 0;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const verification = this.verify();
+    logger.info('📜 Loaded audit log', { file: this.filePath, entries: verification.entries });
+    if (!verification.valid) {
+      logger.error('🚨 Audit log chain is broken', { brokenAt: verification.brokenAt, reason: verification.reason });
+    }
+  }
+
+  // Entries in file order, read a chunk at a time
+  * readEntries() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const fd = fs.openSync(this.filePath, 'r');
+    const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+    let lineNumber = 0;
+    const parse = line => {
+      lineNumber++;
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        logger.error('❌ Unreadable audit log entry', { file: this.filePath, line: lineNumber });
+        return null;
+      }
+    };
+
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+        const lines = (pending + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+          const entry = parse(line);
+          if (entry) yield entry;
+        }
+      }
+      const entry = parse(pending + decoder.end());
+      if (entry) yield entry;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  record(details) {
+    const entry = {
+      seq: this.lastSeq + 1,
+      timestamp: new Date().toISOString(),
+      actor: details.actor || { type: 'anonymous', id: null },
+      action: details.action,
+      method: details.method || null,
+      route: details.route || null,
+      path: details.path || null,
+      externalId: details.externalId || null,
+      orgConnectionId: details.orgConnectionId || null,
+      recordCount: typeof details.recordCount === 'number' ? details.recordCount : null,
+      statusCode: details.statusCode || null,
+      ip: details.ip || null,
+      prevHash: this.lastHash
+    };
+    entry.hash = hashEntry(entry);
+
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    this.lastSeq = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  // Walk the chain and report the first entry whose hash or link doesn't match.
+  // The tail it ends on is where new entries are chained from.
+  verify() {
+    let prevHash = GENESIS_HASH;
+    let count = 0;
+    let broken = null;
+    let last = null;
+    for (const entry of this.readEntries()) {
+      count++;
+      last = entry;
+      if (broken) continue;
+      if (entry.seq !== count) {
+        broken = { brokenAt: count, reason: 'sequence gap' };
+      } else if (entry.prevHash !== prevHash) {
+        broken = { brokenAt: entry.seq, reason: 'previous hash mismatch' };
+      } else if (hashEntry(entry) !== entry.hash) {
+        broken = { brokenAt: entry.seq, reason: 'entry hash mismatch' };
+      }
+      prevHash = entry.hash;
+    }
+
+    this.lastSeq = last ? last.seq : 0;
+    this.lastHash = last ? last.hash : GENESIS_HASH;
+    return broken
+      ? { valid: false, entries: count, ...broken }
+      : { valid: true, entries: count, lastHash: this.lastHash };
+  }
+
+  matcher(filters = {}) {
+    const { actor, action, externalId, orgConnectionId, from, to } = filters;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const before = filters.before ? parseInt(filters.before, 10) : null;
+
+    return entry =>
+      (!before || entry.seq < before) &&
+      (!actor || entry.actor.id === actor) &&
+      (!action || entry.action === action) &&
+      (!externalId || entry.externalId === externalId) &&
+      (!orgConnectionId || entry.orgConnectionId === orgConnectionId) &&
+      (fromTime === null || new Date(entry.timestamp).getTime() >= fromTime) &&
+      (toTime === null || new Date(entry.timestamp).getTime() <= toTime);
+  }
+
+  /**
+   * The newest `limit` matching entries (oldest first) with a seq below
+   * `before`, and the `before` cursor of the next older page (null on the last)
+   */
+  page(filters = {}) {
+    const matches = this.matcher(filters);
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, QUERY_LIMIT);
+    const entries = [];
+    let more = false;
+    for (const entry of this.readEntries()) {
+      if (!matches(entry)) continue;
+      entries.push(entry);
+      if (entries.length > limit) {
+        entries.shift();
+        more = true;
+      }
+    }
+    return { entries, nextBefore: more ? entries[0].seq : null };
+  }
+
+  query(filters = {}) {
+    return this.page(filters).entries;
+  }
+
+  // Write every matching entry to a stream as NDJSON, oldest first, waiting for it to drain.
+  // Resolves with the number of entries written.
+  async exportNdjson(filters, stream) {
+    const matches = this.matcher(filters);
+    let exported = 0;
+    for (const entry of this.readEntries()) {
+      if (!matches(entry)) continue;
+      exported++;
+      if (!stream.write(`${JSON.stringify(entry)}\n`)) {
+        await drained(stream);
+        if (stream.destroyed) break;
+      }
+    }
+    return exported;
+  }
+
+  /**
+   * Express middleware auditing a route once the response is sent.
+   * Place it before the auth guard so denied requests are audited too.
+   * Handlers can set res.locals.auditRecordCount (and auditExternalId /
+   * auditOrgConnectionId when they aren't path parameters).
+   */
+  middleware(action) {
+    return (req, res, next) => {
+      const params = { ...req.params };
+      res.on('finish', () => {
+        try {
+          this.record({
+            action,
+            actor: req.auth ? { type: req.auth.type, id: req.auth.id } : { type: 'anonymous', id: null },
+            method: req.method,
+            route: req.route?.path || null,
+            path: req.originalUrl,
+            externalId: res.locals.auditExternalId || params.externalId,
+            orgConnectionId: res.locals.auditOrgConnectionId || params.orgConnectionId,
+            recordCount: res.locals.auditRecordCount,
+            statusCode: res.statusCode,
+            ip: req.ip
+          });
+        } catch (error) {
+          logger.error('❌ Failed to write audit log entry', { action, error });
+        }
+      });
+      next();
+    };
+  }
+}
+
+module.exports = {
+  AuditLog,
+  GENESIS_HASH
+};
@@ -0,0 +1,257 @@
+// Authentication Module
+// Bearer-token auth for the /api routes
+//
+// Two kinds of bearer token are accepted:
+// - Auth0-issued JWTs (RS256), verified against a JWKS from AUTH0_JWKS_URI (an https
+//   URL, or a local file path for tests). The token's `sub` identifies the user.
+//   Tokens must carry `exp`, and `iss`/`aud` must match AUTH0_ISSUER/AUTH0_AUDIENCE;
+//   JWT auth refuses to start without both.
+// - Service API keys from SERVICE_API_KEYS, each carrying scopes such as
+//   `foundry:read`, `debug` or `admin` (admin implies every scope).
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { logger } = require('./logger');
+
+const AUTH0_DOMAIN = (process.env.AUTH0_DOMAIN || '').trim();
+
+const AUTH_CONFIG = {
+  jwksUri: (process.env.AUTH0_JWKS_URI || (AUTH0_DOMAIN ? `https://${AUTH0_DOMAIN}/.well-known/jwks.json` : '')).trim(),
+  issuer: (process.env.AUTH0_ISSUER || (AUTH0_DOMAIN ? `https://${AUTH0_DOMAIN}/` : '')).trim(),
+  audience: (process.env.AUTH0_AUDIENCE || '').trim(),
+  jwksCacheMs: 10 * 60 * 1000,   // Re-fetch keys every 10 minutes
+  jwksMinRefetchMs: 30 * 1000,   // At most one refetch per 30 seconds for unknown key ids
+  clockToleranceSeconds: parseInt(process.env.AUTH0_CLOCK_TOLERANCE_SECONDS || '60', 10)
+};
+
+// A JWKS alone would accept any token signed by the tenant's keys, whatever API it was
+// issued for, so JWT auth is only enabled with both the issuer and audience pinned.
+if (AUTH_CONFIG.jwksUri && (!AUTH_CONFIG.issuer || !AUTH_CONFIG.audience)) {
+  throw new Error('JWT auth requires AUTH0_ISSUER (or AUTH0_DOMAIN) and AUTH0_AUDIENCE to be set.');
+}
+
+const ADMIN_SCOPE = 'admin';
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// SERVICE_API_KEYS is a JSON array: [{ "name": "foundry", "key": "...", "scopes": ["foundry:read"] }]
+function loadServiceKeys() {
+  const raw = (process.env.SERVICE_API_KEYS || '').trim();
+  if (!raw) return [];
+
+  try {
+    return JSON.parse(raw)
+      .filter(entry => entry && entry.key && entry.name)
+      .map(entry => ({
+        name: entry.name,
+        digest: crypto.createHash('sha256').update(entry.key).digest(),
+        scopes: Array.isArray(entry.scopes) ? entry.scopes : []
+      }));
+  } catch (error) {
+    logger.error('❌ SERVICE_API_KEYS is not valid JSON', { error: error.message });
+    return [];
+  }
+}
+
+const serviceKeys = loadServiceKeys();
+
+// JWKS cache: kid -> KeyObject
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+async function fetchJwks() {
+  if (!AUTH_CONFIG.jwksUri) {
+    throw new AuthError(401, 'JWT authentication is not configured');
+  }
+
+  let jwks;
+  if (/^https?:\/\//.test(AUTH_CONFIG.jwksUri)) {
+    const response = await fetch(AUTH_CONFIG.jwksUri, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    jwks = await response.json();
+  } else {
+    const filePath = AUTH_CONFIG.jwksUri.replace(/^file:\/\//, '');
+    jwks = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  }
+
+  const keys = new Map();
+  for (const jwk of jwks.keys || []) {
+    if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+    try {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (error) {
+      logger.warn('⚠️ Ignoring unusable JWKS key', { kid: jwk.kid, error: error.message });
+    }
+  }
+
+  jwksCache = { keys, fetchedAt: Date.now() };
+  return keys;
+}
+
+async function getSigningKey(kid) {
+  const age = Date.now() - jwksCache.fetchedAt;
+  const unknownKid = !jwksCache.keys.has(kid) && age > AUTH_CONFIG.jwksMinRefetchMs;
+  if (age > AUTH_CONFIG.jwksCacheMs || unknownKid) {
+    await fetchJwks();
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new AuthError(401, 'Token signed with unknown key');
+  }
+  return key;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify an RS256 JWT and return its claims
+ */
+async function verifyJwt(token) {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(encodedHeader);
+    claims = decodeSegment(encodedPayload);
+  } catch (error) {
+    throw new AuthError(401, 'Malformed token');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw new AuthError(401, `Unsupported token algorithm ${header.alg}`);
+  }
+
+  const key = await getSigningKey(header.kid);
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) {
+    throw new AuthError(401, 'Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = AUTH_CONFIG.clockToleranceSeconds;
+  if (typeof claims.exp !== 'number') {
+    throw new AuthError(401, 'Token has no expiry');
+  }
+  if (now - tolerance >= claims.exp) {
+    throw new AuthError(401, 'Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+    throw new AuthError(401, 'Token not yet valid');
+  }
+  if (claims.iss !== AUTH_CONFIG.issuer) {
+    throw new AuthError(401, 'Token issuer not accepted');
+  }
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(AUTH_CONFIG.audience)) {
+    throw new AuthError(401, 'Token audience not accepted');
+  }
+  if (!claims.sub) {
+    throw new AuthError(401, 'Token has no subject');
+  }
+
+  return claims;
+}
+
+function findServiceKey(token) {
+  const digest = crypto.createHash('sha256').update(token).digest();
+  return serviceKeys.find(entry => crypto.timingSafeEqual(entry.digest, digest)) || null;
+}
+
+/**
+ * Resolve the bearer token on a request to a principal
+ */
+async function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    throw new AuthError(401, 'Missing bearer token');
+  }
+
+  const token = match[1].trim();
+
+  const serviceKey = findServiceKey(token);
+  if (serviceKey) {
+    return { type: 'service', id: serviceKey.name, scopes: serviceKey.scopes };
+  }
+
+  if (token.split('.').length === 3) {
+    const claims = await verifyJwt(token);
+    return { type: 'user', id: claims.sub, sub: claims.sub, claims };
+  }
+
+  throw new AuthError(401, 'Invalid bearer token');
+}
+
+function sendAuthError(res, status, message) {
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  res.status(status).json({
+    error: status === 401 ? 'Unauthorized' : 'Forbidden',
+    message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Express middleware guarding a route.
+ *
+ * - scopes: service keys holding any of these scopes (or admin) are allowed
+ * - owner:  req => externalId; users are allowed when their `sub` matches it
+ */
+function requireAuth({ scopes = [], owner = null } = {}) {
+  return async (req, res, next) => {
+    let principal;
+    try {
+      principal = await authenticate(req);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        logger.error('❌ Authentication error', { error });
+      }
+      return sendAuthError(res, error.status || 401, error instanceof AuthError ? error.message : 'Authentication failed');
+    }
+
+    req.auth = principal;
+
+    if (principal.type === 'service') {
+      const allowed = principal.scopes.includes(ADMIN_SCOPE) ||
+        scopes.some(scope => principal.scopes.includes(scope));
+      if (!allowed) {
+        const accepted = [...new Set([...scopes, ADMIN_SCOPE])];
+        return sendAuthError(res, 403, `Service key "${principal.id}" lacks the required scope (${accepted.join(' or ')})`);
+      }
+      return next();
+    }
+
+    if (owner && owner(req) === principal.sub) {
+      return next();
+    }
+
+    return sendAuthError(res, 403, 'Token does not grant access to this resource');
+  };
+}
+
+module.exports = {
+  requireAuth,
+  authenticate,
+  verifyJwt,
+  AuthError,
+  AUTH_CONFIG,
+  ADMIN_SCOPE
+};
@@ -0,0 +1,232 @@
+// Connection Reconciler Module
+// Rebuilds local connection state from Fasten's list of org connections
+//
+// On boot and every intervalMs, the full connection list is pulled from the
+// Fasten API and compared with connectionStatus:
+//   added            - known to Fasten but missing locally; stored and linked to its user
+//   updated          - local fields filled in or corrected from Fasten
+//   revoked          - Fasten reports the connection revoked; handled like a revocation webhook
+//   disagreed        - differences left alone for a human: another external_id, or a
+//                      connection revoked locally that Fasten still reports active
+//   missingAtFasten  - known locally but absent from Fasten's list (reported only)
+// Each run produces a report; the last reportLimit reports are kept.
+
+const { logger } = require('./logger');
+const fastenApi = require('./fasten-api');
+
+const RECONCILE_CONFIG = {
+  intervalMs: parseInt(process.env.CONNECTION_RECONCILE_INTERVAL_MS || '21600000', 10), // 6 hours; 0 disables
+  onStart: process.env.CONNECTION_RECONCILE_ON_START !== 'false',
+  reportLimit: parseInt(process.env.CONNECTION_RECONCILE_REPORT_LIMIT || '20', 10)
+};
+
+const REVOKED_STATUSES = new Set(['revoked']);
+
+// Local connection field -> Fasten org connection field
+const FIELD_MAP = {
+  endpointId: 'endpoint_id',
+  brandId: 'brand_id',
+  portalId: 'portal_id',
+  platformType: 'platform_type',
+  connectionStatus: 'status'
+};
+
+function isRevoked(status) {
+  return REVOKED_STATUSES.has((status || '').toLowerCase());
+}
+
+class ConnectionReconciler {
+  /**
+   * connections: storage collection org_connection_id -> connection data
+   * options.addUserConnection(externalId, orgConnectionId) - link a connection to its user
+   * options.revokeConnection(orgConnectionId, status) - apply a revocation reported by Fasten
+   * options.listConnections() - Fasten org connection list (defaults to the Fasten API client)
+   */
+  constructor(connections, options = {}) {
+    this.connections = connections;
+    this.config = { ...RECONCILE_CONFIG, ...(options.config || {}) };
+    this.hooks = {
+      addUserConnection: options.addUserConnection || (() => {}),
+      revokeConnection: options.revokeConnection || (() => {}),
+      listConnections: options.listConnections || (() => fastenApi.listOrgConnections())
+    };
+    this.reports = [];
+    this.running = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.config.onStart) {
+      this.run('startup').catch(error => logger.error('❌ Startup connection reconciliation failed', { error }));
+    }
+    if (this.timer || this.config.intervalMs <= 0) return;
+    this.timer = setInterval(() => {
+      this.run('scheduled').catch(error => logger.error('❌ Scheduled connection reconciliation failed', { error }));
+    }, this.config.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // One reconciliation at a time; a second caller gets the run in progress
+  run(trigger = 'manual') {
+    if (!this.running) {
+      this.running = this.reconcile(trigger).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async reconcile(trigger) {
+    const report = {
+      trigger,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      remoteCount: 0,
+      localCount: this.connections.size,
+      added: [],
+      updated: [],
+      revoked: [],
+      disagreed: [],
+      missingAtFasten: [],
+      unchanged: 0,
+      error: null
+    };
+
+    try {
+      const remoteConnections = await this.hooks.listConnections();
+      report.remoteCount = remoteConnections.length;
+      const seen = new Set();
+
+      for (const remote of remoteConnections) {
+        if (!remote.org_connection_id) continue;
+        seen.add(remote.org_connection_id);
+        this.reconcileOne(remote, report);
+      }
+
+      for (const orgConnectionId of this.connections.keys()) {
+        if (!seen.has(orgConnectionId)) {
+          report.missingAtFasten.push(orgConnectionId);
+        }
+      }
+    } catch (error) {
+      report.error = error.message;
+      logger.error('❌ Connection reconciliation failed', { trigger, error: error.message });
+    }
+
+    report.completedAt = new Date().toISOString();
+    this.reports = [...this.reports, report].slice(-this.config.reportLimit);
+    logger.info('🔄 Connection reconciliation complete', {
+      trigger,
+      remoteCount: report.remoteCount,
+      added: report.added.length,
+      updated: report.updated.length,
+      revoked: report.revoked.length,
+      disagreed: report.disagreed.length,
+      missingAtFasten: report.missingAtFasten.length,
+      error: report.error
+    });
+    return report;
+  }
+
+  reconcileOne(remote, report) {
+    const orgConnectionId = remote.org_connection_id;
+    const local = this.connections.get(orgConnectionId);
+    const now = new Date().toISOString();
+
+    if (!local) {
+      // A connection revoked before we ever saw it has nothing to rebuild
+      if (isRevoked(remote.status)) {
+        report.unchanged++;
+        return;
+      }
+      this.connections.set(orgConnectionId, {
+        endpointId: remote.endpoint_id,
+        brandId: remote.brand_id,
+        portalId: remote.portal_id,
+        connectionStatus: remote.status,
+        platformType: remote.platform_type,
+        externalId: remote.external_id,
+        connectedAt: remote.created_at || now,
+        exportStatus: 'unknown',
+        reconciledAt: now
+      });
+      if (remote.external_id) {
+        this.hooks.addUserConnection(remote.external_id, orgConnectionId);
+      }
+      report.added.push(orgConnectionId);
+      return;
+    }
+
+    if (local.externalId && remote.external_id && local.externalId !== remote.external_id) {
+      report.disagreed.push({ orgConnectionId, field: 'externalId', local: local.externalId, remote: remote.external_id });
+      return;
+    }
+
+    const localRevoked = Boolean(local.revokedAt) || isRevoked(local.connectionStatus);
+    if (isRevoked(remote.status) && !localRevoked) {
+      this.hooks.revokeConnection(orgConnectionId, remote.status);
+      report.revoked.push(orgConnectionId);
+      return;
+    }
+    if (localRevoked && !isRevoked(remote.status)) {
+      report.disagreed.push({ orgConnectionId, field: 'connectionStatus', local: 'revoked', remote: remote.status });
+      return;
+    }
+
+    const changes = {};
+    for (const [field, remoteField] of Object.entries(FIELD_MAP)) {
+      if (remote[remoteField] && remote[remoteField] !== local[field]) {
+        changes[field] = remote[remoteField];
+      }
+    }
+    if (!local.externalId && remote.external_id) {
+      changes.externalId = remote.external_id;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      report.unchanged++;
+      return;
+    }
+
+    this.connections.set(orgConnectionId, { ...local, ...changes, reconciledAt: now });
+    if (changes.externalId) {
+      this.hooks.addUserConnection(changes.externalId, orgConnectionId);
+    }
+    report.updated.push({ orgConnectionId, fields: Object.keys(changes) });
+  }
+
+  getReports() {
+    return this.reports;
+  }
+
+  getStats() {
+    const last = this.reports[this.reports.length - 1] || null;
+    return {
+      intervalMs: this.config.intervalMs,
+      running: Boolean(this.running),
+      lastRun: last && {
+        trigger: last.trigger,
+        completedAt: last.completedAt,
+        remoteCount: last.remoteCount,
+        added: last.added.length,
+        updated: last.updated.length,
+        revoked: last.revoked.length,
+        disagreed: last.disagreed.length,
+        missingAtFasten: last.missingAtFasten.length,
+        error: last.error
+      }
+    };
+  }
+}
+
+module.exports = {
+  ConnectionReconciler,
+  RECONCILE_CONFIG
+};
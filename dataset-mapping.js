@@ -0,0 +1,482 @@
+// Dataset Mapping Module
+// Declarative column mapping for the generic Foundry dataset rows
+//
+// The FHIR-derived columns of a dataset row come from a versioned mapping file
+// (DATASET_MAPPING_FILE, default ./dataset-mapping.json) instead of code:
+//
+//   {
+//     "version": 3,
+//     "resourceTypes": {
+//       "*":           [ { "column": "status", "expression": "status", "type": "string", "default": null } ],
+//       "Observation": [ { "column": "loinc", "expression": "code.coding.where(system='http://loinc.org').code", "type": "string" } ]
+//     }
+//   }
+//
+// "*" entries apply to every resource type; a type's own entry for the same
+// column replaces it. Every row carries every mapped column (null where a type
+// has no entry) plus mapping_version.
+//
+// Expressions are a FHIRPath subset: dotted element paths (arrays are flattened),
+// [n] indexing, `a | b` (first branch with a value wins), and the functions
+// first(), last(), count(), exists(), join('sep'), where(path = literal) and
+// extension('url'). A scalar column takes the first value the expression yields.
+//
+// Column types: string, integer, decimal, boolean, date, dateTime, quantity
+// ("value unit", from a Quantity) and json. The file is validated when the module
+// loads, so a broken mapping stops the service at startup. While applying it,
+// a path that steps into a primitive (invalid_path), a value of the wrong type
+// (type_mismatch) and a required column with no value (missing_required) are
+// reported per column; the default is used instead.
+
+const fs = require('fs');
+const path = require('path');
+const { R4_RESOURCE_TYPES, DATE_PATTERNS } = require('./fhir-validation');
+
+const DATASET_MAPPING_FILE = process.env.DATASET_MAPPING_FILE || path.join(__dirname, 'dataset-mapping.json');
+
+const COLUMN_TYPES = ['string', 'integer', 'decimal', 'boolean', 'date', 'dateTime', 'quantity', 'json'];
+const ISSUE_KINDS = ['invalid_path', 'type_mismatch', 'missing_required'];
+
+// Columns the dataset writer fills itself; a mapping can't redefine them
+const RESERVED_COLUMNS = [
+  'record_id', 'auth0_user_id', 'org_connection_id', 'resource_type', 'resource_id', 'fhir_resource_json',
+  'patient_id', 'encounter_id', 'provider_org', 'ingested_at', 'source', 'ingestion_run_id', 'mapping_version',
+  'preferred_code', 'preferred_code_system', 'preferred_code_display', 'loinc_code', 'snomed_code', 'rxnorm_code',
+  'icd10_code', 'code_systems', 'value_ucum', 'value_normalized', 'value_normalized_unit', 'value_normalization',
+  'reference_range_low_normalized', 'reference_range_high_normalized', 'interpretation_flag', 'is_abnormal', 'is_critical'
+];
+
+const COLUMN_NAME = /^[a-z][a-z0-9_]{0,63}$/;
+const FUNCTIONS = ['first', 'last', 'count', 'exists', 'join', 'where', 'extension'];
+
+class MappingError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'MappingError';
+    this.problems = problems;
+  }
+}
+
+// ---- Expressions ---------------------------------------------------------
+
+function parseLiteral(text) {
+  const value = text.trim();
+  if (/^'([^'\\]|\\.)*'$/.test(value)) return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  throw new MappingError(`"${value}" is not a literal (use 'text', a number, true or false)`);
+}
+
+/**
+ * Parse an expression into branches of steps:
+ * { element, index } or { fn, args }
+ */
+function parseExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new MappingError('expression must be a non-empty string');
+  }
+
+  const branches = splitTopLevel(expression, '|').map(branch => {
+    const steps = splitTopLevel(branch, '.').map(step => step.trim());
+    return steps.map((step, index) => {
+      let match = step.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:\[(\d+)\])?$/);
+      if (match) {
+        return { element: match[1], index: match[2] !== undefined ? Number(match[2]) : null };
+      }
+
+      match = step.match(/^([a-z]+)\((.*)\)$/);
+      if (!match || !FUNCTIONS.includes(match[1])) {
+        throw new MappingError(`"${step}" is not an element name or a supported function (${FUNCTIONS.join(', ')})`);
+      }
+      if (index === 0) {
+        throw new MappingError(`${match[1]}() needs an element before it`);
+      }
+      const [, fn, rawArgs] = match;
+      const args = rawArgs.trim();
+      if (['first', 'last', 'count', 'exists'].includes(fn)) {
+        if (args) throw new MappingError(`${fn}() takes no arguments`);
+        return { fn, args: [] };
+      }
+      if (fn === 'where') {
+        const condition = args.match(/^([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.+)$/);
+        if (!condition) throw new MappingError(`where(${args}) must be where(path = literal)`);
+        return { fn, args: [condition[1].split('.'), parseLiteral(condition[2])] };
+      }
+      const literal = parseLiteral(args);
+      if (typeof literal !== 'string') throw new MappingError(`${fn}() takes a quoted string`);
+      return { fn, args: [literal] };
+    });
+  });
+  return { branches };
+}
+
+// Split on a separator outside quotes and parentheses
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '\\') {
+        current += char + (text[++i] ?? '');
+        continue;
+      }
+      if (char === "'") quoted = false;
+    } else if (char === "'") {
+      quoted = true;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (quoted || depth !== 0) {
+    throw new MappingError(`unbalanced ${quoted ? 'quote' : 'parentheses'} in "${text}"`);
+  }
+  parts.push(current);
+  if (parts.some(part => !part.trim())) {
+    throw new MappingError(`empty "${separator}" segment in "${text}"`);
+  }
+  return parts;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Child values of an element across a collection; notes steps into primitives
+function children(collection, element, problems) {
+  const values = [];
+  for (const item of collection) {
+    if (!isObject(item)) {
+      problems.add(element);
+      continue;
+    }
+    const value = item[element];
+    if (Array.isArray(value)) values.push(...value);
+    else if (value !== undefined && value !== null) values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Evaluate a parsed expression against a resource.
+ * Returns { values, invalidPath } where invalidPath names an element that was
+ * looked up on a primitive value.
+ */
+function evaluate(parsed, resource) {
+  const invalid = new Set();
+  let values = [];
+
+  for (const steps of parsed.branches) {
+    let collection = [resource];
+    for (const step of steps) {
+      if (step.element) {
+        collection = children(collection, step.element, invalid);
+        if (step.index !== null) collection = collection.slice(step.index, step.index + 1);
+        continue;
+      }
+      switch (step.fn) {
+        case 'first': collection = collection.slice(0, 1); break;
+        case 'last': collection = collection.slice(-1); break;
+        case 'count': collection = [collection.length]; break;
+        case 'exists': collection = [collection.length > 0]; break;
+        case 'join': collection = collection.length > 0 ? [collection.join(step.args[0])] : []; break;
+        case 'where': {
+          const [conditionPath, literal] = step.args;
+          collection = collection.filter(item => {
+            let current = [item];
+            for (const element of conditionPath) current = children(current, element, new Set());
+            return current.some(value => value === literal);
+          });
+          break;
+        }
+        case 'extension':
+          collection = children(collection, 'extension', invalid).filter(extension => extension?.url === step.args[0]);
+          break;
+      }
+    }
+    if (collection.length > 0) {
+      values = collection;
+      break;
+    }
+  }
+  return { values, invalidPath: invalid.size > 0 ? Array.from(invalid).join(', ') : null };
+}
+
+// ---- Types ---------------------------------------------------------------
+
+/**
+ * Convert an expression's values to a column type:
+ * { value } or { mismatch: description }
+ */
+function coerce(type, values) {
+  if (type === 'json') {
+    return { value: JSON.stringify(values.length === 1 ? values[0] : values) };
+  }
+
+  const value = values[0];
+  switch (type) {
+    case 'string':
+      return ['string', 'number', 'boolean'].includes(typeof value) ? { value: String(value) } : { mismatch: describe(value) };
+    case 'integer':
+      return Number.isInteger(value) ? { value } : { mismatch: describe(value) };
+    case 'decimal':
+      return typeof value === 'number' && Number.isFinite(value) ? { value } : { mismatch: describe(value) };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { mismatch: describe(value) };
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERNS.date.test(value) ? { value } : { mismatch: describe(value) };
+    case 'dateTime':
+      return typeof value === 'string' && (DATE_PATTERNS.dateTime.test(value) || DATE_PATTERNS.instant.test(value))
+        ? { value }
+        : { mismatch: describe(value) };
+    case 'quantity':
+      return isObject(value) && typeof value.value === 'number'
+        ? { value: `${value.value} ${value.unit || value.code || ''}`.trim() }
+        : { mismatch: describe(value) };
+    default:
+      return { mismatch: `unknown type ${type}` };
+  }
+}
+
+// Shape of a value for issue reports; never the value itself, which may be PHI
+function describe(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'string') return `string of length ${value.length}`;
+  return typeof value;
+}
+
+// ---- Mapping -------------------------------------------------------------
+
+class DatasetMapping {
+  /**
+   * Validate a mapping definition; throws a MappingError listing every problem
+   */
+  constructor(definition, source = 'mapping') {
+    const problems = [];
+    if (!isObject(definition)) {
+      throw new MappingError(`${source} is not a JSON object`);
+    }
+    const { version, resourceTypes } = definition;
+    if (!(typeof version === 'string' && version.trim()) && !(Number.isInteger(version) && version > 0)) {
+      problems.push('version must be a positive integer or a non-empty string');
+    }
+    if (!isObject(resourceTypes) || Object.keys(resourceTypes).length === 0) {
+      problems.push('resourceTypes must be an object of resourceType -> column entries');
+    }
+
+    this.version = version;
+    this.source = source;
+    this.entries = {}; // resourceType -> column -> entry
+    this.issueCounts = new Map(); // `${resourceType}|${column}|${kind}` -> count since startup
+
+    for (const [resourceType, entries] of Object.entries(isObject(resourceTypes) ? resourceTypes : {})) {
+      if (resourceType !== '*' && !R4_RESOURCE_TYPES.has(resourceType)) {
+        problems.push(`${resourceType}: not a FHIR R4 resource type`);
+      }
+      if (!Array.isArray(entries)) {
+        problems.push(`${resourceType}: must be an array of column entries`);
+        continue;
+      }
+      const columns = this.entries[resourceType] = new Map();
+      entries.forEach((entry, index) => {
+        const where = `${resourceType}[${index}]${entry?.column ? ` (${entry.column})` : ''}`;
+        const entryProblems = validateEntry(entry);
+        if (entryProblems.length === 0 && columns.has(entry.column)) {
+          entryProblems.push(`column "${entry.column}" is mapped twice`);
+        }
+        if (entryProblems.length > 0) {
+          entryProblems.forEach(problem => problems.push(`${where}: ${problem}`));
+          return;
+        }
+        columns.set(entry.column, {
+          column: entry.column,
+          expression: entry.expression,
+          type: entry.type,
+          default: entry.default ?? null,
+          required: entry.required === true,
+          parsed: parseExpression(entry.expression)
+        });
+      });
+    }
+
+    // The same column must have one type wherever it is mapped
+    const columnTypes = new Map();
+    for (const [resourceType, columns] of Object.entries(this.entries)) {
+      for (const entry of columns.values()) {
+        const known = columnTypes.get(entry.column);
+        if (known && known.type !== entry.type) {
+          problems.push(`column "${entry.column}" is ${known.type} for ${known.resourceType} but ${entry.type} for ${resourceType}`);
+        } else if (!known) {
+          columnTypes.set(entry.column, { type: entry.type, resourceType });
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new MappingError(`${source} is invalid`, problems);
+    }
+    this.columns = Array.from(columnTypes.entries()).map(([name, { type }]) => ({ name, type }));
+  }
+
+  static load(file = DATASET_MAPPING_FILE) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new MappingError(`Dataset mapping ${file} could not be read: ${error.message}`);
+    }
+    return new DatasetMapping(definition, file);
+  }
+
+  // Column entries that apply to a resource type, "*" entries first
+  entriesFor(resourceType) {
+    const merged = new Map(this.entries['*'] || []);
+    for (const [column, entry] of this.entries[resourceType] || []) {
+      merged.set(column, entry);
+    }
+    return merged;
+  }
+
+  /**
+   * Mapped column values for one resource: { values, issues, resolved }
+   * issues: [{ column, kind, detail }]; resolved: columns whose expression had a value
+   */
+  apply(resource) {
+    const values = Object.fromEntries(this.columns.map(column => [column.name, null]));
+    const issues = [];
+    const resolved = [];
+
+    for (const entry of this.entriesFor(resource?.resourceType).values()) {
+      values[entry.column] = entry.default;
+      const result = evaluate(entry.parsed, resource || {});
+      if (result.invalidPath) {
+        issues.push({ column: entry.column, kind: 'invalid_path', detail: `${result.invalidPath} looked up on a primitive value` });
+      }
+      if (result.values.length === 0) {
+        if (entry.required) {
+          issues.push({ column: entry.column, kind: 'missing_required', detail: `${entry.expression} has no value` });
+        }
+        continue;
+      }
+
+      resolved.push(entry.column);
+      const coerced = coerce(entry.type, result.values);
+      if (coerced.mismatch) {
+        issues.push({ column: entry.column, kind: 'type_mismatch', detail: `expected ${entry.type}, got ${coerced.mismatch}` });
+      } else {
+        values[entry.column] = coerced.value;
+      }
+    }
+    return { values, issues, resolved };
+  }
+
+  /**
+   * Apply the mapping to a sample of records and summarise each column:
+   * how often it resolved, and its issues. A column mapped for a sampled type
+   * that never resolved is flagged neverResolved (likely a wrong path).
+   */
+  preview(records) {
+    const report = {};
+    const rows = records.map(record => {
+      const resource = record.fhir_resource || {};
+      const { values, issues, resolved } = this.apply(resource);
+      for (const column of this.entriesFor(resource.resourceType).keys()) {
+        const summary = report[column] ||= { applied: 0, resolved: 0, ...Object.fromEntries(ISSUE_KINDS.map(kind => [kind, 0])) };
+        summary.applied++;
+        if (resolved.includes(column)) summary.resolved++;
+      }
+      issues.forEach(issue => report[issue.column][issue.kind]++);
+      return { resource_type: resource.resourceType, resource_id: resource.id ?? null, values, issues };
+    });
+
+    for (const summary of Object.values(report)) {
+      summary.neverResolved = summary.applied > 0 && summary.resolved === 0;
+    }
+    return { version: this.version, sampled: records.length, columns: this.columns, report, rows };
+  }
+
+  // Add a batch's issue counts ({ resourceType, column, kind, count }) to the running totals
+  recordIssues(issues) {
+    for (const { resourceType, column, kind, count } of issues) {
+      const key = `${resourceType}|${column}|${kind}`;
+      this.issueCounts.set(key, (this.issueCounts.get(key) || 0) + count);
+    }
+  }
+
+  getStats() {
+    return {
+      version: this.version,
+      source: this.source,
+      columns: this.columns.length,
+      issues: Array.from(this.issueCounts.entries()).map(([key, count]) => {
+        const [resourceType, column, kind] = key.split('|');
+        return { resourceType, column, kind, count };
+      })
+    };
+  }
+
+  describe() {
+    return {
+      version: this.version,
+      source: this.source,
+      columns: this.columns,
+      resourceTypes: Object.fromEntries(Object.entries(this.entries).map(([resourceType, columns]) => [
+        resourceType,
+        Array.from(columns.values()).map(({ parsed, ...entry }) => entry)
+      ]))
+    };
+  }
+}
+
+function validateEntry(entry) {
+  if (!isObject(entry)) return ['must be an object'];
+
+  const problems = [];
+  if (typeof entry.column !== 'string' || !COLUMN_NAME.test(entry.column)) {
+    problems.push('column must be snake_case (a-z, 0-9, _)');
+  } else if (RESERVED_COLUMNS.includes(entry.column)) {
+    problems.push(`column "${entry.column}" is filled by the dataset writer`);
+  }
+  if (!COLUMN_TYPES.includes(entry.type)) {
+    problems.push(`type must be one of ${COLUMN_TYPES.join(', ')}`);
+  }
+  try {
+    parseExpression(entry.expression);
+  } catch (error) {
+    problems.push(`expression: ${error.message}`);
+  }
+  if (entry.default !== undefined && entry.default !== null && COLUMN_TYPES.includes(entry.type)) {
+    const coerced = coerce(entry.type, [entry.default]);
+    if (coerced.mismatch || (entry.type !== 'json' && coerced.value !== entry.default)) {
+      problems.push(`default does not match type ${entry.type}`);
+    }
+  }
+  if (entry.required !== undefined && typeof entry.required !== 'boolean') {
+    problems.push('required must be true or false');
+  }
+  return problems;
+}
+
+// Loaded once at startup; an invalid mapping throws here
+const datasetMapping = DatasetMapping.load();
+
+module.exports = {
+  DatasetMapping,
+  MappingError,
+  datasetMapping,
+  parseExpression,
+  evaluate,
+  COLUMN_TYPES,
+  ISSUE_KINDS,
+  DATASET_MAPPING_FILE
+};
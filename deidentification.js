@@ -0,0 +1,401 @@
+// De-identification Module
+// Safe Harbor style de-identification of FHIR batches before they leave for Foundry
+//
+// Each push path is a sink and is de-identified or not on its own (DEIDENTIFY_SINKS):
+//   backend_service  the backend proxy's FHIR ingestion endpoint
+//   dataset          dataset uploads: the generic Fasten FHIR rows and the typed tables
+//   foundry_action   the create-healthkit-raw Foundry action
+// For a de-identified sink, every resource in the batch is copied and:
+//   - Patient, RelatedPerson and Person lose names, telecom, photos, contacts and
+//     the mother's maiden name / birth place extensions
+//   - their addresses keep only state, country and the 3-digit ZIP prefix (000 for
+//     prefixes covering 20,000 people or fewer; non-US postal codes are dropped)
+//   - identifiers (MRNs, member ids, accession numbers, ...), device serial numbers,
+//     narratives, notes and attachment contents are dropped everywhere
+//   - names on references to the patient are dropped, and absolute reference URLs
+//     become relative references
+//   - every date is shifted by the same number of days for a user, derived from the
+//     key and the user, so intervals within and across batches are kept
+//   - a birth date putting the patient over 89 is dropped, and ages over 89 become >= 90
+//   - Patient ids, the Auth0 user id and the org connection id are replaced by keyed
+//     HMAC-SHA256 pseudonyms, stable across batches and sinks. Patient ids are replaced
+//     wherever they appear: the Patient's own id and relative, absolute, urn:uuid and
+//     contained (#id) references to it. They are formatted as UUIDs, so urn:uuid
+//     references stay valid.
+// Every de-identified batch gets a report counting what was removed; the last
+// reportLimit reports are kept.
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { dateKind, DATE_PATTERNS } = require('./fhir-validation');
+const { parseReference } = require('./fhir-reference-graph');
+
+const DEIDENTIFICATION_SINKS = ['backend_service', 'dataset', 'foundry_action'];
+
+const DEIDENTIFY_CONFIG = {
+  sinks: parseSinks(process.env.DEIDENTIFY_SINKS),
+  hmacKey: process.env.DEIDENTIFY_HMAC_KEY || null,
+  maxDateShiftDays: parseInt(process.env.DEIDENTIFY_MAX_DATE_SHIFT_DAYS || '365', 10),
+  reportLimit: parseInt(process.env.DEIDENTIFY_REPORT_LIMIT || '50', 10)
+};
+
+// What a report counts, per batch
+const REMOVAL_CATEGORIES = [
+  'names', 'telecom', 'photos', 'contacts', 'person_extensions', 'addresses', 'postal_codes',
+  'identifiers', 'narratives', 'notes', 'attachments', 'reference_displays', 'absolute_references',
+  'birth_dates_over_89', 'ages_over_89', 'dates_shifted', 'patient_ids'
+];
+
+const PERSON_TYPES = new Set(['Patient', 'RelatedPerson', 'Person']);
+// Elements whose Reference points at the patient even when its type can't be told (urn:uuid)
+const PATIENT_REFERENCE_ELEMENTS = new Set(['subject', 'patient', 'beneficiary', 'subscriber', 'policyHolder']);
+const PERSON_EXTENSIONS = ['patient-mothersMaidenName', 'patient-birthPlace'];
+// Identifying elements that aren't called identifier (Device, Coverage)
+const IDENTIFYING_ELEMENTS = new Set(['serialNumber', 'udiCarrier', 'subscriberId']);
+const US_COUNTRIES = new Set(['us', 'usa', 'united states', 'united states of america']);
+// 3-digit ZIP prefixes covering 20,000 people or fewer (HHS Safe Harbor guidance, 2000 census)
+const RESTRICTED_ZIP3 = new Set([
+  '036', '059', '063', '102', '203', '556', '692', '790', '821', '823', '830', '831', '878', '879', '884', '890', '893'
+]);
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const AGE_YEAR_UNITS = new Set(['a', 'yr', 'yrs', 'year', 'years']);
+const MAX_AGE = 89;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseSinks(value) {
+  const names = (value || '').split(',').map(name => name.trim()).filter(Boolean);
+  return names.includes('all') ? [...DEIDENTIFICATION_SINKS] : names;
+}
+
+function validateConfig(config) {
+  const unknown = config.sinks.filter(sink => !DEIDENTIFICATION_SINKS.includes(sink));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown DEIDENTIFY_SINKS ${unknown.join(', ')}. Use ${DEIDENTIFICATION_SINKS.join(', ')} or all.`);
+  }
+  if (config.sinks.length > 0 && !config.hmacKey) {
+    throw new Error('DEIDENTIFY_HMAC_KEY is required when DEIDENTIFY_SINKS is set');
+  }
+  if (!(config.maxDateShiftDays >= 1)) {
+    throw new Error('DEIDENTIFY_MAX_DATE_SHIFT_DAYS must be at least 1');
+  }
+}
+
+function emptyCounts() {
+  return Object.fromEntries(REMOVAL_CATEGORIES.map(category => [category, 0]));
+}
+
+function countOf(value) {
+  return Array.isArray(value) ? value.length : 1;
+}
+
+/**
+ * A FHIR date or dateTime moved by `days`, or null when it can't be (a year alone
+ * is left as is). Month precision is shifted from the middle of the month; the time
+ * and zone of a dateTime are kept.
+ */
+function shiftDate(value, days) {
+  const match = value.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?(.*)$/);
+  if (!match) return null;
+  const [, year, month, day, rest] = match;
+  const shifted = new Date(Date.UTC(Number(year), Number(month) - 1, day ? Number(day) : 15) + days * DAY_MS);
+  if (shifted.getUTCFullYear() < 1000) return null;
+  const iso = shifted.toISOString();
+  return day ? `${iso.slice(0, 10)}${rest}` : iso.slice(0, 7);
+}
+
+// Whole years from a FHIR date (possibly partial) to now
+function ageInYears(birthDate, now) {
+  const [year, month = '01', day = '01'] = birthDate.slice(0, 10).split('-');
+  const birth = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  let age = now.getUTCFullYear() - birth.getUTCFullYear();
+  if (now.getUTCMonth() < birth.getUTCMonth() ||
+      (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate())) {
+    age--;
+  }
+  return age;
+}
+
+function generalizePostalCode(address) {
+  const country = (address.country || 'US').trim().toLowerCase();
+  const digits = String(address.postalCode).replace(/\D/g, '');
+  if (!US_COUNTRIES.has(country) || digits.length < 3) return null;
+  const prefix = digits.slice(0, 3);
+  return RESTRICTED_ZIP3.has(prefix) ? '000' : prefix;
+}
+
+class Deidentifier {
+  constructor(config = {}) {
+    this.config = { ...DEIDENTIFY_CONFIG, ...config };
+    validateConfig(this.config);
+    this.reports = [];
+    this.batches = Object.fromEntries(DEIDENTIFICATION_SINKS.map(sink => [sink, 0]));
+    this.totals = emptyCounts();
+  }
+
+  isEnabled(sink) {
+    return this.config.sinks.includes(sink);
+  }
+
+  /**
+   * Keyed pseudonym of an identifier; `kind` keeps pseudonyms of different kinds
+   * of id apart
+   */
+  pseudonym(kind, value) {
+    if (value === undefined || value === null || value === '') return value;
+    return crypto.createHmac('sha256', this.config.hmacKey).update(`${kind}|${value}`).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Pseudonym of a Patient id, formatted as a UUID so it is also a valid
+   * urn:uuid reference. UUID ids are compared case-insensitively, as urn:uuid
+   * references are.
+   */
+  patientPseudonym(id) {
+    const hex = this.pseudonym('patient', UUID.test(id) ? id.toLowerCase() : id);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  /**
+   * The user's date shift in days: within +/- maxDateShiftDays, never 0
+   */
+  dateShiftDays(externalId) {
+    const digest = crypto.createHmac('sha256', this.config.hmacKey).update(`date-shift|${externalId}`).digest();
+    const max = this.config.maxDateShiftDays;
+    const offset = digest.readUInt32BE(0) % (2 * max);
+    return offset < max ? offset - max : offset - max + 1;
+  }
+
+  /**
+   * The batch a sink should receive: { records, externalId, orgConnectionId, report }.
+   * Records are FHIR resources or transformForFoundry records wrapping one. For a
+   * sink that isn't de-identified, the batch is returned as is with a null report.
+   */
+  deidentifyBatch(sink, records, externalId, orgConnectionId) {
+    if (!this.isEnabled(sink)) {
+      return { records, externalId, orgConnectionId, report: null };
+    }
+
+    const context = {
+      shiftDays: this.dateShiftDays(externalId),
+      now: new Date(),
+      removed: emptyCounts(),
+      // urn:uuid references carry no type; these ids are known to be Patients
+      patientIds: new Set(records
+        .map(record => record.fhir_resource || record)
+        .filter(resource => resource?.resourceType === 'Patient' && typeof resource.id === 'string')
+        .map(resource => resource.id.toLowerCase())),
+      containedPatients: new Map()
+    };
+    const pseudonymousUser = this.pseudonym('user', externalId);
+    const pseudonymousConnection = this.pseudonym('connection', orgConnectionId);
+
+    const deidentified = records.map(record => {
+      if (!record.fhir_resource) return this.deidentifyResource(record, context);
+      const resource = this.deidentifyResource(record.fhir_resource, context);
+      return {
+        ...record,
+        auth0_user_id: pseudonymousUser,
+        org_connection_id: pseudonymousConnection,
+        fhir_resource: resource,
+        resource_id: resource.id ?? null
+      };
+    });
+
+    const report = {
+      sink,
+      org_connection_id: orgConnectionId,
+      records: records.length,
+      removed: context.removed,
+      completedAt: new Date().toISOString()
+    };
+    this.reports = [...this.reports, report].slice(-this.config.reportLimit);
+    this.batches[sink]++;
+    for (const category of REMOVAL_CATEGORIES) this.totals[category] += context.removed[category];
+
+    logger.info('🕶️ De-identified batch', {
+      sink,
+      org_connection_id: orgConnectionId,
+      records: records.length,
+      removed: Object.fromEntries(Object.entries(context.removed).filter(([, count]) => count > 0))
+    });
+    return { records: deidentified, externalId: pseudonymousUser, orgConnectionId: pseudonymousConnection, report };
+  }
+
+  /**
+   * A de-identified copy of one resource; removals are counted in context.removed
+   */
+  deidentifyResource(resource, context) {
+    const copy = structuredClone(resource);
+    const { removed } = context;
+
+    if (PERSON_TYPES.has(copy.resourceType)) {
+      this.deidentifyPerson(copy, context);
+    }
+    if (copy.resourceType === 'Patient' && typeof copy.id === 'string') {
+      copy.id = this.patientPseudonym(copy.id);
+      removed.patient_ids++;
+    }
+    if (copy.text?.div !== undefined) {
+      delete copy.text;
+      removed.narratives++;
+    }
+
+    // Contained Patients are renamed too, and the container's #id references follow them
+    let resourceContext = context;
+    if (Array.isArray(copy.contained)) {
+      const containedPatients = new Map(copy.contained
+        .filter(item => item?.resourceType === 'Patient' && typeof item.id === 'string')
+        .map(item => [item.id, this.patientPseudonym(item.id)]));
+      copy.contained = copy.contained.map(item => this.deidentifyResource(item, context));
+      resourceContext = { ...context, containedPatients };
+    }
+
+    this.scrub(copy, null, resourceContext);
+    return copy;
+  }
+
+  deidentifyPerson(person, context) {
+    const { removed } = context;
+    for (const [element, category] of [['name', 'names'], ['telecom', 'telecom'], ['photo', 'photos'], ['contact', 'contacts']]) {
+      if (person[element] !== undefined) {
+        removed[category] += countOf(person[element]);
+        delete person[element];
+      }
+    }
+
+    if (Array.isArray(person.extension)) {
+      const kept = person.extension.filter(extension => !PERSON_EXTENSIONS.some(name => extension?.url?.endsWith(name)));
+      removed.person_extensions += person.extension.length - kept.length;
+      person.extension = kept;
+    }
+
+    if (Array.isArray(person.address)) {
+      person.address = person.address.map(address => {
+        const generalized = {};
+        for (const element of ['use', 'type', 'state', 'country', 'period']) {
+          if (address[element] !== undefined) generalized[element] = address[element];
+        }
+        if (address.postalCode) {
+          const prefix = generalizePostalCode(address);
+          if (prefix) generalized.postalCode = prefix;
+          removed.postal_codes++;
+        }
+        removed.addresses++;
+        return generalized;
+      });
+    }
+
+    if (typeof person.birthDate === 'string' && DATE_PATTERNS.date.test(person.birthDate) &&
+        ageInYears(person.birthDate, context.now) > MAX_AGE) {
+      delete person.birthDate;
+      delete person._birthDate; // birthTime extension
+      removed.birth_dates_over_89++;
+    }
+  }
+
+  // Walk every element: identifiers, notes, attachments, references, dates and ages
+  scrub(node, parentKey, context) {
+    if (Array.isArray(node)) {
+      for (const item of node) this.scrub(item, parentKey, context);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    const { removed } = context;
+
+    if (typeof node.reference === 'string') {
+      this.deidentifyReference(node, parentKey, context);
+    } else if (node.display !== undefined && PATIENT_REFERENCE_ELEMENTS.has(parentKey)) {
+      delete node.display;
+      removed.reference_displays++;
+    }
+    if ((node.data !== undefined || node.url !== undefined) &&
+        (node.contentType !== undefined || node.size !== undefined || node.hash !== undefined)) {
+      delete node.data;
+      delete node.url;
+      delete node.title;
+      removed.attachments++;
+    }
+
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+      if (key === 'contained') continue; // de-identified as resources
+      if (key === 'identifier' || IDENTIFYING_ELEMENTS.has(key)) {
+        removed.identifiers += countOf(value);
+        delete node[key];
+      } else if (key === 'note') {
+        removed.notes += countOf(value);
+        delete node[key];
+      } else if (typeof value === 'string') {
+        const kind = dateKind(key);
+        if (kind && DATE_PATTERNS[kind].test(value)) {
+          const shifted = shiftDate(value, context.shiftDays);
+          if (shifted) {
+            node[key] = shifted;
+            removed.dates_shifted++;
+          }
+        }
+      } else if (key.endsWith('Age') && this.generalizeAge(value)) {
+        removed.ages_over_89++;
+      } else {
+        this.scrub(value, key, context);
+      }
+    }
+  }
+
+  deidentifyReference(reference, parentKey, context) {
+    const { removed } = context;
+    const target = parseReference(reference.reference);
+    if (target.kind === 'absolute') {
+      reference.reference = `${target.resourceType}/${target.id}`;
+      removed.absolute_references++;
+    }
+    if (target.resourceType === 'Patient' && (target.kind === 'relative' || target.kind === 'absolute')) {
+      reference.reference = `Patient/${this.patientPseudonym(target.id)}`;
+    } else if (target.kind === 'urn' &&
+        (reference.type === 'Patient' || PATIENT_REFERENCE_ELEMENTS.has(parentKey) || context.patientIds.has(target.id))) {
+      reference.reference = `urn:uuid:${this.patientPseudonym(target.id)}`;
+    } else if (target.kind === 'contained' && context.containedPatients.has(target.id)) {
+      reference.reference = `#${context.containedPatients.get(target.id)}`;
+    }
+    if (reference.display !== undefined &&
+        (PERSON_TYPES.has(target.resourceType) || PATIENT_REFERENCE_ELEMENTS.has(parentKey))) {
+      delete reference.display;
+      removed.reference_displays++;
+    }
+  }
+
+  // An Age over 89 years becomes >= 90; true when it was changed
+  generalizeAge(age) {
+    if (!age || typeof age !== 'object' || typeof age.value !== 'number') return false;
+    const unit = String(age.code || age.unit || '').toLowerCase();
+    if (!AGE_YEAR_UNITS.has(unit) || age.value <= MAX_AGE) return false;
+    age.value = MAX_AGE + 1;
+    age.comparator = '>=';
+    return true;
+  }
+
+  getReports() {
+    return this.reports;
+  }
+
+  getStats() {
+    return {
+      sinks: Object.fromEntries(DEIDENTIFICATION_SINKS.map(sink => [sink, this.isEnabled(sink) ? 'deidentified' : 'identified'])),
+      keyConfigured: Boolean(this.config.hmacKey),
+      maxDateShiftDays: this.config.maxDateShiftDays,
+      batches: this.batches,
+      removed: this.totals
+    };
+  }
+}
+
+const deidentifier = new Deidentifier();
+
+module.exports = {
+  Deidentifier,
+  deidentifier,
+  shiftDate,
+  DEIDENTIFY_CONFIG,
+  DEIDENTIFICATION_SINKS,
+  REMOVAL_CATEGORIES
+};
@@ -0,0 +1,225 @@
+// Download Links Module
+// Expiry tracking for Fasten export download links
+//
+// Fasten's download links stop working 24 hours after the export succeeded. Each
+// stored export carries expiresAt (counted from when its success webhook was
+// received); once past it, responses hide the link and flag it as expired, and
+// any attempt to download it requests a fresh export instead. A download that is
+// refused with 403/404/410 is treated the same way, but only once the link is within
+// refusalWindowMs of expiresAt: a refusal earlier than that is a credentials or
+// access problem, which a fresh export wouldn't fix.
+//
+// The sweeper periodically marks expired links and renews those whose processing
+// failed, so an export that never made it into Foundry isn't stuck on a dead link.
+//
+// Renewals are limited per connection (LinkRenewalBudget): each one waits for an
+// exponentially growing backoff after the previous, and after maxRenewals in a row
+// without a processed export no more are requested.
+
+const { logger } = require('./logger');
+const { storage } = require('./storage');
+
+const LINK_CONFIG = {
+  ttlMs: parseInt(process.env.DOWNLOAD_LINK_TTL_MS || '86400000', 10),                  // 24 hours
+  expiryMarginMs: parseInt(process.env.DOWNLOAD_LINK_EXPIRY_MARGIN_MS || '300000', 10), // treat as expired 5 minutes early
+  refusalWindowMs: parseInt(process.env.DOWNLOAD_LINK_REFUSAL_WINDOW_MS || '3600000', 10), // refusals count as expiry in the last hour
+  sweepIntervalMs: parseInt(process.env.DOWNLOAD_LINK_SWEEP_INTERVAL_MS || '900000', 10), // 15 minutes
+  maxRenewals: parseInt(process.env.DOWNLOAD_LINK_MAX_RENEWALS || '3', 10),
+  renewalBackoffMs: parseInt(process.env.DOWNLOAD_LINK_RENEWAL_BACKOFF_MS || '3600000', 10) // 1 hour, doubled per renewal
+};
+
+const EXPIRED_LINK_STATUSES = new Set([403, 404, 410]);
+
+/**
+ * Raised when Fasten refuses a download link because it has expired
+ */
+class ExpiredDownloadLinkError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'ExpiredDownloadLinkError';
+    this.code = 'download_link_expired';
+    this.status = status;
+  }
+}
+
+function linkExpiresAt(receivedAt, ttlMs = LINK_CONFIG.ttlMs) {
+  const issued = new Date(receivedAt || Date.now()).getTime();
+  return new Date(issued + ttlMs).toISOString();
+}
+
+function isLinkExpired(exportData, now = Date.now()) {
+  if (!exportData?.downloadLink) return false;
+  if (exportData.linkExpired) return true;
+  if (!exportData.expiresAt) return false;
+  return new Date(exportData.expiresAt).getTime() - LINK_CONFIG.expiryMarginMs <= now;
+}
+
+/**
+ * Whether a download refused with one of EXPIRED_LINK_STATUSES means the link has
+ * expired: only when it is expired or within refusalWindowMs of expiresAt. Without
+ * expiresAt it can't be told, so the refusal is treated as an ordinary failure.
+ */
+function isRefusalExpiry(exportData, now = Date.now(), refusalWindowMs = LINK_CONFIG.refusalWindowMs) {
+  if (isLinkExpired(exportData, now)) return true;
+  if (!exportData?.expiresAt) return false;
+  return new Date(exportData.expiresAt).getTime() - refusalWindowMs <= now;
+}
+
+/**
+ * Export data as returned by the API: an expired link is replaced by
+ * linkExpired: true (plus renewal state when a fresh export was requested)
+ */
+function presentExport(exportData) {
+  if (!exportData) return exportData;
+  if (!isLinkExpired(exportData)) {
+    return { ...exportData, linkExpired: false };
+  }
+  return { ...exportData, downloadLink: null, linkExpired: true };
+}
+
+class DownloadLinkSweeper {
+  /**
+   * exports: storage collection org_connection_id -> export data
+   * expire: async (orgConnectionId, { renew }) => marks the link expired; resolves with the
+   *   export history entry of the renewal request, or null when none was made
+   */
+  constructor(exports, expire, options = {}) {
+    this.exports = exports;
+    this.expire = expire;
+    this.config = { ...LINK_CONFIG, ...options };
+    this.timer = null;
+    this.lastSweep = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => logger.error('❌ Download link sweep failed', { error }));
+    }, this.config.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Mark newly expired links; renew the ones whose processing failed
+  async sweep() {
+    const report = { sweptAt: new Date().toISOString(), checked: 0, expired: 0, renewed: 0, renewalFailed: 0 };
+
+    for (const [orgConnectionId, exportData] of Array.from(this.exports.entries())) {
+      if (exportData.status !== 'success' || !exportData.downloadLink) continue;
+      report.checked++;
+      if (exportData.linkExpired || !isLinkExpired(exportData)) continue;
+
+      report.expired++;
+      const renewal = await this.expire(orgConnectionId, { renew: exportData.processingStatus === 'failed' });
+      if (renewal?.status === 'requested') {
+        report.renewed++;
+      } else if (renewal) {
+        report.renewalFailed++;
+      }
+    }
+
+    this.lastSweep = report;
+    if (report.expired > 0) {
+      logger.info('🔗 Download link sweep', report);
+    }
+    return report;
+  }
+
+  getStats() {
+    let active = 0;
+    let expired = 0;
+    for (const exportData of this.exports.values()) {
+      if (exportData.status !== 'success' || !exportData.downloadLink) continue;
+      if (isLinkExpired(exportData)) expired++;
+      else active++;
+    }
+    return { active, expired, lastSweep: this.lastSweep };
+  }
+}
+
+class LinkRenewalBudget {
+  /**
+   * renewals: storage collection org_connection_id -> { attempts, lastRenewalAt, nextAllowedAt, exhaustedAt }
+   */
+  constructor(renewals = storage.collection('downloadLinkRenewals'), options = {}) {
+    this.renewals = renewals;
+    this.config = { ...LINK_CONFIG, ...options };
+  }
+
+  /**
+   * Whether a renewal may be requested now: { allowed, reason, attempts, retryAt }.
+   * reason is 'backoff' while waiting after the previous renewal, 'exhausted' once
+   * maxRenewals have been requested.
+   */
+  check(orgConnectionId, now = Date.now()) {
+    const state = this.renewals.get(orgConnectionId);
+    const attempts = state?.attempts || 0;
+    if (attempts >= this.config.maxRenewals) {
+      return { allowed: false, reason: 'exhausted', attempts, retryAt: null };
+    }
+    if (state?.nextAllowedAt && new Date(state.nextAllowedAt).getTime() > now) {
+      return { allowed: false, reason: 'backoff', attempts, retryAt: state.nextAllowedAt };
+    }
+    return { allowed: true, reason: null, attempts, retryAt: null };
+  }
+
+  // Count a renewal request and start its backoff
+  record(orgConnectionId, now = Date.now()) {
+    const attempts = (this.renewals.get(orgConnectionId)?.attempts || 0) + 1;
+    const state = {
+      attempts,
+      lastRenewalAt: new Date(now).toISOString(),
+      nextAllowedAt: new Date(now + this.config.renewalBackoffMs * 2 ** (attempts - 1)).toISOString(),
+      exhaustedAt: null
+    };
+    this.renewals.set(orgConnectionId, state);
+    return state;
+  }
+
+  // Remember when the budget ran out (once); true the first time
+  markExhausted(orgConnectionId, now = Date.now()) {
+    const state = this.renewals.get(orgConnectionId);
+    if (!state || state.exhaustedAt) return false;
+    this.renewals.set(orgConnectionId, { ...state, exhaustedAt: new Date(now).toISOString() });
+    return true;
+  }
+
+  // An export was processed: the connection's links work again
+  reset(orgConnectionId) {
+    if (this.renewals.has(orgConnectionId)) {
+      this.renewals.delete(orgConnectionId);
+    }
+  }
+
+  get(orgConnectionId) {
+    return this.renewals.get(orgConnectionId) || null;
+  }
+
+  getStats() {
+    let renewing = 0;
+    let exhausted = 0;
+    for (const state of this.renewals.values()) {
+      if (state.attempts >= this.config.maxRenewals) exhausted++;
+      else renewing++;
+    }
+    return { maxRenewals: this.config.maxRenewals, renewing, exhausted };
+  }
+}
+
+module.exports = {
+  DownloadLinkSweeper,
+  LinkRenewalBudget,
+  ExpiredDownloadLinkError,
+  linkExpiresAt,
+  isLinkExpired,
+  isRefusalExpiry,
+  presentExport,
+  LINK_CONFIG,
+  EXPIRED_LINK_STATUSES
+};
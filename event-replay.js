@@ -0,0 +1,85 @@
+// Event Replay Module
+// Re-runs stored webhook events through the normal processing path, e.g. after a
+// bug in export handling or a failed Foundry push lost data. Replays are queued on
+// the webhook inbox rather than run inside the admin request.
+
+const { logger } = require('./logger');
+
+const REPLAY_LIMIT = 500;
+
+/**
+ * Select stored events matching the given filters, oldest first
+ */
+function selectEventsForReplay(events, filters = {}) {
+  const { type, orgConnectionId, from, to } = filters;
+  const limit = Math.min(parseInt(filters.limit, 10) || 100, REPLAY_LIMIT);
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  if ((from && Number.isNaN(fromTime)) || (to && Number.isNaN(toTime))) {
+    throw new Error('from and to must be ISO-8601 timestamps');
+  }
+
+  return Array.from(events.values())
+    .filter(event => event.body)
+    .filter(event => !type || event.body.type === type)
+    .filter(event => !orgConnectionId || event.body.data?.org_connection_id === orgConnectionId)
+    .filter(event => fromTime === null || new Date(event.timestamp).getTime() >= fromTime)
+    .filter(event => toTime === null || new Date(event.timestamp).getTime() <= toTime)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(0, limit);
+}
+
+/**
+ * Replay events in order and report the outcome of each
+ *
+ * A dry run resolves describe(event, { force }) for each event: an outcome object,
+ * without side effects. Otherwise queue(event, { force }) puts each event back on the
+ * webhook inbox, whose workers process it and record the replay on the stored event;
+ * an event still queued or being processed is skipped.
+ */
+async function replayEvents(selected, { describe, queue }, { force = false, dryRun = false } = {}) {
+  const results = [];
+
+  for (const event of selected) {
+    const result = {
+      eventId: event.id,
+      fastenEventId: event.body.id || null,
+      type: event.body.type,
+      org_connection_id: event.body.data?.org_connection_id || null,
+      timestamp: event.timestamp
+    };
+
+    try {
+      if (dryRun) {
+        Object.assign(result, await describe(event, { force }));
+      } else {
+        queue(event, { force });
+        result.outcome = 'queued';
+      }
+    } catch (error) {
+      logger.warn('⚠️ Event not replayed', { eventId: event.id, error: error.message });
+      result.outcome = dryRun ? 'failed' : 'skipped_in_progress';
+      result.error = error.message;
+    }
+
+    results.push(result);
+  }
+
+  return {
+    dryRun,
+    force,
+    total: results.length,
+    outcomes: results.reduce((counts, result) => {
+      counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+      return counts;
+    }, {}),
+    results
+  };
+}
+
+module.exports = {
+  selectEventsForReplay,
+  replayEvents,
+  REPLAY_LIMIT
+};
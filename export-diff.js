@@ -0,0 +1,124 @@
+// Export Diff Module
+// Compares each export of a connection with the previous one
+//
+// While an export streams in, every resource's identity and content hash is
+// collected into a manifest (ids and hashes only, never resource content). When
+// the export completes it is diffed against the connection's previous manifest:
+// resources added, changed and missing, grouped by resourceType. The new manifest
+// then replaces the old one. Failed exports never replace a manifest.
+
+const { storage } = require('./storage');
+const { FhirResourceStore, contentHash } = require('./fhir-resource-store');
+
+const DIFF_CATEGORIES = ['added', 'changed', 'missing'];
+const DIFF_ID_LIMIT = parseInt(process.env.EXPORT_DIFF_ID_LIMIT || '500', 10); // ids listed per category
+
+class ExportDiffTracker {
+  constructor(manifests = storage.collection('exportManifests')) {
+    this.manifests = manifests; // org_connection_id -> { export_id, external_id, completed_at, resources: { key: [resourceType, id, hash] } }
+  }
+
+  /**
+   * Start collecting the manifest of a new export
+   */
+  start(orgConnectionId, exportId, externalId) {
+    return { orgConnectionId, exportId, externalId, resources: new Map() };
+  }
+
+  track(manifest, records) {
+    for (const record of records) {
+      const resource = record.fhir_resource || {};
+      const hash = contentHash(resource);
+      const key = FhirResourceStore.keyFor(record, hash);
+      manifest.resources.set(key, [resource.resourceType || record.resource_type, resource.id || null, hash]);
+    }
+  }
+
+  /**
+   * Diff a completed export against the previous one and keep it as the new baseline
+   */
+  finish(manifest) {
+    const previous = this.manifests.get(manifest.orgConnectionId) || null;
+    const diff = diffManifests(previous, manifest);
+
+    this.manifests.set(manifest.orgConnectionId, {
+      export_id: manifest.exportId,
+      external_id: manifest.externalId,
+      completed_at: new Date().toISOString(),
+      resources: Object.fromEntries(manifest.resources)
+    });
+
+    return diff;
+  }
+
+  clear(externalId = null) {
+    if (!externalId) {
+      this.manifests.clear();
+      return;
+    }
+    for (const [orgConnectionId, manifest] of Array.from(this.manifests.entries())) {
+      if (manifest.external_id === externalId) {
+        this.manifests.delete(orgConnectionId);
+      }
+    }
+  }
+}
+
+function emptyCounts() {
+  return { added: 0, changed: 0, missing: 0, unchanged: 0 };
+}
+
+/**
+ * Diff two manifests. With no previous manifest every resource counts as added
+ * and the diff is marked as the baseline.
+ */
+function diffManifests(previous, current) {
+  const previousResources = previous ? previous.resources : {};
+  const byResourceType = {};
+  const totals = emptyCounts();
+  const resources = Object.fromEntries(DIFF_CATEGORIES.map(category => [category, []]));
+
+  const count = (category, [resourceType, id]) => {
+    byResourceType[resourceType] = byResourceType[resourceType] || emptyCounts();
+    byResourceType[resourceType][category]++;
+    totals[category]++;
+    if (resources[category] && resources[category].length < DIFF_ID_LIMIT) {
+      resources[category].push({ resourceType, id });
+    }
+  };
+
+  for (const [key, entry] of current.resources) {
+    const before = previousResources[key];
+    if (!before) {
+      count('added', entry);
+    } else if (before[2] !== entry[2]) {
+      count('changed', entry);
+    } else {
+      count('unchanged', entry);
+    }
+  }
+
+  for (const [key, entry] of Object.entries(previousResources)) {
+    if (!current.resources.has(key)) {
+      count('missing', entry);
+    }
+  }
+
+  return {
+    export_id: current.exportId,
+    previous_export_id: previous ? previous.export_id : null,
+    baseline: !previous,
+    computed_at: new Date().toISOString(),
+    totals,
+    by_resource_type: byResourceType,
+    resources,
+    truncated: DIFF_CATEGORIES.some(category => totals[category] > resources[category].length)
+  };
+}
+
+module.exports = {
+  ExportDiffTracker,
+  diffManifests,
+  DIFF_CATEGORIES,
+  DIFF_ID_LIMIT
+};
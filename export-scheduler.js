@@ -0,0 +1,216 @@
+// Export Scheduler Module
+// Re-exports existing connections on a cadence, and keeps every connection's export history
+//
+// Each export request (on connection, manual, scheduled, from timeout recovery or
+// to renew an expired download link) is appended to the connection's history with
+// its outcome: requested, request_failed or skipped, later completed as success,
+// failed or error when the webhook (or timeout recovery) reports back. A request still open counts as in
+// flight until it completes or is older than staleAfterMs.
+//
+// The scheduler polls for active, non-revoked connections whose last request is
+// older than intervalMs and re-triggers them, oldest first, keeping at most
+// globalConcurrency exports in flight overall and perUserConcurrency per user.
+// Connections whose exports were marked errored are left alone until a manual
+// export (which they can still get) succeeds.
+
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { logger } = require('./logger');
+
+const SCHEDULER_CONFIG = {
+  intervalMs: parseInt(process.env.EXPORT_REFRESH_INTERVAL_MS || '86400000', 10),        // 24 hours; 0 disables
+  pollIntervalMs: parseInt(process.env.EXPORT_SCHEDULER_POLL_MS || '300000', 10),        // 5 minutes
+  globalConcurrency: parseInt(process.env.EXPORT_SCHEDULER_CONCURRENCY || '3', 10),
+  perUserConcurrency: parseInt(process.env.EXPORT_SCHEDULER_PER_USER_CONCURRENCY || '1', 10),
+  staleAfterMs: parseInt(process.env.EXPORT_IN_FLIGHT_STALE_MS || '21600000', 10),       // 6 hours
+  historyLimit: parseInt(process.env.EXPORT_HISTORY_LIMIT || '50', 10)                   // entries kept per connection
+};
+
+const EXPORT_TRIGGERS = ['connection', 'manual', 'scheduled', 'timeout_recovery', 'link_expired'];
+const OPEN_STATUSES = new Set(['requested']);
+const INACTIVE_CONNECTION_STATUSES = new Set(['revoked', 'error', 'errored', 'disconnected']);
+
+class ExportHistory {
+  constructor(entries = storage.collection('exportHistory'), options = {}) {
+    this.entries = entries; // org_connection_id -> Array<history entry>, oldest first
+    this.config = { ...SCHEDULER_CONFIG, ...options };
+  }
+
+  // Append a request and its immediate outcome
+  record(orgConnectionId, { trigger, status, taskId = null, error = null, externalId = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      trigger,
+      status,
+      task_id: taskId,
+      external_id: externalId,
+      requested_at: new Date().toISOString(),
+      completed_at: OPEN_STATUSES.has(status) ? null : new Date().toISOString(),
+      error
+    };
+    const history = [...(this.entries.get(orgConnectionId) || []), entry].slice(-this.config.historyLimit);
+    this.entries.set(orgConnectionId, history);
+    return entry;
+  }
+
+  // Close the open request for a task (or the latest open request when taskId is unknown)
+  complete(orgConnectionId, taskId, status, error = null) {
+    const history = this.entries.get(orgConnectionId);
+    if (!history) return null;
+
+    const open = history.filter(entry => OPEN_STATUSES.has(entry.status));
+    const entry = (taskId && open.find(candidate => candidate.task_id === taskId)) || open[open.length - 1];
+    if (!entry) return null;
+
+    entry.status = status;
+    entry.completed_at = new Date().toISOString();
+    entry.error = error;
+    if (taskId && !entry.task_id) entry.task_id = taskId;
+    this.entries.set(orgConnectionId, history);
+    return entry;
+  }
+
+  list(orgConnectionId) {
+    return this.entries.get(orgConnectionId) || [];
+  }
+
+  latest(orgConnectionId) {
+    const history = this.list(orgConnectionId);
+    return history[history.length - 1] || null;
+  }
+
+  isInFlight(orgConnectionId) {
+    const latest = this.latest(orgConnectionId);
+    return Boolean(latest && OPEN_STATUSES.has(latest.status) &&
+      Date.now() - new Date(latest.requested_at).getTime() < this.config.staleAfterMs);
+  }
+}
+
+class ExportScheduler {
+  /**
+   * connections: storage collection org_connection_id -> connection data
+   * requestExport: async (orgConnectionId, connectionData, trigger) => history entry
+   */
+  constructor(connections, history, requestExport, options = {}) {
+    this.connections = connections;
+    this.history = history;
+    this.requestExport = requestExport;
+    this.config = { ...SCHEDULER_CONFIG, ...options };
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer || this.config.intervalMs <= 0) {
+      if (this.config.intervalMs <= 0) logger.info('⏸️ Scheduled re-exports disabled');
+      return;
+    }
+    this.timer = setInterval(() => this.tick(), this.config.pollIntervalMs);
+    this.timer.unref();
+    logger.info('🗓️ Export scheduler started', {
+      intervalHours: this.config.intervalMs / 3600000,
+      globalConcurrency: this.config.globalConcurrency,
+      perUserConcurrency: this.config.perUserConcurrency
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Whether the connection can be exported at all, e.g. by a manual trigger
+  isActive(connection) {
+    return !connection.revokedAt &&
+      !INACTIVE_CONNECTION_STATUSES.has((connection.connectionStatus || '').toLowerCase());
+  }
+
+  // Whether exports may be requested without a person asking: active, and not errored
+  isSchedulable(connection) {
+    return this.isActive(connection) && connection.exportStatus !== 'error';
+  }
+
+  // When a connection is next due, from its last request (or connection time)
+  dueAt(orgConnectionId, connection) {
+    const last = this.history.latest(orgConnectionId)?.requested_at || connection.lastExportRequested || connection.connectedAt;
+    return (last ? new Date(last).getTime() : 0) + this.config.intervalMs;
+  }
+
+  // Re-trigger due connections within the concurrency limits
+  async tick() {
+    if (this.running) return { triggered: [], skipped: 'already_running' };
+    this.running = true;
+
+    const triggered = [];
+    try {
+      const now = Date.now();
+      const inFlightByUser = new Map();
+      let inFlight = 0;
+      const due = [];
+
+      for (const [orgConnectionId, connection] of this.connections.entries()) {
+        if (this.history.isInFlight(orgConnectionId)) {
+          inFlight++;
+          const user = connection.externalId || orgConnectionId;
+          inFlightByUser.set(user, (inFlightByUser.get(user) || 0) + 1);
+        } else if (this.isSchedulable(connection) && this.dueAt(orgConnectionId, connection) <= now) {
+          due.push({ orgConnectionId, connection, dueAt: this.dueAt(orgConnectionId, connection) });
+        }
+      }
+      due.sort((a, b) => a.dueAt - b.dueAt);
+
+      for (const { orgConnectionId, connection } of due) {
+        if (inFlight >= this.config.globalConcurrency) break;
+        const user = connection.externalId || orgConnectionId;
+        if ((inFlightByUser.get(user) || 0) >= this.config.perUserConcurrency) continue;
+
+        const entry = await this.requestExport(orgConnectionId, connection, 'scheduled');
+        triggered.push({ orgConnectionId, status: entry?.status || null });
+        if (entry && OPEN_STATUSES.has(entry.status)) {
+          inFlight++;
+          inFlightByUser.set(user, (inFlightByUser.get(user) || 0) + 1);
+        }
+      }
+
+      if (triggered.length > 0) {
+        logger.info('🗓️ Scheduled re-exports requested', { triggered: triggered.length, due: due.length, inFlight });
+      }
+      return { triggered, due: due.length, inFlight };
+    } catch (error) {
+      logger.error('❌ Export scheduler run failed', { error });
+      return { triggered, error: error.message };
+    } finally {
+      this.running = false;
+      this.lastRun = new Date().toISOString();
+    }
+  }
+
+  getStats() {
+    let inFlight = 0;
+    let due = 0;
+    const now = Date.now();
+    for (const [orgConnectionId, connection] of this.connections.entries()) {
+      if (this.history.isInFlight(orgConnectionId)) inFlight++;
+      else if (this.isSchedulable(connection) && this.dueAt(orgConnectionId, connection) <= now) due++;
+    }
+    return {
+      enabled: this.config.intervalMs > 0,
+      intervalMs: this.config.intervalMs,
+      globalConcurrency: this.config.globalConcurrency,
+      perUserConcurrency: this.config.perUserConcurrency,
+      inFlight,
+      due,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = {
+  ExportScheduler,
+  ExportHistory,
+  SCHEDULER_CONFIG,
+  EXPORT_TRIGGERS
+};
@@ -1,4 +1,8 @@
-const { setTimeout: sleep } = require('node:timers/promises');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { outboundPolicy, RETRYABLE_STATUSES } = require('./outbound-policy');
 
 const FASTEN_PUBLIC_KEY = (process.env.FASTEN_PUBLIC_KEY || '').trim();
 const FASTEN_PRIVATE_KEY = (process.env.FASTEN_PRIVATE_KEY || '').trim();
@@ -9,10 +13,60 @@ try {
     const parsed = new URL(RAW_FASTEN_BASE);
     FASTEN_API_BASE_URL = `${parsed.origin}${parsed.pathname.replace(/\/$/, '')}`;
 } catch (error) {
-    console.warn(`⚠️  FASTEN_API_BASE_URL is invalid (${RAW_FASTEN_BASE}); defaulting to ${FASTEN_API_BASE_URL}`);
+    logger.warn('⚠️ FASTEN_API_BASE_URL is invalid; using default', { configured: RAW_FASTEN_BASE, baseUrl: FASTEN_API_BASE_URL });
 }
 
-const FASTEN_CONFIGURED = Boolean(FASTEN_PUBLIC_KEY && FASTEN_PRIVATE_KEY);
+// Fixture mode: "record" saves every Fasten API exchange to FASTEN_FIXTURE_DIR,
+// "replay" answers from those files without touching the network
+const FASTEN_FIXTURE_MODE = ['record', 'replay'].includes(process.env.FASTEN_FIXTURE_MODE) ? process.env.FASTEN_FIXTURE_MODE : null;
+const FASTEN_FIXTURE_DIR = process.env.FASTEN_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'fasten');
+
+// Recorded fixtures hold real responses, PHI included: only a development machine may record them
+if (FASTEN_FIXTURE_MODE === 'record' && process.env.NODE_ENV !== 'development') {
+    throw new Error('FASTEN_FIXTURE_MODE=record writes real Fasten responses to disk; it is only allowed with NODE_ENV=development');
+}
+
+const FASTEN_CONFIGURED = Boolean(FASTEN_PUBLIC_KEY && FASTEN_PRIVATE_KEY) || FASTEN_FIXTURE_MODE === 'replay';
+
+const FASTEN_API_TIMEOUT_MS = parseInt(process.env.FASTEN_API_TIMEOUT_MS || '15000', 10);
+
+const FASTEN_ENDPOINTS = {
+    ehiExport: '/v1/bridge/fhir/ehi-export',
+    ehiExportTask: taskId => `/v1/bridge/fhir/ehi-export/${encodeURIComponent(taskId)}`,
+    orgConnections: '/v1/bridge/org_connection',
+    orgConnection: orgConnectionId => `/v1/bridge/org_connection/${encodeURIComponent(orgConnectionId)}`
+};
+
+/**
+ * Error raised for every failed Fasten API call.
+ * status is null for network errors and timeouts; retryable tells callers
+ * whether trying again later can succeed.
+ */
+class FastenApiError extends Error {
+    constructor(message, { status = null, body = '', url = null, method = 'GET', code = null, retryable = null } = {}) {
+        super(message);
+        this.name = 'FastenApiError';
+        this.status = status;
+        this.body = body;
+        this.url = url;
+        this.method = method;
+        this.code = code || (status ? `http_${status}` : 'network_error');
+        this.retryable = retryable ?? (status === null || RETRYABLE_STATUSES.has(status));
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            status: this.status,
+            code: this.code,
+            retryable: this.retryable,
+            method: this.method,
+            url: this.url,
+            body: typeof this.body === 'string' ? this.body.slice(0, 1000) : this.body
+        };
+    }
+}
 
 function ensureConfigured() {
     if (!FASTEN_CONFIGURED) {
@@ -35,60 +89,180 @@ function buildFastenUrl(pathOrUrl) {
     }
 }
 
-const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+// Fixture files are named by method, path and a hash of the request body
+function fixturePath(method, url, body) {
+    const { pathname, search } = new URL(url);
+    const slug = `${pathname}${search}`.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const bodyHash = body ? `-${crypto.createHash('sha256').update(String(body)).digest('hex').slice(0, 8)}` : '';
+    return path.join(FASTEN_FIXTURE_DIR, `${method.toUpperCase()}-${slug}${bodyHash}.json`);
+}
+
+function replayFixture(method, url, body) {
+    const file = fixturePath(method, url, body);
+    if (!fs.existsSync(file)) {
+        throw new FastenApiError(`No Fasten fixture recorded for ${method} ${url}`, {
+            status: null, url, method, code: 'fixture_missing', retryable: false
+        });
+    }
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new Response(fixture.response.body, {
+        status: fixture.response.status,
+        headers: fixture.response.headers
+    });
+}
+
+async function recordFixture(method, url, body, response) {
+    const text = await response.clone().text();
+    const file = fixturePath(method, url, body);
+    fs.mkdirSync(FASTEN_FIXTURE_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        recordedAt: new Date().toISOString(),
+        // Credentials are never written to fixtures
+        request: { method, path: new URL(url).pathname, body: body || null },
+        response: {
+            status: response.status,
+            headers: { 'content-type': response.headers.get('content-type') || 'application/json' },
+            body: text
+        }
+    }, null, 2));
+    logger.debug('📼 Recorded Fasten fixture', { file });
+}
 
-async function authorizedFastenFetch(pathOrUrl, options = {}, attempt = 1) {
+// Retries (exponential backoff with jitter, Retry-After), per-attempt timeouts and
+// the per-host circuit breaker come from the shared outbound policy
+async function authorizedFastenFetch(pathOrUrl, options = {}) {
     ensureConfigured();
 
     const {
         method = 'GET',
         headers = {},
         body,
-        maxRetries = 3,
-        retryDelayMs = 500,
+        maxRetries,
+        retryDelayMs,
+        timeoutMs = FASTEN_API_TIMEOUT_MS,
         signal
     } = options;
 
     const url = buildFastenUrl(pathOrUrl);
-    const finalHeaders = {
-        Accept: headers.Accept || 'application/json',
-        ...headers,
-        Authorization: headers.Authorization || fastenAuthHeader()
-    };
 
-    if (body && !finalHeaders['Content-Type']) {
-        finalHeaders['Content-Type'] = 'application/json';
-    }
+    let response;
+    if (FASTEN_FIXTURE_MODE === 'replay') {
+        response = replayFixture(method, url, body);
+    } else {
+        const finalHeaders = {
+            Accept: headers.Accept || 'application/json',
+            ...headers,
+            Authorization: headers.Authorization || fastenAuthHeader()
+        };
 
-    const response = await fetch(url, {
-        method,
-        headers: finalHeaders,
-        body,
-        signal
-    });
+        if (body && !finalHeaders['Content-Type']) {
+            finalHeaders['Content-Type'] = 'application/json';
+        }
+
+        try {
+            response = await outboundPolicy.fetch(url, { method, headers: finalHeaders, body }, {
+                maxRetries,
+                baseDelayMs: retryDelayMs,
+                timeoutMs,
+                signal
+            });
+        } catch (error) {
+            const message = error.code === 'circuit_open' ? error.message : error.message.replace(/^Request/, 'Fasten request');
+            throw new FastenApiError(message, { url, method, code: error.code, retryable: error.retryable });
+        }
+
+        if (FASTEN_FIXTURE_MODE === 'record') {
+            await recordFixture(method, url, body, response);
+        }
+    }
 
     if (response.ok) {
         return response;
     }
 
-    if (attempt <= maxRetries && RETRYABLE_STATUSES.has(response.status)) {
-        const wait = retryDelayMs * attempt;
-        console.warn(`⚠️  Fasten request to ${url} failed with ${response.status}. Retrying in ${wait}ms (attempt ${attempt}/${maxRetries}).`);
-        await sleep(wait);
-        return authorizedFastenFetch(pathOrUrl, { method, headers, body, maxRetries, retryDelayMs, signal }, attempt + 1);
+    const errorBody = await response.text().catch(() => '');
+    throw new FastenApiError(`Fasten request to ${url} failed with status ${response.status}`, {
+        status: response.status,
+        body: errorBody,
+        url,
+        method
+    });
+}
+
+// Parse a JSON response, unwrapping Fasten's { data: ... } envelope when present
+async function readFastenJson(response) {
+    const text = await response.text();
+    if (!text) {
+        return {};
+    }
+    try {
+        const parsed = JSON.parse(text);
+        return parsed && typeof parsed === 'object' && 'data' in parsed ? parsed.data : parsed;
+    } catch (error) {
+        return { raw: text };
     }
+}
 
-    const errorBody = await response.text().catch(() => '');
-    const error = new Error(`Fasten request to ${url} failed with status ${response.status}`);
-    error.status = response.status;
-    error.body = errorBody;
-    throw error;
+/**
+ * @typedef {Object} FastenExportTask
+ * @property {string} task_id
+ * @property {string|null} org_connection_id
+ * @property {string} status          - e.g. pending, running, success, failed
+ * @property {string|null} download_link
+ * @property {string|null} failure_reason
+ * @property {string|null} created_at
+ * @property {string|null} updated_at
+ * @property {Object} raw             - The unmodified API payload
+ */
+
+/**
+ * @typedef {Object} FastenOrgConnection
+ * @property {string} org_connection_id
+ * @property {string|null} status        - e.g. authorized, revoked, error
+ * @property {string|null} platform_type
+ * @property {string|null} brand_id
+ * @property {string|null} portal_id
+ * @property {string|null} endpoint_id
+ * @property {string|null} external_id
+ * @property {string|null} created_at
+ * @property {string|null} updated_at
+ * @property {Object} raw
+ */
+
+/** @returns {FastenExportTask} */
+function normaliseExportTask(payload) {
+    return {
+        task_id: payload.task_id || payload.id || null,
+        org_connection_id: payload.org_connection_id || null,
+        status: payload.status || payload.task_status || 'unknown',
+        download_link: payload.download_link || null,
+        failure_reason: payload.failure_reason || payload.error || null,
+        created_at: payload.created_at || null,
+        updated_at: payload.updated_at || null,
+        raw: payload
+    };
+}
+
+/** @returns {FastenOrgConnection} */
+function normaliseOrgConnection(payload) {
+    return {
+        org_connection_id: payload.org_connection_id || payload.id || null,
+        status: payload.status || payload.connection_status || null,
+        platform_type: payload.platform_type || null,
+        brand_id: payload.brand_id || null,
+        portal_id: payload.portal_id || null,
+        endpoint_id: payload.endpoint_id || null,
+        external_id: payload.external_id || null,
+        created_at: payload.created_at || null,
+        updated_at: payload.updated_at || null,
+        raw: payload
+    };
 }
 
 async function requestEHIExport(orgConnectionId, options = {}) {
     ensureConfigured();
     const payload = JSON.stringify({ org_connection_id: orgConnectionId });
-    const response = await authorizedFastenFetch('/v1/bridge/fhir/ehi-export', {
+    const response = await authorizedFastenFetch(FASTEN_ENDPOINTS.ehiExport, {
         method: 'POST',
         body: payload,
         headers: {
@@ -109,11 +283,82 @@ async function requestEHIExport(orgConnectionId, options = {}) {
     }
 }
 
+/**
+ * Look up an EHI export task
+ * @returns {Promise<FastenExportTask>}
+ */
+async function getExportTask(taskId, options = {}) {
+    const response = await authorizedFastenFetch(FASTEN_ENDPOINTS.ehiExportTask(taskId), options);
+    return normaliseExportTask(await readFastenJson(response));
+}
+
+/**
+ * List every org connection for this Fasten account, following pagination
+ * @returns {Promise<FastenOrgConnection[]>}
+ */
+async function listOrgConnections(options = {}) {
+    const { pageLimit = 50, ...fetchOptions } = options;
+    const connections = [];
+    let cursor = null;
+
+    for (let page = 0; page < pageLimit; page++) {
+        const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+        const response = await authorizedFastenFetch(`${FASTEN_ENDPOINTS.orgConnections}${query}`, fetchOptions);
+        const payload = await readFastenJson(response);
+        const items = Array.isArray(payload) ? payload : (payload.items || payload.org_connections || []);
+
+        connections.push(...items.map(normaliseOrgConnection));
+
+        cursor = Array.isArray(payload) ? null : (payload.next_cursor || null);
+        if (!cursor) break;
+    }
+
+    return connections;
+}
+
+/**
+ * Look up one org connection; resolves null when Fasten doesn't know it
+ * @returns {Promise<FastenOrgConnection|null>}
+ */
+async function getOrgConnection(orgConnectionId, options = {}) {
+    try {
+        const response = await authorizedFastenFetch(FASTEN_ENDPOINTS.orgConnection(orgConnectionId), options);
+        return normaliseOrgConnection(await readFastenJson(response));
+    } catch (error) {
+        if (error instanceof FastenApiError && error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Revoke an org connection at Fasten
+ */
+async function revokeOrgConnection(orgConnectionId, options = {}) {
+    const response = await authorizedFastenFetch(FASTEN_ENDPOINTS.orgConnection(orgConnectionId), {
+        method: 'DELETE',
+        maxRetries: 0,
+        ...options
+    });
+    const payload = await readFastenJson(response);
+    return { org_connection_id: orgConnectionId, revoked: true, raw: payload };
+}
+
 module.exports = {
     authorizedFastenFetch,
     requestEHIExport,
+    getExportTask,
+    listOrgConnections,
+    getOrgConnection,
+    revokeOrgConnection,
     fastenAuthHeader,
     ensureConfigured,
+    FastenApiError,
+    FASTEN_ENDPOINTS,
     FASTEN_API_BASE_URL,
+    FASTEN_API_TIMEOUT_MS,
+    FASTEN_FIXTURE_MODE,
+    FASTEN_FIXTURE_DIR,
     FASTEN_CONFIGURED
 };
@@ -0,0 +1,247 @@
+// Fasten Connect Stub Server
+// Local stand-in for the Fasten Connect API, for running the service offline
+//
+// Serves the endpoints used by fasten-api.js from in-memory state: org connections,
+// EHI export tasks (which complete after STUB_EXPORT_DELAY_MS) and their NDJSON
+// downloads. When STUB_WEBHOOK_URL is set, export results are delivered to it as
+// signed webhooks (STUB_WEBHOOK_SECRET), like Fasten would.
+//
+//   STUB_PORT=8787 node fasten-stub-server.js
+//   FASTEN_API_BASE_URL=http://localhost:8787 FASTEN_PUBLIC_KEY=x FASTEN_PRIVATE_KEY=y node server.js
+//
+// Test controls live under /_stub: seed connections, force task outcomes, inspect state.
+
+const crypto = require('crypto');
+const express = require('express');
+const { Webhook } = require('standardwebhooks');
+const { FASTEN_ENDPOINTS } = require('./fasten-api');
+const { logger } = require('./logger');
+
+const STUB_CONFIG = {
+  port: parseInt(process.env.STUB_PORT || '8787', 10),
+  exportDelayMs: parseInt(process.env.STUB_EXPORT_DELAY_MS || '2000', 10),
+  pageSize: parseInt(process.env.STUB_PAGE_SIZE || '50', 10),
+  webhookUrl: process.env.STUB_WEBHOOK_URL || null,
+  webhookSecret: process.env.STUB_WEBHOOK_SECRET || null,
+  connections: process.env.STUB_CONNECTIONS || '[]'
+};
+
+function sampleExport(connection) {
+  const patientId = `patient-${connection.org_connection_id}`;
+  return [
+    { resourceType: 'Patient', id: patientId, meta: { versionId: '1', lastUpdated: '2024-01-01T00:00:00Z' }, name: [{ family: 'Stub', given: ['Test'] }] },
+    {
+      resourceType: 'Observation',
+      id: `obs-${connection.org_connection_id}`,
+      status: 'final',
+      code: { coding: [{ system: 'http://loinc.org', code: '8867-4', display: 'Heart rate' }] },
+      subject: { reference: `Patient/${patientId}` },
+      valueQuantity: { value: 72, unit: 'beats/minute', system: 'http://unitsofmeasure.org', code: '/min' }
+    }
+  ].map(resource => JSON.stringify(resource)).join('\n') + '\n';
+}
+
+function createFastenStub(options = {}) {
+  const config = { ...STUB_CONFIG, ...options };
+  const state = {
+    connections: new Map(),
+    tasks: new Map(),
+    webhooksSent: []
+  };
+
+  const seed = typeof config.connections === 'string' ? JSON.parse(config.connections) : config.connections;
+  seed.forEach(connection => addConnection(connection));
+
+  function addConnection(connection) {
+    const record = {
+      org_connection_id: connection.org_connection_id || crypto.randomUUID(),
+      status: connection.status || 'authorized',
+      platform_type: connection.platform_type || 'epic',
+      brand_id: connection.brand_id || null,
+      portal_id: connection.portal_id || null,
+      endpoint_id: connection.endpoint_id || null,
+      external_id: connection.external_id || null,
+      created_at: connection.created_at || new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    state.connections.set(record.org_connection_id, record);
+    return record;
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  // Fasten uses HTTP Basic auth with the public/private key pair
+  const requireBasicAuth = (req, res, next) => {
+    if (!/^Basic\s+\S+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ success: false, error: 'Missing credentials' });
+    }
+    next();
+  };
+
+  async function sendWebhook(type, data) {
+    if (!config.webhookUrl) return;
+
+    const payload = JSON.stringify({ id: crypto.randomUUID(), type, api_mode: 'test', date: new Date().toISOString(), data });
+    const msgId = `msg_${crypto.randomUUID()}`;
+    const timestamp = new Date();
+    const headers = { 'Content-Type': 'application/json', 'webhook-id': msgId, 'webhook-timestamp': String(Math.floor(timestamp.getTime() / 1000)) };
+    if (config.webhookSecret) {
+      headers['webhook-signature'] = new Webhook(config.webhookSecret).sign(msgId, timestamp, payload);
+    }
+
+    try {
+      const response = await fetch(config.webhookUrl, { method: 'POST', headers, body: payload });
+      state.webhooksSent.push({ type, status: response.status, data });
+    } catch (error) {
+      state.webhooksSent.push({ type, status: null, error: error.message, data });
+      logger.warn('⚠️ Stub webhook delivery failed', { type, error: error.message });
+    }
+  }
+
+  function completeTask(task, status = 'success', failureReason = null) {
+    task.status = status;
+    task.updated_at = new Date().toISOString();
+    if (status === 'success') {
+      task.download_link = `${task.base_url}/download/${task.task_id}`;
+      sendWebhook('patient.ehi_export_success', {
+        org_connection_id: task.org_connection_id,
+        task_id: task.task_id,
+        download_link: task.download_link
+      });
+    } else if (status === 'failed') {
+      task.failure_reason = failureReason || 'stub_failure';
+      sendWebhook('patient.ehi_export_failed', {
+        org_connection_id: task.org_connection_id,
+        task_id: task.task_id,
+        failure_reason: task.failure_reason
+      });
+    }
+  }
+
+  app.post(FASTEN_ENDPOINTS.ehiExport, requireBasicAuth, (req, res) => {
+    const connection = state.connections.get(req.body?.org_connection_id);
+    if (!connection) {
+      return res.status(404).json({ success: false, error: 'org connection not found' });
+    }
+    if (connection.status === 'revoked') {
+      return res.status(403).json({ success: false, error: 'org connection has been revoked' });
+    }
+
+    const task = {
+      task_id: `task_${crypto.randomUUID()}`,
+      org_connection_id: connection.org_connection_id,
+      status: 'pending',
+      download_link: null,
+      failure_reason: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      base_url: `${req.protocol}://${req.get('host')}`
+    };
+    state.tasks.set(task.task_id, task);
+
+    if (config.exportDelayMs >= 0) {
+      setTimeout(() => {
+        if (task.status === 'pending') completeTask(task);
+      }, config.exportDelayMs).unref();
+    }
+
+    const { base_url, ...publicTask } = task;
+    res.status(202).json({ success: true, data: publicTask });
+  });
+
+  app.get(`${FASTEN_ENDPOINTS.ehiExport}/:taskId`, requireBasicAuth, (req, res) => {
+    const task = state.tasks.get(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'task not found' });
+    }
+    const { base_url, ...publicTask } = task;
+    res.json({ success: true, data: publicTask });
+  });
+
+  app.get(FASTEN_ENDPOINTS.orgConnections, requireBasicAuth, (req, res) => {
+    const all = Array.from(state.connections.values());
+    const start = parseInt(req.query.cursor || '0', 10) || 0;
+    const items = all.slice(start, start + config.pageSize);
+    const next = start + config.pageSize < all.length ? String(start + config.pageSize) : null;
+    res.json({ success: true, data: { items, next_cursor: next } });
+  });
+
+  app.get(`${FASTEN_ENDPOINTS.orgConnections}/:orgConnectionId`, requireBasicAuth, (req, res) => {
+    const connection = state.connections.get(req.params.orgConnectionId);
+    if (!connection) {
+      return res.status(404).json({ success: false, error: 'org connection not found' });
+    }
+    res.json({ success: true, data: connection });
+  });
+
+  app.delete(`${FASTEN_ENDPOINTS.orgConnections}/:orgConnectionId`, requireBasicAuth, (req, res) => {
+    const connection = state.connections.get(req.params.orgConnectionId);
+    if (!connection) {
+      return res.status(404).json({ success: false, error: 'org connection not found' });
+    }
+    connection.status = 'revoked';
+    connection.updated_at = new Date().toISOString();
+    sendWebhook('patient.authorization_revoked', { org_connection_id: connection.org_connection_id });
+    res.json({ success: true, data: connection });
+  });
+
+  app.get('/download/:taskId', requireBasicAuth, (req, res) => {
+    const task = state.tasks.get(req.params.taskId);
+    if (!task || task.status !== 'success') {
+      return res.status(404).send('export not found');
+    }
+    res.type('application/jsonl').send(sampleExport(state.connections.get(task.org_connection_id)));
+  });
+
+  // Test controls
+  app.post('/_stub/connections', (req, res) => {
+    const connection = addConnection(req.body || {});
+    if (req.query.notify === 'true') {
+      sendWebhook('patient.connection_success', {
+        org_connection_id: connection.org_connection_id,
+        external_id: connection.external_id,
+        platform_type: connection.platform_type,
+        brand_id: connection.brand_id,
+        portal_id: connection.portal_id,
+        endpoint_id: connection.endpoint_id
+      });
+    }
+    res.status(201).json(connection);
+  });
+
+  app.post('/_stub/tasks/:taskId', (req, res) => {
+    const task = state.tasks.get(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'task not found' });
+    }
+    completeTask(task, req.body?.status || 'success', req.body?.failure_reason);
+    res.json(task);
+  });
+
+  app.get('/_stub/state', (req, res) => {
+    res.json({
+      connections: Array.from(state.connections.values()),
+      tasks: Array.from(state.tasks.values()),
+      webhooksSent: state.webhooksSent
+    });
+  });
+
+  return { app, state, addConnection, completeTask };
+}
+
+if (require.main === module) {
+  const { app } = createFastenStub();
+  app.listen(STUB_CONFIG.port, () => {
+    logger.info('🧪 Fasten stub server running', {
+      port: STUB_CONFIG.port,
+      exportDelayMs: STUB_CONFIG.exportDelayMs,
+      webhookUrl: STUB_CONFIG.webhookUrl
+    });
+  });
+}
+
+module.exports = {
+  createFastenStub,
+  STUB_CONFIG
+};
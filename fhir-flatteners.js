@@ -0,0 +1,660 @@
+// FHIR Flatteners Module
+// Resource-type-specific flat tables for Foundry
+//
+// The generic dataset row keeps one display string per resource. For the clinical
+// types we analyse, each flattener produces typed rows for its own table instead,
+// keeping every coding of every CodeableConcept. Some resources fan out into
+// several rows: an Observation gives one row for itself plus one per component,
+// a MedicationRequest/MedicationStatement one per dosage instruction, an
+// AllergyIntolerance one per reaction. The row's *_index column is null on the
+// resource's own row.
+//
+// Every table starts with the COMMON_COLUMNS. Column types:
+//   string, integer, double, boolean
+//   date / datetime      FHIR date / dateTime as sent (may be partial, e.g. "2019-04")
+//   array<string>
+//   array<coding>        [{ system, version, code, display }], all codings kept; a missing
+//                        display is filled in from the bundled value sets
+// Each table's dataset RID comes from FOUNDRY_<TABLE>_DATASET_RID; tables without
+// one are formatted but not pushed.
+
+const { lookupDisplay } = require('./fhir-terminology');
+const { normalizeObservation } = require('./observation-normalization');
+
+const TABLE_SCHEMA_VERSION = 2;
+
+const COMMON_COLUMNS = [
+  { name: 'record_id', type: 'string', description: 'Stable row id: connection, resource and row index' },
+  { name: 'auth0_user_id', type: 'string', description: 'Auth0 user the data belongs to' },
+  { name: 'org_connection_id', type: 'string', description: 'Fasten connection the resource came from' },
+  { name: 'resource_type', type: 'string', description: 'FHIR resourceType' },
+  { name: 'resource_id', type: 'string', description: 'FHIR resource id' },
+  { name: 'patient_id', type: 'string', description: 'Referenced Patient id' },
+  { name: 'encounter_id', type: 'string', description: 'Referenced Encounter id' },
+  { name: 'last_updated', type: 'datetime', description: 'meta.lastUpdated' },
+  { name: 'ingested_at', type: 'datetime', description: 'When the service ingested the resource' },
+  { name: 'ingestion_run_id', type: 'string', description: 'Push run that wrote the row' },
+  { name: 'source', type: 'string', description: 'Always fasten-connect' }
+];
+
+// ---- Value helpers -------------------------------------------------------
+
+function codings(concept) {
+  const concepts = Array.isArray(concept) ? concept : [concept];
+  return concepts
+    .flatMap(item => item?.coding || [])
+    .filter(coding => coding && typeof coding === 'object')
+    .map(coding => ({
+      system: coding.system ?? null,
+      version: coding.version ?? null,
+      code: coding.code ?? null,
+      display: coding.display || lookupDisplay(coding.system, coding.code)
+    }));
+}
+
+// Text of a CodeableConcept: its text, else the first coding display
+function conceptText(concept) {
+  const first = Array.isArray(concept) ? concept[0] : concept;
+  return first?.text ?? first?.coding?.find(coding => coding?.display)?.display ?? null;
+}
+
+function references(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(item => item?.reference ?? item?.display ?? null).filter(Boolean);
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// The columns for a concept: <prefix>_text and <prefix>_codings
+function concept(prefix, value) {
+  return { [`${prefix}_text`]: conceptText(value), [`${prefix}_codings`]: codings(value) };
+}
+
+function conceptColumns(prefix, description) {
+  return [
+    { name: `${prefix}_text`, type: 'string', description: `${description} (text or first display)` },
+    { name: `${prefix}_codings`, type: 'array<coding>', description: `${description}, every coding` }
+  ];
+}
+
+// value[x] of an Observation or component
+function observationValue(source) {
+  const quantity = source.valueQuantity;
+  const normalized = normalizeObservation(source);
+  return {
+    value_type: Object.keys(source).find(key => key.startsWith('value') && key !== 'value')?.slice(5) || null,
+    value_quantity: numberOrNull(quantity?.value),
+    value_comparator: quantity?.comparator ?? null,
+    value_unit: quantity?.unit ?? null,
+    value_unit_system: quantity?.system ?? null,
+    value_unit_code: quantity?.code ?? null,
+    value_ucum: normalized.quantity?.ucum ?? null,
+    value_normalized: normalized.quantity?.normalized ?? null,
+    value_normalized_unit: normalized.quantity?.normalizedUnit ?? null,
+    value_normalization: normalized.quantity?.status ?? null,
+    value_string: source.valueString ?? null,
+    value_boolean: typeof source.valueBoolean === 'boolean' ? source.valueBoolean : null,
+    value_integer: Number.isInteger(source.valueInteger) ? source.valueInteger : null,
+    value_datetime: source.valueDateTime ?? source.valuePeriod?.start ?? null,
+    ...concept('value_concept', source.valueCodeableConcept),
+    data_absent_reason: conceptText(source.dataAbsentReason),
+    ...concept('interpretation', source.interpretation),
+    interpretation_flag: normalized.interpretation.flag,
+    is_abnormal: normalized.interpretation.abnormal,
+    is_critical: normalized.interpretation.critical,
+    reference_range_low: numberOrNull(source.referenceRange?.[0]?.low?.value),
+    reference_range_high: numberOrNull(source.referenceRange?.[0]?.high?.value),
+    reference_range_low_normalized: normalized.referenceRange.lowNormalized,
+    reference_range_high_normalized: normalized.referenceRange.highNormalized,
+    reference_range_text: source.referenceRange?.[0]?.text ?? null
+  };
+}
+
+const OBSERVATION_VALUE_COLUMNS = [
+  { name: 'value_type', type: 'string', description: 'Which value[x] is set (Quantity, String, CodeableConcept, ...)' },
+  { name: 'value_quantity', type: 'double', description: 'valueQuantity.value' },
+  { name: 'value_comparator', type: 'string', description: 'valueQuantity.comparator (<, <=, >=, >)' },
+  { name: 'value_unit', type: 'string', description: 'valueQuantity.unit as displayed' },
+  { name: 'value_unit_system', type: 'string', description: 'valueQuantity.system' },
+  { name: 'value_unit_code', type: 'string', description: 'valueQuantity.code' },
+  { name: 'value_ucum', type: 'string', description: 'UCUM code of the value\'s unit' },
+  { name: 'value_normalized', type: 'double', description: 'Value in the canonical unit for its LOINC code' },
+  { name: 'value_normalized_unit', type: 'string', description: 'Canonical UCUM unit of value_normalized' },
+  { name: 'value_normalization', type: 'string', description: 'canonical | converted | no_canonical_unit | unknown_unit | incompatible_unit' },
+  { name: 'value_string', type: 'string', description: 'valueString' },
+  { name: 'value_boolean', type: 'boolean', description: 'valueBoolean' },
+  { name: 'value_integer', type: 'integer', description: 'valueInteger' },
+  { name: 'value_datetime', type: 'datetime', description: 'valueDateTime (or valuePeriod.start)' },
+  ...conceptColumns('value_concept', 'valueCodeableConcept'),
+  { name: 'data_absent_reason', type: 'string', description: 'Why the value is missing' },
+  ...conceptColumns('interpretation', 'Interpretation flags'),
+  { name: 'interpretation_flag', type: 'string', description: 'N | A | AA | H | L | HH | LL (other codes as sent)' },
+  { name: 'is_abnormal', type: 'boolean', description: 'Interpretation is anything but N' },
+  { name: 'is_critical', type: 'boolean', description: 'Interpretation is HH, LL or AA' },
+  { name: 'reference_range_low', type: 'double', description: 'First reference range, low' },
+  { name: 'reference_range_high', type: 'double', description: 'First reference range, high' },
+  { name: 'reference_range_low_normalized', type: 'double', description: 'reference_range_low in the canonical unit' },
+  { name: 'reference_range_high_normalized', type: 'double', description: 'reference_range_high in the canonical unit' },
+  { name: 'reference_range_text', type: 'string', description: 'First reference range, text' }
+];
+
+// Medication of a MedicationRequest/Statement: the concept, or a contained Medication's code
+function medicationConcept(resource) {
+  if (resource.medicationCodeableConcept) return resource.medicationCodeableConcept;
+  const reference = resource.medicationReference?.reference;
+  if (reference?.startsWith('#')) {
+    return (resource.contained || []).find(contained => contained?.id === reference.slice(1))?.code || null;
+  }
+  return null;
+}
+
+// ---- Flatteners ----------------------------------------------------------
+
+const FLATTENERS = {
+  observation: {
+    resourceTypes: ['Observation'],
+    columns: [
+      { name: 'component_index', type: 'integer', description: 'Component position; null on the Observation\'s own row' },
+      { name: 'status', type: 'string', description: 'Observation.status' },
+      ...conceptColumns('category', 'Observation.category'),
+      ...conceptColumns('code', 'Observation.code (the component code on component rows)'),
+      ...conceptColumns('panel_code', 'Observation.code of the parent on component rows'),
+      { name: 'effective_datetime', type: 'datetime', description: 'effectiveDateTime / effectiveInstant / effectivePeriod.start' },
+      { name: 'effective_end', type: 'datetime', description: 'effectivePeriod.end' },
+      { name: 'issued', type: 'datetime', description: 'Observation.issued' },
+      ...OBSERVATION_VALUE_COLUMNS,
+      { name: 'has_members', type: 'array<string>', description: 'hasMember references (panels)' },
+      { name: 'performers', type: 'array<string>', description: 'performer references' }
+    ],
+    flatten(resource) {
+      const shared = {
+        status: resource.status ?? null,
+        ...concept('category', resource.category),
+        effective_datetime: resource.effectiveDateTime ?? resource.effectiveInstant ?? resource.effectivePeriod?.start ?? null,
+        effective_end: resource.effectivePeriod?.end ?? null,
+        issued: resource.issued ?? null,
+        has_members: references(resource.hasMember),
+        performers: references(resource.performer)
+      };
+      const own = {
+        component_index: null,
+        ...shared,
+        ...concept('code', resource.code),
+        ...concept('panel_code', null),
+        ...observationValue(resource)
+      };
+      const components = (resource.component || []).map((component, index) => ({
+        component_index: index,
+        ...shared,
+        ...concept('code', component.code),
+        ...concept('panel_code', resource.code),
+        ...observationValue(component)
+      }));
+      return [own, ...components];
+    }
+  },
+
+  condition: {
+    resourceTypes: ['Condition'],
+    columns: [
+      ...conceptColumns('clinical_status', 'Condition.clinicalStatus'),
+      ...conceptColumns('verification_status', 'Condition.verificationStatus'),
+      ...conceptColumns('category', 'Condition.category'),
+      ...conceptColumns('severity', 'Condition.severity'),
+      ...conceptColumns('code', 'Condition.code'),
+      ...conceptColumns('body_site', 'Condition.bodySite'),
+      { name: 'onset_datetime', type: 'datetime', description: 'onsetDateTime / onsetPeriod.start' },
+      { name: 'onset_age', type: 'double', description: 'onsetAge.value' },
+      { name: 'onset_age_unit', type: 'string', description: 'onsetAge.unit' },
+      { name: 'onset_string', type: 'string', description: 'onsetString' },
+      { name: 'abatement_datetime', type: 'datetime', description: 'abatementDateTime / abatementPeriod.start' },
+      { name: 'abatement_age', type: 'double', description: 'abatementAge.value' },
+      { name: 'abatement_string', type: 'string', description: 'abatementString' },
+      { name: 'abated', type: 'boolean', description: 'True when any abatement[x] is present' },
+      { name: 'recorded_date', type: 'datetime', description: 'Condition.recordedDate' },
+      { name: 'recorder', type: 'string', description: 'recorder reference' },
+      { name: 'asserter', type: 'string', description: 'asserter reference' },
+      { name: 'note', type: 'string', description: 'Notes, joined' }
+    ],
+    flatten(resource) {
+      const abatementKeys = Object.keys(resource).filter(key => key.startsWith('abatement'));
+      return [{
+        ...concept('clinical_status', resource.clinicalStatus),
+        ...concept('verification_status', resource.verificationStatus),
+        ...concept('category', resource.category),
+        ...concept('severity', resource.severity),
+        ...concept('code', resource.code),
+        ...concept('body_site', resource.bodySite),
+        onset_datetime: resource.onsetDateTime ?? resource.onsetPeriod?.start ?? null,
+        onset_age: numberOrNull(resource.onsetAge?.value),
+        onset_age_unit: resource.onsetAge?.unit ?? null,
+        onset_string: resource.onsetString ?? null,
+        abatement_datetime: resource.abatementDateTime ?? resource.abatementPeriod?.start ?? null,
+        abatement_age: numberOrNull(resource.abatementAge?.value),
+        abatement_string: resource.abatementString ?? null,
+        abated: abatementKeys.length > 0 && resource.abatementBoolean !== false,
+        recorded_date: resource.recordedDate ?? null,
+        recorder: references(resource.recorder)[0] ?? null,
+        asserter: references(resource.asserter)[0] ?? null,
+        note: (resource.note || []).map(note => note.text).filter(Boolean).join('\n') || null
+      }];
+    }
+  },
+
+  medication: {
+    resourceTypes: ['MedicationRequest', 'MedicationStatement'],
+    columns: [
+      { name: 'dosage_index', type: 'integer', description: 'Dosage instruction position; null when there is none' },
+      { name: 'status', type: 'string', description: 'status' },
+      { name: 'intent', type: 'string', description: 'MedicationRequest.intent' },
+      ...conceptColumns('medication', 'medicationCodeableConcept, or the contained Medication\'s code'),
+      { name: 'medication_reference', type: 'string', description: 'medicationReference when not contained' },
+      ...conceptColumns('category', 'category'),
+      { name: 'authored_on', type: 'datetime', description: 'MedicationRequest.authoredOn' },
+      { name: 'effective_start', type: 'datetime', description: 'MedicationStatement effectiveDateTime / effectivePeriod.start' },
+      { name: 'effective_end', type: 'datetime', description: 'MedicationStatement effectivePeriod.end' },
+      { name: 'date_asserted', type: 'datetime', description: 'MedicationStatement.dateAsserted' },
+      { name: 'requester', type: 'string', description: 'MedicationRequest.requester reference' },
+      ...conceptColumns('reason', 'reasonCode'),
+      { name: 'dosage_text', type: 'string', description: 'Dosage.text' },
+      { name: 'dosage_patient_instruction', type: 'string', description: 'Dosage.patientInstruction' },
+      { name: 'as_needed', type: 'boolean', description: 'Dosage.asNeededBoolean (true when asNeededCodeableConcept is set)' },
+      ...conceptColumns('route', 'Dosage.route'),
+      { name: 'dose_value', type: 'double', description: 'Dosage.doseAndRate[0] doseQuantity.value (or doseRange.low)' },
+      { name: 'dose_unit', type: 'string', description: 'Unit of dose_value' },
+      { name: 'frequency', type: 'integer', description: 'Dosage.timing.repeat.frequency' },
+      { name: 'period', type: 'double', description: 'Dosage.timing.repeat.period' },
+      { name: 'period_unit', type: 'string', description: 'Dosage.timing.repeat.periodUnit' },
+      { name: 'timing_code', type: 'string', description: 'Dosage.timing.code (text or first code)' },
+      { name: 'dispense_quantity', type: 'double', description: 'MedicationRequest.dispenseRequest.quantity.value' },
+      { name: 'dispense_quantity_unit', type: 'string', description: 'MedicationRequest.dispenseRequest.quantity.unit' },
+      { name: 'refills', type: 'integer', description: 'MedicationRequest.dispenseRequest.numberOfRepeatsAllowed' }
+    ],
+    flatten(resource) {
+      const medication = medicationConcept(resource);
+      const reference = resource.medicationReference?.reference;
+      const shared = {
+        status: resource.status ?? null,
+        intent: resource.intent ?? null,
+        ...concept('medication', medication),
+        medication_reference: reference && !reference.startsWith('#') ? reference : null,
+        ...concept('category', resource.category),
+        authored_on: resource.authoredOn ?? null,
+        effective_start: resource.effectiveDateTime ?? resource.effectivePeriod?.start ?? null,
+        effective_end: resource.effectivePeriod?.end ?? null,
+        date_asserted: resource.dateAsserted ?? null,
+        requester: references(resource.requester)[0] ?? null,
+        ...concept('reason', resource.reasonCode),
+        dispense_quantity: numberOrNull(resource.dispenseRequest?.quantity?.value),
+        dispense_quantity_unit: resource.dispenseRequest?.quantity?.unit ?? null,
+        refills: Number.isInteger(resource.dispenseRequest?.numberOfRepeatsAllowed) ? resource.dispenseRequest.numberOfRepeatsAllowed : null
+      };
+      const dosages = resource.dosageInstruction || resource.dosage || [];
+      if (dosages.length === 0) {
+        return [{ dosage_index: null, ...shared, ...dosageColumns({}) }];
+      }
+      return dosages.map((dosage, index) => ({ dosage_index: index, ...shared, ...dosageColumns(dosage) }));
+    }
+  },
+
+  allergy_intolerance: {
+    resourceTypes: ['AllergyIntolerance'],
+    columns: [
+      { name: 'reaction_index', type: 'integer', description: 'Reaction position; null when there is none' },
+      ...conceptColumns('clinical_status', 'clinicalStatus'),
+      ...conceptColumns('verification_status', 'verificationStatus'),
+      { name: 'type', type: 'string', description: 'allergy | intolerance' },
+      { name: 'categories', type: 'array<string>', description: 'food | medication | environment | biologic' },
+      { name: 'criticality', type: 'string', description: 'low | high | unable-to-assess' },
+      ...conceptColumns('code', 'AllergyIntolerance.code'),
+      { name: 'onset_datetime', type: 'datetime', description: 'onsetDateTime / onsetPeriod.start' },
+      { name: 'onset_string', type: 'string', description: 'onsetString' },
+      { name: 'recorded_date', type: 'datetime', description: 'recordedDate' },
+      { name: 'last_occurrence', type: 'datetime', description: 'lastOccurrence' },
+      ...conceptColumns('reaction_substance', 'reaction.substance'),
+      ...conceptColumns('reaction_manifestation', 'reaction.manifestation'),
+      { name: 'reaction_severity', type: 'string', description: 'reaction.severity' },
+      { name: 'reaction_onset', type: 'datetime', description: 'reaction.onset' },
+      { name: 'reaction_description', type: 'string', description: 'reaction.description' }
+    ],
+    flatten(resource) {
+      const shared = {
+        ...concept('clinical_status', resource.clinicalStatus),
+        ...concept('verification_status', resource.verificationStatus),
+        type: resource.type ?? null,
+        categories: resource.category || [],
+        criticality: resource.criticality ?? null,
+        ...concept('code', resource.code),
+        onset_datetime: resource.onsetDateTime ?? resource.onsetPeriod?.start ?? null,
+        onset_string: resource.onsetString ?? null,
+        recorded_date: resource.recordedDate ?? null,
+        last_occurrence: resource.lastOccurrence ?? null
+      };
+      const reactionRow = (reaction, index) => ({
+        reaction_index: index,
+        ...shared,
+        ...concept('reaction_substance', reaction.substance),
+        ...concept('reaction_manifestation', reaction.manifestation),
+        reaction_severity: reaction.severity ?? null,
+        reaction_onset: reaction.onset ?? null,
+        reaction_description: reaction.description ?? null
+      });
+      const reactions = resource.reaction || [];
+      return reactions.length > 0 ? reactions.map(reactionRow) : [reactionRow({}, null)];
+    }
+  },
+
+  immunization: {
+    resourceTypes: ['Immunization'],
+    columns: [
+      { name: 'status', type: 'string', description: 'completed | entered-in-error | not-done' },
+      ...conceptColumns('status_reason', 'statusReason'),
+      ...conceptColumns('vaccine_code', 'vaccineCode'),
+      { name: 'occurrence_datetime', type: 'datetime', description: 'occurrenceDateTime' },
+      { name: 'occurrence_string', type: 'string', description: 'occurrenceString' },
+      { name: 'recorded', type: 'datetime', description: 'recorded' },
+      { name: 'primary_source', type: 'boolean', description: 'primarySource' },
+      { name: 'lot_number', type: 'string', description: 'lotNumber' },
+      { name: 'expiration_date', type: 'date', description: 'expirationDate' },
+      { name: 'manufacturer', type: 'string', description: 'manufacturer reference or display' },
+      ...conceptColumns('site', 'site'),
+      ...conceptColumns('route', 'route'),
+      { name: 'dose_quantity', type: 'double', description: 'doseQuantity.value' },
+      { name: 'dose_quantity_unit', type: 'string', description: 'doseQuantity.unit' },
+      { name: 'performers', type: 'array<string>', description: 'performer.actor references' },
+      { name: 'dose_number', type: 'string', description: 'protocolApplied[0].doseNumber[x]' },
+      { name: 'series_doses', type: 'string', description: 'protocolApplied[0].seriesDoses[x]' }
+    ],
+    flatten(resource) {
+      const protocol = resource.protocolApplied?.[0] || {};
+      const doseNumber = protocol.doseNumberPositiveInt ?? protocol.doseNumberString;
+      const seriesDoses = protocol.seriesDosesPositiveInt ?? protocol.seriesDosesString;
+      return [{
+        status: resource.status ?? null,
+        ...concept('status_reason', resource.statusReason),
+        ...concept('vaccine_code', resource.vaccineCode),
+        occurrence_datetime: resource.occurrenceDateTime ?? null,
+        occurrence_string: resource.occurrenceString ?? null,
+        recorded: resource.recorded ?? null,
+        primary_source: typeof resource.primarySource === 'boolean' ? resource.primarySource : null,
+        lot_number: resource.lotNumber ?? null,
+        expiration_date: resource.expirationDate ?? null,
+        manufacturer: references(resource.manufacturer)[0] ?? null,
+        ...concept('site', resource.site),
+        ...concept('route', resource.route),
+        dose_quantity: numberOrNull(resource.doseQuantity?.value),
+        dose_quantity_unit: resource.doseQuantity?.unit ?? null,
+        performers: references((resource.performer || []).map(performer => performer.actor)),
+        dose_number: doseNumber !== undefined ? String(doseNumber) : null,
+        series_doses: seriesDoses !== undefined ? String(seriesDoses) : null
+      }];
+    }
+  },
+
+  procedure: {
+    resourceTypes: ['Procedure'],
+    columns: [
+      { name: 'status', type: 'string', description: 'Procedure.status' },
+      ...conceptColumns('category', 'category'),
+      ...conceptColumns('code', 'Procedure.code'),
+      { name: 'performed_datetime', type: 'datetime', description: 'performedDateTime / performedPeriod.start' },
+      { name: 'performed_end', type: 'datetime', description: 'performedPeriod.end' },
+      { name: 'performed_string', type: 'string', description: 'performedString' },
+      { name: 'performers', type: 'array<string>', description: 'performer.actor references' },
+      { name: 'location', type: 'string', description: 'location reference' },
+      ...conceptColumns('reason', 'reasonCode'),
+      ...conceptColumns('body_site', 'bodySite'),
+      ...conceptColumns('outcome', 'outcome')
+    ],
+    flatten(resource) {
+      return [{
+        status: resource.status ?? null,
+        ...concept('category', resource.category),
+        ...concept('code', resource.code),
+        performed_datetime: resource.performedDateTime ?? resource.performedPeriod?.start ?? null,
+        performed_end: resource.performedPeriod?.end ?? null,
+        performed_string: resource.performedString ?? null,
+        performers: references((resource.performer || []).map(performer => performer.actor)),
+        location: references(resource.location)[0] ?? null,
+        ...concept('reason', resource.reasonCode),
+        ...concept('body_site', resource.bodySite),
+        ...concept('outcome', resource.outcome)
+      }];
+    }
+  },
+
+  encounter: {
+    resourceTypes: ['Encounter'],
+    columns: [
+      { name: 'status', type: 'string', description: 'Encounter.status' },
+      { name: 'class_code', type: 'string', description: 'class.code (AMB, IMP, EMER, ...)' },
+      { name: 'class_system', type: 'string', description: 'class.system' },
+      { name: 'class_display', type: 'string', description: 'class.display' },
+      ...conceptColumns('type', 'Encounter.type'),
+      ...conceptColumns('service_type', 'serviceType'),
+      ...conceptColumns('priority', 'priority'),
+      { name: 'period_start', type: 'datetime', description: 'period.start' },
+      { name: 'period_end', type: 'datetime', description: 'period.end' },
+      { name: 'length_value', type: 'double', description: 'length.value' },
+      { name: 'length_unit', type: 'string', description: 'length.unit' },
+      ...conceptColumns('reason', 'reasonCode'),
+      ...conceptColumns('discharge_disposition', 'hospitalization.dischargeDisposition'),
+      { name: 'participants', type: 'array<string>', description: 'participant.individual references' },
+      { name: 'locations', type: 'array<string>', description: 'location.location references' },
+      { name: 'service_provider', type: 'string', description: 'serviceProvider reference' }
+    ],
+    flatten(resource) {
+      return [{
+        status: resource.status ?? null,
+        class_code: resource.class?.code ?? null,
+        class_system: resource.class?.system ?? null,
+        class_display: resource.class?.display ?? null,
+        ...concept('type', resource.type),
+        ...concept('service_type', resource.serviceType),
+        ...concept('priority', resource.priority),
+        period_start: resource.period?.start ?? null,
+        period_end: resource.period?.end ?? null,
+        length_value: numberOrNull(resource.length?.value),
+        length_unit: resource.length?.unit ?? null,
+        ...concept('reason', resource.reasonCode),
+        ...concept('discharge_disposition', resource.hospitalization?.dischargeDisposition),
+        participants: references((resource.participant || []).map(participant => participant.individual)),
+        locations: references((resource.location || []).map(location => location.location)),
+        service_provider: references(resource.serviceProvider)[0] ?? null
+      }];
+    }
+  },
+
+  diagnostic_report: {
+    resourceTypes: ['DiagnosticReport'],
+    columns: [
+      { name: 'status', type: 'string', description: 'DiagnosticReport.status' },
+      ...conceptColumns('category', 'category'),
+      ...conceptColumns('code', 'DiagnosticReport.code'),
+      { name: 'effective_datetime', type: 'datetime', description: 'effectiveDateTime / effectivePeriod.start' },
+      { name: 'effective_end', type: 'datetime', description: 'effectivePeriod.end' },
+      { name: 'issued', type: 'datetime', description: 'issued' },
+      { name: 'performers', type: 'array<string>', description: 'performer references' },
+      { name: 'results', type: 'array<string>', description: 'result (Observation) references' },
+      { name: 'conclusion', type: 'string', description: 'conclusion' },
+      ...conceptColumns('conclusion_code', 'conclusionCode'),
+      { name: 'presented_form_types', type: 'array<string>', description: 'presentedForm content types' }
+    ],
+    flatten(resource) {
+      return [{
+        status: resource.status ?? null,
+        ...concept('category', resource.category),
+        ...concept('code', resource.code),
+        effective_datetime: resource.effectiveDateTime ?? resource.effectivePeriod?.start ?? null,
+        effective_end: resource.effectivePeriod?.end ?? null,
+        issued: resource.issued ?? null,
+        performers: references(resource.performer),
+        results: references(resource.result),
+        conclusion: resource.conclusion ?? null,
+        ...concept('conclusion_code', resource.conclusionCode),
+        presented_form_types: (resource.presentedForm || []).map(form => form.contentType).filter(Boolean)
+      }];
+    }
+  },
+
+  patient: {
+    resourceTypes: ['Patient'],
+    columns: [
+      { name: 'gender', type: 'string', description: 'administrative gender' },
+      { name: 'birth_date', type: 'date', description: 'birthDate' },
+      { name: 'deceased', type: 'boolean', description: 'True when deceasedBoolean is true or deceasedDateTime is set' },
+      { name: 'deceased_datetime', type: 'datetime', description: 'deceasedDateTime' },
+      { name: 'name_family', type: 'string', description: 'Official (else first) name, family' },
+      { name: 'name_given', type: 'string', description: 'Official (else first) name, given names joined' },
+      { name: 'identifiers', type: 'array<coding>', description: 'identifier as { system, code: value, display: type text }' },
+      { name: 'phone', type: 'string', description: 'First phone telecom' },
+      { name: 'email', type: 'string', description: 'First email telecom' },
+      { name: 'address_line', type: 'string', description: 'Home (else first) address lines, joined' },
+      { name: 'address_city', type: 'string', description: 'address city' },
+      { name: 'address_state', type: 'string', description: 'address state' },
+      { name: 'address_postal_code', type: 'string', description: 'address postalCode' },
+      { name: 'address_country', type: 'string', description: 'address country' },
+      ...conceptColumns('marital_status', 'maritalStatus'),
+      ...conceptColumns('language', 'communication.language'),
+      { name: 'race', type: 'array<coding>', description: 'US Core race extension ombCategory/detailed codings' },
+      { name: 'ethnicity', type: 'array<coding>', description: 'US Core ethnicity extension ombCategory/detailed codings' },
+      { name: 'general_practitioners', type: 'array<string>', description: 'generalPractitioner references' },
+      { name: 'managing_organization', type: 'string', description: 'managingOrganization reference' }
+    ],
+    flatten(resource) {
+      const names = resource.name || [];
+      const name = names.find(candidate => candidate.use === 'official') || names[0] || {};
+      const addresses = resource.address || [];
+      const address = addresses.find(candidate => candidate.use === 'home') || addresses[0] || {};
+      const telecom = system => (resource.telecom || []).find(contact => contact.system === system)?.value ?? null;
+      const usCore = url => (resource.extension || [])
+        .filter(extension => extension.url === url)
+        .flatMap(extension => extension.extension || [])
+        .filter(part => part.url === 'ombCategory' || part.url === 'detailed')
+        .map(part => codings({ coding: [part.valueCoding] })[0])
+        .filter(Boolean);
+      return [{
+        gender: resource.gender ?? null,
+        birth_date: resource.birthDate ?? null,
+        deceased: resource.deceasedBoolean === true || Boolean(resource.deceasedDateTime),
+        deceased_datetime: resource.deceasedDateTime ?? null,
+        name_family: name.family ?? null,
+        name_given: (name.given || []).join(' ') || null,
+        identifiers: (resource.identifier || []).map(identifier => ({
+          system: identifier.system ?? null,
+          version: null,
+          code: identifier.value ?? null,
+          display: conceptText(identifier.type)
+        })),
+        phone: telecom('phone'),
+        email: telecom('email'),
+        address_line: (address.line || []).join(', ') || null,
+        address_city: address.city ?? null,
+        address_state: address.state ?? null,
+        address_postal_code: address.postalCode ?? null,
+        address_country: address.country ?? null,
+        ...concept('marital_status', resource.maritalStatus),
+        ...concept('language', (resource.communication || []).map(communication => communication.language)),
+        race: usCore('http://hl7.org/fhir/us/core/StructureDefinition/us-core-race'),
+        ethnicity: usCore('http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity'),
+        general_practitioners: references(resource.generalPractitioner),
+        managing_organization: references(resource.managingOrganization)[0] ?? null
+      }];
+    }
+  }
+};
+
+function dosageColumns(dosage) {
+  const doseAndRate = dosage.doseAndRate?.[0] || {};
+  const dose = doseAndRate.doseQuantity || doseAndRate.doseRange?.low || {};
+  const repeat = dosage.timing?.repeat || {};
+  return {
+    dosage_text: dosage.text ?? null,
+    dosage_patient_instruction: dosage.patientInstruction ?? null,
+    as_needed: typeof dosage.asNeededBoolean === 'boolean' ? dosage.asNeededBoolean : (dosage.asNeededCodeableConcept ? true : null),
+    ...concept('route', dosage.route),
+    dose_value: numberOrNull(dose.value),
+    dose_unit: dose.unit ?? dose.code ?? null,
+    frequency: Number.isInteger(repeat.frequency) ? repeat.frequency : null,
+    period: numberOrNull(repeat.period),
+    period_unit: repeat.periodUnit ?? null,
+    timing_code: conceptText(dosage.timing?.code) ?? dosage.timing?.code?.coding?.[0]?.code ?? null
+  };
+}
+
+// resourceType -> table name
+const TABLE_FOR_TYPE = Object.fromEntries(
+  Object.entries(FLATTENERS).flatMap(([table, flattener]) => flattener.resourceTypes.map(type => [type, table]))
+);
+
+// Dataset RID of each table, from FOUNDRY_<TABLE>_DATASET_RID
+const TABLE_DATASETS = Object.fromEntries(
+  Object.keys(FLATTENERS).map(table => [table, process.env[`FOUNDRY_${table.toUpperCase()}_DATASET_RID`] || null])
+);
+
+/**
+ * Column schema of every table: { table: { resourceTypes, datasetRid, columns } }
+ */
+function getTableSchemas() {
+  return Object.fromEntries(Object.entries(FLATTENERS).map(([table, flattener]) => [table, {
+    version: TABLE_SCHEMA_VERSION,
+    resourceTypes: flattener.resourceTypes,
+    datasetRid: TABLE_DATASETS[table],
+    columns: [...COMMON_COLUMNS, ...flattener.columns]
+  }]));
+}
+
+/**
+ * Rows of a dataset record's table, or null when its resourceType has no flattener.
+ * record: { auth0_user_id, org_connection_id, fhir_resource, patient_id, encounter_id, ingested_at, source }
+ */
+function flattenRecord(record, metadata = {}) {
+  const resource = record.fhir_resource || {};
+  const table = TABLE_FOR_TYPE[resource.resourceType];
+  if (!table) return null;
+
+  const rows = FLATTENERS[table].flatten(resource);
+  const rowIndexColumn = FLATTENERS[table].columns[0].name.endsWith('_index') ? FLATTENERS[table].columns[0].name : null;
+  return {
+    table,
+    rows: rows.map((row, index) => ({
+      record_id: [record.org_connection_id, resource.resourceType, resource.id, rowIndexColumn ? (row[rowIndexColumn] ?? 'resource') : index].join('|'),
+      auth0_user_id: record.auth0_user_id || '',
+      org_connection_id: record.org_connection_id || '',
+      resource_type: resource.resourceType,
+      resource_id: resource.id ?? null,
+      patient_id: record.patient_id ?? null,
+      encounter_id: record.encounter_id ?? null,
+      last_updated: resource.meta?.lastUpdated ?? null,
+      ingested_at: record.ingested_at || new Date().toISOString(),
+      ingestion_run_id: metadata.ingestion_run_id || null,
+      source: record.source || 'fasten-connect',
+      ...row
+    }))
+  };
+}
+
+/**
+ * Flatten a batch of dataset records into per-table rows: { table: rows[] }
+ */
+function flattenRecords(records, metadata = {}) {
+  const tables = {};
+  for (const record of records) {
+    const flattened = flattenRecord(record, metadata);
+    if (!flattened) continue;
+    (tables[flattened.table] ||= []).push(...flattened.rows);
+  }
+  return tables;
+}
+
+module.exports = {
+  flattenRecord,
+  flattenRecords,
+  getTableSchemas,
+  codings,
+  TABLE_DATASETS,
+  TABLE_FOR_TYPE,
+  TABLE_SCHEMA_VERSION
+};
@@ -0,0 +1,119 @@
+// FHIR Quarantine Module
+// Holding area for export lines that failed to parse or failed validation
+//
+// Instead of going to Foundry, a rejected line is kept here with its connection,
+// export, line number and the reasons it was rejected. An admin can browse the
+// items and release them, which ingests the resource as if it had passed. Lines
+// that weren't valid JSON are kept (truncated) for inspection but can't be released.
+// At most perConnectionLimit items are kept per connection, oldest dropped first;
+// add() doesn't enforce it, the caller trims once per batch of rejected lines.
+
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { logger } = require('./logger');
+
+const QUARANTINE_CONFIG = {
+  validationEnabled: process.env.FHIR_VALIDATION_ENABLED !== 'false',
+  perConnectionLimit: parseInt(process.env.FHIR_QUARANTINE_LIMIT || '1000', 10),
+  rawLineLimit: 4096
+};
+
+const QUARANTINE_STATUSES = ['quarantined', 'released'];
+
+class FhirQuarantine {
+  constructor(items = storage.collection('fhirQuarantine'), options = {}) {
+    this.items = items; // item id -> { id, org_connection_id, external_id, export_id, line, reasons, resource, ... }
+    this.config = { ...QUARANTINE_CONFIG, ...options };
+  }
+
+  // Quarantine one export line; resource is null when the line wasn't valid JSON
+  add({ orgConnectionId, externalId, exportId, line, reasons, resource = null, raw = null }) {
+    const item = {
+      id: crypto.randomUUID(),
+      org_connection_id: orgConnectionId,
+      external_id: externalId,
+      export_id: exportId,
+      line,
+      resource_type: resource?.resourceType || null,
+      resource_id: typeof resource?.id === 'string' ? resource.id : null,
+      reasons,
+      resource,
+      raw: resource ? null : (raw || '').slice(0, this.config.rawLineLimit),
+      releasable: Boolean(resource),
+      status: 'quarantined',
+      quarantined_at: new Date().toISOString(),
+      released_at: null,
+      released_by: null
+    };
+    this.items.set(item.id, item);
+    return item;
+  }
+
+  get(itemId) {
+    return this.items.get(itemId) || null;
+  }
+
+  list({ status = null, orgConnectionId = null, exportId = null } = {}) {
+    return Array.from(this.items.values())
+      .filter(item => !status || item.status === status)
+      .filter(item => !orgConnectionId || item.org_connection_id === orgConnectionId)
+      .filter(item => !exportId || item.export_id === exportId);
+  }
+
+  markReleased(itemId, releasedBy = null) {
+    const item = this.get(itemId);
+    if (!item) return null;
+
+    const updated = { ...item, status: 'released', released_at: new Date().toISOString(), released_by: releasedBy };
+    this.items.set(itemId, updated);
+    logger.info('🔓 Released quarantined FHIR resource', {
+      org_connection_id: item.org_connection_id,
+      itemId,
+      resourceType: item.resource_type,
+      releasedBy
+    });
+    return updated;
+  }
+
+  // Drop a connection's oldest items beyond the per-connection limit; returns how many
+  trim(orgConnectionId) {
+    const items = this.list({ orgConnectionId });
+    const excess = items.slice(0, Math.max(0, items.length - this.config.perConnectionLimit));
+    for (const item of excess) {
+      this.items.delete(item.id);
+    }
+    return excess.length;
+  }
+
+  clear(externalId = null) {
+    if (!externalId) {
+      this.items.clear();
+      return;
+    }
+    for (const item of Array.from(this.items.values())) {
+      if (item.external_id === externalId) {
+        this.items.delete(item.id);
+      }
+    }
+  }
+
+  getStats() {
+    const stats = {
+      validationEnabled: this.config.validationEnabled,
+      ...Object.fromEntries(QUARANTINE_STATUSES.map(status => [status, 0])),
+      byConnection: {}
+    };
+    for (const item of this.items.values()) {
+      stats[item.status]++;
+      const connection = stats.byConnection[item.org_connection_id] ||= { quarantined: 0, released: 0 };
+      connection[item.status]++;
+    }
+    return stats;
+  }
+}
+
+module.exports = {
+  FhirQuarantine,
+  QUARANTINE_CONFIG,
+  QUARANTINE_STATUSES
+};
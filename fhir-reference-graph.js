@@ -0,0 +1,337 @@
+// FHIR Reference Graph Module
+// Per-connection graph of the references between ingested FHIR resources
+//
+// Every ingested resource with an id is a node keyed by (org_connection_id,
+// resourceType, id); its outgoing edges are all the Reference elements in it
+// (subject, encounter, performer, requester, medicationReference, ...), wherever
+// they appear. A reference is understood in each form exports use:
+//   relative   Patient/123 (optionally /_history/n)
+//   absolute   https://fhir.example.org/r4/Patient/123, matched on its last Type/id
+//   urn        urn:uuid:<uuid>, matched to the resource whose id is that uuid
+//   contained  #med1, resolved against the source resource's contained array
+// Other forms (urn:oid, search URLs) are counted as unresolvable rather than
+// dangling; logical references that only carry an identifier aren't edges.
+//
+// Edges are resolved when asked for, so a reference to a resource ingested later
+// in the export (or by a later export) resolves once it arrives. A dangling
+// reference is a resolvable one whose target hasn't been ingested.
+//
+// Nodes are also indexed per connection (in memory, rebuilt from storage on
+// start), so a connection's report or inline lookup only visits its own nodes.
+// A resource's node is dropped when the resource is deleted from the store.
+
+const { storage } = require('./storage');
+
+const REFERENCE_CONFIG = {
+  defaultDepth: parseInt(process.env.REFERENCE_INLINE_DEFAULT_DEPTH || '1', 10),
+  maxDepth: parseInt(process.env.REFERENCE_INLINE_MAX_DEPTH || '3', 10),
+  danglingSampleSize: 20
+};
+
+const REFERENCE_KINDS = ['relative', 'absolute', 'urn', 'contained', 'unresolvable'];
+
+const RELATIVE = /^([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(\/_history\/[A-Za-z0-9\-.]{1,64})?$/;
+const ABSOLUTE = /^[a-z][a-z0-9+.-]*:\/\/[^?#]*?\/([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(\/_history\/[A-Za-z0-9\-.]{1,64})?\/?$/i;
+const URN_UUID = /^urn:uuid:([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * What a reference string points at: { kind, resourceType, id }. resourceType is
+ * null for urn:uuid references (taken from the target once found), id is the
+ * contained id for #fragment references.
+ */
+function parseReference(reference) {
+  if (typeof reference !== 'string' || !reference) {
+    return { kind: 'unresolvable', resourceType: null, id: null };
+  }
+  if (reference.startsWith('#')) {
+    return { kind: 'contained', resourceType: null, id: reference.slice(1) || null };
+  }
+
+  let match = reference.match(RELATIVE);
+  if (match) {
+    return { kind: 'relative', resourceType: match[1], id: match[2] };
+  }
+  match = reference.match(URN_UUID);
+  if (match) {
+    return { kind: 'urn', resourceType: null, id: match[1].toLowerCase() };
+  }
+  match = reference.match(ABSOLUTE);
+  if (match) {
+    return { kind: 'absolute', resourceType: match[1], id: match[2] };
+  }
+  return { kind: 'unresolvable', resourceType: null, id: null };
+}
+
+/**
+ * Every Reference element in a resource, with its path. References inside
+ * contained resources are included (their #fragments resolve against the
+ * container).
+ */
+function findReferences(resource, path = resource?.resourceType || 'Resource', found = []) {
+  if (Array.isArray(resource)) {
+    resource.forEach((item, index) => findReferences(item, `${path}[${index}]`, found));
+    return found;
+  }
+  if (!resource || typeof resource !== 'object') return found;
+
+  for (const [key, value] of Object.entries(resource)) {
+    if (key === 'reference' && typeof value === 'string') {
+      found.push({ path, reference: value });
+    } else if (value && typeof value === 'object') {
+      findReferences(value, `${path}.${key}`, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * A reference's target resource inside its source's contained array ('#' alone
+ * points back at the source itself)
+ */
+function findContained(source, id) {
+  if (!id) return source;
+  return (source.contained || []).find(contained => contained?.id === id) || null;
+}
+
+class FhirReferenceGraph {
+  constructor(nodes = storage.collection('fhirReferenceGraph'), options = {}) {
+    this.nodes = nodes; // `${org_connection_id}|${resourceType}/${id}` -> { external_id, edges, ... }
+    this.config = { ...REFERENCE_CONFIG, ...options };
+    this.byConnection = new Map(); // org_connection_id -> Set of node keys
+    for (const [key, node] of this.nodes.entries()) {
+      this.track(key, node.org_connection_id);
+    }
+  }
+
+  static keyFor(orgConnectionId, resourceType, id) {
+    return `${orgConnectionId}|${resourceType}/${id}`;
+  }
+
+  /**
+   * Add (or replace) the nodes for a batch of Foundry records. Resources without
+   * an id can't be referenced and aren't indexed.
+   */
+  index(records) {
+    for (const record of records) {
+      const resource = record.fhir_resource;
+      if (!resource?.resourceType || typeof resource.id !== 'string') continue;
+
+      const edges = findReferences(resource).map(({ path, reference }) => {
+        const target = parseReference(reference);
+        return {
+          path,
+          reference,
+          kind: target.kind,
+          target_type: target.resourceType,
+          target_id: target.id,
+          // Contained targets travel with the resource, so they are resolved now
+          contained_found: target.kind === 'contained' ? Boolean(findContained(resource, target.id)) : null
+        };
+      });
+
+      const key = FhirReferenceGraph.keyFor(record.org_connection_id, resource.resourceType, resource.id);
+      this.nodes.set(key, {
+        org_connection_id: record.org_connection_id,
+        external_id: record.auth0_user_id,
+        resource_type: resource.resourceType,
+        resource_id: resource.id,
+        edges
+      });
+      this.track(key, record.org_connection_id);
+    }
+  }
+
+  track(key, orgConnectionId) {
+    let keys = this.byConnection.get(orgConnectionId);
+    if (!keys) {
+      keys = new Set();
+      this.byConnection.set(orgConnectionId, keys);
+    }
+    keys.add(key);
+  }
+
+  /**
+   * Drop a deleted resource's node; references to it dangle from then on
+   */
+  remove(orgConnectionId, resourceType, id) {
+    const key = FhirReferenceGraph.keyFor(orgConnectionId, resourceType, id);
+    const keys = this.byConnection.get(orgConnectionId);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) this.byConnection.delete(orgConnectionId);
+    }
+    return this.nodes.delete(key);
+  }
+
+  connectionNodes(orgConnectionId) {
+    const nodes = [];
+    for (const key of this.byConnection.get(orgConnectionId) || []) {
+      const node = this.nodes.get(key);
+      if (node) nodes.push(node);
+    }
+    return nodes;
+  }
+
+  // A connection's nodes by lower-cased id, for urn:uuid resolution
+  idIndex(orgConnectionId) {
+    return new Map(this.connectionNodes(orgConnectionId).map(node => [node.resource_id.toLowerCase(), node]));
+  }
+
+  /**
+   * Node an edge points at, or null when it is dangling. Contained and
+   * unresolvable edges have no node.
+   */
+  resolveEdge(orgConnectionId, edge, idIndex = null) {
+    if (edge.kind === 'relative' || edge.kind === 'absolute') {
+      return this.nodes.get(FhirReferenceGraph.keyFor(orgConnectionId, edge.target_type, edge.target_id)) || null;
+    }
+    if (edge.kind === 'urn') {
+      return (idIndex || this.idIndex(orgConnectionId)).get(edge.target_id) || null;
+    }
+    return null;
+  }
+
+  getNode(orgConnectionId, resourceType, id) {
+    return this.nodes.get(FhirReferenceGraph.keyFor(orgConnectionId, resourceType, id)) || null;
+  }
+
+  /**
+   * Reference counts for a connection and its dangling references
+   * ({ source, path, reference }); only the first `limit` are listed
+   */
+  report(orgConnectionId, { limit = this.config.danglingSampleSize } = {}) {
+    const nodes = this.connectionNodes(orgConnectionId);
+    const idIndex = new Map(nodes.map(node => [node.resource_id.toLowerCase(), node]));
+    const report = {
+      resources: nodes.length,
+      references: 0,
+      resolved: 0,
+      dangling: 0,
+      unresolvable: 0,
+      byKind: Object.fromEntries(REFERENCE_KINDS.map(kind => [kind, 0])),
+      danglingByTargetType: {},
+      danglingReferences: []
+    };
+
+    for (const node of nodes) {
+      for (const edge of node.edges) {
+        report.references++;
+        report.byKind[edge.kind]++;
+
+        let resolved;
+        if (edge.kind === 'unresolvable') {
+          report.unresolvable++;
+          continue;
+        } else if (edge.kind === 'contained') {
+          resolved = edge.contained_found;
+        } else {
+          resolved = Boolean(this.resolveEdge(orgConnectionId, edge, idIndex));
+        }
+
+        if (resolved) {
+          report.resolved++;
+        } else {
+          report.dangling++;
+          const targetType = edge.target_type || 'unknown';
+          report.danglingByTargetType[targetType] = (report.danglingByTargetType[targetType] || 0) + 1;
+          if (report.danglingReferences.length < limit) {
+            report.danglingReferences.push({
+              source: `${node.resource_type}/${node.resource_id}`,
+              path: edge.path,
+              reference: edge.reference
+            });
+          }
+        }
+      }
+    }
+    return report;
+  }
+
+  /**
+   * A copy of a resource with every Reference it holds given a `resolved` member:
+   * the referenced resource (itself inlined one level less), or null when the
+   * reference dangles. Recursion stops at depth 0 and at references back to a
+   * resource already being inlined (marked `cycle: true`).
+   *
+   * loadResource(node) returns the stored FHIR resource for a node.
+   */
+  inline(orgConnectionId, resource, depth, loadResource) {
+    const idIndex = this.idIndex(orgConnectionId);
+    const counts = { inlined: 0, dangling: 0 };
+
+    const expand = (source, remaining, ancestors) => {
+      const walk = value => {
+        if (Array.isArray(value)) return value.map(walk);
+        if (!value || typeof value !== 'object') return value;
+
+        const copy = {};
+        for (const [key, child] of Object.entries(value)) {
+          copy[key] = key === 'contained' && value === source ? child : walk(child);
+        }
+        if (typeof value.reference !== 'string' || remaining <= 0) return copy;
+
+        const target = parseReference(value.reference);
+        if (target.kind === 'unresolvable') return copy;
+
+        let targetResource = null;
+        if (target.kind === 'contained') {
+          targetResource = target.id ? findContained(source, target.id) : null;
+        } else {
+          const node = this.resolveEdge(orgConnectionId, { kind: target.kind, target_type: target.resourceType, target_id: target.id }, idIndex);
+          targetResource = node ? loadResource(node) : null;
+        }
+
+        if (!targetResource) {
+          counts.dangling++;
+          copy.resolved = null;
+          return copy;
+        }
+        const targetKey = `${targetResource.resourceType}/${targetResource.id}`;
+        if (ancestors.has(targetKey)) {
+          copy.cycle = true;
+          return copy;
+        }
+        counts.inlined++;
+        copy.resolved = expand(targetResource, remaining - 1, new Set([...ancestors, targetKey]));
+        return copy;
+      };
+      return walk(source);
+    };
+
+    const resolved = expand(resource, depth, new Set([`${resource.resourceType}/${resource.id}`]));
+    return { resource: resolved, ...counts };
+  }
+
+  clear(externalId = null) {
+    if (!externalId) {
+      this.nodes.clear();
+      this.byConnection.clear();
+      return;
+    }
+    for (const node of Array.from(this.nodes.values())) {
+      if (node.external_id === externalId) {
+        this.remove(node.org_connection_id, node.resource_type, node.resource_id);
+      }
+    }
+  }
+
+  getStats() {
+    let references = 0;
+    for (const node of this.nodes.values()) {
+      references += node.edges.length;
+    }
+    return { resources: this.nodes.size, references, connections: this.byConnection.size };
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+}
+
+module.exports = {
+  FhirReferenceGraph,
+  parseReference,
+  findReferences,
+  REFERENCE_CONFIG,
+  REFERENCE_KINDS
+};
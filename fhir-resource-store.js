@@ -0,0 +1,221 @@
+// FHIR Resource Store Module
+// Deduplicated store of processed FHIR records, one entry per resource
+//
+// Entries are keyed by (external_id, org_connection_id, resourceType, id) and
+// upserted, so re-exporting a connection replaces records instead of piling up
+// copies. A content hash (ignoring meta.versionId/meta.lastUpdated) detects real
+// changes, and meta.lastUpdated / numeric meta.versionId decide which copy is
+// newer: an older export never overwrites newer data.
+//
+// With OPTIMIZATION_CONFIG.foundry.dedupEnabled off, every record is kept as its
+// own entry (the previous append-only behaviour).
+
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { OPTIMIZATION_CONFIG } = require('./performance-optimizations');
+
+const UPSERT_OUTCOMES = ['added', 'updated', 'unchanged', 'stale'];
+
+// JSON with object keys sorted, so equal resources always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of a resource's content, ignoring the version bookkeeping in meta
+ */
+function contentHash(resource) {
+  const { meta, ...content } = resource || {};
+  if (meta) {
+    const { versionId, lastUpdated, ...stableMeta } = meta;
+    if (Object.keys(stableMeta).length > 0) {
+      content.meta = stableMeta;
+    }
+  }
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+function compareNumbers(a, b) {
+  return a === b ? 0 : (a < b ? -1 : 1);
+}
+
+/**
+ * Compare two entries' versions: negative when incoming is older than existing,
+ * 0 when it can't be told apart
+ */
+function compareVersions(incoming, existing) {
+  const incomingTime = Date.parse(incoming.last_updated);
+  const existingTime = Date.parse(existing.last_updated);
+  if (!Number.isNaN(incomingTime) && !Number.isNaN(existingTime) && incomingTime !== existingTime) {
+    return compareNumbers(incomingTime, existingTime);
+  }
+
+  const incomingVersion = Number(incoming.version_id);
+  const existingVersion = Number(existing.version_id);
+  if (incoming.version_id && existing.version_id &&
+      Number.isFinite(incomingVersion) && Number.isFinite(existingVersion)) {
+    return compareNumbers(incomingVersion, existingVersion);
+  }
+
+  return 0;
+}
+
+class FhirResourceStore {
+  constructor(entries = storage.collection('fhirResources'), options = {}) {
+    this.entries = entries;
+    this.options = options;
+  }
+
+  get dedupEnabled() {
+    return this.options.dedupEnabled ?? OPTIMIZATION_CONFIG.foundry.dedupEnabled;
+  }
+
+  /**
+   * Store key for a record. Resources without an id are keyed by content.
+   */
+  static keyFor(record, hash) {
+    const resource = record.fhir_resource || {};
+    const resourceId = resource.id ? `id:${resource.id}` : `hash:${hash}`;
+    return [record.auth0_user_id, record.org_connection_id, resource.resourceType || record.resource_type, resourceId].join('|');
+  }
+
+  /**
+   * Upsert Foundry records from one export batch.
+   * Returns the records that were added or changed (the ones worth pushing
+   * downstream) and a count per outcome.
+   */
+  upsert(records, options = {}) {
+    return this.commit(this.prepare(records, options));
+  }
+
+  /**
+   * Work out what upserting a batch would do, without storing anything:
+   * { changed, counts, writes }. Pass the result to commit() once the changed
+   * records have been pushed, so a failed push leaves them still changed.
+   */
+  prepare(records, { exportId = null } = {}) {
+    const counts = Object.fromEntries(UPSERT_OUTCOMES.map(outcome => [outcome, 0]));
+    const changed = [];
+    const writes = new Map(); // key -> entry, the last copy of a key in the batch wins
+    const now = new Date().toISOString();
+
+    records.forEach((record, index) => {
+      const resource = record.fhir_resource || {};
+      const hash = contentHash(resource);
+      const entry = {
+        key: this.dedupEnabled
+          ? FhirResourceStore.keyFor(record, hash)
+          : `${exportId || now}|${record.resource_type}|${index}|${crypto.randomUUID()}`,
+        external_id: record.auth0_user_id,
+        org_connection_id: record.org_connection_id,
+        resource_type: resource.resourceType || record.resource_type,
+        resource_id: resource.id || null,
+        content_hash: hash,
+        version_id: resource.meta?.versionId || null,
+        last_updated: resource.meta?.lastUpdated || null,
+        export_id: exportId,
+        first_ingested_at: now,
+        updated_at: now,
+        record
+      };
+
+      const existing = writes.get(entry.key) || this.entries.get(entry.key);
+      let outcome = 'added';
+      if (existing) {
+        const version = compareVersions(entry, existing);
+        if (version < 0) {
+          outcome = 'stale';
+        } else if (existing.content_hash === hash) {
+          outcome = 'unchanged';
+          // Remember the newer version so an older export can't win later
+          if (version > 0) {
+            writes.set(entry.key, { ...existing, version_id: entry.version_id, last_updated: entry.last_updated });
+          }
+        } else {
+          outcome = 'updated';
+          entry.first_ingested_at = existing.first_ingested_at;
+        }
+      }
+
+      counts[outcome]++;
+      if (outcome === 'added' || outcome === 'updated') {
+        writes.set(entry.key, entry);
+        changed.push(record);
+      }
+    });
+
+    return { changed, counts, writes };
+  }
+
+  /**
+   * Store a batch worked out by prepare(); returns its { changed, counts }
+   */
+  commit({ changed, counts, writes }) {
+    for (const [key, entry] of writes) {
+      this.entries.set(key, entry);
+    }
+    return { changed, counts };
+  }
+
+  /**
+   * The stored record of one resource, or null. Without dedup the most recently
+   * stored copy is returned.
+   */
+  find(externalId, orgConnectionId, resourceType, resourceId) {
+    if (this.dedupEnabled) {
+      return this.entries.get([externalId, orgConnectionId, resourceType, `id:${resourceId}`].join('|'))?.record || null;
+    }
+    const matches = this.values(entry => entry.external_id === externalId && entry.org_connection_id === orgConnectionId &&
+      entry.resource_type === resourceType && entry.resource_id === resourceId);
+    return matches.length > 0 ? matches[matches.length - 1].record : null;
+  }
+
+  values(filter = () => true) {
+    return Array.from(this.entries.values()).filter(filter);
+  }
+
+  records(filter = () => true) {
+    return this.values(filter).map(entry => entry.record);
+  }
+
+  /**
+   * Delete the entries matching filter (all of them without one); returns the
+   * deleted entries
+   */
+  clear(filter = null) {
+    if (!filter) {
+      const removed = Array.from(this.entries.values());
+      this.entries.clear();
+      return removed;
+    }
+    const removed = [];
+    for (const [key, entry] of Array.from(this.entries.entries())) {
+      if (filter(entry)) {
+        this.entries.delete(key);
+        removed.push(entry);
+      }
+    }
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = {
+  FhirResourceStore,
+  contentHash,
+  compareVersions,
+  UPSERT_OUTCOMES
+};
@@ -0,0 +1,212 @@
+// FHIR Terminology Module
+// Code system classification and display lookup for FHIR codings
+//
+// Every Coding is classified by its system URI (or its OID alias):
+//   loinc     http://loinc.org
+//   snomed    http://snomed.info/sct (including edition URIs)
+//   rxnorm    http://www.nlm.nih.gov/research/umls/rxnorm
+//   icd10cm   http://hl7.org/fhir/sid/icd-10-cm
+//   epic      Epic-local codes, urn:oid:1.2.840.114350.*
+//   local     any other system; none when the coding has no system
+// The first four are the standard systems. Each resource's primary concept
+// (Observation.code, Condition.code, MedicationRequest.medication[x], ...) gets a
+// preferred coding: the first standard system in the resource type's preference
+// order, userSelected codings first within a system.
+//
+// Displays missing from the source are looked up in the FHIR ValueSet files in
+// TERMINOLOGY_DIR (default ./terminology), read once at startup.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const TERMINOLOGY_DIR = process.env.TERMINOLOGY_DIR || path.join(__dirname, 'terminology');
+
+const STANDARD_SYSTEMS = ['loinc', 'snomed', 'rxnorm', 'icd10cm'];
+
+// Canonical URI and aliases of each standard system
+const SYSTEM_URIS = {
+  loinc: ['http://loinc.org', 'urn:oid:2.16.840.1.113883.6.1'],
+  snomed: ['http://snomed.info/sct', 'urn:oid:2.16.840.1.113883.6.96'],
+  rxnorm: ['http://www.nlm.nih.gov/research/umls/rxnorm', 'urn:oid:2.16.840.1.113883.6.88'],
+  icd10cm: ['http://hl7.org/fhir/sid/icd-10-cm', 'urn:oid:2.16.840.1.113883.6.90']
+};
+
+const EPIC_OID_ROOT = 'urn:oid:1.2.840.114350.';
+
+// Preferred standard systems per resource type, most preferred first
+const PREFERRED_SYSTEMS = {
+  Observation: ['loinc', 'snomed'],
+  DiagnosticReport: ['loinc', 'snomed'],
+  Condition: ['snomed', 'icd10cm'],
+  Procedure: ['snomed', 'loinc'],
+  AllergyIntolerance: ['rxnorm', 'snomed'],
+  Medication: ['rxnorm', 'snomed'],
+  MedicationRequest: ['rxnorm', 'snomed'],
+  MedicationStatement: ['rxnorm', 'snomed'],
+  MedicationAdministration: ['rxnorm', 'snomed'],
+  MedicationDispense: ['rxnorm', 'snomed'],
+  Immunization: ['snomed', 'rxnorm'],
+  Encounter: ['snomed']
+};
+const DEFAULT_PREFERENCE = ['loinc', 'snomed', 'rxnorm', 'icd10cm'];
+
+const URI_TO_SYSTEM = new Map(
+  Object.entries(SYSTEM_URIS).flatMap(([name, uris]) => uris.map(uri => [uri.toLowerCase(), name]))
+);
+
+/**
+ * Which system a coding belongs to: a STANDARD_SYSTEMS name, 'epic', 'local',
+ * or null when it has no system
+ */
+function classifySystem(system) {
+  if (typeof system !== 'string' || !system.trim()) return null;
+  const normalized = system.trim().replace(/\/+$/, '').toLowerCase();
+  if (URI_TO_SYSTEM.has(normalized)) return URI_TO_SYSTEM.get(normalized);
+  // SNOMED editions are sometimes sent as the system (http://snomed.info/sct/731000124108)
+  if (normalized.startsWith('http://snomed.info/sct/')) return 'snomed';
+  if (normalized.startsWith(EPIC_OID_ROOT)) return 'epic';
+  return 'local';
+}
+
+// ICD-10-CM codes arrive with and without the dot (E11.9 / E119)
+function lookupKey(systemName, code) {
+  const normalized = String(code).trim();
+  return `${systemName}|${systemName === 'icd10cm' ? normalized.replace('.', '').toUpperCase() : normalized}`;
+}
+
+// ---- Bundled value sets --------------------------------------------------
+
+function loadValueSets(dir = TERMINOLOGY_DIR) {
+  const displays = new Map(); // `${systemName}|${code}` -> display
+  const valueSets = [];
+  if (!fs.existsSync(dir)) {
+    logger.warn('⚠️ Terminology directory not found, displays will not be filled in', { dir });
+    return { displays, valueSets };
+  }
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const valueSet = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    if (valueSet.resourceType !== 'ValueSet') {
+      throw new Error(`Terminology file ${file} is not a FHIR ValueSet`);
+    }
+
+    let concepts = 0;
+    const add = (system, code, display) => {
+      const systemName = classifySystem(system);
+      if (!systemName || !code || !display) return;
+      displays.set(lookupKey(systemName, code), display);
+      concepts++;
+    };
+    for (const include of valueSet.compose?.include || []) {
+      for (const concept of include.concept || []) add(include.system, concept.code, concept.display);
+    }
+    for (const concept of valueSet.expansion?.contains || []) add(concept.system, concept.code, concept.display);
+    valueSets.push({ file, url: valueSet.url || null, version: valueSet.version || null, concepts });
+  }
+  return { displays, valueSets };
+}
+
+const { displays: bundledDisplays, valueSets: bundledValueSets } = loadValueSets();
+
+/**
+ * Display of a code from the bundled value sets, or null
+ */
+function lookupDisplay(system, code) {
+  const systemName = classifySystem(system);
+  if (!systemName || code === undefined || code === null) return null;
+  return bundledDisplays.get(lookupKey(systemName, code)) || null;
+}
+
+// ---- Resources -----------------------------------------------------------
+
+/**
+ * The CodeableConcept(s) that say what a resource is about, as an array
+ */
+function primaryConcepts(resource) {
+  if (!resource) return [];
+  switch (resource.resourceType) {
+    case 'Immunization':
+      return [resource.vaccineCode].filter(Boolean);
+    case 'Encounter':
+      return resource.type || [];
+    case 'MedicationRequest':
+    case 'MedicationStatement':
+    case 'MedicationAdministration':
+    case 'MedicationDispense': {
+      if (resource.medicationCodeableConcept) return [resource.medicationCodeableConcept];
+      const reference = resource.medicationReference?.reference;
+      const contained = reference?.startsWith('#')
+        ? (resource.contained || []).find(item => item?.id === reference.slice(1))
+        : null;
+      return [contained?.code].filter(Boolean);
+    }
+    default:
+      return [resource.code].filter(Boolean);
+  }
+}
+
+/**
+ * Terminology of a resource's primary concept:
+ * {
+ *   hasCode,                    whether the resource has a primary concept with codings
+ *   preferred,                  { system, systemName, code, display } or null
+ *   codes: { loinc, snomed, rxnorm, icd10cm },
+ *   systems                     system names present, e.g. ['epic', 'snomed']
+ * }
+ * Displays the source left out are filled in from the bundled value sets.
+ */
+function classifyResource(resource) {
+  const codings = primaryConcepts(resource)
+    .flatMap(concept => concept.coding || [])
+    .filter(coding => coding && typeof coding === 'object' && coding.code !== undefined && coding.code !== null)
+    .map(coding => ({
+      system: coding.system ?? null,
+      systemName: classifySystem(coding.system),
+      code: String(coding.code),
+      display: coding.display || lookupDisplay(coding.system, coding.code),
+      userSelected: coding.userSelected === true
+    }));
+
+  const codes = Object.fromEntries(STANDARD_SYSTEMS.map(name => {
+    const matches = codings.filter(coding => coding.systemName === name);
+    return [name, (matches.find(coding => coding.userSelected) || matches[0])?.code ?? null];
+  }));
+
+  let preferred = null;
+  for (const name of PREFERRED_SYSTEMS[resource?.resourceType] || DEFAULT_PREFERENCE) {
+    const matches = codings.filter(coding => coding.systemName === name);
+    if (matches.length > 0) {
+      preferred = matches.find(coding => coding.userSelected) || matches[0];
+      break;
+    }
+  }
+  // A standard code outside the type's preference list is still better than none
+  preferred ||= codings.find(coding => STANDARD_SYSTEMS.includes(coding.systemName)) || null;
+
+  return {
+    hasCode: codings.length > 0,
+    preferred: preferred && { system: preferred.system, systemName: preferred.systemName, code: preferred.code, display: preferred.display },
+    codes,
+    systems: Array.from(new Set(codings.map(coding => coding.systemName || 'none'))).sort()
+  };
+}
+
+function getTerminologyInfo() {
+  return {
+    standardSystems: STANDARD_SYSTEMS,
+    systemUris: SYSTEM_URIS,
+    valueSets: bundledValueSets,
+    concepts: bundledDisplays.size
+  };
+}
+
+module.exports = {
+  classifySystem,
+  classifyResource,
+  lookupDisplay,
+  primaryConcepts,
+  getTerminologyInfo,
+  STANDARD_SYSTEMS,
+  SYSTEM_URIS
+};
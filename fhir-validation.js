@@ -0,0 +1,227 @@
+// FHIR Validation Module
+// Structural checks on FHIR R4 resources before they are ingested
+//
+// This is not a full profile validator. It catches resources that would be
+// useless or misleading downstream:
+//   - resourceType missing or not an R4 resource type
+//   - id not matching the FHIR id format
+//   - required (1..1 / 1..*) elements missing, for the resource types we ingest
+//   - Reference.reference not a relative (Type/id), contained (#id), urn:uuid/oid or absolute URL
+//   - date, dateTime and instant elements not in FHIR format
+//   - Coding that isn't an object, has a non-URI system, a blank or padded code,
+//     or neither code nor display
+// validateResource() returns every problem found, so a quarantined resource
+// carries all the reasons it was rejected.
+
+const R4_RESOURCE_TYPES = new Set([
+  'Account', 'ActivityDefinition', 'AdverseEvent', 'AllergyIntolerance', 'Appointment', 'AppointmentResponse',
+  'AuditEvent', 'Basic', 'Binary', 'BiologicallyDerivedProduct', 'BodyStructure', 'Bundle', 'CapabilityStatement',
+  'CarePlan', 'CareTeam', 'CatalogEntry', 'ChargeItem', 'ChargeItemDefinition', 'Claim', 'ClaimResponse',
+  'ClinicalImpression', 'CodeSystem', 'Communication', 'CommunicationRequest', 'CompartmentDefinition', 'Composition',
+  'ConceptMap', 'Condition', 'Consent', 'Contract', 'Coverage', 'CoverageEligibilityRequest',
+  'CoverageEligibilityResponse', 'DetectedIssue', 'Device', 'DeviceDefinition', 'DeviceMetric', 'DeviceRequest',
+  'DeviceUseStatement', 'DiagnosticReport', 'DocumentManifest', 'DocumentReference', 'EffectEvidenceSynthesis',
+  'Encounter', 'Endpoint', 'EnrollmentRequest', 'EnrollmentResponse', 'EpisodeOfCare', 'EventDefinition', 'Evidence',
+  'EvidenceVariable', 'ExampleScenario', 'ExplanationOfBenefit', 'FamilyMemberHistory', 'Flag', 'Goal',
+  'GraphDefinition', 'Group', 'GuidanceResponse', 'HealthcareService', 'ImagingStudy', 'Immunization',
+  'ImmunizationEvaluation', 'ImmunizationRecommendation', 'ImplementationGuide', 'InsurancePlan', 'Invoice', 'Library',
+  'Linkage', 'List', 'Location', 'Measure', 'MeasureReport', 'Media', 'Medication', 'MedicationAdministration',
+  'MedicationDispense', 'MedicationKnowledge', 'MedicationRequest', 'MedicationStatement', 'MedicinalProduct',
+  'MedicinalProductAuthorization', 'MedicinalProductContraindication', 'MedicinalProductIndication',
+  'MedicinalProductIngredient', 'MedicinalProductInteraction', 'MedicinalProductManufactured',
+  'MedicinalProductPackaged', 'MedicinalProductPharmaceutical', 'MedicinalProductUndesirableEffect', 'MessageDefinition',
+  'MessageHeader', 'MolecularSequence', 'NamingSystem', 'NutritionOrder', 'Observation', 'ObservationDefinition',
+  'OperationDefinition', 'OperationOutcome', 'Organization', 'OrganizationAffiliation', 'Parameters', 'Patient',
+  'PaymentNotice', 'PaymentReconciliation', 'Person', 'PlanDefinition', 'Practitioner', 'PractitionerRole', 'Procedure',
+  'Provenance', 'Questionnaire', 'QuestionnaireResponse', 'RelatedPerson', 'RequestGroup', 'ResearchDefinition',
+  'ResearchElementDefinition', 'ResearchStudy', 'ResearchSubject', 'RiskAssessment', 'RiskEvidenceSynthesis',
+  'Schedule', 'SearchParameter', 'ServiceRequest', 'Slot', 'Specimen', 'SpecimenDefinition', 'StructureDefinition',
+  'StructureMap', 'Subscription', 'Substance', 'SubstanceNucleicAcid', 'SubstancePolymer', 'SubstanceProtein',
+  'SubstanceReferenceInformation', 'SubstanceSourceMaterial', 'SubstanceSpecification', 'SupplyDelivery',
+  'SupplyRequest', 'Task', 'TerminologyCapabilities', 'TestReport', 'TestScript', 'ValueSet', 'VerificationResult',
+  'VisionPrescription'
+]);
+
+// Required top-level elements of the resource types patient exports carry.
+// A name ending in [x] is a choice element: any of its typed variants satisfies it.
+const REQUIRED_ELEMENTS = {
+  AllergyIntolerance: ['patient'],
+  Binary: ['contentType'],
+  CarePlan: ['status', 'intent', 'subject'],
+  Condition: ['subject'],
+  Coverage: ['status', 'beneficiary', 'payor'],
+  DiagnosticReport: ['status', 'code'],
+  DocumentReference: ['status', 'content'],
+  Encounter: ['status', 'class'],
+  Goal: ['lifecycleStatus', 'description', 'subject'],
+  Immunization: ['status', 'vaccineCode', 'patient', 'occurrence[x]'],
+  MedicationAdministration: ['status', 'medication[x]', 'subject', 'effective[x]'],
+  MedicationDispense: ['status', 'medication[x]'],
+  MedicationRequest: ['status', 'intent', 'medication[x]', 'subject'],
+  MedicationStatement: ['status', 'medication[x]', 'subject'],
+  Observation: ['status', 'code'],
+  Procedure: ['status', 'subject'],
+  Provenance: ['target', 'recorded', 'agent'],
+  ServiceRequest: ['status', 'intent', 'subject']
+};
+
+// Element name -> FHIR primitive type, for elements checked wherever they appear.
+// Names ending in DateTime / Instant / Date (deceasedDateTime, recordedDate, ...) are
+// recognised by suffix, the Date ones as dateTime since most are; these are the
+// common ones that need a different type.
+const DATE_ELEMENTS = {
+  birthDate: 'date',
+  expirationDate: 'date',
+  date: 'dateTime',
+  start: 'dateTime',
+  end: 'dateTime',
+  issued: 'instant',
+  recorded: 'instant',
+  lastUpdated: 'instant',
+  authoredOn: 'dateTime',
+  whenHandedOver: 'dateTime',
+  whenPrepared: 'dateTime'
+};
+
+const YEAR = '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)';
+const MONTH = '(0[1-9]|1[0-2])';
+const DAY = '(0[1-9]|[1-2][0-9]|3[0-1])';
+const TIME = '([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?';
+const ZONE = '(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))';
+
+const DATE_PATTERNS = {
+  date: new RegExp(`^${YEAR}(-${MONTH}(-${DAY})?)?$`),
+  dateTime: new RegExp(`^${YEAR}(-${MONTH}(-${DAY}(T${TIME}${ZONE})?)?)?$`),
+  instant: new RegExp(`^${YEAR}-${MONTH}-${DAY}T${TIME}${ZONE}$`)
+};
+
+const ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+const RELATIVE_REFERENCE = /^[A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64}(\/_history\/[A-Za-z0-9\-.]{1,64})?$/;
+const ABSOLUTE_URL = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i;
+const URN = /^urn:(uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|oid:[0-2](\.(0|[1-9][0-9]*))+)$/i;
+const URI = /^\S+$/;
+
+function dateKind(name) {
+  if (DATE_ELEMENTS[name]) return DATE_ELEMENTS[name];
+  if (name.endsWith('DateTime') || name.endsWith('Date')) return 'dateTime';
+  if (name.endsWith('Instant')) return 'instant';
+  return null;
+}
+
+function hasElement(resource, element) {
+  if (element.endsWith('[x]')) {
+    const prefix = element.slice(0, -3);
+    return Object.keys(resource).some(key => key.startsWith(prefix) && /^[A-Z]/.test(key.slice(prefix.length)) && isPresent(resource[key]));
+  }
+  return isPresent(resource[element]);
+}
+
+function isPresent(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function isValidReference(reference) {
+  return reference.startsWith('#') ||
+    RELATIVE_REFERENCE.test(reference) ||
+    URN.test(reference) ||
+    ABSOLUTE_URL.test(reference);
+}
+
+function checkCoding(coding, path, reasons) {
+  if (!coding || typeof coding !== 'object' || Array.isArray(coding)) {
+    reasons.push(`${path}: Coding must be an object`);
+    return;
+  }
+  for (const field of ['system', 'version', 'code', 'display']) {
+    if (coding[field] !== undefined && typeof coding[field] !== 'string') {
+      reasons.push(`${path}.${field}: must be a string`);
+    }
+  }
+  if (typeof coding.system === 'string' && !URI.test(coding.system)) {
+    reasons.push(`${path}.system: not a valid URI`);
+  }
+  if (typeof coding.code === 'string' && (!coding.code.trim() || coding.code !== coding.code.trim())) {
+    reasons.push(`${path}.code: blank or surrounded by whitespace`);
+  }
+  if (!isPresent(coding.code) && !isPresent(coding.display)) {
+    reasons.push(`${path}: Coding has neither code nor display`);
+  }
+}
+
+// Walk every element, checking references, codings and dates wherever they appear
+function checkElements(value, path, reasons) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => checkElements(item, `${path}[${index}]`, reasons));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = `${path}.${key}`;
+
+    if (key === 'reference' && typeof child === 'string' && !isValidReference(child)) {
+      reasons.push(`${childPath}: invalid reference format`);
+    } else if (key === 'coding') {
+      if (!Array.isArray(child)) {
+        reasons.push(`${childPath}: must be an array of Coding`);
+      } else {
+        child.forEach((coding, index) => checkCoding(coding, `${childPath}[${index}]`, reasons));
+      }
+    } else if (typeof child === 'string') {
+      const kind = dateKind(key);
+      if (kind && !DATE_PATTERNS[kind].test(child)) {
+        reasons.push(`${childPath}: not a valid FHIR ${kind}`);
+      }
+    }
+
+    // Contained resources are validated as resources in their own right
+    if (key === 'contained' && Array.isArray(child)) {
+      child.forEach((contained, index) => {
+        validateResource(contained).forEach(reason => reasons.push(`${childPath}[${index}] ${reason}`));
+      });
+    } else if (child && typeof child === 'object') {
+      checkElements(child, childPath, reasons);
+    }
+  }
+}
+
+/**
+ * Structural problems with a FHIR R4 resource; an empty array means it is valid
+ */
+function validateResource(resource) {
+  if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+    return ['resource must be a JSON object'];
+  }
+
+  const reasons = [];
+  const { resourceType } = resource;
+  if (!resourceType) {
+    reasons.push('resourceType is missing');
+  } else if (!R4_RESOURCE_TYPES.has(resourceType)) {
+    reasons.push(`resourceType "${resourceType}" is not a FHIR R4 resource type`);
+  }
+
+  if (resource.id !== undefined && (typeof resource.id !== 'string' || !ID_PATTERN.test(resource.id))) {
+    reasons.push('id: not a valid FHIR id');
+  }
+
+  for (const element of REQUIRED_ELEMENTS[resourceType] || []) {
+    if (!hasElement(resource, element)) {
+      reasons.push(`${resourceType}.${element}: required element is missing`);
+    }
+  }
+
+  checkElements(resource, resourceType || 'Resource', reasons);
+  return reasons;
+}
+
+module.exports = {
+  validateResource,
+  isValidReference,
+  R4_RESOURCE_TYPES,
+  REQUIRED_ELEMENTS,
+  DATE_PATTERNS,
+  dateKind
+};
@@ -7,8 +7,23 @@ const SERVICE_SECRET = process.env.SERVICE_SECRET || 'webhook-service-secret-202
 // Target dataset RID for Fasten FHIR data ingestion
 const FASTEN_FHIR_DATASET_RID = 'ri.foundry.main.dataset.3a90fb2b-7e9a-4a03-94b0-30839be53091';
 
+// How long the progress of a partly pushed batch is kept for its retry
+const PUSH_PROGRESS_RETENTION_MS = parseInt(process.env.FOUNDRY_PUSH_PROGRESS_RETENTION_MS || '604800000', 10); // 7 days
+
+const crypto = require('crypto');
+
 // Import the dataset writer
-const { writeToFoundryDataset } = require('./foundry-dataset-writer');
+const { writeToFoundryDataset, formatTables } = require('./foundry-dataset-writer');
+const { logger, getCorrelationId } = require('./logger');
+const { outboundPolicy } = require('./outbound-policy');
+const { parseReference } = require('./fhir-reference-graph');
+const { contentHash } = require('./fhir-resource-store');
+const { deidentifier } = require('./deidentification');
+const { storage } = require('./storage');
+
+// Batches whose generic rows are in but whose typed tables didn't all upload:
+// batch key -> { org_connection_id, pushedTables, updatedAt }
+const pushProgress = storage.collection('foundryPushProgress');
 
 /**
  * Push Fasten FHIR data via Backend Proxy service
@@ -16,56 +31,66 @@ const { writeToFoundryDataset } = require('./foundry-dataset-writer');
  */
 async function pushViaBackendService(fhirRecords, externalId, orgConnectionId) {
   try {
-    console.log(`🚀 Pushing ${fhirRecords.length} FHIR records via backend service...`);
-    console.log(`📊 Target dataset: ${FASTEN_FHIR_DATASET_RID}`);
+    logger.info('🚀 Pushing FHIR records via backend service', {
+      org_connection_id: orgConnectionId,
+      recordCount: fhirRecords.length,
+      datasetRid: FASTEN_FHIR_DATASET_RID
+    });
     
+    const batch = deidentifier.deidentifyBatch('backend_service', fhirRecords, externalId, orgConnectionId);
+
     // Prepare the payload for backend proxy
     const payload = {
-      records: fhirRecords,
-      auth0_user_id: externalId,
+      records: batch.records,
+      auth0_user_id: batch.externalId,
       metadata: {
         ingestion_run_id: `fasten-${Date.now()}`,
-        org_connection_id: orgConnectionId,
+        org_connection_id: batch.orgConnectionId,
         source: 'fasten-webhook-service',
         timestamp: new Date().toISOString(),
-        total_records: fhirRecords.length
+        total_records: fhirRecords.length,
+        deidentified: Boolean(batch.report)
       }
     };
     
     // Call the backend proxy ingestion endpoint
-    const response = await fetch(`${BACKEND_PROXY_URL}/api/v1/fasten/fhir/ingest`, {
+    const response = await outboundPolicy.fetch(`${BACKEND_PROXY_URL}/api/v1/fasten/fhir/ingest`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'X-Service-Secret': SERVICE_SECRET,
-        'X-Correlation-ID': `fasten-${Date.now()}`
+        'X-Correlation-ID': getCorrelationId() || `fasten-${Date.now()}`
       },
       body: JSON.stringify(payload)
     });
     
     if (response.ok) {
       const result = await response.json();
-      console.log(`✅ Successfully pushed ${fhirRecords.length} records to Foundry!`);
-      console.log(`📊 Transaction RID: ${result.transaction_rid}`);
-      console.log(`📊 Dataset RID: ${result.dataset_rid}`);
+      logger.info('✅ Successfully pushed records to Foundry', {
+        org_connection_id: orgConnectionId,
+        recordCount: fhirRecords.length,
+        transactionRid: result.transaction_rid,
+        datasetRid: result.dataset_rid
+      });
       return {
         success: true,
         result: result,
         datasetRid: result.dataset_rid,
         transactionRid: result.transaction_rid,
         recordsIngested: result.records_ingested,
+        deidentification: batch.report,
         message: 'Data successfully ingested to Foundry via backend service'
       };
     } else {
       const errorText = await response.text();
-      console.error('❌ Backend service ingestion failed:', response.status, errorText);
+      logger.error('❌ Backend service ingestion failed', { org_connection_id: orgConnectionId, status: response.status, body: errorText.slice(0, 500) });
       return {
         success: false,
         error: `Backend service error: ${response.status} - ${errorText}`
       };
     }
   } catch (error) {
-    console.error('❌ Error calling backend service:', error);
+    logger.error('❌ Error calling backend service', { org_connection_id: orgConnectionId, error });
     return {
       success: false,
       error: error.message
@@ -73,48 +98,164 @@ async function pushViaBackendService(fhirRecords, externalId, orgConnectionId) {
   }
 }
 
+/**
+ * Transform FHIR records for dataset ingestion
+ */
+function toDatasetRecords(fhirRecords, externalId, orgConnectionId) {
+  return fhirRecords.map(record => ({
+    // User identification
+    auth0_user_id: externalId,
+    org_connection_id: orgConnectionId,
+    
+    // FHIR data
+    fhir_resource: record.fhir_resource || record,
+    resource_type: record.resource_type || record.fhir_resource?.resourceType,
+    resource_id: record.resource_id || record.fhir_resource?.id,
+    
+    // Metadata
+    ingested_at: new Date().toISOString(),
+    source: 'fasten-connect',
+    
+    // Additional fields for analysis
+    patient_id: extractPatientId(record),
+    encounter_id: extractEncounterId(record),
+    provider_org: extractProviderOrg(record)
+  }));
+}
+
+/**
+ * Push the typed per-resource-type tables to their own datasets. Tables without a
+ * dataset RID configured are skipped. A table that fails to upload (after the
+ * outbound policy's retries) is reported failed and nothing is written locally:
+ * the caller fails the batch, so the event is retried and the table pushed again.
+ * Returns { table: { rows, datasetRid, status } }.
+ */
+async function pushFlattenedTables(tables, metadata, orgConnectionId) {
+  const results = {};
+  for (const [table, { datasetRid, rows }] of Object.entries(tables || {})) {
+    if (rows.length === 0) continue;
+    if (!datasetRid) {
+      results[table] = { rows: rows.length, datasetRid: null, status: 'skipped' };
+      continue;
+    }
+
+    try {
+      const response = await outboundPolicy.fetch(`${BACKEND_PROXY_URL}/api/v1/fasten/datasets/upload`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          datasetRid,
+          table,
+          records: rows,
+          metadata: { ...metadata, total_records: rows.length, timestamp: new Date().toISOString() }
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`Backend proxy error: ${response.status} ${(await response.text()).slice(0, 500)}`);
+      }
+      results[table] = { rows: rows.length, datasetRid, status: 'pushed' };
+    } catch (error) {
+      logger.error('❌ Failed to push typed FHIR table', { org_connection_id: orgConnectionId, table, datasetRid, error });
+      results[table] = { rows: rows.length, datasetRid, status: 'failed', error: error.message };
+    }
+  }
+  return results;
+}
+
+// Names of the tables a pushFlattenedTables() result reports failed
+function failedTables(tables) {
+  return Object.entries(tables).filter(([, result]) => result.status === 'failed').map(([table]) => table);
+}
+
+/**
+ * Identity of a batch across retries of its event: the connection and the
+ * content of each resource, whatever order they come in
+ */
+function batchKey(fhirRecords, orgConnectionId) {
+  const resources = fhirRecords.map(record => {
+    const resource = record.fhir_resource || record;
+    return `${resource.resourceType}/${resource.id}:${contentHash(resource)}`;
+  }).sort();
+  return crypto.createHash('sha256').update(`${orgConnectionId}|${resources.join(',')}`).digest('hex');
+}
+
+// Drop progress records old enough that their batch won't be retried any more
+function pruneProgress(now = Date.now()) {
+  for (const [key, progress] of Array.from(pushProgress.entries())) {
+    if (now - new Date(progress.updatedAt).getTime() > PUSH_PROGRESS_RETENTION_MS) {
+      pushProgress.delete(key);
+    }
+  }
+}
+
+/**
+ * Push the typed tables of a batch whose generic rows are already in. Tables an
+ * earlier attempt at the same batch pushed are not pushed again. When a table
+ * fails, the ones that went through are recorded, so the retry of the event
+ * pushes only the failed tables instead of duplicating the rest in Foundry.
+ * Returns { tables, failed }.
+ */
+async function pushBatchTables(key, tables, metadata, orgConnectionId) {
+  const earlier = new Set(pushProgress.get(key)?.pushedTables || []);
+  const remaining = Object.fromEntries(Object.entries(tables || {}).filter(([table]) => !earlier.has(table)));
+  const results = await pushFlattenedTables(remaining, metadata, orgConnectionId);
+  for (const table of earlier) {
+    if (tables?.[table]) {
+      results[table] = { rows: tables[table].rows.length, datasetRid: tables[table].datasetRid, status: 'pushed', earlierAttempt: true };
+    }
+  }
+
+  const failed = failedTables(results);
+  if (failed.length > 0) {
+    pruneProgress();
+    pushProgress.set(key, {
+      org_connection_id: orgConnectionId,
+      pushedTables: Object.keys(results).filter(table => results[table].status === 'pushed'),
+      updatedAt: new Date().toISOString()
+    });
+  } else if (pushProgress.has(key)) {
+    pushProgress.delete(key);
+  }
+  return { tables: results, failed };
+}
+
+// Typed tables of a batch already de-identified for the dataset sink
+function datasetTables(batch) {
+  const metadata = {
+    ingestion_run_id: `fasten-fhir-${Date.now()}`,
+    user_id: batch.externalId,
+    connection_id: batch.orgConnectionId,
+    deidentified: Boolean(batch.report)
+  };
+  return { tables: formatTables(toDatasetRecords(batch.records, batch.externalId, batch.orgConnectionId), metadata), metadata };
+}
+
 /**
  * Push Fasten FHIR data directly to Foundry dataset
  * This is separate from HealthKit data and goes to a different dataset
+ * `batch` is the records already de-identified for the dataset sink, if the caller has them
  */
-async function pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId) {
+async function pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId, batch = null) {
   try {
-    console.log(`🚀 Pushing ${fhirRecords.length} Fasten FHIR records to dataset ${FASTEN_FHIR_DATASET_RID}...`);
+    logger.info('🚀 Pushing Fasten FHIR records to dataset', { org_connection_id: orgConnectionId, recordCount: fhirRecords.length, datasetRid: FASTEN_FHIR_DATASET_RID });
     
-    // Transform FHIR records for dataset ingestion
-    const datasetRecords = fhirRecords.map(record => ({
-      // User identification
-      auth0_user_id: externalId,
-      org_connection_id: orgConnectionId,
-      
-      // FHIR data
-      fhir_resource: record.fhir_resource || record,
-      resource_type: record.resource_type || record.fhir_resource?.resourceType,
-      resource_id: record.resource_id || record.fhir_resource?.id,
-      
-      // Metadata
-      ingested_at: new Date().toISOString(),
-      source: 'fasten-connect',
-      
-      // Additional fields for analysis
-      patient_id: extractPatientId(record),
-      encounter_id: extractEncounterId(record),
-      provider_org: extractProviderOrg(record)
-    }));
+    batch = batch || deidentifier.deidentifyBatch('dataset', fhirRecords, externalId, orgConnectionId);
+    const datasetRecords = toDatasetRecords(batch.records, batch.externalId, batch.orgConnectionId);
 
     // Use the dataset writer to format records
+    const runId = `fasten-fhir-${Date.now()}`;
     const writeResult = await writeToFoundryDataset(datasetRecords, {
-      ingestion_run_id: `fasten-fhir-${Date.now()}`,
-      user_id: externalId,
-      connection_id: orgConnectionId
+      ingestion_run_id: runId,
+      user_id: batch.externalId,
+      connection_id: batch.orgConnectionId
     });
 
     if (writeResult.success) {
-      console.log(`✅ Successfully formatted ${writeResult.recordCount} Fasten FHIR records for dataset ${FASTEN_FHIR_DATASET_RID}`);
+      logger.info('✅ Formatted Fasten FHIR records for dataset', { org_connection_id: orgConnectionId, recordCount: writeResult.recordCount });
       
       // Push to backend proxy's Fasten dataset upload endpoint (uses Datasets API directly)
       try {
-        const response = await fetch(`${BACKEND_PROXY_URL}/api/v1/fasten/datasets/upload`, {
+        const response = await outboundPolicy.fetch(`${BACKEND_PROXY_URL}/api/v1/fasten/datasets/upload`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -124,9 +265,10 @@ async function pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId)
             records: writeResult.payload.records,
             metadata: {
               ingestion_run_id: writeResult.payload.metadata?.ingestion_run_id,
-              user_id: externalId,
-              connection_id: orgConnectionId,
+              user_id: batch.externalId,
+              connection_id: batch.orgConnectionId,
               total_records: writeResult.recordCount,
+              deidentified: Boolean(batch.report),
               timestamp: new Date().toISOString()
             }
           })
@@ -134,24 +276,44 @@ async function pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId)
 
         if (response.ok) {
           const result = await response.json();
-          console.log(`✅ Successfully pushed ${writeResult.recordCount} records to Foundry dataset!`);
-          console.log(`📊 Dataset RID: ${FASTEN_FHIR_DATASET_RID}`);
+          logger.info('✅ Successfully pushed records to Foundry dataset', {
+            org_connection_id: orgConnectionId,
+            recordCount: writeResult.recordCount,
+            datasetRid: FASTEN_FHIR_DATASET_RID
+          });
+          const { tables, failed } = await pushBatchTables(batchKey(fhirRecords, orgConnectionId), writeResult.tables, {
+            ingestion_run_id: runId,
+            user_id: batch.externalId,
+            connection_id: batch.orgConnectionId,
+            deidentified: Boolean(batch.report)
+          }, orgConnectionId);
+          if (failed.length > 0) {
+            return {
+              success: false,
+              error: `Typed table push failed: ${failed.join(', ')}`,
+              failedTables: failed,
+              tables,
+              deidentification: batch.report
+            };
+          }
           return { 
             success: true, 
             result: result, 
             datasetRid: FASTEN_FHIR_DATASET_RID,
             recordsIngested: writeResult.recordCount,
+            tables,
+            deidentification: batch.report,
             message: 'Data successfully ingested to Foundry dataset'
           };
         } else {
           const errorText = await response.text();
-          console.error('❌ Backend proxy dataset ingestion failed:', response.status, errorText);
+          logger.error('❌ Backend proxy dataset ingestion failed', { org_connection_id: orgConnectionId, status: response.status, body: errorText.slice(0, 500) });
           
           // Fallback: Save formatted data for manual upload
           const fs = require('fs').promises;
           const filename = `fasten-fhir-${Date.now()}.json`;
           await fs.writeFile(filename, JSON.stringify(writeResult.payload.records, null, 2));
-          console.log(`💾 Saved formatted data to ${filename} for manual upload`);
+          logger.warn('💾 Saved formatted data for manual upload', { org_connection_id: orgConnectionId, filename });
           
           return { 
             success: false, 
@@ -161,13 +323,13 @@ async function pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId)
           };
         }
       } catch (error) {
-        console.error('❌ Error calling backend proxy:', error);
+        logger.error('❌ Error calling backend proxy', { org_connection_id: orgConnectionId, error });
         
         // Fallback: Save formatted data for manual upload
         const fs = require('fs').promises;
         const filename = `fasten-fhir-${Date.now()}.json`;
         await fs.writeFile(filename, JSON.stringify(writeResult.payload.records, null, 2));
-        console.log(`💾 Saved formatted data to ${filename} for manual upload`);
+        logger.warn('💾 Saved formatted data for manual upload', { org_connection_id: orgConnectionId, filename });
         
         return { 
           success: false, 
@@ -177,38 +339,58 @@ async function pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId)
         };
       }
     } else {
-      console.error('❌ Failed to format data for Foundry dataset:', writeResult.error);
+      logger.error('❌ Failed to format data for Foundry dataset', { org_connection_id: orgConnectionId, error: writeResult.error });
       return { success: false, error: writeResult.error };
     }
   } catch (error) {
-    console.error('❌ Error pushing Fasten FHIR to Foundry:', error);
+    logger.error('❌ Error pushing Fasten FHIR to Foundry', { org_connection_id: orgConnectionId, error });
     return { success: false, error: error.message };
   }
 }
 
 // Helper functions to extract key fields from FHIR resources
-function extractPatientId(record) {
-  const resource = record.fhir_resource || record;
-  if (resource.subject?.reference) {
-    return resource.subject.reference.replace('Patient/', '');
+
+/**
+ * Id of the resource a reference points at, when it is a `resourceType`.
+ * Relative, absolute and urn:uuid references (whose type can't be told, so
+ * they are trusted) give the target id; a contained resource has no id outside
+ * its container, so its first identifier value is used.
+ */
+function referencedId(resource, reference, resourceType) {
+  const target = parseReference(reference);
+  if (target.kind === 'contained') {
+    const contained = (resource.contained || []).find(candidate => candidate?.id === target.id);
+    return contained?.resourceType === resourceType ? contained.identifier?.[0]?.value || null : null;
   }
-  if (resource.patient?.reference) {
-    return resource.patient.reference.replace('Patient/', '');
+  if (target.kind === 'urn') {
+    return target.id;
   }
+  return target.resourceType === resourceType ? target.id : null;
+}
+
+function extractPatientId(record) {
+  const resource = record.fhir_resource || record;
   if (resource.resourceType === 'Patient') {
     return resource.id;
   }
+  for (const element of ['subject', 'patient', 'beneficiary']) {
+    const patientId = referencedId(resource, resource[element]?.reference, 'Patient');
+    if (patientId) return patientId;
+  }
   return null;
 }
 
 function extractEncounterId(record) {
   const resource = record.fhir_resource || record;
-  if (resource.encounter?.reference) {
-    return resource.encounter.reference.replace('Encounter/', '');
-  }
   if (resource.resourceType === 'Encounter') {
     return resource.id;
   }
+  // MedicationStatement.context is a Reference; DocumentReference.context.encounter a list of them
+  const references = [resource.encounter, resource.context, resource.context?.encounter?.[0]];
+  for (const reference of references) {
+    const encounterId = referencedId(resource, reference?.reference, 'Encounter');
+    if (encounterId) return encounterId;
+  }
   return null;
 }
 
@@ -231,7 +413,7 @@ function extractProviderOrg(record) {
  * Use pushFastenFHIRToFoundry instead
  */
 async function pushToFoundryAutomatic(fhirRecords, externalId, orgConnectionId) {
-  console.log('⚠️ DEPRECATED: pushToFoundryAutomatic uses HealthKit endpoint. Using pushFastenFHIRToFoundry instead.');
+  logger.warn('⚠️ DEPRECATED: pushToFoundryAutomatic uses HealthKit endpoint. Using pushFastenFHIRToFoundry instead.');
   return pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId);
 }
 
@@ -240,16 +422,17 @@ async function pushToFoundryAutomatic(fhirRecords, externalId, orgConnectionId)
  */
 async function pushViaFoundryAction(fhirRecords, externalId, orgConnectionId) {
   try {
-    console.log(`🎯 Pushing via Foundry action: create-healthkit-raw`);
+    logger.info('🎯 Pushing via Foundry action', { action: 'create-healthkit-raw', org_connection_id: orgConnectionId });
     
+    const batch = deidentifier.deidentifyBatch('foundry_action', fhirRecords, externalId, orgConnectionId);
     const actionPayload = {
-      auth0id: externalId,
-      rawhealthkit: Buffer.from(JSON.stringify(fhirRecords)).toString('base64'),
+      auth0id: batch.externalId,
+      rawhealthkit: Buffer.from(JSON.stringify(batch.records)).toString('base64'),
       timestamp: new Date().toISOString(),
       device: 'fasten-webhook'
     };
 
-    const response = await fetch(`${BACKEND_PROXY_URL}/api/v1/foundry/actions/create-healthkit-raw/invoke`, {
+    const response = await outboundPolicy.fetch(`${BACKEND_PROXY_URL}/api/v1/foundry/actions/create-healthkit-raw/invoke`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -259,15 +442,15 @@ async function pushViaFoundryAction(fhirRecords, externalId, orgConnectionId) {
 
     if (response.ok) {
       const result = await response.json();
-      console.log('✅ Foundry action completed successfully');
-      return { success: true, result };
+      logger.info('✅ Foundry action completed successfully', { org_connection_id: orgConnectionId });
+      return { success: true, result, deidentification: batch.report };
     } else {
       const errorText = await response.text();
-      console.error('❌ Foundry action failed:', response.status, errorText);
+      logger.error('❌ Foundry action failed', { org_connection_id: orgConnectionId, status: response.status, body: errorText.slice(0, 500) });
       return { success: false, error: `Action failed: ${errorText}` };
     }
   } catch (error) {
-    console.error('❌ Error invoking Foundry action:', error);
+    logger.error('❌ Error invoking Foundry action', { org_connection_id: orgConnectionId, error });
     return { success: false, error: error.message };
   }
 }
@@ -277,24 +460,58 @@ async function pushViaFoundryAction(fhirRecords, externalId, orgConnectionId) {
  * Primary method is now the backend service with proper authentication
  */
 async function smartPushToFoundry(fhirRecords, externalId, orgConnectionId) {
-  console.log(`🧠 Smart push: ${fhirRecords.length} Fasten FHIR records for user ${externalId}`);
-  console.log(`📊 Target dataset: ${FASTEN_FHIR_DATASET_RID}`);
+  logger.info('🧠 Smart push of Fasten FHIR records', {
+    external_id: externalId,
+    org_connection_id: orgConnectionId,
+    recordCount: fhirRecords.length,
+    datasetRid: FASTEN_FHIR_DATASET_RID
+  });
   
+  const key = batchKey(fhirRecords, orgConnectionId);
+  // De-identified for the dataset sink at most once, whichever method ends up using it
+  let datasetBatch = null;
+  const forDataset = () => datasetBatch || (datasetBatch = deidentifier.deidentifyBatch('dataset', fhirRecords, externalId, orgConnectionId));
+
+  if (pushProgress.has(key)) {
+    // An earlier attempt got the generic rows in and failed on a typed table: only the tables still missing are pushed
+    logger.info('🔁 Resuming the typed tables of a partly pushed batch', { org_connection_id: orgConnectionId, pushedTables: pushProgress.get(key).pushedTables });
+    const batch = forDataset();
+    const { tables: pending, metadata } = datasetTables(batch);
+    const { tables, failed } = await pushBatchTables(key, pending, metadata, orgConnectionId);
+    if (failed.length > 0) {
+      logger.error('❌ Typed table push failed', { org_connection_id: orgConnectionId, tables: failed });
+      return { success: false, error: `Typed table push failed: ${failed.join(', ')}`, failedTables: failed, tables, resumed: true, tablesDeidentification: batch.report };
+    }
+    return { success: true, tables, resumed: true, tablesDeidentification: batch.report, message: 'Typed tables of a partly pushed batch completed' };
+  }
+
   // Primary method: Push via backend service with authentication
   let result = await pushViaBackendService(fhirRecords, externalId, orgConnectionId);
   if (result.success) {
-    return result;
+    // The ingestion endpoint only writes the generic dataset; the typed tables go directly,
+    // de-identified as dataset uploads are
+    const batch = forDataset();
+    const { tables: pending, metadata } = datasetTables(batch);
+    const { tables, failed } = await pushBatchTables(key, pending, metadata, orgConnectionId);
+    if (failed.length > 0) {
+      // The generic rows are in; the other methods would only push them again
+      logger.error('❌ Typed table push failed', { org_connection_id: orgConnectionId, tables: failed });
+      return { ...result, success: false, error: `Typed table push failed: ${failed.join(', ')}`, failedTables: failed, tables, tablesDeidentification: batch.report };
+    }
+    return { ...result, tables, tablesDeidentification: batch.report };
   }
   
-  console.log('⚠️ Backend service push failed, trying direct dataset push...');
+  logger.warn('⚠️ Backend service push failed, trying direct dataset push', { org_connection_id: orgConnectionId });
   
   // Fallback 1: Try direct dataset push (if backend service is down)
-  result = await pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId);
-  if (result.success) {
+  // (a failure in the typed tables comes after the generic rows were uploaded: the batch fails
+  // and its retry pushes only the failed tables)
+  result = await pushFastenFHIRToFoundry(fhirRecords, externalId, orgConnectionId, forDataset());
+  if (result.success || result.failedTables) {
     return result;
   }
   
-  console.log('⚠️ Direct push failed, trying Foundry action...');
+  logger.warn('⚠️ Direct push failed, trying Foundry action', { org_connection_id: orgConnectionId });
   
   // Fallback 2: Try via Foundry action
   result = await pushViaFoundryAction(fhirRecords, externalId, orgConnectionId);
@@ -302,13 +519,14 @@ async function smartPushToFoundry(fhirRecords, externalId, orgConnectionId) {
     return result;
   }
   
-  console.error('❌ All push methods failed');
+  logger.error('❌ All push methods failed', { org_connection_id: orgConnectionId });
   return result;
 }
 
 module.exports = {
   pushViaBackendService,     // PRIMARY: Backend service with auth
   pushFastenFHIRToFoundry,   // Fallback 1: Direct dataset push
+  pushFlattenedTables,       // Typed per-resource-type tables
   pushViaFoundryAction,      // Fallback 2: Foundry action
   pushToFoundryAutomatic,    // Deprecated - was using HealthKit endpoint
   smartPushToFoundry,        // Smart router that tries multiple methods
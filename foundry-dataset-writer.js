@@ -1,6 +1,12 @@
 // Direct Foundry Dataset Writer for Fasten FHIR Data
 // This module writes directly to the specified Foundry dataset
 
+const { logger } = require('./logger');
+const { flattenRecords, TABLE_DATASETS } = require('./fhir-flatteners');
+const { datasetMapping } = require('./dataset-mapping');
+const { classifyResource } = require('./fhir-terminology');
+const { normalizeObservation } = require('./observation-normalization');
+
 const FOUNDRY_HOST = 'https://atlasengine.palantirfoundry.com';
 const FASTEN_FHIR_DATASET_RID = 'ri.foundry.main.dataset.3a90fb2b-7e9a-4a03-94b0-30839be53091';
 
@@ -10,10 +16,26 @@ const FASTEN_FHIR_DATASET_RID = 'ri.foundry.main.dataset.3a90fb2b-7e9a-4a03-94b0
  */
 async function writeToFoundryDataset(records, metadata = {}) {
   try {
-    console.log(`📝 Writing ${records.length} records directly to Foundry dataset ${FASTEN_FHIR_DATASET_RID}`);
+    logger.info('📝 Writing records directly to Foundry dataset', { recordCount: records.length, datasetRid: FASTEN_FHIR_DATASET_RID });
     
+    // Mapping issues per column and kind, reported once per batch
+    const issueCounts = {};
+
     // Format records for Foundry dataset ingestion
     const formattedRecords = records.map(record => {
+      const mapped = datasetMapping.apply(record.fhir_resource);
+      for (const issue of mapped.issues) {
+        const key = `${record.resource_type}|${issue.column}|${issue.kind}`;
+        issueCounts[key] = (issueCounts[key] || 0) + 1;
+      }
+
+      const terminology = classifyResource(record.fhir_resource);
+      const observation = record.fhir_resource?.resourceType === 'Observation' ? normalizeObservation(record.fhir_resource) : null;
+      // Fill a missing display from the preferred coding (looked up in the bundled value sets)
+      if ('code_display' in mapped.values && mapped.values.code_display === null) {
+        mapped.values.code_display = terminology.preferred?.display ?? null;
+      }
+
       // Ensure we have a flat structure for the dataset
       const flatRecord = {
         // Core identifiers
@@ -33,18 +55,35 @@ async function writeToFoundryDataset(records, metadata = {}) {
         
         // Temporal data
         ingested_at: record.ingested_at || new Date().toISOString(),
-        resource_date: extractResourceDate(record.fhir_resource) || '',
         
         // Metadata
         source: record.source || 'fasten-connect',
         ingestion_run_id: metadata.ingestion_run_id || `run_${Date.now()}`,
+        mapping_version: String(datasetMapping.version),
         
-        // Additional FHIR fields for analysis
-        status: extractStatus(record.fhir_resource),
-        category: extractCategory(record.fhir_resource),
-        code_display: extractCodeDisplay(record.fhir_resource),
-        value_quantity: extractValueQuantity(record.fhir_resource),
-        value_string: extractValueString(record.fhir_resource)
+        // FHIR fields for analysis, from the dataset mapping (resource_date, status, ...)
+        ...mapped.values,
+
+        // Terminology of the resource's primary code
+        preferred_code: terminology.preferred?.code ?? null,
+        preferred_code_system: terminology.preferred?.systemName ?? null,
+        preferred_code_display: terminology.preferred?.display ?? null,
+        loinc_code: terminology.codes.loinc,
+        snomed_code: terminology.codes.snomed,
+        rxnorm_code: terminology.codes.rxnorm,
+        icd10_code: terminology.codes.icd10cm,
+        code_systems: terminology.systems.join(',') || null,
+
+        // Observation value in the canonical unit for its LOINC code, and its interpretation
+        value_ucum: observation?.quantity?.ucum ?? null,
+        value_normalized: observation?.quantity?.normalized ?? null,
+        value_normalized_unit: observation?.quantity?.normalizedUnit ?? null,
+        value_normalization: observation?.quantity?.status ?? null,
+        reference_range_low_normalized: observation?.referenceRange.lowNormalized ?? null,
+        reference_range_high_normalized: observation?.referenceRange.highNormalized ?? null,
+        interpretation_flag: observation?.interpretation.flag ?? null,
+        is_abnormal: observation?.interpretation.abnormal ?? null,
+        is_critical: observation?.interpretation.critical ?? null
       };
       
       return flatRecord;
@@ -58,18 +97,35 @@ async function writeToFoundryDataset(records, metadata = {}) {
       transactionType: 'APPEND'
     };
     
-    console.log(`📊 Formatted ${formattedRecords.length} records for dataset ingestion`);
-    console.log(`📋 Sample record structure:`, JSON.stringify(formattedRecords[0], null, 2).substring(0, 500));
+    const mappingIssues = Object.entries(issueCounts).map(([key, count]) => {
+      const [resourceType, column, kind] = key.split('|');
+      return { resourceType, column, kind, count };
+    });
+    if (mappingIssues.length > 0) {
+      datasetMapping.recordIssues(mappingIssues);
+      logger.warn('⚠️ Dataset mapping issues, defaults used', { mappingVersion: datasetMapping.version, issues: mappingIssues });
+    }
+
+    const tables = formatTables(records, metadata);
+
+    logger.info('📊 Formatted records for dataset ingestion', {
+      recordCount: formattedRecords.length,
+      tables: Object.fromEntries(Object.entries(tables).map(([table, { rows }]) => [table, rows.length]))
+    });
+    // Column names only: record values are PHI
+    logger.debug('📋 Sample record structure', { columns: Object.keys(formattedRecords[0] || {}) });
     
     return {
       success: true,
       recordCount: formattedRecords.length,
       datasetRid: FASTEN_FHIR_DATASET_RID,
-      payload: payload
+      payload: payload,
+      mappingIssues,
+      tables
     };
     
   } catch (error) {
-    console.error('❌ Error formatting records for Foundry dataset:', error);
+    logger.error('❌ Error formatting records for Foundry dataset', { error });
     return {
       success: false,
       error: error.message
@@ -77,78 +133,19 @@ async function writeToFoundryDataset(records, metadata = {}) {
   }
 }
 
-// Helper functions to extract common FHIR fields
-function extractResourceDate(resource) {
-  if (!resource) return null;
-  
-  // Try common date fields in order of preference
-  return resource.effectiveDateTime || 
-         resource.effectivePeriod?.start ||
-         resource.issued ||
-         resource.recordedDate ||
-         resource.authoredOn ||
-         resource.occurrenceDateTime ||
-         resource.performedDateTime ||
-         resource.performedPeriod?.start ||
-         null;
-}
-
-function extractStatus(resource) {
-  if (!resource) return null;
-  return resource.status || null;
-}
-
-function extractCategory(resource) {
-  if (!resource) return null;
-  
-  if (resource.category) {
-    if (Array.isArray(resource.category)) {
-      return resource.category[0]?.coding?.[0]?.display || 
-             resource.category[0]?.text || 
-             null;
-    }
-    return resource.category.coding?.[0]?.display || 
-           resource.category.text || 
-           null;
-  }
-  return null;
-}
-
-function extractCodeDisplay(resource) {
-  if (!resource) return null;
-  
-  if (resource.code) {
-    return resource.code.coding?.[0]?.display || 
-           resource.code.text || 
-           null;
-  }
-  return null;
-}
-
-function extractValueQuantity(resource) {
-  if (!resource) return null;
-  
-  if (resource.valueQuantity) {
-    return `${resource.valueQuantity.value} ${resource.valueQuantity.unit || ''}`.trim();
-  }
-  
-  if (resource.value && typeof resource.value === 'object') {
-    return `${resource.value.value} ${resource.value.unit || ''}`.trim();
-  }
-  
-  return null;
-}
-
-function extractValueString(resource) {
-  if (!resource) return null;
-  
-  return resource.valueString || 
-         resource.valueCodeableConcept?.text ||
-         resource.valueCodeableConcept?.coding?.[0]?.display ||
-         null;
+/**
+ * Typed rows per resource type, each table going to its own dataset:
+ * { table: { datasetRid, rows } }
+ */
+function formatTables(records, metadata = {}) {
+  return Object.fromEntries(Object.entries(flattenRecords(records, metadata)).map(([table, rows]) => [table, {
+    datasetRid: TABLE_DATASETS[table],
+    rows
+  }]));
 }
 
 module.exports = {
   writeToFoundryDataset,
+  formatTables,
   FASTEN_FHIR_DATASET_RID
 };
@@ -1,82 +1,363 @@
 // Foundry Integration Module for Fasten Webhook Service
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { Readable, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const zlib = require('zlib');
 const {
   authorizedFastenFetch,
   FASTEN_CONFIGURED
 } = require('./fasten-api');
+const { storage } = require('./storage');
+const { logger } = require('./logger');
+const { outboundPolicy } = require('./outbound-policy');
+const { ExpiredDownloadLinkError, EXPIRED_LINK_STATUSES } = require('./download-links');
+const { OPTIMIZATION_CONFIG } = require('./performance-optimizations');
+const { FhirResourceStore, UPSERT_OUTCOMES } = require('./fhir-resource-store');
+const { ExportDiffTracker } = require('./export-diff');
+const { validateResource } = require('./fhir-validation');
+const { FhirQuarantine } = require('./fhir-quarantine');
+const { FhirReferenceGraph, REFERENCE_CONFIG } = require('./fhir-reference-graph');
+const { datasetMapping } = require('./dataset-mapping');
+const { classifyResource, getTerminologyInfo, STANDARD_SYSTEMS } = require('./fhir-terminology');
+const { summarizeNormalization } = require('./observation-normalization');
 
 // Access environment variables for direct authentication
 const FASTEN_PUBLIC_KEY = process.env.FASTEN_PUBLIC_KEY;
 const FASTEN_PRIVATE_KEY = process.env.FASTEN_PRIVATE_KEY;
 
-// In-memory storage for processed FHIR data (replace with database in production)
-const foundryDataStore = new Map(); // user_id -> Array<FoundryRecord>
-const ingestionHistory = []; // chronological list of ingested batches
+// Processed FHIR data, persisted through the configured storage driver
+const resourceStore = new FhirResourceStore(); // (external_id, org_connection_id, resourceType, id) -> entry
+const ingestionHistory = storage.collection('ingestionHistory'); // batch_id -> batch snapshot, oldest first
+const diffTracker = new ExportDiffTracker(); // org_connection_id -> manifest of the last completed export
+const quarantine = new FhirQuarantine(); // item id -> export line rejected by parsing or validation
+const referenceGraph = new FhirReferenceGraph(); // (org_connection_id, resourceType, id) -> references held by the resource
 const HISTORY_LIMIT = 100;
 
+// Batches stored before the resource store existed are folded into it once
+const legacyBatches = storage.collection('foundryBatches');
+if (legacyBatches.size > 0) {
+  for (const [batchId, batch] of legacyBatches.entries()) {
+    resourceStore.upsert(batch.records || [], { exportId: batch.export_id || batchId });
+    referenceGraph.index(batch.records || []);
+  }
+  logger.info('♻️ Migrated legacy Foundry batches into the resource store', { batches: legacyBatches.size, resources: resourceStore.size });
+  legacyBatches.clear();
+}
+
+// Resources stored before the reference graph existed are indexed once
+if (referenceGraph.size === 0 && resourceStore.size > 0) {
+  referenceGraph.index(resourceStore.records());
+  logger.info('🔗 Indexed stored resources into the reference graph', { resources: referenceGraph.size });
+}
+
+// Streaming ingestion progress, org_connection_id -> latest run (kept in memory only)
+const ingestionProgress = new Map();
+const PROGRESS_LOG_INTERVAL_MS = 5000;
+const PARSE_ERROR_LINE_LIMIT = 50;
+const RAW_PREVIEW_LENGTH = 2048;
+
 // Simplified: No complex mappings needed - just pass through raw FHIR
 
 /**
  * Download and process FHIR data from Fasten export
+ *
+ * The NDJSON export is streamed line by line, so memory stays bounded by one
+ * batch of OPTIMIZATION_CONFIG.processing.batchSize records. Gzip payloads are
+ * detected from their magic bytes (Content-Encoding: gzip is decoded by fetch).
+ * Each batch is handed to options.onBatch(records, batchIndex), then stored: a
+ * batch whose onBatch throws isn't stored, so a retry finds its records changed;
+ * options.onProgress(progress) is called as bytes and lines are read.
+ *
+ * Every line is parsed and validated (see fhir-validation.js); lines that fail
+ * either are quarantined with their line number and reasons instead of being
+ * stored or pushed. The connection's quarantine is trimmed to its limit once per
+ * batchSize quarantined lines and when the export ends, not on every line.
+ *
+ * Stored resources are indexed in the connection's reference graph; once the
+ * export completes, its references are checked and dangling ones reported.
+ *
+ * In delta push mode (options.pushMode, default OPTIMIZATION_CONFIG.foundry.pushMode)
+ * onBatch only receives records that were added or changed by this export; in
+ * full mode it receives every record. Once the export completes it is diffed
+ * against the connection's previous export.
+ *
+ * Resolves with a summary: { exportId, recordCount, changedCount, quarantinedCount, batchCount, resourceTypes, dedup, diff, references, progress }
  */
-async function downloadAndProcessFHIR(downloadLink, orgConnectionId, externalId) {
+async function downloadAndProcessFHIR(downloadLink, orgConnectionId, externalId, options = {}) {
+  const { onBatch = null, onProgress = null, pushMode = OPTIMIZATION_CONFIG.foundry.pushMode } = options;
+  const batchSize = OPTIMIZATION_CONFIG.processing.batchSize;
+  const exportId = `${Date.now()}-${crypto.randomUUID()}`;
+  const progress = startProgress(orgConnectionId, exportId);
+  const manifest = diffTracker.start(orgConnectionId, exportId, externalId);
+  let quarantineTrimmedAt = 0;
+  const trimQuarantine = () => {
+    if (progress.quarantined > quarantineTrimmedAt) {
+      quarantine.trim(orgConnectionId);
+      quarantineTrimmedAt = progress.quarantined;
+    }
+  };
+
   try {
     if (!FASTEN_CONFIGURED) {
       throw new Error('Fasten credentials are not configured; cannot download FHIR data.');
     }
 
-    console.log(`📥 Downloading FHIR data from: ${downloadLink}`);
+    logger.info('📥 Downloading FHIR data', { org_connection_id: orgConnectionId, download_link: downloadLink });
     
     // Use direct fetch for download URLs since they're already complete URLs
     // and may have different authentication requirements
     const auth = Buffer.from(`${FASTEN_PUBLIC_KEY}:${FASTEN_PRIVATE_KEY}`).toString('base64');
     
-    const response = await fetch(downloadLink, {
+    const response = await outboundPolicy.fetch(downloadLink, {
       method: 'GET',
       headers: { 
         'Accept': 'application/jsonl',
+        'Accept-Encoding': 'gzip',
         'Authorization': `Basic ${auth}`
       }
     });
 
     if (!response.ok) {
       const errorText = await response.text().catch(() => '');
-      console.error(`❌ Download failed with status ${response.status}: ${errorText}`);
+      logger.error('❌ FHIR download failed', { org_connection_id: orgConnectionId, status: response.status, body: errorText.slice(0, 500) });
+      if (EXPIRED_LINK_STATUSES.has(response.status)) {
+        throw new ExpiredDownloadLinkError(`Download link refused with ${response.status}; it has likely expired`, { status: response.status });
+      }
       throw new Error(`Failed to download FHIR data: ${response.status} ${response.statusText}`);
     }
 
-    const jsonlContent = await response.text();
-    console.log(`📄 Downloaded ${jsonlContent.length} characters of FHIR data`);
-    
-    // Parse JSONL (each line is a FHIR resource)
-    const fhirResources = jsonlContent
-      .split('\n')
-      .filter(line => line.trim())
-      .map((line, index) => {
-        try {
-          return JSON.parse(line);
-        } catch (error) {
-          console.error(`❌ Failed to parse FHIR resource at line ${index + 1}:`, error);
-          return null;
+    const resourceTypes = {};
+    const dedup = Object.fromEntries(UPSERT_OUTCOMES.map(outcome => [outcome, 0]));
+    let rawPayloadPreview = '';
+    let batch = [];
+    let recordCount = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const records = transformForFoundry(batch, orgConnectionId, externalId);
+      batch = [];
+      // The batch is only stored once it has been pushed: a failed push must leave its
+      // records changed, so the retried event pushes them again
+      const prepared = resourceStore.prepare(records, { exportId });
+      const pushRecords = pushMode === 'full' ? records : prepared.changed;
+      if (onBatch && pushRecords.length > 0) {
+        await onBatch(pushRecords, progress.batches);
+      }
+      const { counts } = storeBatch(exportId, progress.batches, externalId, orgConnectionId, records, prepared);
+      diffTracker.track(manifest, records);
+      records.forEach(record => {
+        resourceTypes[record.resource_type] = (resourceTypes[record.resource_type] || 0) + 1;
+      });
+      UPSERT_OUTCOMES.forEach(outcome => { dedup[outcome] += counts[outcome]; });
+      recordCount += records.length;
+      progress.batches++;
+      progress.resources = recordCount;
+    };
+
+    const report = () => {
+      progress.updatedAt = new Date().toISOString();
+      if (onProgress) onProgress({ ...progress });
+      if (Date.now() - progress.lastLoggedAt >= PROGRESS_LOG_INTERVAL_MS) {
+        progress.lastLoggedAt = Date.now();
+        logger.info('⏳ FHIR ingestion progress', { org_connection_id: orgConnectionId, ...publicProgress(progress) });
+      }
+    };
+
+    for await (const line of readLines(decodeBody(response.body, progress))) {
+      progress.lines++;
+      if (rawPayloadPreview.length < RAW_PREVIEW_LENGTH) {
+        rawPayloadPreview += `${line}\n`;
+      }
+      if (!line.trim()) continue;
+
+      let resource;
+      try {
+        resource = JSON.parse(line);
+      } catch (error) {
+        // Parser messages quote the offending input, so only the line number is logged
+        progress.parseErrors++;
+        if (progress.parseErrorLines.length < PARSE_ERROR_LINE_LIMIT) {
+          progress.parseErrorLines.push(progress.lines);
         }
-      })
-      .filter(resource => resource !== null);
-    
-    console.log(`🔍 Parsed ${fhirResources.length} FHIR resources`);
-    
-    // Transform for Foundry ingestion
-    const foundryRecords = transformForFoundry(fhirResources, orgConnectionId, externalId);
+        logger.error('❌ Failed to parse FHIR resource', { org_connection_id: orgConnectionId, line: progress.lines });
+        quarantineLine(progress, { orgConnectionId, externalId, exportId, reasons: ['line is not valid JSON'], raw: line });
+      }
+
+      if (resource !== undefined) {
+        const reasons = quarantine.config.validationEnabled ? validateResource(resource) : [];
+        if (reasons.length > 0) {
+          logger.warn('🚫 Quarantined invalid FHIR resource', {
+            org_connection_id: orgConnectionId,
+            line: progress.lines,
+            resourceType: typeof resource?.resourceType === 'string' ? resource.resourceType : null,
+            reasons: reasons.length
+          });
+          quarantineLine(progress, { orgConnectionId, externalId, exportId, reasons, resource });
+        } else {
+          batch.push(resource);
+        }
+      }
+
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+      if (progress.quarantined - quarantineTrimmedAt >= batchSize) {
+        trimQuarantine();
+      }
+      report();
+    }
+    await flush();
     
-    // Store for Foundry to pull
-    await storeForFoundryIngestion(externalId, orgConnectionId, foundryRecords, jsonlContent);
+    finishProgress(progress, 'completed');
+    logger.info('🔍 Parsed FHIR resources', { org_connection_id: orgConnectionId, ...publicProgress(progress) });
+
+    const diff = diffTracker.finish(manifest);
+    logger.info('🔀 Export diff computed', {
+      org_connection_id: orgConnectionId,
+      baseline: diff.baseline,
+      ...diff.totals
+    });
+
+    const { danglingReferences, ...references } = referenceGraph.report(orgConnectionId);
+    if (references.dangling > 0) {
+      logger.warn('🔗 Export has dangling references', {
+        org_connection_id: orgConnectionId,
+        dangling: references.dangling,
+        danglingByTargetType: references.danglingByTargetType
+      });
+    }
+
+    recordIngestion(exportId, externalId, orgConnectionId, {
+      recordCount,
+      resourceTypes,
+      dedup,
+      diff,
+      references,
+      rawPayloadPreview: rawPayloadPreview.slice(0, RAW_PREVIEW_LENGTH),
+      progress: publicProgress(progress)
+    });
 
-    return foundryRecords;
+    return {
+      exportId,
+      recordCount,
+      changedCount: dedup.added + dedup.updated,
+      quarantinedCount: progress.quarantined,
+      batchCount: progress.batches,
+      resourceTypes,
+      dedup,
+      diff: { baseline: diff.baseline, previousExportId: diff.previous_export_id, ...diff.totals },
+      references,
+      progress: publicProgress(progress)
+    };
 
   } catch (error) {
-    console.error('❌ Error processing FHIR data:', error);
+    finishProgress(progress, 'failed', error.message);
+    logger.error('❌ Error processing FHIR data', { org_connection_id: orgConnectionId, error });
     throw error;
+  } finally {
+    trimQuarantine();
+  }
+}
+
+// Quarantine the current line of an export
+function quarantineLine(progress, item) {
+  quarantine.add({ ...item, line: progress.lines });
+  progress.quarantined++;
+}
+
+/**
+ * Yield the raw body chunks, counting downloaded bytes and gunzipping
+ * payloads that start with the gzip magic bytes
+ */
+async function* decodeBody(body, progress) {
+  const counted = (async function* () {
+    for await (const chunk of Readable.fromWeb(body)) {
+      progress.bytes += chunk.length;
+      yield chunk;
+    }
+  })();
+
+  const first = await counted.next();
+  if (first.done) return;
+
+  const chunks = (async function* () {
+    yield first.value;
+    yield* counted;
+  })();
+
+  if (first.value[0] === 0x1f && first.value[1] === 0x8b) {
+    progress.gzip = true;
+    // pipeline destroys every stream on error, so failures surface in the loop below
+    yield* pipeline(Readable.from(chunks), zlib.createGunzip(), () => {});
+  } else {
+    yield* chunks;
+  }
+}
+
+/**
+ * Split a stream of chunks into lines without buffering more than one partial line
+ */
+async function* readLines(chunks) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of chunks) {
+    buffer += decoder.write(chunk);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
   }
+
+  buffer += decoder.end();
+  if (buffer) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+function startProgress(orgConnectionId, exportId) {
+  const progress = {
+    exportId,
+    status: 'downloading',
+    bytes: 0,
+    lines: 0,
+    resources: 0,
+    parseErrors: 0,
+    parseErrorLines: [],
+    quarantined: 0,
+    batches: 0,
+    gzip: false,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    lastLoggedAt: Date.now()
+  };
+  ingestionProgress.set(orgConnectionId, progress);
+  return progress;
+}
+
+function finishProgress(progress, status, error = null) {
+  progress.status = status;
+  progress.error = error;
+  progress.finishedAt = new Date().toISOString();
+  progress.updatedAt = progress.finishedAt;
+}
+
+function publicProgress(progress) {
+  const { lastLoggedAt, ...rest } = progress;
+  return rest;
+}
+
+/**
+ * Latest ingestion progress for a connection (in progress or last finished)
+ */
+function getIngestionProgress(orgConnectionId) {
+  const progress = ingestionProgress.get(orgConnectionId);
+  return progress ? publicProgress(progress) : null;
 }
 
 /**
@@ -116,41 +397,87 @@ function transformForFoundry(fhirResources, orgConnectionId, externalId) {
  * Store processed data for Foundry ingestion
  */
 async function storeForFoundryIngestion(externalId, orgConnectionId, foundryRecords, rawPayload = null) {
-  if (!foundryDataStore.has(externalId)) {
-    foundryDataStore.set(externalId, []);
-  }
-  
-  const userRecords = foundryDataStore.get(externalId);
-  userRecords.push(...foundryRecords);
-
-  console.log(`💾 Stored ${foundryRecords.length} records for user ${externalId}`);
-  console.log(`📊 Total records for user: ${userRecords.length}`);
+  const batchId = `${Date.now()}-${crypto.randomUUID()}`;
+  const result = storeBatch(batchId, 0, externalId, orgConnectionId, foundryRecords);
 
-  // Log resource type breakdown
   const resourceTypes = {};
   foundryRecords.forEach(record => {
     resourceTypes[record.resource_type] = (resourceTypes[record.resource_type] || 0) + 1;
   });
-  console.log(`📋 Resource types processed:`, resourceTypes);
+
+  recordIngestion(batchId, externalId, orgConnectionId, {
+    recordCount: foundryRecords.length,
+    resourceTypes,
+    dedup: result.counts,
+    rawPayloadPreview: rawPayload ? rawPayload.slice(0, RAW_PREVIEW_LENGTH) : null
+  });
+
+  return result;
+}
+
+/**
+ * Upsert one batch of an export into the resource store; `prepared` is the
+ * batch's resourceStore.prepare() result when it was worked out before the push
+ */
+function storeBatch(exportId, batchIndex, externalId, orgConnectionId, foundryRecords, prepared = null) {
+  const result = resourceStore.commit(prepared || resourceStore.prepare(foundryRecords, { exportId }));
+  referenceGraph.index(foundryRecords);
+
+  logger.debug('💾 Stored record batch for Foundry ingestion', {
+    org_connection_id: orgConnectionId,
+    batchIndex,
+    recordCount: foundryRecords.length,
+    ...result.counts
+  });
+  return result;
+}
+
+/**
+ * Record the ingestion history snapshot once an export has been stored
+ */
+function recordIngestion(exportId, externalId, orgConnectionId, summary) {
+  const { recordCount, resourceTypes, dedup = null, diff = null, references = null, rawPayloadPreview = null, progress = null } = summary;
+
+  logger.info('💾 Stored records for Foundry ingestion', {
+    external_id: externalId,
+    org_connection_id: orgConnectionId,
+    recordCount,
+    ...dedup
+  });
+  logger.info('📋 Resource types processed', { org_connection_id: orgConnectionId, resourceTypes });
 
   const batchSnapshot = {
+    batch_id: exportId,
     external_id: externalId,
     org_connection_id: orgConnectionId,
     ingested_at: new Date().toISOString(),
-    record_count: foundryRecords.length,
+    record_count: recordCount,
     resource_types: resourceTypes,
-    raw_payload_preview: rawPayload ? rawPayload.slice(0, 2048) : null
+    dedup,
+    diff,
+    references,
+    raw_payload_preview: rawPayloadPreview,
+    download: progress ? {
+      bytes: progress.bytes,
+      lines: progress.lines,
+      parse_errors: progress.parseErrors,
+      parse_error_lines: progress.parseErrorLines,
+      quarantined: progress.quarantined,
+      batches: progress.batches,
+      gzip: progress.gzip
+    } : null
   };
 
-  ingestionHistory.push(batchSnapshot);
-  if (ingestionHistory.length > HISTORY_LIMIT) {
-    ingestionHistory.splice(0, ingestionHistory.length - HISTORY_LIMIT);
+  ingestionHistory.set(exportId, batchSnapshot);
+  for (const oldestBatchId of ingestionHistory.keys()) {
+    if (ingestionHistory.size <= HISTORY_LIMIT) break;
+    ingestionHistory.delete(oldestBatchId);
   }
 
   // Notify that cache should be invalidated
   if (typeof global !== 'undefined' && global.foundryCache) {
     global.foundryCache.clear();
-    console.log(`🧹 Invalidated Foundry cache due to new data ingestion`);
+    logger.debug('🧹 Invalidated Foundry cache due to new data ingestion');
   }
 }
 
@@ -158,24 +485,118 @@ async function storeForFoundryIngestion(externalId, orgConnectionId, foundryReco
  * Get all Foundry data for ingestion (called by Foundry)
  */
 function getAllFoundryData() {
-  const allRecords = [];
-  
-  for (const [userId, records] of foundryDataStore.entries()) {
-    allRecords.push(...records);
-  }
-  
-  return allRecords;
+  return resourceStore.records();
 }
 
 /**
  * Get Foundry data for specific user
  */
 function getFoundryDataForUser(externalId) {
-  return foundryDataStore.get(externalId) || [];
+  return resourceStore.records(entry => entry.external_id === externalId);
 }
 
 function getFoundryDataHistory() {
-  return [...ingestionHistory];
+  return Array.from(ingestionHistory.values());
+}
+
+/**
+ * Diff stored with a connection's ingestion snapshot: the latest one, or a given export's
+ */
+function getExportDiff(orgConnectionId, exportId = null) {
+  const snapshots = Array.from(ingestionHistory.values())
+    .filter(snapshot => snapshot.org_connection_id === orgConnectionId && snapshot.diff)
+    .filter(snapshot => !exportId || snapshot.batch_id === exportId);
+
+  const snapshot = snapshots[snapshots.length - 1];
+  return snapshot ? { ...snapshot.diff, ingested_at: snapshot.ingested_at, record_count: snapshot.record_count } : null;
+}
+
+/**
+ * Quarantined export lines, filtered by status, connection and export
+ */
+function listQuarantined(filter = {}) {
+  return quarantine.list(filter);
+}
+
+function getQuarantinedItem(itemId) {
+  return quarantine.get(itemId);
+}
+
+// Quarantine counts alone, without the rest of getIngestionStats()
+function getQuarantineStats() {
+  return quarantine.getStats();
+}
+
+/**
+ * Release quarantined resources: hand each connection's records (grouped by
+ * export) to options.onRecords(records, externalId, orgConnectionId) (the Foundry
+ * push), then store them like any ingested resource and mark them released.
+ * Items of a connection whose onRecords throws stay quarantined and unstored.
+ *
+ * Resolves with { released, skipped: [{ id, reason }], failed: [{ id, error }] }
+ */
+async function releaseQuarantined(itemIds, options = {}) {
+  const { onRecords = null, releasedBy = null } = options;
+  const result = { released: [], skipped: [], failed: [] };
+  const byConnection = new Map();
+
+  for (const itemId of itemIds) {
+    const item = quarantine.get(itemId);
+    if (!item) {
+      result.skipped.push({ id: itemId, reason: 'not_found' });
+    } else if (item.status !== 'quarantined') {
+      result.skipped.push({ id: itemId, reason: 'already_released' });
+    } else if (!item.releasable) {
+      result.skipped.push({ id: itemId, reason: 'not_releasable' });
+    } else {
+      const key = `${item.external_id}|${item.org_connection_id}|${item.export_id}`;
+      byConnection.set(key, [...(byConnection.get(key) || []), item]);
+    }
+  }
+
+  for (const items of byConnection.values()) {
+    const { external_id: externalId, org_connection_id: orgConnectionId, export_id: exportId } = items[0];
+    try {
+      const records = transformForFoundry(items.map(item => item.resource), orgConnectionId, externalId);
+      // Stored only once the push succeeds, as export batches are: a failed push leaves nothing behind
+      const prepared = resourceStore.prepare(records, { exportId });
+      if (onRecords) {
+        await onRecords(records, externalId, orgConnectionId);
+      }
+      const stored = storeBatch(exportId, 0, externalId, orgConnectionId, records, prepared);
+      items.forEach(item => result.released.push(quarantine.markReleased(item.id, releasedBy)));
+      logger.info('🔓 Released quarantined FHIR resources', { org_connection_id: orgConnectionId, released: items.length, ...stored.counts });
+    } catch (error) {
+      logger.error('❌ Failed to release quarantined FHIR resources', { org_connection_id: orgConnectionId, error });
+      items.forEach(item => result.failed.push({ id: item.id, error: error.message }));
+    }
+  }
+
+  if (result.released.length > 0 && typeof global !== 'undefined' && global.foundryCache) {
+    global.foundryCache.clear();
+  }
+  return result;
+}
+
+/**
+ * A connection's stored resource with its references inlined to `depth` levels
+ * (see FhirReferenceGraph.inline); null when the resource isn't stored
+ */
+function getResourceWithReferences(orgConnectionId, resourceType, resourceId, depth = REFERENCE_CONFIG.defaultDepth) {
+  const node = referenceGraph.getNode(orgConnectionId, resourceType, resourceId);
+  const load = target => resourceStore.find(target.external_id, orgConnectionId, target.resource_type, target.resource_id)?.fhir_resource || null;
+  const resource = node && load(node);
+  if (!resource) return null;
+
+  const boundedDepth = Math.max(0, Math.min(depth, REFERENCE_CONFIG.maxDepth));
+  return { ...referenceGraph.inline(orgConnectionId, resource, boundedDepth, load), depth: boundedDepth, externalId: node.external_id };
+}
+
+/**
+ * Reference counts and dangling references across a connection's stored resources
+ */
+function getReferenceReport(orgConnectionId, options = {}) {
+  return referenceGraph.report(orgConnectionId, options);
 }
 
 /**
@@ -183,42 +604,89 @@ function getFoundryDataHistory() {
  */
 function clearProcessedData(externalId = null) {
   if (externalId) {
-    foundryDataStore.delete(externalId);
-    for (let index = ingestionHistory.length - 1; index >= 0; index -= 1) {
-      if (ingestionHistory[index].external_id === externalId) {
-        ingestionHistory.splice(index, 1);
+    for (const entry of resourceStore.clear(entry => entry.external_id === externalId)) {
+      if (entry.resource_id) {
+        referenceGraph.remove(entry.org_connection_id, entry.resource_type, entry.resource_id);
       }
     }
-    console.log(`🧹 Cleared data for user: ${externalId}`);
+    diffTracker.clear(externalId);
+    quarantine.clear(externalId);
+    for (const [batchId, snapshot] of Array.from(ingestionHistory.entries())) {
+      if (snapshot.external_id === externalId) {
+        ingestionHistory.delete(batchId);
+      }
+    }
+    logger.info('🧹 Cleared data for user', { external_id: externalId });
   } else {
-    foundryDataStore.clear();
-    ingestionHistory.length = 0;
-    console.log(`🧹 Cleared all processed data`);
+    resourceStore.clear();
+    diffTracker.clear();
+    quarantine.clear();
+    referenceGraph.clear();
+    ingestionHistory.clear();
+    logger.info('🧹 Cleared all processed data');
+  }
+}
+
+/**
+ * Standard code coverage of stored resources per provider. Only resources with
+ * a coded primary concept count; noStandardCodeShare is the share of those
+ * whose codes are all local (Epic or other) ones.
+ */
+function getTerminologyStats(providerOf = () => null) {
+  const byProvider = {};
+  for (const entry of resourceStore.values()) {
+    const terminology = classifyResource(entry.record.fhir_resource);
+    if (!terminology.hasCode) continue;
+
+    const provider = providerOf(entry.org_connection_id) || 'unknown';
+    const stats = byProvider[provider] ||= {
+      coded: 0,
+      noStandardCode: 0,
+      ...Object.fromEntries(STANDARD_SYSTEMS.map(name => [name, 0]))
+    };
+    stats.coded++;
+    if (!terminology.preferred) stats.noStandardCode++;
+    for (const name of STANDARD_SYSTEMS) {
+      if (terminology.codes[name]) stats[name]++;
+    }
+  }
+  for (const stats of Object.values(byProvider)) {
+    stats.noStandardCodeShare = Math.round((stats.noStandardCode / stats.coded) * 1000) / 1000;
   }
+  const { valueSets, concepts } = getTerminologyInfo();
+  return { valueSets, concepts, byProvider };
 }
 
 /**
- * Get ingestion statistics
+ * Get ingestion statistics. providerOf(orgConnectionId) names the provider a
+ * connection belongs to, for the terminology coverage figures.
  */
-function getIngestionStats() {
+function getIngestionStats({ providerOf } = {}) {
   let totalRecords = 0;
-  let totalUsers = foundryDataStore.size;
+  const users = new Set();
   const resourceTypeCounts = {};
   
-  for (const records of foundryDataStore.values()) {
-    totalRecords += records.length;
-    
-    records.forEach(record => {
-      resourceTypeCounts[record.resource_type] = 
-        (resourceTypeCounts[record.resource_type] || 0) + 1;
-    });
+  for (const entry of resourceStore.values()) {
+    users.add(entry.external_id);
+    totalRecords++;
+    resourceTypeCounts[entry.resource_type] = 
+      (resourceTypeCounts[entry.resource_type] || 0) + 1;
   }
   
   return {
-    totalUsers,
+    totalUsers: users.size,
     totalRecords,
     resourceTypeCounts,
-    historyBatches: ingestionHistory.length,
+    dedupEnabled: resourceStore.dedupEnabled,
+    historyBatches: ingestionHistory.size,
+    quarantine: quarantine.getStats(),
+    referenceGraph: referenceGraph.getStats(),
+    datasetMapping: datasetMapping.getStats(),
+    terminology: getTerminologyStats(providerOf),
+    unitNormalization: summarizeNormalization(
+      resourceStore.records(entry => entry.resource_type === 'Observation').map(record => record.fhir_resource)
+    ),
+    activeIngestions: Array.from(ingestionProgress.values()).filter(progress => progress.status === 'downloading').length,
     lastUpdated: new Date().toISOString()
   };
 }
@@ -230,6 +698,14 @@ module.exports = {
   getAllFoundryData,
   getFoundryDataForUser,
   getFoundryDataHistory,
+  getExportDiff,
   clearProcessedData,
-  getIngestionStats
+  getIngestionStats,
+  getIngestionProgress,
+  listQuarantined,
+  getQuarantinedItem,
+  getQuarantineStats,
+  releaseQuarantined,
+  getResourceWithReferences,
+  getReferenceReport
 };
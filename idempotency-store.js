@@ -0,0 +1,143 @@
+// Idempotency Store Module
+// Bounded, persistent record of webhook deliveries already seen
+//
+// Each key remembers the response sent for the first delivery and the outcome of
+// its processing, so Fasten retries (including those arriving after a restart)
+// get the original response instead of being processed twice. Keys expire after
+// IDEMPOTENCY_TTL_MS and are swept periodically, so the window stays bounded.
+
+const { storage } = require('./storage');
+const { logger } = require('./logger');
+
+const IDEMPOTENCY_CONFIG = {
+  ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS || '604800000', 10),                // 7 days
+  sweepIntervalMs: parseInt(process.env.IDEMPOTENCY_SWEEP_INTERVAL_MS || '3600000', 10) // 1 hour
+};
+
+class IdempotencyStore {
+  constructor(records = storage.collection('idempotencyKeys'), options = {}) {
+    this.records = records; // key -> { firstSeenAt, expiresAt, eventId, response, processedAt, outcome }
+    this.config = { ...IDEMPOTENCY_CONFIG, ...options };
+    this.timer = null;
+  }
+
+  // Derive the idempotency key for a delivery: the Fasten event id, else the
+  // Standard Webhooks `webhook-id` header. Returns null if neither is present.
+  static keyFor(body, headers = {}) {
+    if (body?.id) {
+      return `event:${body.id}`;
+    }
+    const webhookId = headers['webhook-id'];
+    if (webhookId) {
+      return `webhook-id:${webhookId}`;
+    }
+    return null;
+  }
+
+  isExpired(record) {
+    return new Date(record.expiresAt).getTime() <= Date.now();
+  }
+
+  // Get the live record for a key, dropping it if it has expired
+  get(key) {
+    if (!key) return null;
+
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (this.isExpired(record)) {
+      this.records.delete(key);
+      return null;
+    }
+    return record;
+  }
+
+  has(key) {
+    return Boolean(this.get(key));
+  }
+
+  isProcessed(key) {
+    return Boolean(this.get(key)?.processedAt);
+  }
+
+  // Remember the first delivery of a key and the response it received
+  remember(key, { eventId, response }) {
+    if (!key) return null;
+
+    const now = Date.now();
+    const record = {
+      firstSeenAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.config.ttlMs).toISOString(),
+      eventId,
+      response,
+      processedAt: null,
+      outcome: null
+    };
+    this.records.set(key, record);
+    return record;
+  }
+
+  // Record the outcome of processing; creates the record if the key was never seen
+  recordOutcome(key, outcome) {
+    if (!key) return null;
+
+    const record = this.get(key) || this.remember(key, {});
+    const updated = {
+      ...record,
+      processedAt: new Date().toISOString(),
+      outcome
+    };
+    this.records.set(key, updated);
+    return updated;
+  }
+
+  // Remove expired keys
+  sweep() {
+    let removed = 0;
+    for (const [key, record] of Array.from(this.records.entries())) {
+      if (this.isExpired(record)) {
+        this.records.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.info('🧹 Swept expired idempotency keys', { removed });
+    }
+    return removed;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.sweep();
+    this.timer = setInterval(() => this.sweep(), this.config.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  getStats() {
+    let processed = 0;
+    for (const record of this.records.values()) {
+      if (record.processedAt) processed++;
+    }
+    return {
+      keys: this.records.size,
+      processed,
+      ttlMs: this.config.ttlMs
+    };
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  IDEMPOTENCY_CONFIG
+};
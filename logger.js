@@ -0,0 +1,180 @@
+// Logger Module
+// Structured JSON logging with levels, PHI redaction and correlation ids
+//
+// Each line is one JSON object: { timestamp, level, msg, correlationId, ...fields }.
+// The level comes from LOG_LEVEL, falling back to OPTIMIZATION_CONFIG.monitoring.logLevel.
+// Before a line is written, fields named in the redaction lists are rewritten:
+// identifiers (external ids, Auth0 subs) are replaced by a salted hash so one user's
+// lines can still be correlated, and secrets and links (download links, signature
+// and auth headers) are masked. The lists can be extended with LOG_REDACT_HASH_KEYS
+// and LOG_REDACT_MASK_KEYS (comma separated).
+//
+// A correlation id set with runWithCorrelationId() follows all async work started
+// inside it, so one webhook event can be traced from receipt to the Foundry push.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const DEFAULT_HASH_KEYS = ['external_id', 'externalId', 'auth0_user_id', 'auth0id', 'user_id', 'sub'];
+const DEFAULT_MASK_KEYS = [
+  'download_link', 'downloadLink',
+  'webhook-signature', 'authorization', 'x-service-secret', 'x-api-key', 'cookie',
+  'FASTEN_PRIVATE_KEY', 'FASTEN_WEBHOOK_SECRET'
+];
+
+function parseKeyList(value) {
+  return (value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+function resolveLevel() {
+  const configured = (process.env.LOG_LEVEL || '').trim().toLowerCase();
+  if (LEVELS[configured] !== undefined) {
+    return configured;
+  }
+  // Lazy require: performance-optimizations logs through this module
+  const { OPTIMIZATION_CONFIG } = require('./performance-optimizations');
+  const fallback = OPTIMIZATION_CONFIG.monitoring.logLevel;
+  return LEVELS[fallback] !== undefined ? fallback : 'info';
+}
+
+const LOG_CONFIG = {
+  hashKeys: new Set([...DEFAULT_HASH_KEYS, ...parseKeyList(process.env.LOG_REDACT_HASH_KEYS)].map(key => key.toLowerCase())),
+  maskKeys: new Set([...DEFAULT_MASK_KEYS, ...parseKeyList(process.env.LOG_REDACT_MASK_KEYS)].map(key => key.toLowerCase())),
+  hashSalt: process.env.LOG_HASH_SALT || 'fasten-webhook-service'
+};
+
+const correlationStorage = new AsyncLocalStorage();
+
+function runWithCorrelationId(correlationId, fn) {
+  return correlationStorage.run({ correlationId }, fn);
+}
+
+function getCorrelationId() {
+  return correlationStorage.getStore()?.correlationId || null;
+}
+
+function hashValue(value) {
+  const digest = crypto.createHmac('sha256', LOG_CONFIG.hashSalt).update(String(value)).digest('hex');
+  return `h:${digest.slice(0, 12)}`;
+}
+
+function maskValue(value) {
+  if (typeof value === 'string') {
+    // Keep the host of URLs so failures can still be attributed
+    try {
+      const url = new URL(value);
+      return `${url.origin}/[REDACTED]`;
+    } catch (error) {
+      // not a URL
+    }
+  }
+  return '[REDACTED]';
+}
+
+/**
+ * Return a copy of value with redacted keys rewritten
+ */
+function redact(value, depth = 0) {
+  if (value === null || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { message: value.message, name: value.name, status: value.status, stack: value.stack };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const lowerKey = key.toLowerCase();
+    if (item === null || item === undefined || item === '') {
+      result[key] = item;
+    } else if (LOG_CONFIG.maskKeys.has(lowerKey)) {
+      result[key] = maskValue(item);
+    } else if (LOG_CONFIG.hashKeys.has(lowerKey)) {
+      result[key] = typeof item === 'object' ? redact(item, depth + 1) : hashValue(item);
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+    this.resolvedLevel = null;
+  }
+
+  // Resolved on first use so modules required by resolveLevel() can log too
+  get level() {
+    if (!this.resolvedLevel) {
+      this.resolvedLevel = resolveLevel();
+    }
+    return this.resolvedLevel;
+  }
+
+  set level(level) {
+    this.resolvedLevel = level;
+  }
+
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const normalised = fields instanceof Error ? { error: fields } : fields;
+    const line = {
+      timestamp: new Date().toISOString(),
+      level,
+      msg,
+      correlationId: getCorrelationId() || undefined,
+      ...redact({ ...this.bindings, ...normalised })
+    };
+
+    const output = JSON.stringify(line);
+    if (level === 'error' || level === 'warn') {
+      console.error(output);
+    } else {
+      console.log(output);
+    }
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+}
+
+const logger = new Logger();
+
+module.exports = {
+  logger,
+  Logger,
+  redact,
+  hashValue,
+  runWithCorrelationId,
+  getCorrelationId,
+  LOG_CONFIG,
+  LEVELS
+};
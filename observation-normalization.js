@@ -0,0 +1,253 @@
+// Observation Normalization Module
+// UCUM unit normalization and interpretation flags for Observation values
+//
+// A valueQuantity keeps its numeric value and original unit, and gets its UCUM
+// code: Quantity.code when the system is UCUM, otherwise the unit string looked up
+// among the table's UCUM codes and aliases ("mg/dl", "bpm", "°F", "K/uL", ...).
+// When the Observation's LOINC code has a canonical unit in the conversion table
+// (UNIT_CONVERSIONS_FILE, default ./unit-conversions.json), the value is also
+// converted to it:
+//   - within a dimension, through the dimension's base unit (factor, offset)
+//   - between mass and substance concentration, with the analyte's molar mass
+//   - with an analyte-specific conversion (HbA1c mmol/mol -> %, meq/L -> mmol/L)
+// Reference range bounds are converted the same way. Each value gets a status:
+//   canonical          already in the canonical unit
+//   converted          converted to the canonical unit
+//   no_canonical_unit  no LOINC code, or none in the table: kept as is
+//   unknown_unit       the unit isn't in the table
+//   incompatible_unit  the unit can't be converted to the canonical one
+// unknown_unit and incompatible_unit are the unconvertible values counted in stats.
+
+const fs = require('fs');
+const path = require('path');
+const { classifySystem } = require('./fhir-terminology');
+
+const UNIT_CONVERSIONS_FILE = process.env.UNIT_CONVERSIONS_FILE || path.join(__dirname, 'unit-conversions.json');
+
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const NORMALIZATION_STATUSES = ['canonical', 'converted', 'no_canonical_unit', 'unknown_unit', 'incompatible_unit'];
+const UNCONVERTIBLE_STATUSES = ['unknown_unit', 'incompatible_unit'];
+
+// v3 ObservationInterpretation codes -> normalized flag
+const INTERPRETATION_FLAGS = {
+  N: 'N', A: 'A', AA: 'AA',
+  H: 'H', HU: 'H', HX: 'H', '>': 'H',
+  L: 'L', LU: 'L', LX: 'L', '<': 'L',
+  HH: 'HH', LL: 'LL'
+};
+const INTERPRETATION_TEXT = {
+  normal: 'N', abnormal: 'A', high: 'H', low: 'L',
+  'critical high': 'HH', 'critical low': 'LL', critical: 'AA', 'critical abnormal': 'AA'
+};
+const CRITICAL_FLAGS = ['HH', 'LL', 'AA'];
+
+/**
+ * Read and check the conversion table: every canonical and conversion unit must
+ * be a known UCUM code
+ */
+function loadConversions(file = UNIT_CONVERSIONS_FILE) {
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const units = new Map(); // UCUM code -> { dimension, factor, offset }
+  for (const [dimension, { units: dimensionUnits }] of Object.entries(table.dimensions || {})) {
+    for (const [code, conversion] of Object.entries(dimensionUnits)) {
+      const { factor, offset = 0 } = typeof conversion === 'number' ? { factor: conversion } : conversion;
+      units.set(code, { dimension, factor, offset });
+    }
+  }
+
+  const problems = [];
+  for (const [alias, code] of Object.entries(table.aliases || {})) {
+    if (!units.has(code)) problems.push(`alias "${alias}" points at unknown unit "${code}"`);
+  }
+  for (const [loinc, entry] of Object.entries(table.loinc || {})) {
+    if (!units.has(entry.canonical)) problems.push(`LOINC ${loinc}: unknown canonical unit "${entry.canonical}"`);
+    for (const code of Object.keys(entry.conversions || {})) {
+      if (!units.has(code)) problems.push(`LOINC ${loinc}: unknown conversion unit "${code}"`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Unit conversion table ${file} is invalid:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  // Case-insensitive fallback lookup, for names that are unambiguous that way
+  const folded = new Map();
+  for (const [name, code] of [...Array.from(units.keys(), code => [code, code]), ...Object.entries(table.aliases || {})]) {
+    const key = name.toLowerCase();
+    folded.set(key, folded.has(key) && folded.get(key) !== code ? null : code);
+  }
+
+  return { version: table.version, units, aliases: table.aliases || {}, folded, loinc: table.loinc || {} };
+}
+
+const conversions = loadConversions();
+
+function round(value) {
+  return Number(value.toPrecision(6));
+}
+
+/**
+ * UCUM code of a unit string, or null when it isn't in the table
+ */
+function ucumCode(unit) {
+  if (typeof unit !== 'string' || !unit.trim()) return null;
+  const trimmed = unit.trim();
+  if (conversions.units.has(trimmed)) return trimmed;
+  if (conversions.aliases[trimmed]) return conversions.aliases[trimmed];
+  return conversions.folded.get(trimmed.toLowerCase()) || null;
+}
+
+// UCUM code of a Quantity: its code when coded in UCUM, else its unit (or code) looked up
+function quantityUcum(quantity) {
+  if (quantity.system === UCUM_SYSTEM && ucumCode(quantity.code)) return ucumCode(quantity.code);
+  return ucumCode(quantity.unit) || ucumCode(quantity.code);
+}
+
+/**
+ * Convert a value from one UCUM unit to a LOINC code's canonical unit:
+ * { value } or { status } when it can't be
+ */
+function convert(value, fromCode, loincEntry) {
+  const to = loincEntry.canonical;
+  if (fromCode === to) return { value, status: 'canonical' };
+
+  const explicit = loincEntry.conversions?.[fromCode];
+  if (explicit) {
+    return { value: value * explicit.factor + (explicit.offset || 0), status: 'converted' };
+  }
+
+  const from = conversions.units.get(fromCode);
+  const target = conversions.units.get(to);
+  let base = value * from.factor + from.offset;
+  if (from.dimension !== target.dimension) {
+    // Mass <-> substance concentration through the molar mass (g/L = mol/L * g/mol)
+    if (!loincEntry.molarMass) return { status: 'incompatible_unit' };
+    if (from.dimension === 'substance_concentration' && target.dimension === 'mass_concentration') {
+      base *= loincEntry.molarMass;
+    } else if (from.dimension === 'mass_concentration' && target.dimension === 'substance_concentration') {
+      base /= loincEntry.molarMass;
+    } else {
+      return { status: 'incompatible_unit' };
+    }
+  }
+  return { value: (base - target.offset) / target.factor, status: 'converted' };
+}
+
+/**
+ * Normalize a Quantity for a LOINC code:
+ * { value, unit, ucum, normalized, normalizedUnit, status }, or null when the
+ * quantity has no numeric value
+ */
+function normalizeQuantity(quantity, loincCode = null) {
+  if (!quantity || typeof quantity.value !== 'number' || !Number.isFinite(quantity.value)) return null;
+
+  const ucum = quantityUcum(quantity);
+  const result = {
+    value: quantity.value,
+    unit: quantity.unit ?? quantity.code ?? null,
+    ucum,
+    normalized: null,
+    normalizedUnit: null,
+    status: 'no_canonical_unit'
+  };
+
+  const entry = loincCode ? conversions.loinc[loincCode] : null;
+  if (!entry) return result;
+  if (!ucum) return { ...result, status: 'unknown_unit' };
+
+  const converted = convert(quantity.value, ucum, entry);
+  if (converted.value === undefined) return { ...result, status: converted.status };
+  return { ...result, normalized: round(converted.value), normalizedUnit: entry.canonical, status: converted.status };
+}
+
+/**
+ * LOINC code of a CodeableConcept, or null
+ */
+function loincCodeOf(concept) {
+  return (concept?.coding || []).find(coding => classifySystem(coding?.system) === 'loinc' && coding.code)?.code ?? null;
+}
+
+/**
+ * Normalized interpretation of an Observation: { flag, abnormal, critical }.
+ * flag is one of N, A, AA, H, L, HH, LL (the code itself when unrecognized).
+ */
+function interpretationFlag(interpretation) {
+  const concepts = Array.isArray(interpretation) ? interpretation : [interpretation].filter(Boolean);
+  let flag = null;
+  for (const concept of concepts) {
+    for (const coding of concept.coding || []) {
+      const code = typeof coding?.code === 'string' ? coding.code.trim().toUpperCase() : null;
+      if (code) {
+        flag = INTERPRETATION_FLAGS[code] || code;
+        break;
+      }
+    }
+    if (!flag) {
+      const text = (concept.text || concept.coding?.find(coding => coding?.display)?.display || '').trim().toLowerCase();
+      flag = INTERPRETATION_TEXT[text] || null;
+    }
+    if (flag) break;
+  }
+  if (!flag) return { flag: null, abnormal: null, critical: null };
+  return { flag, abnormal: flag !== 'N', critical: CRITICAL_FLAGS.includes(flag) };
+}
+
+/**
+ * Value, first reference range and interpretation of an Observation or one of
+ * its components, normalized by its own code's LOINC
+ */
+function normalizeObservation(source) {
+  const loinc = loincCodeOf(source.code);
+  const range = source.referenceRange?.[0] || {};
+  const low = normalizeQuantity(range.low, loinc);
+  const high = normalizeQuantity(range.high, loinc);
+  return {
+    loinc,
+    quantity: normalizeQuantity(source.valueQuantity, loinc),
+    referenceRange: {
+      low: low?.value ?? null,
+      high: high?.value ?? null,
+      lowNormalized: low?.normalized ?? null,
+      highNormalized: high?.normalized ?? null,
+      text: range.text ?? null
+    },
+    interpretation: interpretationFlag(source.interpretation)
+  };
+}
+
+/**
+ * Normalization outcome counts for a set of Observations, components included:
+ * { quantities, byStatus, unconvertible, unconvertibleUnits: { unit: count } }
+ */
+function summarizeNormalization(observations) {
+  const summary = {
+    quantities: 0,
+    byStatus: Object.fromEntries(NORMALIZATION_STATUSES.map(status => [status, 0])),
+    unconvertible: 0,
+    unconvertibleUnits: {}
+  };
+  for (const observation of observations) {
+    for (const source of [observation, ...(observation.component || [])]) {
+      const quantity = normalizeQuantity(source.valueQuantity, loincCodeOf(source.code));
+      if (!quantity) continue;
+      summary.quantities++;
+      summary.byStatus[quantity.status]++;
+      if (UNCONVERTIBLE_STATUSES.includes(quantity.status)) {
+        summary.unconvertible++;
+        const unit = quantity.unit || '(none)';
+        summary.unconvertibleUnits[unit] = (summary.unconvertibleUnits[unit] || 0) + 1;
+      }
+    }
+  }
+  return { conversionsVersion: conversions.version, ...summary };
+}
+
+module.exports = {
+  normalizeQuantity,
+  normalizeObservation,
+  interpretationFlag,
+  loincCodeOf,
+  ucumCode,
+  summarizeNormalization,
+  NORMALIZATION_STATUSES,
+  UCUM_SYSTEM
+};
@@ -0,0 +1,160 @@
+// Orphaned Events Module
+// Parking area for export events whose connection (or its external_id) is unknown
+//
+// A patient.ehi_export_success can arrive before its patient.connection_success,
+// or after a restart lost the connection. Rather than dropping the export, the
+// event is parked here until it can be tied to a user: when the connection event
+// arrives, when a Fasten API lookup of the connection returns its external_id
+// (retried every retryIntervalMs, up to maxLookups times), or when an admin binds
+// it to a user by hand.
+
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { logger } = require('./logger');
+
+const ORPHAN_CONFIG = {
+  retryIntervalMs: parseInt(process.env.ORPHAN_LOOKUP_INTERVAL_MS || '600000', 10), // 10 minutes
+  maxLookups: parseInt(process.env.ORPHAN_MAX_LOOKUPS || '12', 10)
+};
+
+const ORPHAN_STATUSES = ['unresolved', 'resolved', 'failed'];
+const ORPHAN_RESOLUTIONS = ['connection_event', 'fasten_lookup', 'manual'];
+
+class OrphanedEventStore {
+  /**
+   * options.resolve: async (orphan) => true when the orphan was tied to a user and
+   * processed; called for each unresolved orphan on every retry
+   */
+  constructor(orphans = storage.collection('orphanedEvents'), options = {}) {
+    this.orphans = orphans; // orphan id -> { id, type, org_connection_id, task_id, data, timestamp, status, ... }
+    this.config = { ...ORPHAN_CONFIG, ...options };
+    this.resolve = options.resolve || null;
+    this.timer = null;
+    this.retrying = false;
+  }
+
+  // Park an event; an event for the same task already parked is updated instead
+  park({ type, data, timestamp, reason }) {
+    const existing = this.list({ status: 'unresolved' })
+      .find(orphan => orphan.org_connection_id === data.org_connection_id && orphan.task_id === (data.task_id || null));
+    const orphan = {
+      ...(existing || {}),
+      id: existing?.id || crypto.randomUUID(),
+      type,
+      org_connection_id: data.org_connection_id,
+      task_id: data.task_id || null,
+      data,
+      timestamp,
+      reason,
+      status: 'unresolved',
+      parked_at: existing?.parked_at || new Date().toISOString(),
+      lookups: existing?.lookups || 0,
+      last_lookup_at: existing?.last_lookup_at || null,
+      last_lookup_error: existing?.last_lookup_error || null
+    };
+    this.orphans.set(orphan.id, orphan);
+    logger.warn('🅿️ Parked orphaned export event', { org_connection_id: orphan.org_connection_id, orphanId: orphan.id, reason });
+    return orphan;
+  }
+
+  get(orphanId) {
+    return this.orphans.get(orphanId) || null;
+  }
+
+  list({ status = null, orgConnectionId = null } = {}) {
+    return Array.from(this.orphans.values())
+      .filter(orphan => !status || orphan.status === status)
+      .filter(orphan => !orgConnectionId || orphan.org_connection_id === orgConnectionId)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // Orphans of a connection still waiting for a user (including those whose lookups gave up), oldest first
+  forConnection(orgConnectionId) {
+    return this.list({ orgConnectionId }).filter(orphan => orphan.status !== 'resolved');
+  }
+
+  recordLookup(orphanId, error = null) {
+    const orphan = this.get(orphanId);
+    if (!orphan) return null;
+
+    const updated = {
+      ...orphan,
+      lookups: orphan.lookups + 1,
+      last_lookup_at: new Date().toISOString(),
+      last_lookup_error: error
+    };
+    if (error && updated.lookups >= this.config.maxLookups) {
+      updated.status = 'failed';
+      logger.warn('⚠️ Orphaned export event could not be resolved; giving up lookups', { orphanId, lookups: updated.lookups });
+    }
+    this.orphans.set(orphanId, updated);
+    return updated;
+  }
+
+  markResolved(orphanId, { resolution, externalId }) {
+    const orphan = this.get(orphanId);
+    if (!orphan) return null;
+
+    const updated = {
+      ...orphan,
+      status: 'resolved',
+      resolution,
+      external_id: externalId,
+      resolved_at: new Date().toISOString()
+    };
+    this.orphans.set(orphanId, updated);
+    logger.info('✅ Orphaned export event resolved', { orphanId, org_connection_id: orphan.org_connection_id, resolution });
+    return updated;
+  }
+
+  // Retry the Fasten lookup for every unresolved orphan
+  async retryLookups() {
+    if (this.retrying || !this.resolve) return { attempted: 0, resolved: 0 };
+    this.retrying = true;
+
+    let attempted = 0;
+    let resolved = 0;
+    try {
+      for (const orphan of this.list({ status: 'unresolved' })) {
+        attempted++;
+        if (await this.resolve(orphan)) resolved++;
+      }
+    } finally {
+      this.retrying = false;
+    }
+    if (attempted > 0) {
+      logger.info('🔁 Retried orphaned export event lookups', { attempted, resolved });
+    }
+    return { attempted, resolved };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.retryLookups().catch(error => logger.error('❌ Orphan lookup retry failed', { error }));
+    }, this.config.retryIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStats() {
+    const stats = Object.fromEntries(ORPHAN_STATUSES.map(status => [status, 0]));
+    for (const orphan of this.orphans.values()) {
+      stats[orphan.status] = (stats[orphan.status] || 0) + 1;
+    }
+    return stats;
+  }
+}
+
+module.exports = {
+  OrphanedEventStore,
+  ORPHAN_CONFIG,
+  ORPHAN_STATUSES,
+  ORPHAN_RESOLUTIONS
+};
@@ -0,0 +1,316 @@
+// Outbound Request Policy Module
+// One retry/timeout/circuit-breaker policy for every call the service makes out
+//
+// Fasten API calls, export downloads and the Foundry pushes all go through
+// outboundPolicy.fetch(). Each attempt gets its own timeout (covering the wait
+// for response headers; streamed bodies are not cut off). Network errors,
+// timeouts and retryable statuses are retried with exponential backoff plus
+// jitter; a Retry-After header on 429/503 replaces the computed delay.
+//
+// Every host has a circuit breaker: after `failureThreshold` consecutive failures
+// it opens and requests fail fast with code circuit_open. Once `resetTimeoutMs`
+// has passed, one probe request is let through (half-open); its outcome closes
+// or re-opens the circuit.
+//
+// POST and PATCH aren't idempotent: they are only retried after a timeout,
+// network error or 5xx when they carry an Idempotency-Key header (429 is always
+// retried, the request was refused rather than processed).
+//
+// Error messages and OutboundRequestError.url carry the URL's origin and path
+// only: query strings hold signatures and tokens (signed download links).
+
+const { setTimeout: sleep } = require('node:timers/promises');
+const { logger } = require('./logger');
+
+const OUTBOUND_CONFIG = {
+  maxRetries: parseInt(process.env.OUTBOUND_MAX_RETRIES || '3', 10),
+  baseDelayMs: parseInt(process.env.OUTBOUND_RETRY_BASE_MS || '500', 10),
+  maxDelayMs: parseInt(process.env.OUTBOUND_RETRY_MAX_MS || '30000', 10),
+  maxRetryAfterMs: parseInt(process.env.OUTBOUND_MAX_RETRY_AFTER_MS || '120000', 10), // longest Retry-After we wait for
+  timeoutMs: parseInt(process.env.OUTBOUND_TIMEOUT_MS || '30000', 10),
+  breaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_MS || '30000', 10)
+  }
+};
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRY_AFTER_STATUSES = new Set([429, 503]);
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+const NON_IDEMPOTENT_METHODS = new Set(['POST', 'PATCH']);
+
+/**
+ * A URL without its query string and fragment, safe for messages and logs
+ */
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return String(url).split(/[?#]/)[0];
+  }
+}
+
+/**
+ * Whether a failed request may be sent again: idempotent methods always, POST
+ * and PATCH only with an Idempotency-Key header
+ */
+function isRetrySafe(method, headers) {
+  if (!NON_IDEMPOTENT_METHODS.has(method.toUpperCase())) return true;
+  return new Headers(headers || {}).has('idempotency-key');
+}
+
+/**
+ * Error raised when a request never produced a response: network error,
+ * timeout, caller abort or an open circuit.
+ */
+class OutboundRequestError extends Error {
+  constructor(message, { url = null, method = 'GET', code = 'network_error', retryable = true, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'OutboundRequestError';
+    this.url = url;
+    this.method = method;
+    this.code = code;
+    this.retryable = retryable;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential, capped, with
+ * equal jitter so concurrent callers don't retry in lockstep
+ */
+function backoffDelay(attempt, { baseDelayMs = OUTBOUND_CONFIG.baseDelayMs, maxDelayMs = OUTBOUND_CONFIG.maxDelayMs } = {}) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Retry-After in milliseconds (delta-seconds or HTTP-date), null when absent or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class CircuitBreaker {
+  constructor(host, options = {}) {
+    this.host = host;
+    this.config = { ...OUTBOUND_CONFIG.breaker, ...options };
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.totalSuccesses = 0;
+    this.rejected = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.probeInFlight = false;
+  }
+
+  // Whether a request may go out now; moves open -> half_open once the reset time has passed
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.config.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.probeInFlight = false;
+      logger.info('🔌 Circuit half-open; probing host', { host: this.host });
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.totalSuccesses++;
+    this.consecutiveFailures = 0;
+    if (this.state !== 'closed') {
+      logger.info('✅ Circuit closed', { host: this.host });
+    }
+    this.state = 'closed';
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure(reason) {
+    this.totalFailures++;
+    this.consecutiveFailures++;
+    this.lastFailureAt = new Date().toISOString();
+    this.lastError = reason;
+    this.probeInFlight = false;
+
+    if (this.state === 'half_open' || (this.state === 'closed' && this.consecutiveFailures >= this.config.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.warn('🚧 Circuit opened', { host: this.host, consecutiveFailures: this.consecutiveFailures, lastError: reason });
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      totalSuccesses: this.totalSuccesses,
+      rejected: this.rejected,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.config.resetTimeoutMs).toISOString() : null,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+class OutboundPolicy {
+  constructor(options = {}) {
+    this.config = { ...OUTBOUND_CONFIG, ...options, breaker: { ...OUTBOUND_CONFIG.breaker, ...(options.breaker || {}) } };
+    this.breakers = new Map(); // host -> CircuitBreaker
+  }
+
+  breakerFor(url) {
+    const host = new URL(url).host;
+    if (!this.breakers.has(host)) {
+      this.breakers.set(host, new CircuitBreaker(host, this.config.breaker));
+    }
+    return this.breakers.get(host);
+  }
+
+  /**
+   * fetch() under the policy. Resolves with the final Response (which may still
+   * be an error status once retries are used up); rejects with an
+   * OutboundRequestError when no response could be obtained.
+   *
+   * options: maxRetries, baseDelayMs, maxDelayMs, timeoutMs, signal (caller abort)
+   */
+  async fetch(url, init = {}, options = {}) {
+    const {
+      maxRetries = this.config.maxRetries,
+      baseDelayMs = this.config.baseDelayMs,
+      maxDelayMs = this.config.maxDelayMs,
+      timeoutMs = this.config.timeoutMs,
+      signal = init.signal
+    } = options;
+    const method = init.method || 'GET';
+    const breaker = this.breakerFor(url);
+    const host = breaker.host;
+    const retrySafe = isRetrySafe(method, init.headers);
+
+    for (let attempt = 1; ; attempt++) {
+      if (!breaker.allowRequest()) {
+        throw new OutboundRequestError(`Circuit for ${host} is open; not calling ${method} ${safeUrl(url)}`, {
+          url: safeUrl(url), method, code: 'circuit_open', retryable: true, attempts: attempt - 1
+        });
+      }
+
+      let response;
+      try {
+        response = await this.attempt(url, { ...init, method }, timeoutMs, signal);
+      } catch (error) {
+        if (error.code !== 'aborted') {
+          breaker.recordFailure(error.code);
+        } else {
+          breaker.probeInFlight = false;
+        }
+        error.attempts = attempt;
+        if (!error.retryable || !retrySafe || attempt > maxRetries) {
+          throw error;
+        }
+        const waitMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+        logger.warn('⚠️ Outbound request failed; retrying', { host, method, code: error.code, attempt, maxRetries, waitMs });
+        await sleep(waitMs);
+        continue;
+      }
+
+      if (!RETRYABLE_STATUSES.has(response.status)) {
+        // Any answer other than a retryable status means the host is up
+        breaker.recordSuccess();
+        return response;
+      }
+
+      breaker.recordFailure(`http_${response.status}`);
+      if (attempt > maxRetries || (!retrySafe && response.status !== 429)) {
+        return response;
+      }
+
+      const retryAfterMs = RETRY_AFTER_STATUSES.has(response.status) ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      if (retryAfterMs !== null && retryAfterMs > this.config.maxRetryAfterMs) {
+        logger.warn('⚠️ Retry-After exceeds the longest allowed wait; giving up', { host, method, status: response.status, retryAfterMs });
+        return response;
+      }
+      const waitMs = retryAfterMs ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+
+      await response.body?.cancel().catch(() => {});
+      logger.warn('⚠️ Outbound request got a retryable status; retrying', {
+        host, method, status: response.status, attempt, maxRetries, waitMs, retryAfter: retryAfterMs !== null
+      });
+      await sleep(waitMs);
+    }
+  }
+
+  // One attempt with its own timeout; the caller's signal still aborts it
+  async attempt(url, init, timeoutMs, callerSignal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('timeout')), timeoutMs);
+    const forwardAbort = () => controller.abort(callerSignal.reason);
+    if (callerSignal) {
+      if (callerSignal.aborted) forwardAbort();
+      else callerSignal.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      const aborted = Boolean(callerSignal?.aborted);
+      const timedOut = controller.signal.aborted && !aborted;
+      const target = safeUrl(url);
+      throw new OutboundRequestError(
+        timedOut ? `Request to ${target} timed out after ${timeoutMs}ms` : `Request to ${target} failed: ${error.message}`,
+        { url: target, method: init.method, code: timedOut ? 'timeout' : (aborted ? 'aborted' : 'network_error'), retryable: !aborted }
+      );
+    } finally {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  getStats() {
+    return {
+      config: {
+        maxRetries: this.config.maxRetries,
+        baseDelayMs: this.config.baseDelayMs,
+        maxDelayMs: this.config.maxDelayMs,
+        timeoutMs: this.config.timeoutMs,
+        failureThreshold: this.config.breaker.failureThreshold,
+        resetTimeoutMs: this.config.breaker.resetTimeoutMs
+      },
+      hosts: Object.fromEntries(Array.from(this.breakers, ([host, breaker]) => [host, breaker.snapshot()]))
+    };
+  }
+}
+
+// Shared by every outbound caller so breaker state is per host, not per module
+const outboundPolicy = new OutboundPolicy();
+
+module.exports = {
+  OutboundPolicy,
+  CircuitBreaker,
+  OutboundRequestError,
+  outboundPolicy,
+  backoffDelay,
+  parseRetryAfter,
+  safeUrl,
+  isRetrySafe,
+  OUTBOUND_CONFIG,
+  RETRYABLE_STATUSES,
+  CIRCUIT_STATES
+};
@@ -1,5 +1,8 @@
 // Performance Optimizations for Fasten-to-Foundry Pipeline
 
+const { logger } = require('./logger');
+const { requestEHIExport } = require('./fasten-api');
+
 const OPTIMIZATION_CONFIG = {
   // Export Triggering Optimizations
   export: {
@@ -24,7 +27,8 @@ const OPTIMIZATION_CONFIG = {
     cacheTTLMs: 300000,          // 5 minute cache TTL
     batchIngestion: true,        // Send data to Foundry in batches
     compressionEnabled: true,    // Compress data sent to Foundry
-    dedupEnabled: true           // Deduplicate records before sending
+    dedupEnabled: true,          // Deduplicate records before sending
+    pushMode: process.env.FOUNDRY_PUSH_MODE === 'full' ? 'full' : 'delta' // Push only added/changed resources
   },
 
   // Performance Monitoring
@@ -69,7 +73,7 @@ class PerformanceMonitor {
 
     // Log if exceeds threshold
     if (duration > OPTIMIZATION_CONFIG.monitoring.alertThresholdMs) {
-      console.warn(`⚠️ Performance Alert: ${operationId} took ${duration}ms (threshold: ${OPTIMIZATION_CONFIG.monitoring.alertThresholdMs}ms)`);
+      logger.warn('⚠️ Performance alert', { operationId, durationMs: duration, thresholdMs: OPTIMIZATION_CONFIG.monitoring.alertThresholdMs });
     }
 
     return metric;
@@ -110,8 +114,8 @@ async function optimizedTriggerExport(orgConnectionId, connectionData, perfMonit
   perfMonitor.startTimer(opId);
 
   try {
-    // No delay - trigger immediately
-    const response = await requestEHIExportWithRetry(orgConnectionId, {
+    // No delay - trigger immediately; retries and timeouts come from the outbound policy
+    const response = await requestEHIExport(orgConnectionId, {
       maxRetries: OPTIMIZATION_CONFIG.export.maxRetries,
       retryDelayMs: OPTIMIZATION_CONFIG.export.retryDelayMs,
       timeoutMs: OPTIMIZATION_CONFIG.export.timeoutMs
@@ -123,7 +127,7 @@ async function optimizedTriggerExport(orgConnectionId, connectionData, perfMonit
       taskId: response.task_id
     });
 
-    console.log(`⚡ Export triggered in ${metric.duration}ms for ${orgConnectionId}`);
+    logger.info('⚡ Export triggered', { org_connection_id: orgConnectionId, durationMs: metric.duration });
     return response;
   } catch (error) {
     perfMonitor.endTimer(opId, { error: error.message });
@@ -131,122 +135,31 @@ async function optimizedTriggerExport(orgConnectionId, connectionData, perfMonit
   }
 }
 
-// Retry wrapper for export requests
-async function requestEHIExportWithRetry(orgConnectionId, options) {
-  const { maxRetries, retryDelayMs, timeoutMs } = options;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), timeoutMs);
-      
-      const response = await requestEHIExport(orgConnectionId, {
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeout);
-      return response;
-    } catch (error) {
-      if (attempt === maxRetries) throw error;
-      
-      console.log(`⚡ Retry ${attempt}/${maxRetries} for export ${orgConnectionId}`);
-      await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempt));
-    }
-  }
-}
-
-// Optimized FHIR data processing with streaming
-async function optimizedProcessFHIR(downloadLink, orgConnectionId, externalId, perfMonitor) {
+// Optimized FHIR data processing; streaming itself lives in downloadAndProcessFHIR
+async function optimizedProcessFHIR(downloadLink, orgConnectionId, externalId, perfMonitor, options = {}) {
+  // Lazy require: foundry-integration reads OPTIMIZATION_CONFIG from this module
+  const { downloadAndProcessFHIR } = require('./foundry-integration');
   const opId = `process-fhir-${orgConnectionId}`;
   perfMonitor.startTimer(opId);
 
   try {
-    // Stream processing for large files
-    if (OPTIMIZATION_CONFIG.processing.streamProcessing) {
-      const processedData = await streamProcessFHIR(downloadLink, orgConnectionId, externalId);
-      
-      const metric = perfMonitor.endTimer(opId, {
-        recordCount: processedData.length,
-        connectionId: orgConnectionId
-      });
+    const summary = await downloadAndProcessFHIR(downloadLink, orgConnectionId, externalId, options);
+    
+    const metric = perfMonitor.endTimer(opId, {
+      recordCount: summary.recordCount,
+      bytes: summary.progress.bytes,
+      parseErrors: summary.progress.parseErrors,
+      connectionId: orgConnectionId
+    });
 
-      console.log(`⚡ Processed ${processedData.length} records in ${metric.duration}ms`);
-      return processedData;
-    } else {
-      // Fallback to standard processing
-      return await downloadAndProcessFHIR(downloadLink, orgConnectionId, externalId);
-    }
+    logger.info('⚡ Processed FHIR records', { org_connection_id: orgConnectionId, recordCount: summary.recordCount, durationMs: metric.duration });
+    return summary;
   } catch (error) {
     perfMonitor.endTimer(opId, { error: error.message });
     throw error;
   }
 }
 
-// Stream processing for large FHIR exports
-async function streamProcessFHIR(downloadLink, orgConnectionId, externalId) {
-  const auth = Buffer.from(`${FASTEN_PUBLIC_KEY}:${FASTEN_PRIVATE_KEY}`).toString('base64');
-  
-  const response = await fetch(downloadLink, {
-    method: 'GET',
-    headers: { 
-      'Accept': 'application/jsonl',
-      'Authorization': `Basic ${auth}`
-    }
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to download: ${response.status}`);
-  }
-
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  const processedRecords = [];
-  let buffer = '';
-
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-
-    buffer += decoder.decode(value, { stream: true });
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-    // Process complete lines in batches
-    const batch = [];
-    for (const line of lines) {
-      if (line.trim()) {
-        try {
-          const resource = JSON.parse(line);
-          batch.push(transformForFoundry([resource], orgConnectionId, externalId)[0]);
-          
-          if (batch.length >= OPTIMIZATION_CONFIG.processing.batchSize) {
-            processedRecords.push(...batch);
-            batch.length = 0;
-          }
-        } catch (error) {
-          console.error(`Failed to parse FHIR resource: ${error.message}`);
-        }
-      }
-    }
-    
-    if (batch.length > 0) {
-      processedRecords.push(...batch);
-    }
-  }
-
-  // Process any remaining data in buffer
-  if (buffer.trim()) {
-    try {
-      const resource = JSON.parse(buffer);
-      processedRecords.push(transformForFoundry([resource], orgConnectionId, externalId)[0]);
-    } catch (error) {
-      console.error(`Failed to parse final FHIR resource: ${error.message}`);
-    }
-  }
-
-  return processedRecords;
-}
-
 // Cache implementation for Foundry data
 class FoundryCache {
   constructor(ttlMs = OPTIMIZATION_CONFIG.foundry.cacheTTLMs) {
@@ -284,6 +197,5 @@ module.exports = {
   PerformanceMonitor,
   optimizedTriggerExport,
   optimizedProcessFHIR,
-  streamProcessFHIR,
   FoundryCache
 };
@@ -4,9 +4,10 @@ const helmet = require('helmet');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
-const { Webhook } = require('standardwebhooks');
+const { WebhookVerifier } = require('./webhook-verification');
 const {
   requestEHIExport,
+  getOrgConnection,
   FASTEN_CONFIGURED
 } = require('./fasten-api');
 
@@ -16,9 +17,18 @@ const {
   getAllFoundryData,
   getFoundryDataForUser,
   getFoundryDataHistory,
+  getExportDiff,
   clearProcessedData,
-  getIngestionStats
+  getIngestionStats,
+  getIngestionProgress,
+  listQuarantined,
+  getQuarantinedItem,
+  getQuarantineStats,
+  releaseQuarantined,
+  getResourceWithReferences,
+  getReferenceReport
 } = require('./foundry-integration');
+const { QUARANTINE_STATUSES } = require('./fhir-quarantine');
 
 // Import auto-push functionality
 const {
@@ -44,21 +54,183 @@ global.foundryCache = foundryCache;
 // Import webhook diagnostics
 const WebhookDiagnostics = require('./webhook-diagnostics');
 
+// Import pluggable storage (memory or file, selected by STORAGE_DRIVER)
+const { storage } = require('./storage');
+
+// Import durable webhook inbox
+const { WebhookInbox, INBOX_STATUSES } = require('./webhook-inbox');
+
+// Import event replay
+const { selectEventsForReplay, replayEvents } = require('./event-replay');
+
+// Import idempotency window for webhook deliveries
+const { IdempotencyStore } = require('./idempotency-store');
+
+// Import bearer-token auth for the /api routes
+const { requireAuth, ADMIN_SCOPE } = require('./auth');
+
+// Import the declarative dataset column mapping
+const { DatasetMapping, MappingError, datasetMapping } = require('./dataset-mapping');
+
+// Import typed per-resource-type table schemas
+const { getTableSchemas } = require('./fhir-flatteners');
+
+// Import PHI access audit log
+const { AuditLog } = require('./audit-log');
+
+// Import structured logger with PHI redaction and correlation ids
+const { logger, runWithCorrelationId, getCorrelationId } = require('./logger');
+
+// Import shared retry / circuit-breaker policy for outbound calls
+const { outboundPolicy } = require('./outbound-policy');
+
+// Import export history and scheduled re-exports
+const { ExportScheduler, ExportHistory } = require('./export-scheduler');
+
+// Import download link expiry tracking
+const { DownloadLinkSweeper, LinkRenewalBudget, linkExpiresAt, isLinkExpired, isRefusalExpiry, presentExport } = require('./download-links');
+
+// Import parking area for export events with no known connection
+const { OrphanedEventStore, ORPHAN_STATUSES } = require('./orphaned-events');
+
+// Import reconciliation of local connection state with Fasten's connection list
+const { ConnectionReconciler } = require('./connection-reconciler');
+
+// Import per-sink de-identification of Foundry pushes
+const { deidentifier } = require('./deidentification');
+
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Initialize diagnostics
-const diagnostics = new WebhookDiagnostics();
+// Initialize diagnostics: on export timeout, probe Fasten and extend, reuse the finished export, re-trigger or mark errored
+const diagnostics = new WebhookDiagnostics({
+  triggerExport: (orgConnectionId, connectionData) => triggerExportForConnection(orgConnectionId, connectionData, 'timeout_recovery'),
+  processExport: (orgConnectionId, task) => enqueueRecoveredExport(orgConnectionId, task),
+  getConnection: orgConnectionId => connectionStatus.get(orgConnectionId),
+  markErrored: markConnectionErrored
+});
+
+// Initialize PHI access audit trail
+const auditLog = new AuditLog();
 
 const pendingExportRequests = new Set();
 
-// In-memory storage for webhook events (in production, use a database)
-const webhookEvents = new Map();
-const processedEventIds = new Set(); // For idempotency protection
-const connectionExports = new Map(); // org_connection_id -> export data
-const connectionStatus = new Map(); // org_connection_id -> connection info
-const userConnections = new Map(); // external_id -> Set<org_connection_id>
-const userExports = new Map(); // external_id -> Map<org_connection_id, export_data>
+// Service state, persisted through the configured storage driver
+const webhookEvents = storage.collection('webhookEvents');
+const idempotency = new IdempotencyStore(); // delivery key -> first response and processing outcome
+const connectionExports = storage.collection('connectionExports'); // org_connection_id -> export data
+const connectionStatus = storage.collection('connectionStatus'); // org_connection_id -> connection info
+const userConnections = storage.collection('userConnections'); // external_id -> Array<org_connection_id>
+const userExports = storage.collection('userExports'); // external_id -> { org_connection_id: export_data }
+const exportHistory = new ExportHistory(); // org_connection_id -> every export request and its outcome
+
+// Periodic re-export of active connections
+const exportScheduler = new ExportScheduler(connectionStatus, exportHistory, requestReexport);
+
+// Export events that arrived before (or without) their connection; lookups are retried periodically
+const orphanedEvents = new OrphanedEventStore(undefined, { resolve: resolveOrphanViaLookup });
+
+// Rebuilds connections from Fasten's list on boot and periodically; revocations Fasten reports are applied locally
+const connectionReconciler = new ConnectionReconciler(connectionStatus, {
+  addUserConnection,
+  revokeConnection: (orgConnectionId, status) =>
+    handleAuthorizationRevoked({ org_connection_id: orgConnectionId, connection_status: status }, new Date().toISOString())
+});
+
+// Per-connection limit and backoff on fresh exports requested for expired links
+const linkRenewals = new LinkRenewalBudget();
+
+// Periodic expiry of stored download links; renews those whose processing failed
+const linkSweeper = new DownloadLinkSweeper(connectionExports, (orgConnectionId, options) =>
+  expireDownloadLink(orgConnectionId, { ...options, reason: 'sweep' })
+);
+
+// Background workers drain received webhook events from the inbox, replays included
+const inbox = new WebhookInbox(webhookEvents, event =>
+  runWithCorrelationId(event.correlationId || event.id, () => processStoredEvent(event, { force: Boolean(event.replay?.force) }))
+);
+
+// Replays are dry-run in the request, or queued on the inbox for its workers
+const replayHandlers = {
+  describe: (event, { force }) => processStoredEvent(event, { force, dryRun: true }),
+  queue: (event, { force }) => inbox.replay(event.id, { force })
+};
+
+// Queue the success event Fasten never delivered for a finished export task, so it is
+// processed by the inbox workers like any other delivery
+function enqueueRecoveredExport(orgConnectionId, { taskId, downloadLink, completedAt }) {
+  const body = {
+    id: `recovered-${taskId}`,
+    type: 'patient.ehi_export_success',
+    data: { org_connection_id: orgConnectionId, task_id: taskId, download_link: downloadLink }
+  };
+  logger.info('♻️ Reusing download link of an export whose webhook was missed', { org_connection_id: orgConnectionId, task_id: taskId });
+  return inbox.enqueue({
+    id: crypto.randomUUID(),
+    idempotencyKey: IdempotencyStore.keyFor(body),
+    correlationId: getCorrelationId(),
+    timestamp: completedAt || new Date().toISOString(),
+    headers: {},
+    body
+  });
+}
+
+// Add an org connection to a user's connection list
+function addUserConnection(externalId, orgConnectionId) {
+  const orgIds = userConnections.get(externalId) || [];
+  if (!orgIds.includes(orgConnectionId)) {
+    orgIds.push(orgConnectionId);
+  }
+  userConnections.set(externalId, orgIds);
+  return orgIds;
+}
+
+// Remove an org connection from a user's connection list
+function removeUserConnection(externalId, orgConnectionId) {
+  const orgIds = (userConnections.get(externalId) || []).filter(id => id !== orgConnectionId);
+  if (orgIds.length === 0) {
+    userConnections.delete(externalId);
+  } else {
+    userConnections.set(externalId, orgIds);
+  }
+}
+
+// Record export data for a user's connection
+function setUserExport(externalId, orgConnectionId, exportData) {
+  const exportsByConnection = userExports.get(externalId) || {};
+  exportsByConnection[orgConnectionId] = exportData;
+  userExports.set(externalId, exportsByConnection);
+}
+
+// Merge changes into a stored export, unless a newer export (another task) has replaced it
+function updateExport(orgConnectionId, taskId, changes) {
+  const exportData = connectionExports.get(orgConnectionId);
+  if (!exportData || exportData.taskId !== taskId) return null;
+
+  const updated = { ...exportData, ...changes };
+  connectionExports.set(orgConnectionId, updated);
+  const externalId = connectionStatus.get(orgConnectionId)?.externalId;
+  if (externalId && userExports.get(externalId)?.[orgConnectionId]) {
+    setUserExport(externalId, orgConnectionId, updated);
+  }
+  return updated;
+}
+
+// Remove export data for a user's connection
+function removeUserExport(externalId, orgConnectionId) {
+  const exportsByConnection = userExports.get(externalId);
+  if (!exportsByConnection) return;
+
+  delete exportsByConnection[orgConnectionId];
+  if (Object.keys(exportsByConnection).length === 0) {
+    userExports.delete(externalId);
+  } else {
+    userExports.set(externalId, exportsByConnection);
+  }
+}
+
+// Render terminates TLS at its proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
 
 // Middleware
 app.use(helmet());
@@ -70,7 +242,7 @@ app.use('/webhook/fasten', express.raw({ type: 'application/json' }), (req, res,
   try {
     req.body = JSON.parse(req.body.toString());
   } catch (error) {
-    console.error('Error parsing webhook body:', error);
+    logger.error('Error parsing webhook body', { error: error.message });
     return res.status(400).json({ error: 'Invalid JSON' });
   }
   next();
@@ -79,28 +251,43 @@ app.use('/webhook/fasten', express.raw({ type: 'application/json' }), (req, res,
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Logging middleware
+// Correlation id + request logging middleware
+// Paths carry user ids, so requests are logged by route template once matched
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`${timestamp} - ${req.method} ${req.path}`);
-  next();
+  const incoming = req.get('X-Correlation-ID');
+  const correlationId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Correlation-ID', correlationId);
+  
+  const startedAt = Date.now();
+  runWithCorrelationId(correlationId, () => {
+    res.on('finish', () => {
+      logger.info('HTTP request', {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        statusCode: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    });
+    next();
+  });
 });
 
-// Webhook signature verification using Standard-Webhooks library
-function verifyWebhookSignature(body, headers, secret) {
-  if (!secret) {
-    return false; // Skip verification if no secret
-  }
-  
-  try {
-    const wh = new Webhook(secret);
-    wh.verify(body, headers);
-    return true;
-  } catch (error) {
-    console.error('Webhook signature verification error:', error);
-    return false;
-  }
-}
+// Route guards: users may read their own data (JWT `sub` === externalId);
+// service API keys are allowed by scope, and `admin` implies every scope
+const ownerOfUserRoute = req => req.params.externalId;
+const ownerOfConnectionRoute = req => connectionStatus.get(req.params.orgConnectionId)?.externalId;
+
+const requireUserAccess = requireAuth({ owner: ownerOfUserRoute });
+const requireConnectionAccess = requireAuth({ owner: ownerOfConnectionRoute });
+const requireConnectionStatusAccess = requireAuth({ owner: ownerOfConnectionRoute, scopes: ['debug'] });
+const requireUserFoundryRead = requireAuth({ owner: ownerOfUserRoute, scopes: ['foundry:read'] });
+const requireFoundryRead = requireAuth({ scopes: ['foundry:read'] });
+const requireConnectionFoundryRead = requireAuth({ owner: ownerOfConnectionRoute, scopes: ['foundry:read'] });
+const requireDebug = requireAuth({ scopes: ['debug'] });
+const requireAdmin = requireAuth({ scopes: [ADMIN_SCOPE] });
+
+// Webhook signature verification (Standard Webhooks, rotating secrets, timestamp tolerance)
+const webhookVerifier = new WebhookVerifier();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -111,19 +298,19 @@ app.get('/health', (req, res) => {
     version: '1.0.0',
     stats: {
       totalEvents: webhookEvents.size,
-      processedEvents: processedEventIds.size,
+      processedEvents: idempotency.getStats().processed,
+      idempotencyKeys: idempotency.size,
       connections: connectionStatus.size,
       exports: connectionExports.size,
       uniqueUsers: userConnections.size,
-      userExports: userExports.size
+      userExports: userExports.size,
+      inbox: inbox.getStats()
     }
   });
 });
 
 // Debug endpoint to show recent events
-app.get('/debug/events', (req, res) => {
-  console.log(`${new Date().toISOString()} - GET /debug/events`);
-  
+app.get('/debug/events', requireDebug, (req, res) => {
   const recentEvents = Array.from(webhookEvents.entries())
     .sort((a, b) => new Date(b[1].timestamp) - new Date(a[1].timestamp))
     .slice(0, 20)
@@ -134,7 +321,10 @@ app.get('/debug/events', (req, res) => {
       api_mode: event.body?.api_mode,
       external_id: event.body?.data?.external_id,
       org_connection_id: event.body?.data?.org_connection_id,
-      processed: event.processed
+      processed: event.processed,
+      status: event.status,
+      attempts: event.attempts,
+      error: event.error
     }));
   
   res.json({
@@ -144,8 +334,8 @@ app.get('/debug/events', (req, res) => {
   });
 });
 
-// API endpoint for iOS app to get connection status
-app.get('/api/connections/:orgConnectionId/status', (req, res) => {
+// API endpoint for iOS app to get connection status (audited: it carries the download link)
+app.get('/api/connections/:orgConnectionId/status', auditLog.middleware('export.read'), requireConnectionStatusAccess, (req, res) => {
   const { orgConnectionId } = req.params;
   const connection = connectionStatus.get(orgConnectionId);
   
@@ -186,11 +376,25 @@ app.get('/api/connections/:orgConnectionId/status', (req, res) => {
     exportStatus = 'requested';
   }
   
+  // Export timeout recovery gave up on this connection
+  if (connection.exportStatus === 'error') {
+    exportStatus = 'error';
+    error = connection.exportError || 'Export failed';
+  }
+  
+  const ingestion = getIngestionProgress(orgConnectionId);
+  if (ingestion && ingestion.status === 'downloading') {
+    exportStatus = 'processing';
+  }
+  
   // Check if export is in flight
-  if (inFlightExports && inFlightExports.has && inFlightExports.has(orgConnectionId)) {
+  if (pendingExportRequests.has(orgConnectionId)) {
     exportStatus = 'in_progress';
   }
   
+  const downloadLink = exportData ? presentExport(exportData).downloadLink : null;
+  res.locals.auditExternalId = connection.externalId;
+  res.locals.auditRecordCount = downloadLink ? 1 : 0;
   res.json({
     orgConnectionId,
     ...connection,
@@ -200,16 +404,20 @@ app.get('/api/connections/:orgConnectionId/status', (req, res) => {
     recordCount,
     exportData: exportData ? {
       taskId: exportData.taskId,
-      downloadLink: exportData.downloadLink,
+      downloadLink,
+      linkExpired: isLinkExpired(exportData),
+      expiresAt: exportData.expiresAt,
       totalResources: exportData.totalResources,
       timestamp: exportData.timestamp
     } : null,
+    ingestion,
+    monitoring: diagnostics.getMonitoring(orgConnectionId),
     error
   });
 });
 
 // API endpoint for iOS app to get export data
-app.get('/api/connections/:orgConnectionId/exports', (req, res) => {
+app.get('/api/connections/:orgConnectionId/exports', auditLog.middleware('export.read'), requireConnectionAccess, (req, res) => {
   const { orgConnectionId } = req.params;
   const exportData = connectionExports.get(orgConnectionId);
   
@@ -220,14 +428,132 @@ app.get('/api/connections/:orgConnectionId/exports', (req, res) => {
     });
   }
   
+  const presented = presentExport(exportData);
+  res.locals.auditRecordCount = presented.downloadLink ? 1 : 0;
+  res.json({
+    orgConnectionId,
+    ...presented
+  });
+});
+
+// What changed at the provider between this connection's last two exports
+// (?export_id= selects an earlier export's diff)
+app.get('/api/connections/:orgConnectionId/exports/diff', auditLog.middleware('export.diff.read'), requireConnectionAccess, (req, res) => {
+  const { orgConnectionId } = req.params;
+  const diff = getExportDiff(orgConnectionId, req.query.export_id || null);
+  
+  if (!diff) {
+    res.locals.auditRecordCount = 0;
+    return res.status(404).json({
+      error: 'Export diff not found',
+      orgConnectionId
+    });
+  }
+  
+  const { added, changed, missing } = diff.totals;
+  res.locals.auditRecordCount = added + changed + missing;
+  res.json({
+    orgConnectionId,
+    ...diff
+  });
+});
+
+// A stored FHIR resource with the resources it references inlined (?depth=, default 1)
+app.get('/api/connections/:orgConnectionId/resources/:resourceType/:resourceId', auditLog.middleware('fhir.read'), requireConnectionFoundryRead, (req, res) => {
+  const { orgConnectionId, resourceType, resourceId } = req.params;
+  const depth = req.query.depth !== undefined ? parseInt(req.query.depth, 10) : undefined;
+  if (depth !== undefined && (Number.isNaN(depth) || depth < 0)) {
+    return res.status(400).json({ error: 'depth must be a non-negative integer' });
+  }
+  
+  const result = getResourceWithReferences(orgConnectionId, resourceType, resourceId, depth);
+  if (!result) {
+    res.locals.auditRecordCount = 0;
+    return res.status(404).json({ error: 'Resource not found', orgConnectionId, resourceType, resourceId });
+  }
+  
+  res.locals.auditExternalId = result.externalId;
+  res.locals.auditRecordCount = 1 + result.inlined;
   res.json({
     orgConnectionId,
-    ...exportData
+    depth: result.depth,
+    inlined: result.inlined,
+    dangling: result.dangling,
+    resource: result.resource
+  });
+});
+
+// Reference counts for a connection's stored resources, listing dangling references (?limit=, default 100)
+app.get('/api/connections/:orgConnectionId/references', auditLog.middleware('fhir.read'), requireConnectionFoundryRead, (req, res) => {
+  const { orgConnectionId } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  
+  const report = getReferenceReport(orgConnectionId, { limit });
+  res.locals.auditRecordCount = report.danglingReferences.length;
+  res.json({ orgConnectionId, ...report });
+});
+
+// Re-trigger an export for an existing connection
+app.post('/api/connections/:orgConnectionId/export', requireConnectionAccess, async (req, res) => {
+  const { orgConnectionId } = req.params;
+  const connection = connectionStatus.get(orgConnectionId);
+  
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      orgConnectionId
+    });
+  }
+  if (!exportScheduler.isActive(connection)) {
+    return res.status(409).json({
+      error: connection.revokedAt ? 'Connection has been revoked' : 'Connection is not active',
+      orgConnectionId
+    });
+  }
+  if (!FASTEN_CONFIGURED) {
+    return res.status(503).json({
+      error: 'Fasten credentials are not configured',
+      orgConnectionId
+    });
+  }
+  if (pendingExportRequests.has(orgConnectionId)) {
+    return res.status(409).json({
+      error: 'Export request already in flight',
+      orgConnectionId
+    });
+  }
+  
+  try {
+    const entry = await requestReexport(orgConnectionId, connection, 'manual');
+    res.status(entry.status === 'requested' ? 202 : 502).json({
+      orgConnectionId,
+      ...entry
+    });
+  } catch (error) {
+    logger.error('❌ Error re-triggering export', { org_connection_id: orgConnectionId, error });
+    res.status(500).json({ error: 'Failed to request export' });
+  }
+});
+
+// Every export request for a connection and its outcome, oldest first
+app.get('/api/connections/:orgConnectionId/exports/history', requireConnectionAccess, (req, res) => {
+  const { orgConnectionId } = req.params;
+  
+  if (!connectionStatus.has(orgConnectionId)) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      orgConnectionId
+    });
+  }
+  
+  res.json({
+    orgConnectionId,
+    history: exportHistory.list(orgConnectionId)
   });
 });
 
 // API endpoint to list all connections for debugging
-app.get('/api/connections', (req, res) => {
+app.get('/api/connections', requireDebug, (req, res) => {
   const connections = Array.from(connectionStatus.entries()).map(([id, data]) => ({
     orgConnectionId: id,
     ...data,
@@ -238,18 +564,18 @@ app.get('/api/connections', (req, res) => {
 });
 
 // API endpoint for iOS app to get all connections for a user (by external_id)
-app.get('/api/users/:externalId/connections', (req, res) => {
+app.get('/api/users/:externalId/connections', requireUserAccess, (req, res) => {
   const { externalId } = req.params;
   const userOrgIds = userConnections.get(externalId);
   
-  if (!userOrgIds || userOrgIds.size === 0) {
+  if (!userOrgIds || userOrgIds.length === 0) {
     return res.json({
       externalId,
       connections: []
     });
   }
   
-  const connections = Array.from(userOrgIds).map(orgId => {
+  const connections = userOrgIds.map(orgId => {
     const connection = connectionStatus.get(orgId);
     return {
       orgConnectionId: orgId,
@@ -265,22 +591,24 @@ app.get('/api/users/:externalId/connections', (req, res) => {
 });
 
 // API endpoint for iOS app to get all exports for a user (by external_id)
-app.get('/api/users/:externalId/exports', (req, res) => {
+app.get('/api/users/:externalId/exports', auditLog.middleware('export.read'), requireUserAccess, (req, res) => {
   const { externalId } = req.params;
   const userExportMap = userExports.get(externalId);
   
-  if (!userExportMap || userExportMap.size === 0) {
+  if (!userExportMap || Object.keys(userExportMap).length === 0) {
+    res.locals.auditRecordCount = 0;
     return res.json({
       externalId,
       exports: []
     });
   }
   
-  const exports = Array.from(userExportMap.entries()).map(([orgId, exportData]) => ({
+  const exports = Object.entries(userExportMap).map(([orgId, exportData]) => ({
     orgConnectionId: orgId,
-    ...exportData
+    ...presentExport(exportData)
   }));
   
+  res.locals.auditRecordCount = exports.length;
   res.json({
     externalId,
     exports
@@ -288,12 +616,13 @@ app.get('/api/users/:externalId/exports', (req, res) => {
 });
 
 // API endpoint to get user summary (connections + exports)
-app.get('/api/users/:externalId/summary', (req, res) => {
+app.get('/api/users/:externalId/summary', auditLog.middleware('export.read'), requireUserAccess, (req, res) => {
   const { externalId } = req.params;
   const userOrgIds = userConnections.get(externalId);
   const userExportMap = userExports.get(externalId);
   
-  if (!userOrgIds || userOrgIds.size === 0) {
+  if (!userOrgIds || userOrgIds.length === 0) {
+    res.locals.auditRecordCount = 0;
     return res.json({
       externalId,
       totalConnections: 0,
@@ -303,7 +632,7 @@ app.get('/api/users/:externalId/summary', (req, res) => {
     });
   }
   
-  const connections = Array.from(userOrgIds).map(orgId => {
+  const connections = userOrgIds.map(orgId => {
     const connection = connectionStatus.get(orgId);
     return {
       orgConnectionId: orgId,
@@ -312,11 +641,12 @@ app.get('/api/users/:externalId/summary', (req, res) => {
     };
   }).filter(Boolean);
   
-  const exports = userExportMap ? Array.from(userExportMap.entries()).map(([orgId, exportData]) => ({
+  const exports = userExportMap ? Object.entries(userExportMap).map(([orgId, exportData]) => ({
     orgConnectionId: orgId,
-    ...exportData
+    ...presentExport(exportData)
   })) : [];
   
+  res.locals.auditRecordCount = exports.length;
   res.json({
     externalId,
     totalConnections: connections.length,
@@ -327,74 +657,418 @@ app.get('/api/users/:externalId/summary', (req, res) => {
 });
 
 // Main webhook endpoint for Fasten Connect
-app.post('/webhook/fasten', async (req, res) => {
+app.post('/webhook/fasten', (req, res) => {
   const timestamp = new Date().toISOString();
   const eventId = crypto.randomUUID();
   
-  console.log(`\n=== Fasten Webhook Event Received (${timestamp}) ===`);
-  console.log('Event ID:', eventId);
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body:', JSON.stringify(req.body, null, 2));
+  logger.info('📨 Fasten webhook event received', {
+    eventId,
+    type: req.body?.type,
+    fastenEventId: req.body?.id,
+    webhookId: req.headers['webhook-id'],
+    apiMode: req.body?.api_mode,
+    org_connection_id: req.body?.data?.org_connection_id
+  });
   
-  // Verify webhook signature if secret is provided
-  const secret = process.env.FASTEN_WEBHOOK_SECRET;
+  // Verify webhook signature (skipped only when no secret is configured and signatures are optional)
+  const verification = webhookVerifier.verify(req.rawBody, req.headers);
   
-  if (secret && !verifyWebhookSignature(req.rawBody, req.headers, secret)) {
-    console.log('❌ Webhook signature verification failed');
+  if (!verification.ok) {
+    logger.warn('❌ Webhook signature verification failed', { eventId, reason: verification.reason });
     return res.status(401).json({ error: 'Invalid signature' });
   }
+  if (!verification.verified) {
+    logger.warn('⚠️ No webhook secret configured; accepting unverified delivery', { eventId });
+  }
+  
+  // Duplicate delivery (e.g. a Fasten retry): return the original response without re-queueing
+  const idempotencyKey = IdempotencyStore.keyFor(req.body, req.headers);
+  const seen = idempotency.get(idempotencyKey);
+  if (seen) {
+    logger.info('⚠️ Duplicate delivery - returning original response', { idempotencyKey, firstSeenAt: seen.firstSeenAt });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(200).json(seen.response);
+  }
   
-  // Store the raw event
-  const event = {
+  // Persist the raw event to the inbox; workers process it in the background
+  inbox.enqueue({
     id: eventId,
+    idempotencyKey,
+    correlationId: getCorrelationId(),
     timestamp,
     headers: req.headers,
-    body: req.body,
-    processed: false
+    body: req.body
+  });
+  
+  logger.info('📬 Event queued for processing', { eventId });
+  
+  const response = {
+    received: true, 
+    eventId,
+    timestamp,
+    message: 'Webhook event queued for processing'
   };
+  idempotency.remember(idempotencyKey, { eventId, response });
   
-  webhookEvents.set(eventId, event);
+  // Respond with 200 OK to acknowledge receipt
+  res.status(200).json(response);
+});
+
+// List inbox events, optionally filtered by status (queued/processing/done/failed)
+app.get('/api/inbox', requireAdmin, (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  if (status && !INBOX_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      allowed: INBOX_STATUSES
+    });
+  }
+
+  const events = inbox.list({ status, limit }).map(event => ({
+    id: event.id,
+    timestamp: event.timestamp,
+    type: event.body?.type,
+    org_connection_id: event.body?.data?.org_connection_id,
+    status: event.status,
+    attempts: event.attempts,
+    nextAttemptAt: event.nextAttemptAt,
+    completedAt: event.completedAt,
+    error: event.error,
+    replays: event.replays || []
+  }));
+
+  res.json({
+    events,
+    stats: inbox.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Parse a boolean flag from a query string or JSON body value
+function parseFlag(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Replay a single stored webhook event
+app.post('/api/admin/events/:eventId/replay', auditLog.middleware('event.replay'), requireAdmin, async (req, res) => {
+  const { eventId } = req.params;
+  const event = webhookEvents.get(eventId);
+  
+  if (!event) {
+    return res.status(404).json({
+      error: 'Event not found',
+      eventId
+    });
+  }
+  
+  try {
+    const report = await replayEvents([event], replayHandlers, {
+      force: parseFlag(req.body?.force ?? req.query.force),
+      dryRun: parseFlag(req.body?.dryRun ?? req.query.dryRun)
+    });
+    const status = report.dryRun ? 200 : report.results[0].outcome === 'queued' ? 202 : 409;
+    res.status(status).json({ ...report, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('❌ Error replaying event', { eventId, error });
+    res.status(500).json({ error: 'Failed to replay event' });
+  }
+});
+
+// Replay stored webhook events matching type/org_connection_id/time-range filters
+app.post('/api/admin/events/replay', auditLog.middleware('event.replay'), requireAdmin, async (req, res) => {
+  const params = { ...req.query, ...req.body };
   
-  // Process different event types
+  let selected;
   try {
-    await processWebhookEvent(req.body, timestamp);
-    event.processed = true;
+    selected = selectEventsForReplay(webhookEvents, {
+      type: params.type,
+      orgConnectionId: params.org_connection_id,
+      from: params.from,
+      to: params.to,
+      limit: params.limit
+    });
   } catch (error) {
-    console.error('Error processing webhook event:', error);
-    event.error = error.message;
+    return res.status(400).json({ error: error.message });
   }
   
-  console.log('=== End Webhook Event ===\n');
+  try {
+    const report = await replayEvents(selected, replayHandlers, {
+      force: parseFlag(params.force),
+      dryRun: parseFlag(params.dryRun)
+    });
+    res.locals.auditOrgConnectionId = params.org_connection_id;
+    res.locals.auditRecordCount = report.total;
+    res.status(report.dryRun ? 200 : 202).json({ ...report, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('❌ Error replaying events', { error });
+    res.status(500).json({ error: 'Failed to replay events' });
+  }
+});
+
+// Query the PHI access audit log
+app.get('/api/admin/audit', auditLog.middleware('audit.read'), requireAdmin, (req, res) => {
+  const filters = {
+    actor: req.query.actor,
+    action: req.query.action,
+    externalId: req.query.external_id,
+    orgConnectionId: req.query.org_connection_id,
+    from: req.query.from,
+    to: req.query.to,
+    limit: req.query.limit,
+    before: req.query.before
+  };
+  const { entries, nextBefore } = auditLog.page(filters);
   
-  // Respond with 200 OK to acknowledge receipt
-  res.status(200).json({ 
-    received: true, 
-    eventId,
-    timestamp,
-    message: 'Webhook event processed successfully'
+  res.locals.auditExternalId = filters.externalId;
+  res.locals.auditOrgConnectionId = filters.orgConnectionId;
+  res.locals.auditRecordCount = entries.length;
+  res.json({
+    entries,
+    nextBefore,
+    chain: auditLog.verify(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Export the audit log (optionally filtered) as NDJSON
+app.get('/api/admin/audit/export', auditLog.middleware('audit.export'), requireAdmin, async (req, res) => {
+  res.locals.auditExternalId = req.query.external_id;
+  res.locals.auditOrgConnectionId = req.query.org_connection_id;
+  res.set('Content-Type', 'application/x-ndjson');
+  res.set('Content-Disposition', `attachment; filename="audit-log-${Date.now()}.ndjson"`);
+  
+  // Streamed from the log file, entry by entry
+  try {
+    res.locals.auditRecordCount = await auditLog.exportNdjson({
+      actor: req.query.actor,
+      action: req.query.action,
+      externalId: req.query.external_id,
+      orgConnectionId: req.query.org_connection_id,
+      from: req.query.from,
+      to: req.query.to
+    }, res);
+    res.end();
+  } catch (error) {
+    logger.error('❌ Error exporting audit log', { error });
+    res.destroy(error);
+  }
+});
+
+// Export events parked because their connection (or its user) was unknown
+app.get('/api/admin/orphans', requireAdmin, (req, res) => {
+  const status = req.query.status === 'all' ? null : (req.query.status || 'unresolved');
+  if (status && !ORPHAN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${ORPHAN_STATUSES.join(', ')}, all` });
+  }
+  
+  // Download links are left out; the data is only reachable by resolving the orphan
+  const orphans = orphanedEvents.list({ status }).map(({ data, ...orphan }) => ({
+    ...orphan,
+    linkExpired: isLinkExpired({ downloadLink: data.download_link, expiresAt: linkExpiresAt(orphan.timestamp) })
+  }));
+  res.json({ orphans, stats: orphanedEvents.getStats() });
+});
+
+// Bind an orphaned export event to a user by hand and process it
+app.post('/api/admin/orphans/:orphanId/bind', auditLog.middleware('orphan.bind'), requireAdmin, async (req, res) => {
+  const orphan = orphanedEvents.get(req.params.orphanId);
+  const externalId = req.body?.externalId || req.body?.external_id;
+  
+  if (!orphan) {
+    return res.status(404).json({ error: 'Orphaned event not found', orphanId: req.params.orphanId });
+  }
+  if (orphan.status === 'resolved') {
+    return res.status(409).json({ error: 'Orphaned event already resolved', orphanId: orphan.id });
+  }
+  if (!externalId) {
+    return res.status(400).json({ error: 'externalId is required' });
+  }
+  
+  const orgConnectionId = orphan.org_connection_id;
+  const existing = connectionStatus.get(orgConnectionId);
+  if (existing?.externalId && existing.externalId !== externalId) {
+    return res.status(409).json({ error: 'Connection already belongs to another user', orphanId: orphan.id });
+  }
+  
+  res.locals.auditExternalId = externalId;
+  res.locals.auditOrgConnectionId = orgConnectionId;
+  connectionStatus.set(orgConnectionId, {
+    connectedAt: orphan.timestamp,
+    exportStatus: 'success',
+    ...existing,
+    externalId,
+    boundManuallyAt: new Date().toISOString()
+  });
+  addUserConnection(externalId, orgConnectionId);
+  
+  const processed = await reconcileOrphan(orphan, 'manual');
+  res.status(processed ? 200 : 500).json({
+    orphan: orphanedEvents.get(orphan.id),
+    processed
+  });
+});
+
+// Recent reconciliation reports against Fasten's connection list
+app.get('/api/admin/reconciliation', requireAdmin, (req, res) => {
+  res.json({
+    reports: connectionReconciler.getReports().slice().reverse(),
+    stats: connectionReconciler.getStats()
   });
 });
 
+// Reconcile local connection state with Fasten's connection list now
+app.post('/api/admin/reconciliation/run', auditLog.middleware('connections.reconcile'), requireAdmin, async (req, res) => {
+  if (!FASTEN_CONFIGURED) {
+    return res.status(503).json({ error: 'Fasten API credentials are not configured' });
+  }
+  
+  const report = await connectionReconciler.run('manual');
+  res.status(report.error ? 502 : 200).json(report);
+});
+
+// De-identification mode per Foundry sink and what recent de-identified batches removed
+app.get('/api/admin/deidentification', requireAdmin, (req, res) => {
+  res.json({
+    reports: deidentifier.getReports().slice().reverse(),
+    stats: deidentifier.getStats()
+  });
+});
+
+// Export lines rejected by parsing or FHIR validation; resources are left out (see the item route)
+app.get('/api/admin/quarantine', requireAdmin, (req, res) => {
+  const status = req.query.status === 'all' ? null : (req.query.status || 'quarantined');
+  if (status && !QUARANTINE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${QUARANTINE_STATUSES.join(', ')}, all` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  
+  const items = listQuarantined({ status, orgConnectionId: req.query.org_connection_id, exportId: req.query.export_id });
+  res.json({
+    items: items.slice(-limit).map(({ resource, raw, ...item }) => item),
+    total: items.length,
+    stats: getQuarantineStats()
+  });
+});
+
+// One quarantined item, with the rejected resource (or raw line)
+app.get('/api/admin/quarantine/:itemId', auditLog.middleware('fhir.quarantine.read'), requireAdmin, (req, res) => {
+  const item = getQuarantinedItem(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({ error: 'Quarantined item not found', itemId: req.params.itemId });
+  }
+  res.locals.auditExternalId = item.external_id;
+  res.locals.auditOrgConnectionId = item.org_connection_id;
+  res.json(item);
+});
+
+// Release quarantined resources into the store and push them to Foundry.
+// Body: { ids: [...] } or { org_connection_id } for all of a connection's releasable items
+app.post('/api/admin/quarantine/release', auditLog.middleware('fhir.quarantine.release'), requireAdmin, async (req, res) => {
+  const { ids, org_connection_id } = req.body || {};
+  if (!Array.isArray(ids) && !org_connection_id) {
+    return res.status(400).json({ error: 'ids or org_connection_id is required' });
+  }
+  
+  const itemIds = Array.isArray(ids)
+    ? ids
+    : listQuarantined({ status: 'quarantined', orgConnectionId: org_connection_id }).filter(item => item.releasable).map(item => item.id);
+  const items = itemIds.map(getQuarantinedItem).filter(Boolean);
+  if (new Set(items.map(item => item.org_connection_id)).size === 1) {
+    res.locals.auditExternalId = items[0].external_id;
+    res.locals.auditOrgConnectionId = items[0].org_connection_id;
+  }
+  
+  try {
+    const result = await releaseQuarantined(itemIds, {
+      releasedBy: req.auth ? `${req.auth.type}:${req.auth.id}` : null,
+      onRecords: async (records, externalId, orgConnectionId) => {
+        const pushResult = await smartPushToFoundry(records, externalId, orgConnectionId);
+        if (!pushResult.success) {
+          throw new Error(`Auto-push to Foundry failed: ${pushResult.error}`);
+        }
+      }
+    });
+    res.locals.auditRecordCount = result.released.length;
+    res.status(result.failed.length > 0 ? 502 : 200).json({
+      released: result.released.map(item => item.id),
+      skipped: result.skipped,
+      failed: result.failed
+    });
+  } catch (error) {
+    logger.error('❌ Error releasing quarantined resources', { error });
+    res.status(500).json({ error: 'Failed to release quarantined resources' });
+  }
+});
+
+// Expire stored download links now, requesting fresh exports where processing failed
+app.post('/api/admin/exports/sweep-links', requireAdmin, async (req, res) => {
+  try {
+    const report = await linkSweeper.sweep();
+    res.json(report);
+  } catch (error) {
+    logger.error('❌ Error sweeping download links', { error });
+    res.status(500).json({ error: 'Failed to sweep download links' });
+  }
+});
+
+// Retry a failed inbox event
+app.post('/api/inbox/:eventId/retry', requireAdmin, (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const event = inbox.retry(eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found',
+        eventId
+      });
+    }
+
+    res.json({
+      eventId,
+      status: event.status,
+      message: 'Event re-queued for processing',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(409).json({
+      error: error.message,
+      eventId
+    });
+  }
+});
+
 // Process webhook events based on type
-async function processWebhookEvent(body, timestamp) {
-  const { type, data, api_mode, id } = body;
+// Options: force bypasses the duplicate check, dryRun describes the effects without applying them,
+// idempotencyKey overrides the key derived from the body
+async function processWebhookEvent(body, timestamp, options = {}) {
+  const { type, data, api_mode } = body;
+  const { force = false, dryRun = false } = options;
+  const idempotencyKey = options.idempotencyKey || IdempotencyStore.keyFor(body);
+  const duplicate = idempotency.isProcessed(idempotencyKey);
   
   // Check for duplicate events (idempotency protection)
-  if (id && processedEventIds.has(id)) {
-    console.log(`⚠️ Duplicate event detected: ${id} - skipping processing`);
-    return;
+  if (duplicate && !force) {
+    logger.info('⚠️ Duplicate event detected - skipping processing', { idempotencyKey });
+    return { outcome: 'skipped_duplicate', duplicate };
+  }
+  
+  if (dryRun) {
+    return { outcome: 'dry_run', duplicate, effects: describeEventEffects(type, data || {}, timestamp) };
   }
   
-  // Mark event as processed
-  if (id) {
-    processedEventIds.add(id);
+  if (duplicate) {
+    logger.warn('⚠️ Reprocessing duplicate event (forced)', { idempotencyKey });
   }
   
-  console.log(`📋 Processing event: ${type} (${api_mode || 'unknown mode'})`);
+  logger.info('📋 Processing event', { type, apiMode: api_mode || 'unknown', org_connection_id: data?.org_connection_id });
   
   switch (type) {
     case 'patient.ehi_export_success':
-      await handleExportSuccess(data, timestamp);
+      // A forced replay is meant to push the export again, so it pushes every record, not only the changed ones
+      await handleExportSuccess(data, timestamp, { pushMode: force ? 'full' : OPTIMIZATION_CONFIG.foundry.pushMode });
       break;
       
     case 'patient.ehi_export_failed':
@@ -414,20 +1088,97 @@ async function processWebhookEvent(body, timestamp) {
       break;
       
     default:
-      console.log(`⚠️ Unknown event type: ${type}`);
+      logger.warn('⚠️ Unknown event type', { type });
   }
+  
+  // Mark event as processed only once its handler succeeded, so failures are retried
+  idempotency.recordOutcome(idempotencyKey, { outcome: 'processed', type });
+  
+  return { outcome: 'processed', duplicate };
+}
+
+// Process an event stored in the inbox, keyed by the idempotency key captured at receipt
+function processStoredEvent(event, options = {}) {
+  return processWebhookEvent(event.body, event.timestamp, {
+    ...options,
+    idempotencyKey: event.idempotencyKey || IdempotencyStore.keyFor(event.body, event.headers)
+  });
 }
 
-async function triggerExportForConnection(orgConnectionId, connectionData) {
+// Describe what processing an event would do, without side effects (used for dry-run replays)
+function describeEventEffects(type, data, timestamp) {
+  const orgConnectionId = data.org_connection_id;
+  const connection = connectionStatus.get(orgConnectionId);
+  
+  switch (type) {
+    case 'patient.ehi_export_success':
+      if (isLinkExpired({ downloadLink: data.download_link, expiresAt: linkExpiresAt(timestamp) })) {
+        return [`request a fresh export for connection ${orgConnectionId} (download link for task ${data.task_id || 'unknown'} has expired)`];
+      }
+      return [
+        `store export (task ${data.task_id || 'unknown'}) for connection ${orgConnectionId}`,
+        connection?.externalId
+          ? `download FHIR export and push to Foundry for user ${connection.externalId}`
+          : 'skip Foundry processing (no external_id known for connection)'
+      ];
+      
+    case 'patient.ehi_export_failed':
+      return [`record export failure for connection ${orgConnectionId}: ${data.failure_reason}`];
+      
+    case 'patient.connection_success': {
+      const effects = [
+        `${connection ? 'overwrite' : 'store'} connection ${orgConnectionId} for user ${data.external_id || 'none'}`
+      ];
+      if (!FASTEN_CONFIGURED) {
+        effects.push('skip export request (Fasten credentials missing)');
+      } else if (pendingExportRequests.has(orgConnectionId)) {
+        effects.push('skip export request (already in flight)');
+      } else {
+        effects.push('request EHI export from Fasten');
+      }
+      return effects;
+    }
+      
+    case 'patient.authorization_revoked':
+      return connection
+        ? [`mark connection ${orgConnectionId} revoked and remove its user and export data`]
+        : [`remove export data for unknown connection ${orgConnectionId}`];
+      
+    case 'webhook.test':
+      return ['log test event'];
+      
+    default:
+      return [`ignore unknown event type ${type}`];
+  }
+}
+
+// Record that export timeout recovery gave up on a connection; the status route reports the reason
+function markConnectionErrored(orgConnectionId, reason, classification) {
+  const connection = connectionStatus.get(orgConnectionId);
+  if (!connection) return;
+
+  connection.exportStatus = 'error';
+  connection.exportError = reason;
+  connection.exportErrorClassification = classification;
+  connection.erroredAt = new Date().toISOString();
+  connectionStatus.set(orgConnectionId, connection);
+  exportHistory.complete(orgConnectionId, null, 'error', reason);
+  logger.error('❌ Connection marked errored', { org_connection_id: orgConnectionId, classification, reason });
+}
+
+// Request an export from Fasten and record it in the connection's export history.
+// Resolves with the history entry (status requested, request_failed or skipped).
+async function triggerExportForConnection(orgConnectionId, connectionData, trigger = 'manual') {
+  const externalId = connectionData?.externalId || null;
   if (pendingExportRequests.has(orgConnectionId)) {
-    console.log(`ℹ️  Export request already in-flight for ${orgConnectionId}; skipping duplicate trigger.`);
-    return;
+    logger.info('ℹ️ Export request already in-flight; skipping duplicate trigger', { org_connection_id: orgConnectionId, trigger });
+    return exportHistory.record(orgConnectionId, { trigger, status: 'skipped', externalId, error: 'Export request already in flight' });
   }
 
   pendingExportRequests.add(orgConnectionId);
 
   const requestTimestamp = new Date().toISOString();
-  console.log(`🚀 Requesting Fasten EHI export for connection ${orgConnectionId} at ${requestTimestamp}`);
+  logger.info('🚀 Requesting Fasten EHI export', { org_connection_id: orgConnectionId, trigger, requestedAt: requestTimestamp });
 
   try {
     const response = await requestEHIExport(orgConnectionId);
@@ -441,31 +1192,45 @@ async function triggerExportForConnection(orgConnectionId, connectionData) {
       if (taskId) {
         connectionData.pendingTaskId = taskId;
       }
+      connectionStatus.set(orgConnectionId, connectionData);
     }
 
-    console.log(`✅ Fasten export requested for ${orgConnectionId} (status: ${status}${taskId ? `, task: ${taskId}` : ''})`);
+    logger.info('✅ Fasten export requested', { org_connection_id: orgConnectionId, status, taskId });
+    return exportHistory.record(orgConnectionId, { trigger, status: 'requested', taskId, externalId });
   } catch (error) {
     const message = error?.message || 'Unknown error';
-    console.error(`❌ Failed to request Fasten export for ${orgConnectionId}: ${message}`);
-    if (error?.body) {
-      console.error(`   ↳ Response body: ${error.body}`);
-    }
+    logger.error('❌ Failed to request Fasten export', {
+      org_connection_id: orgConnectionId,
+      error: message,
+      status: error?.status,
+      responseBody: error?.body
+    });
     if (connectionData) {
       connectionData.exportStatus = 'request_failed';
       connectionData.exportError = message;
       connectionData.lastExportRequested = requestTimestamp;
+      connectionStatus.set(orgConnectionId, connectionData);
     }
+    return exportHistory.record(orgConnectionId, { trigger, status: 'request_failed', externalId, error: message });
   } finally {
     pendingExportRequests.delete(orgConnectionId);
   }
 }
 
-async function handleExportSuccess(data, timestamp) {
+// Re-export an existing connection (manual or scheduled): restart timeout monitoring, then request
+async function requestReexport(orgConnectionId, connectionData, trigger) {
+  if (!pendingExportRequests.has(orgConnectionId)) {
+    connectionData.exportError = null;
+    diagnostics.startExportMonitoring(orgConnectionId, connectionData);
+  }
+  return triggerExportForConnection(orgConnectionId, connectionData, trigger);
+}
+
+async function handleExportSuccess(data, timestamp, options = {}) {
+  const { pushMode = OPTIMIZATION_CONFIG.foundry.pushMode } = options;
   const { org_connection_id, download_link, stats, task_id, org_id } = data;
   
-  console.log(`✅ Export Success for connection: ${org_connection_id}`);
-  console.log(`📊 Stats:`, stats);
-  console.log(`📥 Download link: ${download_link}`);
+  logger.info('✅ Export success', { org_connection_id, task_id, stats, download_link });
   
   const exportData = {
     status: 'success',
@@ -474,28 +1239,53 @@ async function handleExportSuccess(data, timestamp) {
     taskId: task_id,
     orgId: org_id,
     timestamp,
-    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
+    expiresAt: linkExpiresAt(timestamp), // 24 hours from receipt, also when the event is reprocessed later
+    processingStatus: 'pending'
   };
   
+  // Reprocessing an event whose link has expired: ask Fasten for a fresh export instead
+  if (isLinkExpired(exportData)) {
+    const current = connectionExports.get(org_connection_id);
+    if (current && current.taskId !== task_id && !isLinkExpired(current)) {
+      logger.info('ℹ️ Download link expired but a newer export is stored; skipping', { org_connection_id, task_id });
+      return;
+    }
+    logger.warn('🔗 Download link expired; requesting a fresh export', { org_connection_id, task_id, expiresAt: exportData.expiresAt });
+    if (!current || current.taskId === task_id) {
+      connectionExports.set(org_connection_id, { ...exportData, processingStatus: current?.processingStatus || 'failed' });
+    }
+    await expireDownloadLink(org_connection_id, { reason: 'reprocess' });
+    return;
+  }
+  
   // Store export data for iOS app to retrieve
   connectionExports.set(org_connection_id, exportData);
   
   // Stop export monitoring (export received successfully)
   diagnostics.stopExportMonitoring(org_connection_id);
+  exportHistory.complete(org_connection_id, task_id, 'success');
+  
+  // Without a known user the data can't be stored: ask Fasten who owns the connection, else park the event
+  if (!connectionStatus.get(org_connection_id)?.externalId) {
+    const lookup = await lookupExportOwner(org_connection_id);
+    if (!lookup.connection) {
+      orphanedEvents.park({ type: 'patient.ehi_export_success', data, timestamp, reason: lookup.error });
+      updateExport(org_connection_id, task_id, { processingStatus: 'orphaned' });
+      return;
+    }
+  }
 
   // Update connection status
   if (connectionStatus.has(org_connection_id)) {
     const connection = connectionStatus.get(org_connection_id);
     connection.lastExportSuccess = timestamp;
     connection.exportStatus = 'success';
+    connectionStatus.set(org_connection_id, connection);
     
     // Update user-centric export tracking
     if (connection.externalId) {
-      if (!userExports.has(connection.externalId)) {
-        userExports.set(connection.externalId, new Map());
-      }
-      userExports.get(connection.externalId).set(org_connection_id, exportData);
-      console.log(`📋 Updated exports for user: ${connection.externalId}`);
+      setUserExport(connection.externalId, org_connection_id, exportData);
+      logger.info('📋 Updated exports for user', { org_connection_id, externalId: connection.externalId });
     }
   }
   
@@ -503,37 +1293,176 @@ async function handleExportSuccess(data, timestamp) {
   try {
     const connection = connectionStatus.get(org_connection_id);
     if (connection && connection.externalId) {
-      console.log(`🔄 Processing FHIR data for Foundry ingestion...`);
-      
-      // Download and process FHIR data
-      const foundryRecords = await downloadAndProcessFHIR(download_link, org_connection_id, connection.externalId);
-      console.log(`✅ FHIR data processed: ${foundryRecords.length} records`);
+      logger.info('🔄 Processing FHIR data for Foundry ingestion', { org_connection_id });
       
-      // 🚀 NEW: Automatically push to Foundry via backend proxy
-      console.log(`🚀 Auto-pushing to Foundry...`);
-      const pushResult = await smartPushToFoundry(foundryRecords, connection.externalId, org_connection_id);
+      // Stream the export, auto-pushing each batch to Foundry via backend proxy as it is parsed
+      // (only added/changed resources unless FOUNDRY_PUSH_MODE=full or the event is force-replayed)
+      let pushedCount = 0;
+      const summary = await downloadAndProcessFHIR(download_link, org_connection_id, connection.externalId, {
+        pushMode,
+        onBatch: async (records, batchIndex) => {
+          logger.info('🚀 Auto-pushing batch to Foundry', { org_connection_id, batchIndex, recordCount: records.length });
+          const pushResult = await smartPushToFoundry(records, connection.externalId, org_connection_id);
+          if (!pushResult.success) {
+            logger.error('❌ Auto-push to Foundry failed', { org_connection_id, batchIndex, error: pushResult.error });
+            throw new Error(`Auto-push to Foundry failed: ${pushResult.error}`);
+          }
+          pushedCount += records.length;
+        }
+      });
       
-      if (pushResult.success) {
-        console.log(`✅ Successfully auto-pushed ${foundryRecords.length} records to Foundry!`);
-      } else {
-        console.error(`❌ Auto-push to Foundry failed: ${pushResult.error}`);
+      logger.info('✅ FHIR data processed and auto-pushed to Foundry', {
+        org_connection_id,
+        recordCount: summary.recordCount,
+        batches: summary.batchCount,
+        pushed: pushedCount,
+        parseErrors: summary.progress.parseErrors,
+        quarantined: summary.quarantinedCount,
+        danglingReferences: summary.references.dangling,
+        diff: summary.diff
+      });
+      updateExport(org_connection_id, task_id, { processingStatus: 'processed', processedAt: new Date().toISOString(), processingError: null });
+      linkRenewals.reset(org_connection_id);
+    } else {
+      logger.warn('⚠️ No external_id found for connection, skipping Foundry processing', { org_connection_id });
+      updateExport(org_connection_id, task_id, { processingStatus: 'skipped' });
+    }
+  } catch (error) {
+    logger.error('❌ Failed to process FHIR data for Foundry', { org_connection_id, error });
+    updateExport(org_connection_id, task_id, { processingStatus: 'failed', processingError: error.message });
+    
+    // Fasten refused a link that is due to expire: a retry can't succeed, so wait for a fresh
+    // export's webhook instead. Earlier refusals are access problems and are retried like any failure.
+    if (error.code === 'download_link_expired') {
+      if (isRefusalExpiry(exportData)) {
+        await expireDownloadLink(org_connection_id, { reason: 'download_refused' });
+        return;
+      }
+      logger.warn('⚠️ Download refused before the link was due to expire; not renewing', {
+        org_connection_id,
+        status: error.status,
+        expiresAt: exportData.expiresAt
+      });
+    }
+    // Rethrow so the inbox records the failure and retries the event
+    throw error;
+  }
+}
+
+// Mark a connection's download link expired and (unless renew is false) request a fresh
+// export; the next success webhook then processes it. Renewals are limited by linkRenewals:
+// none is requested during its backoff, and once the budget is spent the connection is
+// marked errored. Resolves with the renewal's export history entry, or null when no
+// request was made.
+async function expireDownloadLink(orgConnectionId, { renew = true, reason = 'expired' } = {}) {
+  const exportData = connectionExports.get(orgConnectionId);
+  if (exportData && !exportData.linkExpired) {
+    updateExport(orgConnectionId, exportData.taskId, { linkExpired: true, linkExpiredAt: new Date().toISOString() });
+  }
+  if (!renew) return null;
+  
+  const connection = connectionStatus.get(orgConnectionId);
+  if (!connection || !exportScheduler.isSchedulable(connection) || !FASTEN_CONFIGURED) {
+    logger.warn('⚠️ Download link expired; connection cannot be re-exported', { org_connection_id: orgConnectionId, reason });
+    return null;
+  }
+  if (exportHistory.isInFlight(orgConnectionId) || pendingExportRequests.has(orgConnectionId)) {
+    logger.info('ℹ️ Download link expired; a fresh export is already on its way', { org_connection_id: orgConnectionId, reason });
+    return null;
+  }
+  
+  const budget = linkRenewals.check(orgConnectionId);
+  if (!budget.allowed) {
+    updateExport(orgConnectionId, exportData?.taskId, {
+      renewal: { status: budget.reason, reason, attempts: budget.attempts, retryAt: budget.retryAt }
+    });
+    if (budget.reason === 'exhausted') {
+      if (linkRenewals.markExhausted(orgConnectionId)) {
+        markConnectionErrored(orgConnectionId, `Download link renewed ${budget.attempts} time(s) without a processed export`, 'link_renewals_exhausted');
       }
     } else {
-      console.log(`⚠️ No external_id found for connection ${org_connection_id}, skipping Foundry processing`);
+      logger.info('ℹ️ Download link expired; next renewal allowed later', { org_connection_id: orgConnectionId, reason, retryAt: budget.retryAt });
+    }
+    return null;
+  }
+  
+  linkRenewals.record(orgConnectionId);
+  const entry = await requestReexport(orgConnectionId, connection, 'link_expired');
+  updateExport(orgConnectionId, exportData?.taskId, {
+    renewal: { status: entry.status, reason, requestedAt: entry.requested_at, taskId: entry.task_id }
+  });
+  logger.info('🔗 Fresh export requested for expired download link', { org_connection_id: orgConnectionId, reason, status: entry.status });
+  return entry;
+}
+
+// Look a connection up at Fasten and store it when it carries an external_id.
+// Resolves with { connection } on success, else { error } saying why not.
+async function lookupExportOwner(orgConnectionId, orphanId = null) {
+  let result;
+  if (!FASTEN_CONFIGURED) {
+    result = { connection: null, error: 'connection unknown and Fasten credentials missing' };
+  } else {
+    try {
+      const remote = await getOrgConnection(orgConnectionId);
+      if (!remote) {
+        result = { connection: null, error: 'connection unknown to Fasten' };
+      } else if (!remote.external_id) {
+        result = { connection: null, error: 'Fasten connection has no external_id' };
+      } else {
+        const connectionData = {
+          endpointId: remote.endpoint_id,
+          brandId: remote.brand_id,
+          portalId: remote.portal_id,
+          connectionStatus: remote.status,
+          platformType: remote.platform_type,
+          connectedAt: remote.created_at || new Date().toISOString(),
+          exportStatus: 'success',
+          ...connectionStatus.get(orgConnectionId),
+          externalId: remote.external_id,
+          resolvedViaLookupAt: new Date().toISOString()
+        };
+        connectionStatus.set(orgConnectionId, connectionData);
+        addUserConnection(remote.external_id, orgConnectionId);
+        logger.info('🔎 Resolved connection owner via Fasten API', { org_connection_id: orgConnectionId, external_id: remote.external_id });
+        result = { connection: connectionData, error: null };
+      }
+    } catch (error) {
+      logger.warn('⚠️ Fasten connection lookup failed', { org_connection_id: orgConnectionId, error: error.message });
+      result = { connection: null, error: `Fasten lookup failed: ${error.message}` };
     }
+  }
+  
+  if (orphanId) {
+    orphanedEvents.recordLookup(orphanId, result.error);
+  }
+  return result;
+}
+
+// Process a parked export event now that its connection has a user
+async function reconcileOrphan(orphan, resolution) {
+  try {
+    await handleExportSuccess(orphan.data, orphan.timestamp);
+    orphanedEvents.markResolved(orphan.id, { resolution, externalId: connectionStatus.get(orphan.org_connection_id)?.externalId });
+    return true;
   } catch (error) {
-    console.error('❌ Failed to process FHIR data for Foundry:', error);
+    logger.error('❌ Failed to process orphaned export event', { orphanId: orphan.id, org_connection_id: orphan.org_connection_id, error });
+    return false;
   }
 }
 
+async function resolveOrphanViaLookup(orphan) {
+  const { connection } = await lookupExportOwner(orphan.org_connection_id, orphan.id);
+  return connection ? reconcileOrphan(orphan, 'fasten_lookup') : false;
+}
+
 function handleExportFailed(data, timestamp) {
   const { org_connection_id, failure_reason, task_id, org_id } = data;
   
-  console.log(`❌ Export Failed for connection: ${org_connection_id}`);
-  console.log(`💥 Failure reason: ${failure_reason}`);
+  logger.warn('❌ Export failed', { org_connection_id, task_id, failureReason: failure_reason });
   
   // Stop export monitoring (failure received)
   diagnostics.stopExportMonitoring(org_connection_id);
+  exportHistory.complete(org_connection_id, task_id, 'failed', failure_reason);
   
   const exportData = {
     status: 'failed',
@@ -552,14 +1481,12 @@ function handleExportFailed(data, timestamp) {
     connection.lastExportFailure = timestamp;
     connection.exportStatus = 'failed';
     connection.failureReason = failure_reason;
+    connectionStatus.set(org_connection_id, connection);
     
     // Update user-centric export tracking
     if (connection.externalId) {
-      if (!userExports.has(connection.externalId)) {
-        userExports.set(connection.externalId, new Map());
-      }
-      userExports.get(connection.externalId).set(org_connection_id, exportData);
-      console.log(`📋 Updated failed export for user: ${connection.externalId}`);
+      setUserExport(connection.externalId, org_connection_id, exportData);
+      logger.info('📋 Updated failed export for user', { org_connection_id, externalId: connection.externalId });
     }
   }
 }
@@ -575,9 +1502,7 @@ async function handleConnectionSuccess(data, timestamp) {
     external_id 
   } = data;
   
-  console.log(`🔗 Connection Success: ${org_connection_id}`);
-  console.log(`🏥 Platform: ${platform_type}`);
-  console.log(`👤 External ID: ${external_id || 'none'}`);
+  logger.info('🔗 Connection success', { org_connection_id, platformType: platform_type, external_id });
   
   // Store connection data
   const connectionData = {
@@ -593,32 +1518,39 @@ async function handleConnectionSuccess(data, timestamp) {
   
   connectionStatus.set(org_connection_id, connectionData);
   
-  // Start export timeout monitoring
-  diagnostics.startExportMonitoring(org_connection_id, connectionData);
-  
   // Update user-centric connection tracking
   if (external_id) {
-    if (!userConnections.has(external_id)) {
-      userConnections.set(external_id, new Set());
-    }
-    userConnections.get(external_id).add(org_connection_id);
-    console.log(`👥 Added connection ${org_connection_id} to user: ${external_id}`);
-    console.log(`👥 User ${external_id} now has ${userConnections.get(external_id).size} connection(s)`);
+    const userOrgIds = addUserConnection(external_id, org_connection_id);
+    logger.info('👥 Added connection to user', { org_connection_id, external_id, userConnections: userOrgIds.length });
+  }
+  
+  // Export events that arrived before this one; once processed, no new export is needed
+  const orphans = external_id ? orphanedEvents.forConnection(org_connection_id) : [];
+  let reconciled = 0;
+  for (const orphan of orphans) {
+    if (await reconcileOrphan(orphan, 'connection_event')) reconciled++;
+  }
+  if (reconciled > 0) {
+    logger.info('🅿️ Processed export events that arrived before the connection; skipping export request', { org_connection_id, reconciled });
+    return;
   }
   
+  // Start export timeout monitoring
+  diagnostics.startExportMonitoring(org_connection_id, connectionData);
+  
   if (FASTEN_CONFIGURED) {
-    await triggerExportForConnection(org_connection_id, connectionData);
+    await triggerExportForConnection(org_connection_id, connectionData, 'connection');
   } else {
-    console.warn('⚠️  Fasten credentials missing; skipping automatic export request.');
+    logger.warn('⚠️ Fasten credentials missing; skipping automatic export request', { org_connection_id });
   }
 
-  console.log(`📝 Connection established for ${org_connection_id}; monitoring for export completion.`);
+  logger.info('📝 Connection established; monitoring for export completion', { org_connection_id });
 }
 
 function handleAuthorizationRevoked(data, timestamp) {
   const { org_connection_id, connection_status } = data;
   
-  console.log(`🚫 Authorization Revoked: ${org_connection_id}`);
+  logger.info('🚫 Authorization revoked', { org_connection_id });
   
   // Update connection status
   if (connectionStatus.has(org_connection_id)) {
@@ -627,45 +1559,39 @@ function handleAuthorizationRevoked(data, timestamp) {
     
     connection.connectionStatus = connection_status;
     connection.revokedAt = timestamp;
+    connectionStatus.set(org_connection_id, connection);
     
     // Clean up user-centric tracking
     if (externalId) {
       // Remove from user connections
       if (userConnections.has(externalId)) {
-        userConnections.get(externalId).delete(org_connection_id);
-        if (userConnections.get(externalId).size === 0) {
-          userConnections.delete(externalId);
-        }
-        console.log(`👥 Removed connection ${org_connection_id} from user: ${externalId}`);
+        removeUserConnection(externalId, org_connection_id);
+        logger.info('👥 Removed connection from user', { org_connection_id, externalId });
       }
       
       // Remove from user exports
       if (userExports.has(externalId)) {
-        userExports.get(externalId).delete(org_connection_id);
-        if (userExports.get(externalId).size === 0) {
-          userExports.delete(externalId);
-        }
-        console.log(`📋 Removed export data for user: ${externalId}`);
+        removeUserExport(externalId, org_connection_id);
+        logger.info('📋 Removed export data for user', { org_connection_id, externalId });
       }
     }
   }
   
   // Remove export data since connection is revoked
   connectionExports.delete(org_connection_id);
+  diagnostics.forget(org_connection_id);
 }
 
 function handleWebhookTest(data, timestamp) {
-  console.log(`🧪 Webhook Test:`, data);
+  logger.info('🧪 Webhook test', { data });
 }
 
 // Generic webhook endpoint for testing
 app.post('/webhook/test', (req, res) => {
   const timestamp = new Date().toISOString();
   
-  console.log(`\n=== Test Webhook Event (${timestamp}) ===`);
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body:', JSON.stringify(req.body, null, 2));
-  console.log('=== End Test Event ===\n');
+  logger.info('🧪 Test webhook event received');
+  logger.debug('🧪 Test webhook event payload', { headers: req.headers, body: req.body });
   
   res.status(200).json({ 
     received: true, 
@@ -676,7 +1602,7 @@ app.post('/webhook/test', (req, res) => {
 
 // Foundry Data Connection Endpoints
 // This endpoint is called BY Foundry to pull processed FHIR data
-app.get('/api/foundry/data', (req, res) => {
+app.get('/api/foundry/data', auditLog.middleware('fhir.read'), requireFoundryRead, (req, res) => {
   try {
     // Check cache first for faster response
     const cacheKey = 'foundry-data-all';
@@ -686,11 +1612,12 @@ app.get('/api/foundry/data', (req, res) => {
       // Cache miss - get fresh data
       allData = getAllFoundryData();
       foundryCache.set(cacheKey, allData);
-      console.log(`📤 Foundry data request: returning ${allData.length} records (fresh)`);
+      logger.info('📤 Foundry data request (fresh)', { recordCount: allData.length });
     } else {
-      console.log(`⚡ Foundry data request: returning ${allData.length} records (cached)`);
+      logger.info('⚡ Foundry data request (cached)', { recordCount: allData.length });
     }
     
+    res.locals.auditRecordCount = allData.length;
     res.json({
       data: allData,
       metadata: {
@@ -701,14 +1628,15 @@ app.get('/api/foundry/data', (req, res) => {
       }
     });
   } catch (error) {
-    console.error('❌ Error serving Foundry data:', error);
+    logger.error('❌ Error serving Foundry data', { error });
     res.status(500).json({ error: 'Failed to retrieve data' });
   }
 });
 
-app.get('/api/foundry/dataHistory', (req, res) => {
+app.get('/api/foundry/dataHistory', auditLog.middleware('fhir.read'), requireFoundryRead, (req, res) => {
   try {
     const history = getFoundryDataHistory();
+    res.locals.auditRecordCount = history.length;
     res.json({
       data: history,
       metadata: {
@@ -718,17 +1646,18 @@ app.get('/api/foundry/dataHistory', (req, res) => {
       }
     });
   } catch (error) {
-    console.error('❌ Error serving Foundry data history:', error);
+    logger.error('❌ Error serving Foundry data history', { error });
     res.status(500).json({ error: 'Failed to retrieve data history' });
   }
 });
 
 // Get data for specific user (for debugging)
-app.get('/api/foundry/users/:externalId/data', (req, res) => {
+app.get('/api/foundry/users/:externalId/data', auditLog.middleware('fhir.read'), requireUserFoundryRead, (req, res) => {
   try {
     const { externalId } = req.params;
     const userData = getFoundryDataForUser(externalId);
     
+    res.locals.auditRecordCount = userData.length;
     res.json({
       external_id: externalId,
       data: userData,
@@ -738,24 +1667,65 @@ app.get('/api/foundry/users/:externalId/data', (req, res) => {
       }
     });
   } catch (error) {
-    console.error('❌ Error serving user data:', error);
+    logger.error('❌ Error serving user data', { error });
     res.status(500).json({ error: 'Failed to retrieve user data' });
   }
 });
 
 // Foundry ingestion statistics
-app.get('/api/foundry/stats', (req, res) => {
+app.get('/api/foundry/stats', requireFoundryRead, (req, res) => {
   try {
-    const stats = getIngestionStats();
+    const stats = getIngestionStats({
+      providerOf: orgConnectionId => connectionStatus.get(orgConnectionId)?.brandId
+    });
     res.json(stats);
   } catch (error) {
-    console.error('❌ Error getting ingestion stats:', error);
+    logger.error('❌ Error getting ingestion stats', { error });
     res.status(500).json({ error: 'Failed to get statistics' });
   }
 });
 
+// Column schemas of the typed per-resource-type tables
+app.get('/api/foundry/schemas', requireFoundryRead, (req, res) => {
+  res.json({ tables: getTableSchemas() });
+});
+
+// Active dataset column mapping
+app.get('/api/foundry/mapping', requireFoundryRead, (req, res) => {
+  res.json(datasetMapping.describe());
+});
+
+// Preview a mapping's rows for a sample of stored resources: the active mapping
+// (GET), or a draft sent as { mapping } (POST) to check it before deploying
+function previewMapping(req, res) {
+  let mapping = datasetMapping;
+  if (req.method === 'POST') {
+    try {
+      mapping = new DatasetMapping(req.body?.mapping, 'draft mapping');
+    } catch (error) {
+      if (error instanceof MappingError) {
+        return res.status(400).json({ error: 'Invalid mapping', problems: error.problems.length > 0 ? error.problems : [error.message] });
+      }
+      throw error;
+    }
+  }
+
+  const params = { ...req.query, ...(req.method === 'POST' ? req.body : {}) };
+  const limit = Math.min(parseInt(params.limit, 10) || 10, 100);
+  const sample = getAllFoundryData()
+    .filter(record => !params.resource_type || record.fhir_resource?.resourceType === params.resource_type)
+    .filter(record => !params.org_connection_id || record.org_connection_id === params.org_connection_id)
+    .slice(0, limit);
+
+  res.locals.auditRecordCount = sample.length;
+  res.json(mapping.preview(sample));
+}
+
+app.get('/api/foundry/mapping/preview', auditLog.middleware('fhir.read'), requireFoundryRead, previewMapping);
+app.post('/api/foundry/mapping/preview', auditLog.middleware('fhir.read'), requireFoundryRead, previewMapping);
+
 // Get performance metrics
-app.get('/api/performance/metrics', (req, res) => {
+app.get('/api/performance/metrics', requireDebug, (req, res) => {
   try {
     const metrics = perfMonitor.getMetricsSummary();
     const cacheStatus = {
@@ -770,15 +1740,16 @@ app.get('/api/performance/metrics', (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Error getting performance metrics:', error);
+    logger.error('❌ Error getting performance metrics', { error });
     res.status(500).json({ error: 'Failed to get performance metrics' });
   }
 });
 
 // Clear processed data (for testing)
-app.post('/api/foundry/clear', (req, res) => {
+app.post('/api/foundry/clear', auditLog.middleware('fhir.clear'), requireAdmin, (req, res) => {
   try {
     const { external_id } = req.body;
+    res.locals.auditExternalId = external_id;
     clearProcessedData(external_id);
     
     res.json({
@@ -788,34 +1759,42 @@ app.post('/api/foundry/clear', (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Error clearing data:', error);
+    logger.error('❌ Error clearing data', { error });
     res.status(500).json({ error: 'Failed to clear data' });
   }
 });
 
 // Webhook Diagnostics Endpoints
-app.get('/api/diagnostics/report', (req, res) => {
+app.get('/api/diagnostics/report', requireDebug, (req, res) => {
   try {
     const report = diagnostics.generateDiagnosticReport();
+    report.signatureVerification = webhookVerifier.getStats();
     res.json(report);
   } catch (error) {
-    console.error('Error generating diagnostic report:', error);
+    logger.error('Error generating diagnostic report', { error });
     res.status(500).json({ error: 'Failed to generate report' });
   }
 });
 
-app.get('/api/diagnostics/stats', (req, res) => {
+app.get('/api/diagnostics/stats', requireDebug, (req, res) => {
   try {
     const stats = diagnostics.getStats();
+    stats.signatureVerification = webhookVerifier.getStats();
+    stats.circuitBreakers = outboundPolicy.getStats();
+    stats.exportScheduler = exportScheduler.getStats();
+    stats.downloadLinks = { ...linkSweeper.getStats(), renewals: linkRenewals.getStats() };
+    stats.orphanedEvents = orphanedEvents.getStats();
+    stats.connectionReconciliation = connectionReconciler.getStats();
+    stats.deidentification = deidentifier.getStats();
     res.json(stats);
   } catch (error) {
-    console.error('Error getting diagnostic stats:', error);
+    logger.error('Error getting diagnostic stats', { error });
     res.status(500).json({ error: 'Failed to get stats' });
   }
 });
 
 // Enhanced connection status with timeout info
-app.get('/api/connections/detailed', (req, res) => {
+app.get('/api/connections/detailed', requireDebug, (req, res) => {
   try {
     const connections = [];
     const diagnosticStats = diagnostics.getStats();
@@ -828,13 +1807,9 @@ app.get('/api/connections/detailed', (req, res) => {
       };
       
       // Add timeout monitoring info if available
-      const timeout = diagnostics.connectionTimeouts?.get(orgConnectionId);
-      if (timeout) {
-        enhanced.monitoring = {
-          status: timeout.status,
-          startedAt: timeout.startedAt,
-          timedOutAt: timeout.timedOutAt
-        };
+      const monitoring = diagnostics.getMonitoring(orgConnectionId);
+      if (monitoring) {
+        enhanced.monitoring = monitoring;
       }
       
       connections.push(enhanced);
@@ -846,7 +1821,7 @@ app.get('/api/connections/detailed', (req, res) => {
       totalConnections: connections.length
     });
   } catch (error) {
-    console.error('Error getting detailed connections:', error);
+    logger.error('Error getting detailed connections', { error });
     res.status(500).json({ error: 'Failed to get connections' });
   }
 });
@@ -855,10 +1830,7 @@ app.get('/api/connections/detailed', (req, res) => {
 app.post('/webhook/*', (req, res) => {
   const timestamp = new Date().toISOString();
   
-  console.log(`\n=== Unknown Webhook Path: ${req.path} (${timestamp}) ===`);
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body:', JSON.stringify(req.body, null, 2));
-  console.log('=== End Unknown Webhook ===\n');
+  logger.warn('Unknown webhook path', { route: req.path, type: req.body?.type });
   
   res.status(200).json({ 
     received: true, 
@@ -870,7 +1842,7 @@ app.post('/webhook/*', (req, res) => {
 
 // Error handling
 app.use((error, req, res, next) => {
-  console.error('Error:', error);
+  logger.error('Unhandled error', { route: req.path, error });
   res.status(500).json({ 
     error: 'Internal server error',
     timestamp: new Date().toISOString()
@@ -887,20 +1859,58 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`\n🚀 Fasten Webhook Service running on port ${PORT}`);
-  console.log(`📡 Webhook endpoint: /webhook/fasten`);
-  console.log(`🔍 Health check: /health`);
-  console.log(`🧪 Test endpoint: /webhook/test`);
-  console.log(`⏰ Started at: ${new Date().toISOString()}\n`);
+  logger.info('🚀 Fasten Webhook Service running', {
+    port: PORT,
+    webhookEndpoint: '/webhook/fasten',
+    healthCheck: '/health',
+    testEndpoint: '/webhook/test',
+    storageDriver: storage.driver,
+    storageDir: storage.dir,
+    logLevel: logger.level
+  });
+  const verificationStats = webhookVerifier.getStats();
+  if (verificationStats.secretsConfigured > 0) {
+    logger.info('🔐 Webhook signatures enabled', {
+      secrets: verificationStats.secretsConfigured,
+      toleranceSeconds: verificationStats.toleranceSeconds
+    });
+  } else if (verificationStats.requireSignature) {
+    logger.error('❌ WEBHOOK_REQUIRE_SIGNATURE is set but no webhook secret is configured; all deliveries will be rejected');
+  } else {
+    logger.warn('⚠️ No webhook secret configured; signatures will NOT be verified');
+  }
+
+  idempotency.start();
+  inbox.start();
+  exportScheduler.start();
+  linkSweeper.start();
+  orphanedEvents.start();
+  if (FASTEN_CONFIGURED) {
+    connectionReconciler.start();
+  } else {
+    logger.warn('⚠️ Fasten API credentials not configured; connection reconciliation disabled');
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
+  inbox.stop();
+  idempotency.stop();
+  exportScheduler.stop();
+  linkSweeper.stop();
+  orphanedEvents.stop();
+  connectionReconciler.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
+  inbox.stop();
+  idempotency.stop();
+  exportScheduler.stop();
+  linkSweeper.stop();
+  orphanedEvents.stop();
+  connectionReconciler.stop();
   process.exit(0);
 });
@@ -0,0 +1,197 @@
+// Storage Module
+// Pluggable persistence for connection, export, event and ingestion state
+//
+// STORAGE_DRIVER=memory (default) keeps everything in process memory, as before.
+// STORAGE_DRIVER=file keeps an append-only NDJSON log per collection under STORAGE_DIR
+// and replays it on startup, so state survives Render restarts and deploys.
+//
+// Collections expose the Map API (get/set/has/delete/clear/keys/values/entries/size).
+// Values must be JSON-serialisable, and objects that are mutated in place must be
+// written back with set() for the change to be persisted.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'memory').trim().toLowerCase();
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), 'data'));
+
+// Rewrite a collection's log once it holds this many superseded operations
+const COMPACT_THRESHOLD = 1000;
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.data = new Map();
+  }
+
+  get(key) {
+    return this.data.get(key);
+  }
+
+  has(key) {
+    return this.data.has(key);
+  }
+
+  set(key, value) {
+    this.data.set(key, value);
+    return this;
+  }
+
+  delete(key) {
+    return this.data.delete(key);
+  }
+
+  clear() {
+    this.data.clear();
+  }
+
+  keys() {
+    return this.data.keys();
+  }
+
+  values() {
+    return this.data.values();
+  }
+
+  entries() {
+    return this.data.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.data.entries();
+  }
+
+  get size() {
+    return this.data.size;
+  }
+}
+
+class FileCollection extends MemoryCollection {
+  constructor(name, dir) {
+    super(name);
+    this.filePath = path.join(dir, `${name}.ndjson`);
+    this.opCount = 0;
+    this.load();
+  }
+
+  // Replay the operation log into memory
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a truncated final line; skip it
+        logger.warn('⚠️ Skipping unreadable storage entry', { file: this.filePath, line: index + 1 });
+        return;
+      }
+
+      this.opCount++;
+      switch (entry.op) {
+        case 'set':
+          this.data.set(entry.key, entry.value);
+          break;
+        case 'delete':
+          this.data.delete(entry.key);
+          break;
+        case 'clear':
+          this.data.clear();
+          break;
+      }
+    });
+
+    logger.info('💾 Loaded storage collection', { collection: this.name, entries: this.data.size, file: this.filePath });
+    this.compactIfNeeded();
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    this.opCount++;
+    this.compactIfNeeded();
+  }
+
+  compactIfNeeded() {
+    if (this.opCount - this.data.size > COMPACT_THRESHOLD) {
+      this.compact();
+    }
+  }
+
+  // Rewrite the log with a single set operation per live key
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [];
+    for (const [key, value] of this.data.entries()) {
+      lines.push(JSON.stringify({ op: 'set', key, value }));
+    }
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, this.filePath);
+    this.opCount = this.data.size;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.append({ op: 'set', key, value });
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.append({ op: 'delete', key });
+    }
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    fs.writeFileSync(this.filePath, '');
+    this.opCount = 0;
+  }
+}
+
+/**
+ * Create a storage instance for the given driver
+ */
+function createStorage({ driver = STORAGE_DRIVER, dir = STORAGE_DIR } = {}) {
+  if (driver !== 'memory' && driver !== 'file') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "memory" or "file".`);
+  }
+
+  if (driver === 'file') {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const collections = new Map();
+
+  return {
+    driver,
+    dir: driver === 'file' ? dir : null,
+
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, driver === 'file' ? new FileCollection(name, dir) : new MemoryCollection(name));
+      }
+      return collections.get(name);
+    }
+  };
+}
+
+// Shared instance used by the service modules
+const storage = createStorage();
+
+module.exports = {
+  storage,
+  createStorage,
+  MemoryCollection,
+  FileCollection,
+  STORAGE_DRIVER,
+  STORAGE_DIR
+};
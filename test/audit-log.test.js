@@ -0,0 +1,125 @@
+// Audit log hash chain: verification, tamper detection, reload from the log file, and paging from it
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { PassThrough } = require('node:stream');
+const { AuditLog, GENESIS_HASH } = require('../audit-log');
+
+function recordReads(log, count) {
+  for (let i = 1; i <= count; i++) {
+    log.record({
+      action: 'fhir.read',
+      actor: { type: 'user', id: `auth0|user-${i}` },
+      externalId: `auth0|user-${i}`,
+      orgConnectionId: `conn-${i}`,
+      recordCount: i,
+      statusCode: 200
+    });
+  }
+}
+
+// A log in its own temporary directory
+function tempLog(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new AuditLog(path.join(dir, 'audit-log.ndjson'));
+}
+
+const readFile = log => fs.readFileSync(log.filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+const writeFile = (log, entries) => fs.writeFileSync(log.filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+
+test('entries are chained from the genesis hash', (t) => {
+  const log = tempLog(t);
+  recordReads(log, 3);
+  const entries = readFile(log);
+
+  assert.equal(entries[0].prevHash, GENESIS_HASH);
+  assert.equal(entries[1].prevHash, entries[0].hash);
+  assert.deepEqual(entries.map(entry => entry.seq), [1, 2, 3]);
+  assert.deepEqual(log.verify(), { valid: true, entries: 3, lastHash: entries[2].hash });
+});
+
+test('an edited entry breaks the chain at that entry', (t) => {
+  const log = tempLog(t);
+  recordReads(log, 3);
+  const entries = readFile(log);
+  entries[1] = { ...entries[1], recordCount: 0 };
+  writeFile(log, entries);
+
+  assert.deepEqual(log.verify(), { valid: false, entries: 3, brokenAt: 2, reason: 'entry hash mismatch' });
+});
+
+test('a deleted entry is reported as a sequence gap', (t) => {
+  const log = tempLog(t);
+  recordReads(log, 3);
+  const entries = readFile(log);
+  entries.splice(1, 1);
+  writeFile(log, entries);
+
+  assert.deepEqual(log.verify(), { valid: false, entries: 2, brokenAt: 2, reason: 'sequence gap' });
+});
+
+test('a rewritten entry with a recomputed hash still breaks the next link', (t) => {
+  const log = tempLog(t);
+  recordReads(log, 3);
+  const entries = readFile(log);
+
+  const { hash, ...content } = { ...entries[1], actor: { type: 'user', id: 'someone-else' } };
+  content.hash = crypto.createHash('sha256').update(`${content.prevHash}|${JSON.stringify(content)}`).digest('hex');
+  entries[1] = content;
+  writeFile(log, entries);
+
+  assert.deepEqual(log.verify(), { valid: false, entries: 3, brokenAt: 3, reason: 'previous hash mismatch' });
+});
+
+test('the chain continues across a reload of the log file', (t) => {
+  const log = tempLog(t);
+  recordReads(log, 2);
+  const reloaded = new AuditLog(log.filePath);
+  recordReads(reloaded, 1);
+
+  assert.deepEqual(readFile(reloaded).map(entry => entry.seq), [1, 2, 3]);
+  assert.equal(reloaded.verify().valid, true);
+});
+
+test('without a path there is no log to write to', () => {
+  assert.throws(() => new AuditLog(null), /needs a file/);
+});
+
+test('query filters and keeps the newest entries within the limit', (t) => {
+  const log = tempLog(t);
+  recordReads(log, 5);
+
+  assert.deepEqual(log.query({ orgConnectionId: 'conn-2' }).map(entry => entry.seq), [2]);
+  assert.deepEqual(log.query({ limit: 2 }).map(entry => entry.seq), [4, 5]);
+});
+
+test('pages walk back from the newest entries with the before cursor', (t) => {
+  const log = tempLog(t);
+  recordReads(log, 5);
+
+  const first = log.page({ limit: 2 });
+  assert.deepEqual(first.entries.map(entry => entry.seq), [4, 5]);
+  const second = log.page({ limit: 2, before: first.nextBefore });
+  assert.deepEqual(second.entries.map(entry => entry.seq), [2, 3]);
+  const last = log.page({ limit: 2, before: second.nextBefore });
+  assert.deepEqual(last, { entries: [log.query({ limit: 1, before: 2 })[0]], nextBefore: null });
+});
+
+test('exports stream every matching entry from the file', async (t) => {
+  const log = tempLog(t);
+  recordReads(log, 5);
+  const stream = new PassThrough({ highWaterMark: 16 });
+  let output = '';
+  stream.on('data', chunk => { output += chunk; });
+
+  assert.equal(await log.exportNdjson({ action: 'fhir.read' }, stream), 5);
+  assert.deepEqual(output.trim().split('\n').map(line => JSON.parse(line).seq), [1, 2, 3, 4, 5]);
+});
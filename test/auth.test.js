@@ -0,0 +1,102 @@
+// JWT verification against a local JWKS file, and the startup check on issuer/audience
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-')), 'jwks.json');
+fs.writeFileSync(jwksPath, JSON.stringify({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }]
+}));
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.AUTH0_JWKS_URI = jwksPath;
+process.env.AUTH0_ISSUER = 'https://atlas.test/';
+process.env.AUTH0_AUDIENCE = 'https://api.atlas.test';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyJwt } = require('../auth');
+
+test.after(() => fs.rmSync(path.dirname(jwksPath), { recursive: true, force: true }));
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function sign(claims, { kid = 'test-key', key = privateKey } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+  return `${body}.${crypto.sign('RSA-SHA256', Buffer.from(body), key).toString('base64url')}`;
+}
+
+function validClaims(overrides = {}) {
+  return {
+    sub: 'auth0|user-1',
+    iss: 'https://atlas.test/',
+    aud: ['https://api.atlas.test', 'https://atlas.test/userinfo'],
+    exp: now() + 600,
+    ...overrides
+  };
+}
+
+async function rejects(token, message) {
+  await assert.rejects(verifyJwt(token), error => error.name === 'AuthError' && error.status === 401 && error.message === message);
+}
+
+test('accepts a signed token for the configured issuer and audience', async () => {
+  const claims = await verifyJwt(sign(validClaims()));
+  assert.equal(claims.sub, 'auth0|user-1');
+});
+
+test('requires an exp claim', async () => {
+  await rejects(sign(validClaims({ exp: undefined })), 'Token has no expiry');
+  await rejects(sign(validClaims({ exp: String(now() + 600) })), 'Token has no expiry');
+});
+
+test('rejects expired tokens, allowing for clock skew', async () => {
+  await rejects(sign(validClaims({ exp: now() - 120 })), 'Token expired');
+  await verifyJwt(sign(validClaims({ exp: now() - 10 })));
+});
+
+test('honours nbf, allowing for clock skew', async () => {
+  await rejects(sign(validClaims({ nbf: now() + 300 })), 'Token not yet valid');
+  await verifyJwt(sign(validClaims({ nbf: now() + 10 })));
+});
+
+test('rejects other issuers and audiences', async () => {
+  await rejects(sign(validClaims({ iss: 'https://evil.test/' })), 'Token issuer not accepted');
+  await rejects(sign(validClaims({ iss: undefined })), 'Token issuer not accepted');
+  await rejects(sign(validClaims({ aud: 'https://other-api.test' })), 'Token audience not accepted');
+  await rejects(sign(validClaims({ aud: undefined })), 'Token audience not accepted');
+});
+
+test('rejects bad signatures, unknown keys and other algorithms', async () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await rejects(sign(validClaims(), { key: otherKey }), 'Invalid token signature');
+  await rejects(sign(validClaims(), { kid: 'other-key' }), 'Token signed with unknown key');
+
+  const [, payload, signature] = sign(validClaims()).split('.');
+  const header = Buffer.from(JSON.stringify({ alg: 'none', kid: 'test-key' })).toString('base64url');
+  await rejects(`${header}.${payload}.${signature}`, 'Unsupported token algorithm none');
+});
+
+test('refuses to load with a JWKS but no audience or issuer', () => {
+  const load = env => spawnSync(process.execPath, ['-e', "require('./auth')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, AUTH0_DOMAIN: '', AUTH0_ISSUER: '', AUTH0_AUDIENCE: '', ...env },
+    encoding: 'utf8'
+  });
+
+  const noAudience = load({ AUTH0_DOMAIN: 'atlas.test' });
+  assert.notEqual(noAudience.status, 0);
+  assert.match(noAudience.stderr, /JWT auth requires/);
+
+  const noIssuer = load({ AUTH0_JWKS_URI: jwksPath, AUTH0_AUDIENCE: 'https://api.atlas.test' });
+  assert.notEqual(noIssuer.status, 0);
+
+  assert.equal(load({ AUTH0_DOMAIN: 'atlas.test', AUTH0_AUDIENCE: 'https://api.atlas.test' }).status, 0);
+  assert.equal(load({ AUTH0_JWKS_URI: '' }).status, 0, 'JWT auth disabled');
+});
@@ -0,0 +1,89 @@
+// Connection reconciliation against the Fasten stub server: connections missing locally,
+// revoked upstream, and an upstream error that leaves local state alone
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.OUTBOUND_MAX_RETRIES = '0';
+process.env.FASTEN_PUBLIC_KEY = 'public_test';
+process.env.FASTEN_PRIVATE_KEY = 'private_test';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+let stub;
+let server;
+let upstreamDown = false;
+let ConnectionReconciler;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    if (upstreamDown) return res.writeHead(503).end('{"success":false,"error":"unavailable"}');
+    stub.app(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // The Fasten client reads its base URL when loaded
+  process.env.FASTEN_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  const { createFastenStub } = require('../fasten-stub-server');
+  ({ ConnectionReconciler } = require('../connection-reconciler'));
+  // One connection per page, so listing follows the cursor
+  stub = createFastenStub({ exportDelayMs: -1, pageSize: 1, connections: [] });
+});
+
+test.after(() => server.close());
+test.beforeEach(() => {
+  stub.state.connections.clear();
+  upstreamDown = false;
+});
+
+function reconciler(connections) {
+  const calls = { linked: [], revoked: [] };
+  const instance = new ConnectionReconciler(connections, {
+    addUserConnection: (externalId, orgConnectionId) => calls.linked.push([externalId, orgConnectionId]),
+    revokeConnection: (orgConnectionId, status) => calls.revoked.push([orgConnectionId, status])
+  });
+  return { instance, calls };
+}
+
+test('a connection known to Fasten but missing locally is stored and linked to its user', async () => {
+  stub.addConnection({ org_connection_id: 'conn-known', external_id: 'auth0|user-1', brand_id: 'brand-1' });
+  stub.addConnection({ org_connection_id: 'conn-missing', external_id: 'auth0|user-2', platform_type: 'cerner', brand_id: 'brand-2' });
+  const connections = new Map([['conn-known', { externalId: 'auth0|user-1', brandId: 'brand-1', connectionStatus: 'authorized', platformType: 'epic' }]]);
+  const { instance, calls } = reconciler(connections);
+
+  const report = await instance.run('manual');
+  assert.equal(report.error, null);
+  assert.equal(report.remoteCount, 2);
+  assert.deepEqual(report.added, ['conn-missing']);
+  assert.equal(report.unchanged, 1);
+  assert.equal(connections.get('conn-missing').externalId, 'auth0|user-2');
+  assert.equal(connections.get('conn-missing').platformType, 'cerner');
+  assert.deepEqual(calls.linked, [['auth0|user-2', 'conn-missing']]);
+});
+
+test('a connection revoked upstream is revoked locally', async () => {
+  stub.addConnection({ org_connection_id: 'conn-revoked', external_id: 'auth0|user-1', status: 'revoked' });
+  stub.addConnection({ org_connection_id: 'conn-never-seen', external_id: 'auth0|user-2', status: 'revoked' });
+  const connections = new Map([['conn-revoked', { externalId: 'auth0|user-1', connectionStatus: 'authorized' }]]);
+  const { instance, calls } = reconciler(connections);
+
+  const report = await instance.run('manual');
+  assert.deepEqual(report.revoked, ['conn-revoked']);
+  assert.deepEqual(calls.revoked, [['conn-revoked', 'revoked']]);
+  assert.equal(connections.has('conn-never-seen'), false, 'nothing to rebuild for a connection revoked before we saw it');
+});
+
+test('an upstream error leaves local state untouched', async () => {
+  stub.addConnection({ org_connection_id: 'conn-missing', external_id: 'auth0|user-2' });
+  const local = { externalId: 'auth0|user-1', connectionStatus: 'authorized' };
+  const connections = new Map([['conn-local', local]]);
+  const { instance, calls } = reconciler(connections);
+  upstreamDown = true;
+
+  const report = await instance.run('manual');
+  assert.match(report.error, /503/);
+  assert.deepEqual(report.missingAtFasten, [], 'a failed listing says nothing about what Fasten knows');
+  assert.deepEqual(Array.from(connections.entries()), [['conn-local', local]]);
+  assert.deepEqual(calls, { linked: [], revoked: [] });
+  assert.equal(instance.getStats().lastRun.error, report.error);
+});
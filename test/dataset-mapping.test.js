@@ -0,0 +1,153 @@
+// Dataset mapping: the expression parser and evaluator, mapping validation, and issues reported per column
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DatasetMapping, MappingError, datasetMapping, parseExpression, evaluate } = require('../dataset-mapping');
+
+const OBSERVATION = {
+  resourceType: 'Observation',
+  id: 'o1',
+  status: 'final',
+  code: {
+    text: 'Heart rate',
+    extension: [{ url: 'https://example.test/source', valueString: 'device' }],
+    coding: [
+      { system: 'http://snomed.info/sct', code: '364075005', display: 'Heart rate' },
+      { system: 'http://loinc.org', code: '8867-4', display: 'Heart rate' }
+    ]
+  },
+  valueQuantity: { value: 72, unit: 'beats/minute' },
+  effectiveDateTime: '2024-05-01T10:00:00Z'
+};
+
+const values = (expression, resource = OBSERVATION) => evaluate(parseExpression(expression), resource).values;
+
+function mapping(resourceTypes) {
+  return new DatasetMapping({ version: 1, resourceTypes }, 'test mapping');
+}
+
+test('element paths flatten arrays and index with [n]', () => {
+  assert.deepEqual(values('code.coding.code'), ['364075005', '8867-4']);
+  assert.deepEqual(values('code.coding[1].code'), ['8867-4']);
+  assert.deepEqual(values('code.coding[5].code'), []);
+});
+
+test('functions filter and reduce the collection', () => {
+  assert.deepEqual(values("code.coding.where(system = 'http://loinc.org').code"), ['8867-4']);
+  assert.deepEqual(values('code.coding.last().system'), ['http://loinc.org']);
+  assert.deepEqual(values('code.coding.count()'), [2]);
+  assert.deepEqual(values('category.exists()'), [false]);
+  assert.deepEqual(values("code.coding.code.join(',')"), ['364075005,8867-4']);
+  assert.deepEqual(values("code.extension('https://example.test/source').valueString"), ['device']);
+});
+
+test('the first branch of a | b with a value wins', () => {
+  assert.deepEqual(values('effectivePeriod.start | effectiveDateTime | issued'), ['2024-05-01T10:00:00Z']);
+  assert.deepEqual(values("code.coding.where(system = 'a|b').code | code.text"), ['Heart rate'], 'a quoted | is not a branch');
+});
+
+test('malformed expressions are refused with a reason', () => {
+  assert.throws(() => parseExpression(''), /non-empty string/);
+  assert.throws(() => parseExpression('code.coding.select(code)'), /not an element name or a supported function/);
+  assert.throws(() => parseExpression('first()'), /needs an element before it/);
+  assert.throws(() => parseExpression('code.coding.first(1)'), /takes no arguments/);
+  assert.throws(() => parseExpression("code.coding.where(system 'x')"), /where\(path = literal\)/);
+  assert.throws(() => parseExpression('code.coding.where(system = loinc)'), /is not a literal/);
+  assert.throws(() => parseExpression("code.coding.join(1)"), /takes a quoted string/);
+  assert.throws(() => parseExpression("code.coding.where(system = 'x'"), /unbalanced parentheses/);
+  assert.throws(() => parseExpression('status | '), /empty "\|" segment/);
+});
+
+test('an invalid mapping lists every problem', () => {
+  assert.throws(() => new DatasetMapping({ version: 0, resourceTypes: {
+    Obsrvation: [],
+    Observation: [
+      { column: 'Bad-Name', expression: 'status', type: 'string' },
+      { column: 'patient_id', expression: 'subject.reference', type: 'string' },
+      { column: 'value', expression: 'valueQuantity.value', type: 'number' },
+      { column: 'flag', expression: 'status', type: 'boolean', default: 'no' },
+      { column: 'status', expression: 'status', type: 'string' },
+      { column: 'status', expression: 'code.text', type: 'string' }
+    ],
+    Condition: [{ column: 'status', expression: 'clinicalStatus', type: 'json' }]
+  } }), error => {
+    assert.ok(error instanceof MappingError);
+    assert.deepEqual(error.problems, [
+      'version must be a positive integer or a non-empty string',
+      'Obsrvation: not a FHIR R4 resource type',
+      'Observation[0] (Bad-Name): column must be snake_case (a-z, 0-9, _)',
+      'Observation[1] (patient_id): column "patient_id" is filled by the dataset writer',
+      'Observation[2] (value): type must be one of string, integer, decimal, boolean, date, dateTime, quantity, json',
+      'Observation[3] (flag): default does not match type boolean',
+      'Observation[5] (status): column "status" is mapped twice',
+      'column "status" is string for Observation but json for Condition'
+    ]);
+    return true;
+  });
+});
+
+test('a type\'s own entry replaces the "*" entry, and every row carries every column', () => {
+  const columns = mapping({
+    '*': [{ column: 'status', expression: 'status', type: 'string' }],
+    Condition: [{ column: 'status', expression: 'clinicalStatus.coding.code', type: 'string' }],
+    Observation: [{ column: 'value_numeric', expression: 'valueQuantity.value', type: 'decimal' }]
+  });
+
+  assert.deepEqual(columns.apply(OBSERVATION).values, { status: 'final', value_numeric: 72 });
+  const condition = { resourceType: 'Condition', status: 'ignored', clinicalStatus: { coding: [{ code: 'active' }] } };
+  assert.deepEqual(columns.apply(condition).values, { status: 'active', value_numeric: null });
+});
+
+test('issues are reported per column and the default is used instead', () => {
+  const columns = mapping({
+    Observation: [
+      { column: 'status_system', expression: 'status.system', type: 'string', default: 'none' },
+      { column: 'heart_rate', expression: 'valueQuantity', type: 'integer', default: -1 },
+      { column: 'performer_ref', expression: 'performer.reference', type: 'string', required: true },
+      { column: 'reading', expression: 'valueQuantity', type: 'quantity' },
+      { column: 'effective', expression: 'effectiveDateTime', type: 'date' }
+    ]
+  });
+
+  const { values: row, issues, resolved } = columns.apply(OBSERVATION);
+  assert.deepEqual(row, { status_system: 'none', heart_rate: -1, performer_ref: null, reading: '72 beats/minute', effective: null });
+  assert.deepEqual(issues, [
+    { column: 'status_system', kind: 'invalid_path', detail: 'system looked up on a primitive value' },
+    { column: 'heart_rate', kind: 'type_mismatch', detail: 'expected integer, got object' },
+    { column: 'performer_ref', kind: 'missing_required', detail: 'performer.reference has no value' },
+    { column: 'effective', kind: 'type_mismatch', detail: 'expected date, got string of length 20' }
+  ]);
+  assert.deepEqual(resolved, ['heart_rate', 'reading', 'effective']);
+});
+
+test('a preview flags columns that never resolve for the sampled types', () => {
+  const columns = mapping({
+    Observation: [
+      { column: 'loinc', expression: "code.coding.where(system = 'http://loinc.org').code", type: 'string' },
+      { column: 'body_site', expression: 'bodySite.txt', type: 'string' }
+    ]
+  });
+
+  const preview = columns.preview([{ fhir_resource: OBSERVATION }, { fhir_resource: { ...OBSERVATION, id: 'o2' } }]);
+  assert.equal(preview.sampled, 2);
+  assert.deepEqual(preview.rows.map(row => row.values.loinc), ['8867-4', '8867-4']);
+  assert.equal(preview.report.loinc.neverResolved, false);
+  assert.equal(preview.report.body_site.applied, 2);
+  assert.equal(preview.report.body_site.neverResolved, true);
+});
+
+test('recorded issue counts add up per resource type, column and kind', () => {
+  const columns = mapping({ Observation: [{ column: 'loinc', expression: 'code.coding.code', type: 'string' }] });
+  columns.recordIssues([{ resourceType: 'Observation', column: 'loinc', kind: 'type_mismatch', count: 2 }]);
+  columns.recordIssues([{ resourceType: 'Observation', column: 'loinc', kind: 'type_mismatch', count: 3 }]);
+
+  assert.deepEqual(columns.getStats().issues, [{ resourceType: 'Observation', column: 'loinc', kind: 'type_mismatch', count: 5 }]);
+});
+
+test('the bundled mapping file is valid', () => {
+  assert.ok(datasetMapping.columns.length > 0);
+  assert.equal(datasetMapping.apply(OBSERVATION).values.value_quantity, '72 beats/minute');
+});
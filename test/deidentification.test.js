@@ -0,0 +1,226 @@
+// De-identification of Foundry batches: Safe Harbor transforms, pseudonyms and reports
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.OUTBOUND_MAX_RETRIES = '0';
+process.env.DEIDENTIFY_SINKS = 'dataset';
+process.env.DEIDENTIFY_HMAC_KEY = 'test-key-0123456789abcdef0123456789abcdef';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Deidentifier, shiftDate } = require('../deidentification');
+
+const KEY = process.env.DEIDENTIFY_HMAC_KEY;
+const PATIENT_UUID = '6f1c3b2a-9d4e-4f7a-8b1c-2d3e4f5a6b7c';
+
+function patient(overrides = {}) {
+  return {
+    resourceType: 'Patient',
+    id: 'p1',
+    meta: { lastUpdated: '2024-03-01T10:00:00Z' },
+    text: { status: 'generated', div: '<div>Jane Doe</div>' },
+    identifier: [{ system: 'urn:mrn', value: 'MRN123' }],
+    name: [{ family: 'Doe', given: ['Jane'] }],
+    telecom: [{ system: 'phone', value: '555-0100' }],
+    birthDate: '1980-05-04',
+    address: [{ line: ['1 Main St'], city: 'Boston', state: 'MA', postalCode: '02134', country: 'US' }],
+    contact: [{ name: { family: 'Doe' } }],
+    extension: [
+      { url: 'http://hl7.org/fhir/StructureDefinition/patient-mothersMaidenName', valueString: 'Smith' },
+      { url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-birthsex', valueCode: 'F' }
+    ],
+    ...overrides
+  };
+}
+
+const wrap = (resource, externalId = 'auth0|user-1', orgConnectionId = 'conn-1') => ({
+  auth0_user_id: externalId,
+  org_connection_id: orgConnectionId,
+  fhir_resource: resource,
+  resource_type: resource.resourceType,
+  resource_id: resource.id,
+  source: 'fasten-connect'
+});
+
+const deidentifier = () => new Deidentifier({ sinks: ['dataset'], hmacKey: KEY });
+
+test('identified sinks get the batch unchanged', () => {
+  const records = [wrap(patient())];
+  const batch = deidentifier().deidentifyBatch('backend_service', records, 'auth0|user-1', 'conn-1');
+  assert.equal(batch.records, records);
+  assert.equal(batch.externalId, 'auth0|user-1');
+  assert.equal(batch.report, null);
+});
+
+test('direct identifiers are removed and addresses generalized', () => {
+  const source = patient({
+    address: [
+      { line: ['1 Main St'], city: 'Boston', state: 'MA', postalCode: '02134-1234', country: 'US' },
+      { state: 'NH', postalCode: '03601' },
+      { country: 'CA', postalCode: 'K1A 0B1' }
+    ]
+  });
+  const { records: [record] } = deidentifier().deidentifyBatch('dataset', [wrap(source)], 'auth0|user-1', 'conn-1');
+  const resource = record.fhir_resource;
+
+  for (const element of ['name', 'telecom', 'identifier', 'contact', 'text']) {
+    assert.equal(resource[element], undefined, element);
+  }
+  assert.deepEqual(resource.extension.map(extension => extension.valueCode), ['F']);
+  assert.deepEqual(resource.address, [
+    { state: 'MA', country: 'US', postalCode: '021' },
+    { state: 'NH', postalCode: '000' },
+    { country: 'CA' }
+  ]);
+  assert.equal(source.name[0].family, 'Doe', 'the source resource is not modified');
+});
+
+test('pseudonyms are keyed and stable, and replace the user and connection ids', () => {
+  const first = deidentifier().deidentifyBatch('dataset', [wrap(patient())], 'auth0|user-1', 'conn-1');
+  const second = deidentifier().deidentifyBatch('dataset', [wrap(patient())], 'auth0|user-1', 'conn-1');
+  const otherKey = new Deidentifier({ sinks: ['dataset'], hmacKey: 'another-key' })
+    .deidentifyBatch('dataset', [wrap(patient())], 'auth0|user-1', 'conn-1');
+
+  const [record] = first.records;
+  assert.notEqual(first.externalId, 'auth0|user-1');
+  assert.equal(record.auth0_user_id, first.externalId);
+  assert.equal(record.org_connection_id, first.orgConnectionId);
+  assert.match(record.fhir_resource.id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  assert.equal(record.resource_id, record.fhir_resource.id);
+  assert.equal(second.records[0].fhir_resource.id, record.fhir_resource.id);
+  assert.equal(second.externalId, first.externalId);
+  assert.notEqual(otherKey.records[0].fhir_resource.id, record.fhir_resource.id);
+});
+
+test('relative, absolute, urn:uuid and contained Patient references are pseudonymized', () => {
+  const d = deidentifier();
+  const resources = [
+    patient({ id: PATIENT_UUID }),
+    { resourceType: 'Observation', id: 'o1', status: 'final', code: { text: 'x' }, subject: { reference: 'Patient/p1', display: 'Jane Doe' } },
+    { resourceType: 'Observation', id: 'o2', status: 'final', code: { text: 'x' }, subject: { reference: 'https://ehr.example.org/fhir/Patient/p1' } },
+    { resourceType: 'Condition', id: 'c1', subject: { reference: `urn:uuid:${PATIENT_UUID.toUpperCase()}` } },
+    { resourceType: 'Provenance', id: 'pr1', target: [{ reference: `urn:uuid:${PATIENT_UUID}` }], recorded: '2024-01-01T00:00:00Z', agent: [] },
+    {
+      resourceType: 'Condition',
+      id: 'c2',
+      contained: [{ resourceType: 'Patient', id: 'inline', identifier: [{ value: 'MRN77' }] }],
+      subject: { reference: '#inline' }
+    }
+  ];
+  const { records } = d.deidentifyBatch('dataset', resources.map(resource => wrap(resource)), 'auth0|user-1', 'conn-1');
+  const [pat, o1, o2, c1, provenance, c2] = records.map(record => record.fhir_resource);
+
+  const p1 = d.patientPseudonym('p1');
+  assert.equal(o1.subject.reference, `Patient/${p1}`);
+  assert.equal(o1.subject.display, undefined);
+  assert.equal(o2.subject.reference, `Patient/${p1}`);
+  assert.equal(c1.subject.reference, `urn:uuid:${pat.id}`);
+  assert.equal(provenance.target[0].reference, `urn:uuid:${pat.id}`, 'urn:uuid of a Patient in the batch');
+  assert.notEqual(c2.contained[0].id, 'inline');
+  assert.equal(c2.subject.reference, `#${c2.contained[0].id}`);
+  assert.equal(c2.contained[0].identifier, undefined);
+
+  const serialized = JSON.stringify(records);
+  for (const raw of ['Patient/p1', PATIENT_UUID, 'MRN77', 'inline', 'auth0|user-1', 'conn-1']) {
+    assert.ok(!serialized.toLowerCase().includes(raw.toLowerCase()), `${raw} leaked`);
+  }
+});
+
+test('dates shift by a stable per-user offset within the configured range', () => {
+  const d = new Deidentifier({ sinks: ['dataset'], hmacKey: KEY, maxDateShiftDays: 30 });
+  const days = d.dateShiftDays('auth0|user-1');
+  assert.equal(d.dateShiftDays('auth0|user-1'), days);
+  assert.ok(days !== 0 && Math.abs(days) <= 30);
+
+  const observation = {
+    resourceType: 'Observation',
+    id: 'o1',
+    status: 'final',
+    code: { text: 'x' },
+    effectiveDateTime: '2024-01-10T08:30:00-05:00',
+    issued: '2024-01-11T00:00:00Z',
+    effectivePeriod: { start: '2024-01', end: '2024' }
+  };
+  const [{ fhir_resource: shifted }] = d.deidentifyBatch('dataset', [wrap(observation)], 'auth0|user-1', 'conn-1').records;
+  assert.equal(shifted.effectiveDateTime, shiftDate('2024-01-10T08:30:00-05:00', days));
+  assert.match(shifted.effectiveDateTime, /T08:30:00-05:00$/);
+  assert.equal(shifted.effectivePeriod.end, '2024', 'a year alone is kept');
+  const gap = Date.parse(shifted.issued) - Date.parse(shifted.effectiveDateTime.slice(0, 10));
+  assert.equal(gap, Date.parse('2024-01-11') - Date.parse('2024-01-10'), 'intervals are kept');
+
+  assert.equal(shiftDate('2024-02-28', 2), '2024-03-01');
+  assert.equal(shiftDate('2024-01-31T23:59:59Z', -31), '2023-12-31T23:59:59Z');
+});
+
+test('birth dates over 89 are dropped and ages over 89 become >= 90', () => {
+  const resources = [
+    patient({ birthDate: '1920-01-01' }),
+    { resourceType: 'Condition', id: 'c1', subject: { reference: 'Patient/p1' }, onsetAge: { value: 93, unit: 'years', system: 'http://unitsofmeasure.org', code: 'a' } },
+    { resourceType: 'Condition', id: 'c2', subject: { reference: 'Patient/p1' }, onsetAge: { value: 40, code: 'a' } }
+  ];
+  const batch = deidentifier().deidentifyBatch('dataset', resources.map(resource => wrap(resource)), 'auth0|user-1', 'conn-1');
+  const [pat, old, young] = batch.records.map(record => record.fhir_resource);
+
+  assert.equal(pat.birthDate, undefined);
+  assert.deepEqual([old.onsetAge.value, old.onsetAge.comparator], [90, '>=']);
+  assert.equal(young.onsetAge.value, 40);
+  assert.equal(batch.report.removed.birth_dates_over_89, 1);
+  assert.equal(batch.report.removed.ages_over_89, 1);
+});
+
+test('each batch is reported with counts only', () => {
+  const d = deidentifier();
+  const { report } = d.deidentifyBatch('dataset', [wrap(patient())], 'auth0|user-1', 'conn-1');
+  assert.equal(report.sink, 'dataset');
+  assert.equal(report.records, 1);
+  assert.equal(report.removed.names, 1);
+  assert.equal(report.removed.identifiers, 1);
+  assert.equal(report.removed.patient_ids, 1);
+  assert.ok(!JSON.stringify(report).includes('Doe'));
+  assert.deepEqual(d.getReports(), [report]);
+  assert.equal(d.getStats().batches.dataset, 1);
+});
+
+test('configuration is checked', () => {
+  assert.throws(() => new Deidentifier({ sinks: ['nowhere'], hmacKey: KEY }), /Unknown DEIDENTIFY_SINKS/);
+  assert.throws(() => new Deidentifier({ sinks: ['dataset'], hmacKey: null }), /DEIDENTIFY_HMAC_KEY is required/);
+});
+
+test('de-identified dataset uploads carry no raw patient, user or connection ids', async () => {
+  const uploads = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      uploads.push(JSON.parse(body));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.BACKEND_PROXY_URL = `http://127.0.0.1:${server.address().port}`;
+  const { pushFastenFHIRToFoundry } = require('../foundry-auto-push');
+  const { deidentifier: configured } = require('../deidentification');
+
+  try {
+    const resources = [
+      { resourceType: 'Observation', id: 'o1', status: 'final', code: { text: 'x' }, subject: { reference: `urn:uuid:${PATIENT_UUID}` } },
+      { resourceType: 'Condition', id: 'c1', subject: { reference: 'Patient/p1' } }
+    ];
+    const result = await pushFastenFHIRToFoundry(resources.map(resource => wrap(resource)), 'auth0|user-1', 'conn-1');
+    assert.equal(result.success, true);
+    assert.equal(result.deidentification.sink, 'dataset');
+
+    const [upload] = uploads;
+    assert.equal(upload.metadata.deidentified, true);
+    assert.deepEqual(upload.records.map(row => row.patient_id),
+      [configured.patientPseudonym(PATIENT_UUID), configured.patientPseudonym('p1')]);
+    const serialized = JSON.stringify(upload);
+    for (const raw of [PATIENT_UUID, 'Patient/p1', 'auth0|user-1', 'conn-1']) {
+      assert.ok(!serialized.includes(raw), `${raw} leaked`);
+    }
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,54 @@
+// Download link expiry: when a refused download means the link expired, and the renewal budget
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LinkRenewalBudget, isRefusalExpiry, linkExpiresAt } = require('../download-links');
+
+const HOUR = 60 * 60 * 1000;
+
+test('a refusal only means expiry close to or past expiresAt', () => {
+  const now = Date.parse('2024-05-01T12:00:00Z');
+  const exportData = received => ({ downloadLink: 'https://fasten.example/download', expiresAt: linkExpiresAt(received, 24 * HOUR) });
+
+  assert.equal(isRefusalExpiry(exportData(now - HOUR), now, HOUR), false, 'just delivered');
+  assert.equal(isRefusalExpiry(exportData(now - 23.5 * HOUR), now, HOUR), true, 'within the refusal window');
+  assert.equal(isRefusalExpiry(exportData(now - 25 * HOUR), now, HOUR), true, 'past expiresAt');
+  assert.equal(isRefusalExpiry({ downloadLink: 'https://fasten.example/download' }, now, HOUR), false, 'no expiresAt');
+});
+
+test('renewals back off exponentially and stop at the limit', () => {
+  const budget = new LinkRenewalBudget(new Map(), { maxRenewals: 3, renewalBackoffMs: HOUR });
+  let now = Date.parse('2024-05-01T00:00:00Z');
+
+  assert.equal(budget.check('conn-1', now).allowed, true);
+  budget.record('conn-1', now);
+  assert.deepEqual(budget.check('conn-1', now + HOUR - 1),
+    { allowed: false, reason: 'backoff', attempts: 1, retryAt: new Date(now + HOUR).toISOString() });
+
+  now += HOUR;
+  assert.equal(budget.check('conn-1', now).allowed, true);
+  budget.record('conn-1', now);
+  assert.equal(budget.check('conn-1', now + HOUR).reason, 'backoff', 'the second backoff is doubled');
+
+  now += 2 * HOUR;
+  assert.equal(budget.check('conn-1', now).allowed, true);
+  budget.record('conn-1', now);
+  assert.deepEqual(budget.check('conn-1', now + 100 * HOUR), { allowed: false, reason: 'exhausted', attempts: 3, retryAt: null });
+
+  assert.equal(budget.markExhausted('conn-1', now), true);
+  assert.equal(budget.markExhausted('conn-1', now), false, 'the failure is surfaced once');
+  assert.deepEqual(budget.getStats(), { maxRenewals: 3, renewing: 0, exhausted: 1 });
+  assert.equal(budget.check('conn-2', now).allowed, true, 'budgets are per connection');
+});
+
+test('a processed export resets the budget', () => {
+  const budget = new LinkRenewalBudget(new Map(), { maxRenewals: 1, renewalBackoffMs: HOUR });
+  budget.record('conn-1');
+  assert.equal(budget.check('conn-1').reason, 'exhausted');
+  budget.reset('conn-1');
+  assert.equal(budget.check('conn-1').allowed, true);
+  assert.equal(budget.get('conn-1'), null);
+});
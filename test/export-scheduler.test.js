@@ -0,0 +1,56 @@
+// Export scheduler: which connections are re-exported on schedule, and which can still be exported manually
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExportScheduler, ExportHistory } = require('../export-scheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const longAgo = new Date(Date.now() - 2 * DAY).toISOString();
+
+function scheduler(connections) {
+  const requested = [];
+  const history = new ExportHistory(new Map());
+  const instance = new ExportScheduler(new Map(Object.entries(connections)), history, async (orgConnectionId, connection, trigger) => {
+    requested.push(orgConnectionId);
+    return history.record(orgConnectionId, { trigger, status: 'requested', externalId: connection.externalId });
+  }, { intervalMs: DAY, globalConcurrency: 10, perUserConcurrency: 10 });
+  return { instance, requested };
+}
+
+test('an errored connection is skipped by the scheduler but stays active for a manual export', async () => {
+  const { instance, requested } = scheduler({
+    healthy: { externalId: 'user-1', connectedAt: longAgo, exportStatus: 'success' },
+    errored: { externalId: 'user-2', connectedAt: longAgo, exportStatus: 'error', exportError: 'Export retry budget exhausted' }
+  });
+
+  await instance.tick();
+  assert.deepEqual(requested, ['healthy']);
+  assert.equal(instance.isActive({ exportStatus: 'error' }), true);
+  assert.equal(instance.isSchedulable({ exportStatus: 'error' }), false);
+});
+
+test('revoked connections are neither scheduled nor exportable', async () => {
+  const { instance, requested } = scheduler({
+    revoked: { externalId: 'user-1', connectedAt: longAgo, revokedAt: longAgo },
+    disconnected: { externalId: 'user-2', connectedAt: longAgo, connectionStatus: 'DISCONNECTED' }
+  });
+
+  await instance.tick();
+  assert.deepEqual(requested, []);
+  assert.equal(instance.isActive({ revokedAt: longAgo }), false);
+  assert.equal(instance.isActive({ connectionStatus: 'revoked' }), false);
+});
+
+test('once a manual export succeeds the connection is scheduled again', async () => {
+  const connection = { externalId: 'user-1', connectedAt: longAgo, exportStatus: 'error' };
+  const { instance, requested } = scheduler({ recovered: connection });
+
+  assert.equal(instance.getStats().due, 0);
+  connection.exportStatus = 'success';
+  assert.equal(instance.getStats().due, 1);
+  await instance.tick();
+  assert.deepEqual(requested, ['recovered']);
+});
@@ -0,0 +1,77 @@
+// Fasten API client against the Fasten stub server: export tasks, connections, errors, and fixture recording
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.OUTBOUND_MAX_RETRIES = '0';
+process.env.FASTEN_PUBLIC_KEY = 'public_test';
+process.env.FASTEN_PRIVATE_KEY = 'private_test';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+let stub;
+let server;
+let fastenApi;
+
+test.before(async () => {
+  server = http.createServer((req, res) => stub.app(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // The Fasten client reads its base URL when loaded
+  process.env.FASTEN_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  fastenApi = require('../fasten-api');
+  const { createFastenStub } = require('../fasten-stub-server');
+  stub = createFastenStub({ exportDelayMs: -1, connections: [{ org_connection_id: 'conn-1', external_id: 'auth0|user-1' }] });
+});
+
+test.after(() => server.close());
+
+test('an export request creates a task that reports its download link once done', async () => {
+  const requested = await fastenApi.requestEHIExport('conn-1');
+  const taskId = requested.data.task_id;
+  assert.equal((await fastenApi.getExportTask(taskId)).status, 'pending');
+
+  stub.completeTask(stub.state.tasks.get(taskId));
+  const task = await fastenApi.getExportTask(taskId);
+  assert.equal(task.status, 'success');
+  assert.equal(task.org_connection_id, 'conn-1');
+  assert.match(task.download_link, new RegExp(`/download/${taskId}$`));
+});
+
+test('connections are looked up, listed and revoked', async () => {
+  assert.equal((await fastenApi.getOrgConnection('conn-1')).external_id, 'auth0|user-1');
+  assert.equal(await fastenApi.getOrgConnection('conn-unknown'), null);
+  assert.deepEqual((await fastenApi.listOrgConnections()).map(connection => connection.org_connection_id), ['conn-1']);
+
+  stub.addConnection({ org_connection_id: 'conn-2' });
+  await fastenApi.revokeOrgConnection('conn-2');
+  assert.equal(stub.state.connections.get('conn-2').status, 'revoked');
+});
+
+test('refused requests throw a FastenApiError that is not retryable', async () => {
+  await assert.rejects(fastenApi.requestEHIExport('conn-2'), error => {
+    assert.ok(error instanceof fastenApi.FastenApiError);
+    assert.equal(error.status, 403);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
+
+test('fixtures are only recorded in development', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fasten-fixtures-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const load = nodeEnv => spawnSync(process.execPath, ['-e', "require('./fasten-api')"], {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf8',
+    env: { PATH: process.env.PATH, LOG_LEVEL: 'error', FASTEN_FIXTURE_MODE: 'record', FASTEN_FIXTURE_DIR: dir, NODE_ENV: nodeEnv }
+  });
+
+  const production = load('production');
+  assert.notEqual(production.status, 0);
+  assert.match(production.stderr, /only allowed with NODE_ENV=development/);
+  assert.equal(load('development').status, 0);
+});
@@ -0,0 +1,43 @@
+// Quarantine retention: the per-connection limit is enforced by trim(), not on every add
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FhirQuarantine } = require('../fhir-quarantine');
+
+function addLines(quarantine, orgConnectionId, count) {
+  for (let line = 1; line <= count; line++) {
+    quarantine.add({ orgConnectionId, externalId: 'user-1', exportId: 'export-1', line, reasons: ['line is not valid JSON'], raw: '{' });
+  }
+}
+
+test('add keeps every item until the connection is trimmed', () => {
+  const items = new Map();
+  const quarantine = new FhirQuarantine(items, { perConnectionLimit: 3 });
+  addLines(quarantine, 'conn-1', 5);
+  assert.equal(items.size, 5);
+
+  assert.equal(quarantine.trim('conn-1'), 2);
+  assert.deepEqual(quarantine.list({ orgConnectionId: 'conn-1' }).map(item => item.line), [3, 4, 5]);
+  assert.equal(quarantine.trim('conn-1'), 0);
+});
+
+test('trim only drops the given connection\'s items', () => {
+  const quarantine = new FhirQuarantine(new Map(), { perConnectionLimit: 1 });
+  addLines(quarantine, 'conn-1', 3);
+  addLines(quarantine, 'conn-2', 2);
+
+  quarantine.trim('conn-1');
+  assert.equal(quarantine.list({ orgConnectionId: 'conn-1' }).length, 1);
+  assert.equal(quarantine.list({ orgConnectionId: 'conn-2' }).length, 2);
+});
+
+test('unparseable lines are kept truncated and can\'t be released', () => {
+  const quarantine = new FhirQuarantine(new Map(), { rawLineLimit: 4 });
+  const item = quarantine.add({ orgConnectionId: 'conn-1', externalId: 'user-1', exportId: 'export-1', line: 7, reasons: ['line is not valid JSON'], raw: '{"resourceType"' });
+  assert.equal(item.raw, '{"re');
+  assert.equal(item.releasable, false);
+  assert.equal(quarantine.markReleased(item.id, 'admin').status, 'released');
+});
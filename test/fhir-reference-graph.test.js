@@ -0,0 +1,110 @@
+// Reference graph: per-connection reports and inlining, and removal of deleted resources
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FhirReferenceGraph, parseReference } = require('../fhir-reference-graph');
+
+const PATIENT_UUID = '3f2b8c1e-5a4d-4e6f-9b0a-1c2d3e4f5a6b';
+
+function record(orgConnectionId, resource, externalId = 'user-1') {
+  return { org_connection_id: orgConnectionId, auth0_user_id: externalId, fhir_resource: resource };
+}
+
+function connectionRecords(orgConnectionId, externalId) {
+  return [
+    record(orgConnectionId, { resourceType: 'Patient', id: 'p1' }, externalId),
+    record(orgConnectionId, { resourceType: 'Patient', id: PATIENT_UUID }, externalId),
+    record(orgConnectionId, {
+      resourceType: 'Observation',
+      id: 'o1',
+      subject: { reference: 'Patient/p1' },
+      performer: [{ reference: `urn:uuid:${PATIENT_UUID.toUpperCase()}` }],
+      encounter: { reference: 'Encounter/e1' },
+      specimen: { reference: '#s1' },
+      basedOn: [{ reference: 'urn:oid:1.2.3' }],
+      contained: [{ resourceType: 'Specimen', id: 's1' }]
+    }, externalId)
+  ];
+}
+
+test('parses each reference form', () => {
+  assert.deepEqual(parseReference('Patient/p1/_history/2'), { kind: 'relative', resourceType: 'Patient', id: 'p1' });
+  assert.deepEqual(parseReference('https://fhir.example.org/r4/Encounter/e1'), { kind: 'absolute', resourceType: 'Encounter', id: 'e1' });
+  assert.equal(parseReference(`urn:uuid:${PATIENT_UUID.toUpperCase()}`).id, PATIENT_UUID);
+  assert.equal(parseReference('#med1').kind, 'contained');
+  assert.equal(parseReference('Patient?identifier=123').kind, 'unresolvable');
+});
+
+test('a report covers only its own connection', () => {
+  const graph = new FhirReferenceGraph(new Map());
+  graph.index(connectionRecords('conn-1', 'user-1'));
+  graph.index(connectionRecords('conn-2', 'user-2'));
+
+  const report = graph.report('conn-1');
+  assert.equal(report.resources, 3);
+  assert.equal(report.references, 5);
+  assert.equal(report.resolved, 3);
+  assert.equal(report.dangling, 1);
+  assert.equal(report.unresolvable, 1);
+  assert.deepEqual(report.danglingReferences, [{ source: 'Observation/o1', path: 'Observation.encounter', reference: 'Encounter/e1' }]);
+  assert.deepEqual(graph.getStats(), { resources: 6, references: 10, connections: 2 });
+  assert.equal(graph.report('conn-unknown').resources, 0);
+});
+
+test('removing a resource drops its node and its references dangle', () => {
+  const graph = new FhirReferenceGraph(new Map());
+  graph.index(connectionRecords('conn-1', 'user-1'));
+
+  assert.equal(graph.remove('conn-1', 'Patient', 'p1'), true);
+  assert.equal(graph.remove('conn-1', 'Patient', 'p1'), false);
+  assert.equal(graph.getNode('conn-1', 'Patient', 'p1'), null);
+
+  const report = graph.report('conn-1');
+  assert.equal(report.resources, 2);
+  assert.equal(report.dangling, 2);
+
+  graph.remove('conn-1', 'Patient', PATIENT_UUID);
+  graph.remove('conn-1', 'Observation', 'o1');
+  assert.deepEqual(graph.getStats(), { resources: 0, references: 0, connections: 0 });
+});
+
+test('clearing a user removes only their nodes', () => {
+  const graph = new FhirReferenceGraph(new Map());
+  graph.index(connectionRecords('conn-1', 'user-1'));
+  graph.index(connectionRecords('conn-2', 'user-2'));
+
+  graph.clear('user-1');
+  assert.equal(graph.report('conn-1').resources, 0);
+  assert.equal(graph.report('conn-2').resources, 3);
+  assert.equal(graph.getStats().connections, 1);
+});
+
+test('the per-connection index is rebuilt from stored nodes', () => {
+  const nodes = new Map();
+  new FhirReferenceGraph(nodes).index(connectionRecords('conn-1', 'user-1'));
+
+  const reloaded = new FhirReferenceGraph(nodes);
+  assert.equal(reloaded.report('conn-1').resolved, 3);
+  assert.equal(reloaded.getStats().connections, 1);
+});
+
+test('inline resolves references within the connection', () => {
+  const graph = new FhirReferenceGraph(new Map());
+  const records = [...connectionRecords('conn-1', 'user-1'), ...connectionRecords('conn-2', 'user-2')];
+  graph.index(records);
+
+  const resources = new Map(records.map(r => [`${r.org_connection_id}|${r.fhir_resource.resourceType}/${r.fhir_resource.id}`, r.fhir_resource]));
+  const load = node => resources.get(`${node.org_connection_id}|${node.resource_type}/${node.resource_id}`);
+  const observation = resources.get('conn-1|Observation/o1');
+
+  const { resource, inlined, dangling } = graph.inline('conn-1', observation, 1, load);
+  assert.equal(resource.subject.resolved.id, 'p1');
+  assert.equal(resource.performer[0].resolved.id, PATIENT_UUID);
+  assert.equal(resource.specimen.resolved.id, 's1');
+  assert.equal(resource.encounter.resolved, null);
+  assert.equal(inlined, 3);
+  assert.equal(dangling, 1);
+});
@@ -0,0 +1,102 @@
+// Terminology: code system classification, preferred codings per resource type, and displays from the bundled value sets
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifySystem, classifyResource, lookupDisplay, primaryConcepts, getTerminologyInfo } = require('../fhir-terminology');
+
+test('systems are classified by URI, OID alias and SNOMED edition', () => {
+  assert.equal(classifySystem('http://loinc.org'), 'loinc');
+  assert.equal(classifySystem('HTTP://LOINC.ORG/'), 'loinc');
+  assert.equal(classifySystem('urn:oid:2.16.840.1.113883.6.96'), 'snomed');
+  assert.equal(classifySystem('http://snomed.info/sct/731000124108'), 'snomed');
+  assert.equal(classifySystem('http://www.nlm.nih.gov/research/umls/rxnorm'), 'rxnorm');
+  assert.equal(classifySystem('urn:oid:2.16.840.1.113883.6.90'), 'icd10cm');
+  assert.equal(classifySystem('urn:oid:1.2.840.114350.1.13.0.1.7.2.768282'), 'epic');
+  assert.equal(classifySystem('https://lab.example.test/codes'), 'local');
+  assert.equal(classifySystem(''), null);
+  assert.equal(classifySystem(undefined), null);
+});
+
+test('displays are looked up in the bundled value sets, ICD-10-CM with or without the dot', () => {
+  assert.equal(lookupDisplay('http://loinc.org', '8867-4'), 'Heart rate');
+  assert.equal(lookupDisplay('http://hl7.org/fhir/sid/icd-10-cm', 'E11.9'), 'Type 2 diabetes mellitus without complications');
+  assert.equal(lookupDisplay('http://hl7.org/fhir/sid/icd-10-cm', 'e119'), 'Type 2 diabetes mellitus without complications');
+  assert.equal(lookupDisplay('http://loinc.org', '0000-0'), null);
+  assert.equal(lookupDisplay('https://lab.example.test/codes', '8867-4'), null);
+  assert.ok(getTerminologyInfo().valueSets.length >= 4);
+});
+
+test('an Observation prefers LOINC and fills in a missing display', () => {
+  const terminology = classifyResource({
+    resourceType: 'Observation',
+    code: {
+      coding: [
+        { system: 'urn:oid:1.2.840.114350.1.13.0.1.7.2.768282', code: '1234' },
+        { system: 'http://snomed.info/sct', code: '364075005', display: 'Heart rate' },
+        { system: 'http://loinc.org', code: '8867-4' }
+      ]
+    }
+  });
+
+  assert.deepEqual(terminology.preferred, { system: 'http://loinc.org', systemName: 'loinc', code: '8867-4', display: 'Heart rate' });
+  assert.deepEqual(terminology.codes, { loinc: '8867-4', snomed: '364075005', rxnorm: null, icd10cm: null });
+  assert.deepEqual(terminology.systems, ['epic', 'loinc', 'snomed']);
+  assert.equal(terminology.hasCode, true);
+});
+
+test('a Condition prefers SNOMED, and a userSelected coding wins within a system', () => {
+  const terminology = classifyResource({
+    resourceType: 'Condition',
+    code: {
+      coding: [
+        { system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'E11.9' },
+        { system: 'http://snomed.info/sct', code: '73211009' },
+        { system: 'http://snomed.info/sct', code: '44054006', userSelected: true }
+      ]
+    }
+  });
+
+  assert.equal(terminology.preferred.code, '44054006');
+  assert.equal(terminology.preferred.display, 'Diabetes mellitus type 2');
+  assert.equal(terminology.codes.snomed, '44054006');
+  assert.equal(terminology.codes.icd10cm, 'E11.9');
+});
+
+test('a standard code outside the type\'s preference is used over local codes', () => {
+  const terminology = classifyResource({
+    resourceType: 'Encounter',
+    type: [{ coding: [{ system: 'https://ehr.example.test/visit', code: 'OV' }, { system: 'http://loinc.org', code: '8867-4' }] }]
+  });
+  assert.equal(terminology.preferred.systemName, 'loinc');
+
+  const local = classifyResource({ resourceType: 'Observation', code: { coding: [{ code: 'HR' }, { system: 'https://lab.example.test', code: 'HR' }] } });
+  assert.equal(local.preferred, null);
+  assert.deepEqual(local.systems, ['local', 'none']);
+});
+
+test('a medication\'s concept comes from medicationCodeableConcept or the contained Medication', () => {
+  const rxnorm = { coding: [{ system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '161' }] };
+  assert.deepEqual(primaryConcepts({ resourceType: 'MedicationRequest', medicationCodeableConcept: rxnorm }), [rxnorm]);
+
+  const terminology = classifyResource({
+    resourceType: 'MedicationStatement',
+    medicationReference: { reference: '#med1' },
+    contained: [{ resourceType: 'Medication', id: 'med1', code: rxnorm }]
+  });
+  assert.deepEqual(terminology.preferred, { system: 'http://www.nlm.nih.gov/research/umls/rxnorm', systemName: 'rxnorm', code: '161', display: 'acetaminophen' });
+
+  assert.deepEqual(primaryConcepts({ resourceType: 'MedicationRequest', medicationReference: { reference: 'Medication/med1' } }), []);
+});
+
+test('a resource without codings has no code', () => {
+  assert.deepEqual(classifyResource({ resourceType: 'Observation', code: { text: 'Heart rate' } }), {
+    hasCode: false,
+    preferred: null,
+    codes: { loinc: null, snomed: null, rxnorm: null, icd10cm: null },
+    systems: []
+  });
+  assert.equal(classifyResource(null).hasCode, false);
+});
@@ -0,0 +1,117 @@
+// Foundry pushes: typed tables alongside the generic rows, what a failed table upload does and how it is retried
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.OUTBOUND_MAX_RETRIES = '0';
+process.env.FOUNDRY_OBSERVATION_DATASET_RID = 'ri.foundry.main.dataset.observation-test';
+process.env.FOUNDRY_CONDITION_DATASET_RID = 'ri.foundry.main.dataset.condition-test';
+process.env.DEIDENTIFY_SINKS = 'dataset';
+process.env.DEIDENTIFY_HMAC_KEY = 'test-hmac-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+
+const requests = [];
+let failTables = false; // true, or the name of the one table to fail
+let failIngest = false;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body || '{}');
+    requests.push({ path: req.url, table: payload.table || null });
+    const failed = (failIngest && req.url.endsWith('/fhir/ingest')) ||
+      (payload.table && (failTables === true || failTables === payload.table));
+    res.writeHead(failed ? 500 : 200, { 'Content-Type': 'application/json' });
+    res.end(failed ? '{"error":"dataset unavailable"}' : '{"transaction_rid":"t","dataset_rid":"d","records_ingested":1}');
+  });
+});
+
+let smartPushToFoundry;
+let deidentifier;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.BACKEND_PROXY_URL = `http://127.0.0.1:${server.address().port}`;
+  ({ smartPushToFoundry } = require('../foundry-auto-push'));
+  ({ deidentifier } = require('../deidentification'));
+});
+
+test.after(() => server.close());
+test.beforeEach(() => {
+  requests.length = 0;
+  failTables = false;
+  failIngest = false;
+});
+
+const records = [{
+  auth0_user_id: 'auth0|user-1',
+  org_connection_id: 'conn-1',
+  fhir_resource: { resourceType: 'Observation', id: 'o1', status: 'final', code: { text: 'Heart rate' }, valueQuantity: { value: 72, unit: '/min' } },
+  resource_type: 'Observation',
+  resource_id: 'o1'
+}];
+
+const condition = {
+  fhir_resource: { resourceType: 'Condition', id: 'c1', code: { text: 'Asthma' }, subject: { reference: 'Patient/p1' } },
+  resource_type: 'Condition',
+  resource_id: 'c1'
+};
+
+const savedFiles = () => fs.readdirSync(process.cwd()).filter(name => name.startsWith('fasten-fhir-'));
+
+test('typed tables are pushed after the backend ingestion', async () => {
+  const result = await smartPushToFoundry(records, 'auth0|user-1', 'conn-1');
+  assert.equal(result.success, true);
+  assert.equal(result.tables.observation.status, 'pushed');
+  assert.deepEqual(requests.map(request => request.path), ['/api/v1/fasten/fhir/ingest', '/api/v1/fasten/datasets/upload']);
+});
+
+test('a failed table upload fails the push without writing files', async () => {
+  failTables = true;
+  const before = savedFiles();
+  const result = await smartPushToFoundry(records, 'auth0|user-1', 'conn-1');
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.failedTables, ['observation']);
+  assert.match(result.error, /Typed table push failed: observation/);
+  assert.deepEqual(savedFiles(), before);
+  // The generic rows are already in: no fallback method pushes them again
+  assert.deepEqual(requests.map(request => request.path), ['/api/v1/fasten/fhir/ingest', '/api/v1/fasten/datasets/upload']);
+});
+
+test('the retry of a partly pushed batch pushes only the tables that failed', async () => {
+  const batch = [{ ...records[0], fhir_resource: { ...records[0].fhir_resource, id: 'o2' }, resource_id: 'o2' }, condition];
+  failTables = 'observation';
+  const first = await smartPushToFoundry(batch, 'auth0|user-1', 'conn-1');
+  assert.equal(first.success, false);
+  assert.deepEqual(first.failedTables, ['observation']);
+  assert.equal(first.tables.condition.status, 'pushed');
+
+  requests.length = 0;
+  failTables = false;
+  const retry = await smartPushToFoundry([...batch].reverse(), 'auth0|user-1', 'conn-1');
+  assert.equal(retry.success, true);
+  assert.equal(retry.resumed, true);
+  assert.deepEqual(requests, [{ path: '/api/v1/fasten/datasets/upload', table: 'observation' }]);
+
+  // Done: the same batch arriving again is a full push
+  requests.length = 0;
+  await smartPushToFoundry(batch, 'auth0|user-1', 'conn-1');
+  assert.equal(requests[0].path, '/api/v1/fasten/fhir/ingest');
+});
+
+test('the dataset sink is de-identified once per push, whichever method uploads it', async () => {
+  const before = deidentifier.getStats().batches.dataset;
+  const observation = id => ({ ...records[0], fhir_resource: { ...records[0].fhir_resource, id }, resource_id: id });
+  assert.equal((await smartPushToFoundry([observation('o3')], 'auth0|user-1', 'conn-1')).success, true);
+  assert.equal(deidentifier.getStats().batches.dataset, before + 1);
+
+  failIngest = true;
+  const result = await smartPushToFoundry([observation('o4')], 'auth0|user-1', 'conn-1');
+  assert.equal(result.success, true);
+  assert.deepEqual(requests.slice(-3).map(request => request.table), [null, null, 'observation'], 'ingest, then the direct upload and its table');
+  assert.equal(deidentifier.getStats().batches.dataset, before + 2);
+});
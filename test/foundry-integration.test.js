@@ -0,0 +1,114 @@
+// Export processing: what each batch pushes, what a retried export pushes after a failure, and quarantine releases
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.FASTEN_PUBLIC_KEY = 'public_test';
+process.env.FASTEN_PRIVATE_KEY = 'private_test';
+process.env.OUTBOUND_MAX_RETRIES = '0';
+process.env.FHIR_QUARANTINE_LIMIT = '5';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { downloadAndProcessFHIR, clearProcessedData, getReferenceReport, listQuarantined, releaseQuarantined } = require('../foundry-integration');
+
+const RESOURCES = [
+  { resourceType: 'Patient', id: 'p1', name: [{ family: 'Doe' }] },
+  { resourceType: 'Observation', id: 'o1', status: 'final', code: { text: 'Heart rate' }, subject: { reference: 'Patient/p1' } },
+  { resourceType: 'Condition', id: 'c1', subject: { reference: 'Patient/p1' }, code: { text: 'Asthma' } }
+];
+
+let server;
+let exportLink;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+    if (req.url === '/invalid.jsonl') {
+      // Parses, but fails validation: Observation.status is required
+      return res.end(JSON.stringify({ resourceType: 'Observation', id: 'o2', code: { text: 'Weight' } }));
+    }
+    if (req.url === '/bad-lines.jsonl') {
+      // 120 unparseable lines: more than a batch's worth of rejects
+      return res.end([...RESOURCES.map(resource => JSON.stringify(resource)), ...Array(120).fill('{"resourceType":')].join('\n'));
+    }
+    res.end(RESOURCES.map(resource => JSON.stringify(resource)).join('\n'));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  exportLink = `http://127.0.0.1:${server.address().port}/export.jsonl`;
+});
+
+test.after(() => server.close());
+test.beforeEach(() => clearProcessedData());
+
+const pushedIds = records => records.map(record => record.resource_id).sort();
+
+test('delta mode pushes only added or changed resources', async () => {
+  const first = [];
+  await downloadAndProcessFHIR(exportLink, 'conn-1', 'user-1', { pushMode: 'delta', onBatch: async records => first.push(...records) });
+  assert.deepEqual(pushedIds(first), ['c1', 'o1', 'p1']);
+
+  const second = [];
+  const summary = await downloadAndProcessFHIR(exportLink, 'conn-1', 'user-1', { pushMode: 'delta', onBatch: async records => second.push(...records) });
+  assert.equal(second.length, 0);
+  assert.equal(summary.dedup.unchanged, 3);
+});
+
+test('a retried export pushes the records whose push failed', async () => {
+  await assert.rejects(
+    downloadAndProcessFHIR(exportLink, 'conn-1', 'user-1', {
+      pushMode: 'delta',
+      onBatch: async () => { throw new Error('foundry down'); }
+    }),
+    /foundry down/
+  );
+
+  const retried = [];
+  const summary = await downloadAndProcessFHIR(exportLink, 'conn-1', 'user-1', { pushMode: 'delta', onBatch: async records => retried.push(...records) });
+  assert.deepEqual(pushedIds(retried), ['c1', 'o1', 'p1']);
+  assert.equal(summary.dedup.added, 3);
+});
+
+test('full mode pushes every record', async () => {
+  await downloadAndProcessFHIR(exportLink, 'conn-1', 'user-1', { pushMode: 'delta' });
+  const pushed = [];
+  await downloadAndProcessFHIR(exportLink, 'conn-1', 'user-1', { pushMode: 'full', onBatch: async records => pushed.push(...records) });
+  assert.deepEqual(pushedIds(pushed), ['c1', 'o1', 'p1']);
+});
+
+test('clearing a user drops their resources from the reference graph', async () => {
+  await downloadAndProcessFHIR(exportLink, 'conn-1', 'user-1', { pushMode: 'delta' });
+  await downloadAndProcessFHIR(exportLink, 'conn-2', 'user-2', { pushMode: 'delta' });
+  assert.equal(getReferenceReport('conn-1').resources, 3);
+
+  clearProcessedData('user-1');
+  assert.equal(getReferenceReport('conn-1').resources, 0);
+  assert.equal(getReferenceReport('conn-2').resources, 3);
+  assert.equal(getReferenceReport('conn-2').resolved, 2);
+});
+
+test('an export with many rejected lines keeps only the newest items up to the limit', async () => {
+  const summary = await downloadAndProcessFHIR(exportLink.replace('export.jsonl', 'bad-lines.jsonl'), 'conn-1', 'user-1', { pushMode: 'delta' });
+  assert.equal(summary.quarantinedCount, 120);
+  assert.equal(summary.recordCount, 3);
+
+  const items = listQuarantined({ orgConnectionId: 'conn-1' });
+  assert.deepEqual(items.map(item => item.line), [119, 120, 121, 122, 123]);
+});
+
+test('a released resource is stored only once its push succeeds', async () => {
+  await downloadAndProcessFHIR(exportLink.replace('export.jsonl', 'invalid.jsonl'), 'conn-1', 'user-1', { pushMode: 'delta' });
+  const ids = listQuarantined({ orgConnectionId: 'conn-1' }).map(item => item.id);
+  assert.equal(ids.length, 1);
+
+  const failed = await releaseQuarantined(ids, { onRecords: async () => { throw new Error('foundry down'); } });
+  assert.equal(failed.failed.length, 1);
+  assert.equal(getReferenceReport('conn-1').resources, 0);
+  assert.equal(listQuarantined({ orgConnectionId: 'conn-1', status: 'quarantined' }).length, 1);
+
+  const pushed = [];
+  const released = await releaseQuarantined(ids, { onRecords: async records => pushed.push(...records) });
+  assert.deepEqual(pushedIds(pushed), ['o2']);
+  assert.equal(released.released.length, 1);
+  assert.equal(getReferenceReport('conn-1').resources, 1);
+});
@@ -0,0 +1,109 @@
+// Streaming of NDJSON exports: gzip detection, lines split across chunks, batching and progress
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.FASTEN_PUBLIC_KEY = 'public_test';
+process.env.FASTEN_PRIVATE_KEY = 'private_test';
+process.env.OUTBOUND_MAX_RETRIES = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const zlib = require('node:zlib');
+const { downloadAndProcessFHIR, clearProcessedData, getIngestionProgress } = require('../foundry-integration');
+
+// 250 patients: two full batches of 100 and a partial one
+const PATIENTS = Array.from({ length: 250 }, (_, i) => ({ resourceType: 'Patient', id: `p${i}`, name: [{ family: 'Müller' }] }));
+const NDJSON = PATIENTS.map(patient => JSON.stringify(patient)).join('\n');
+
+let server;
+let baseUrl;
+
+// Write the body a few bytes at a time, so lines and multi-byte characters straddle chunks
+function writeInPieces(res, body, size = 7) {
+  res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+  for (let offset = 0; offset < body.length; offset += size) {
+    res.write(body.subarray(offset, offset + size));
+  }
+  res.end();
+}
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/export.jsonl':
+        return writeInPieces(res, Buffer.from(NDJSON));
+      case '/export.jsonl.gz':
+        // Gzipped without a Content-Encoding header, so only the magic bytes give it away
+        return writeInPieces(res, zlib.gzipSync(NDJSON), 512);
+      case '/crlf.jsonl':
+        return writeInPieces(res, Buffer.from(`${PATIENTS.slice(0, 3).map(patient => JSON.stringify(patient)).join('\r\n')}\r\n\r\n`));
+      case '/truncated.jsonl.gz':
+        return writeInPieces(res, zlib.gzipSync(NDJSON).subarray(0, 200));
+      case '/empty.jsonl':
+        return res.writeHead(200).end();
+      default:
+        res.writeHead(404).end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+test.beforeEach(() => clearProcessedData());
+
+async function ingest(path, connection) {
+  const batches = [];
+  const summary = await downloadAndProcessFHIR(`${baseUrl}${path}`, connection, 'user-1', {
+    pushMode: 'full',
+    onBatch: async records => batches.push(records.map(record => record.fhir_resource))
+  });
+  return { summary, batches };
+}
+
+test('lines split across chunks are reassembled and pushed in batches', async () => {
+  const { summary, batches } = await ingest('/export.jsonl', 'conn-plain');
+
+  assert.deepEqual(batches.map(batch => batch.length), [100, 100, 50]);
+  assert.deepEqual(batches.flat(), PATIENTS, 'multi-byte characters split across chunks survive');
+  assert.equal(summary.recordCount, 250);
+  assert.equal(summary.progress.lines, 250);
+  assert.equal(summary.progress.bytes, Buffer.byteLength(NDJSON));
+  assert.equal(summary.progress.gzip, false);
+  assert.equal(summary.progress.parseErrors, 0);
+});
+
+test('a gzipped export is detected from its magic bytes and decompressed', async () => {
+  const { summary, batches } = await ingest('/export.jsonl.gz', 'conn-gzip');
+
+  assert.deepEqual(batches.flat(), PATIENTS);
+  assert.equal(summary.progress.gzip, true);
+  assert.equal(summary.progress.bytes, zlib.gzipSync(NDJSON).length);
+  assert.equal(getIngestionProgress('conn-gzip').status, 'completed');
+});
+
+test('CRLF line endings and blank lines are not parse errors', async () => {
+  const { summary, batches } = await ingest('/crlf.jsonl', 'conn-crlf');
+
+  assert.deepEqual(batches.flat(), PATIENTS.slice(0, 3));
+  assert.equal(summary.progress.parseErrors, 0);
+  assert.equal(summary.quarantinedCount, 0);
+});
+
+test('an empty export completes with nothing pushed', async () => {
+  const { summary, batches } = await ingest('/empty.jsonl', 'conn-empty');
+
+  assert.deepEqual(batches, []);
+  assert.equal(summary.recordCount, 0);
+  assert.equal(summary.progress.lines, 0);
+});
+
+test('a truncated gzip stream fails the export and is reported on its progress', async () => {
+  await assert.rejects(ingest('/truncated.jsonl.gz', 'conn-truncated'), /unexpected end of file/);
+
+  const progress = getIngestionProgress('conn-truncated');
+  assert.equal(progress.status, 'failed');
+  assert.equal(progress.gzip, true);
+  assert.match(progress.error, /unexpected end of file/);
+});
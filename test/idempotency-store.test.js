@@ -0,0 +1,61 @@
+// Idempotency store: delivery keys, first responses and outcomes, and expiry of old keys
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IdempotencyStore } = require('../idempotency-store');
+
+const HOUR = 60 * 60 * 1000;
+
+test('keys come from the Fasten event id, else the webhook-id header', () => {
+  assert.equal(IdempotencyStore.keyFor({ id: 'evt-1' }, { 'webhook-id': 'msg-1' }), 'event:evt-1');
+  assert.equal(IdempotencyStore.keyFor({}, { 'webhook-id': 'msg-1' }), 'webhook-id:msg-1');
+  assert.equal(IdempotencyStore.keyFor({}), null);
+  assert.equal(IdempotencyStore.keyFor(undefined), null);
+});
+
+test('the first delivery is remembered with its response, and processing is recorded on it', () => {
+  const store = new IdempotencyStore(new Map(), { ttlMs: HOUR });
+  store.remember('event:evt-1', { eventId: 'inbox-1', response: { received: true } });
+
+  assert.equal(store.has('event:evt-1'), true);
+  assert.equal(store.isProcessed('event:evt-1'), false);
+  assert.deepEqual(store.get('event:evt-1').response, { received: true });
+
+  store.recordOutcome('event:evt-1', { outcome: 'processed' });
+  const record = store.get('event:evt-1');
+  assert.equal(store.isProcessed('event:evt-1'), true);
+  assert.equal(record.eventId, 'inbox-1');
+  assert.deepEqual(record.outcome, { outcome: 'processed' });
+  assert.deepEqual(store.getStats(), { keys: 1, processed: 1, ttlMs: HOUR });
+});
+
+test('an outcome for a key never seen creates its record', () => {
+  const store = new IdempotencyStore(new Map());
+  store.recordOutcome('event:replayed', { outcome: 'processed' });
+  assert.equal(store.isProcessed('event:replayed'), true);
+});
+
+test('without a key nothing is remembered', () => {
+  const store = new IdempotencyStore(new Map());
+  assert.equal(store.remember(null, { response: {} }), null);
+  assert.equal(store.recordOutcome(null, {}), null);
+  assert.equal(store.get(null), null);
+  assert.equal(store.size, 0);
+});
+
+test('expired keys are dropped on lookup and by the sweep', () => {
+  const records = new Map();
+  const store = new IdempotencyStore(records, { ttlMs: HOUR });
+  const expired = { firstSeenAt: new Date(Date.now() - 2 * HOUR).toISOString(), expiresAt: new Date(Date.now() - HOUR).toISOString() };
+  records.set('event:old-1', expired);
+  records.set('event:old-2', expired);
+  store.remember('event:new', { response: {} });
+
+  assert.equal(store.get('event:old-1'), null);
+  assert.equal(records.has('event:old-1'), false);
+  assert.equal(store.sweep(), 1);
+  assert.deepEqual(Array.from(records.keys()), ['event:new']);
+});
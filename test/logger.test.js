@@ -0,0 +1,86 @@
+// Logger: redaction of identifiers and secrets, and correlation ids across async work
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, redact, hashValue, runWithCorrelationId, getCorrelationId } = require('../logger');
+
+// Lines written by a debug-level logger while fn runs
+async function capture(t, fn) {
+  const lines = [];
+  const collect = output => lines.push(JSON.parse(output));
+  t.mock.method(console, 'log', collect);
+  t.mock.method(console, 'error', collect);
+  const logger = new Logger({ service: 'test' });
+  logger.level = 'debug';
+  await fn(logger);
+  return lines;
+}
+
+test('identifiers are replaced by a stable salted hash', () => {
+  const redacted = redact({ externalId: 'auth0|user-1', data: { external_id: 'auth0|user-1' }, org_connection_id: 'conn-1' });
+
+  assert.match(redacted.externalId, /^h:[0-9a-f]{12}$/);
+  assert.equal(redacted.externalId, hashValue('auth0|user-1'));
+  assert.equal(redacted.data.external_id, redacted.externalId, 'one user\'s lines can still be correlated');
+  assert.equal(redacted.org_connection_id, 'conn-1');
+});
+
+test('secrets are masked and links keep only their origin', () => {
+  const redacted = redact({
+    download_link: 'https://exports.fasten.test/task-1?signature=secret',
+    headers: { Authorization: 'Bearer token', 'webhook-signature': 'v1,abc' },
+    items: [{ downloadLink: 'not a url' }]
+  });
+
+  assert.equal(redacted.download_link, 'https://exports.fasten.test/[REDACTED]');
+  assert.deepEqual(redacted.headers, { Authorization: '[REDACTED]', 'webhook-signature': '[REDACTED]' });
+  assert.deepEqual(redacted.items, [{ downloadLink: '[REDACTED]' }]);
+});
+
+test('empty values and errors pass through without leaking', () => {
+  const error = Object.assign(new Error('upstream failed'), { status: 502 });
+  const redacted = redact({ externalId: null, downloadLink: '', error });
+
+  assert.equal(redacted.externalId, null);
+  assert.equal(redacted.downloadLink, '');
+  assert.equal(redacted.error.message, 'upstream failed');
+  assert.equal(redacted.error.status, 502);
+});
+
+test('lines are redacted JSON carrying the correlation id of the work that wrote them', async (t) => {
+  const lines = await capture(t, logger => runWithCorrelationId('evt-1', async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    logger.info('📨 received', { externalId: 'auth0|user-1' });
+    logger.warn('⚠️ slow');
+  }));
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual(lines.map(line => [line.level, line.correlationId]), [['info', 'evt-1'], ['warn', 'evt-1']]);
+  assert.equal(lines[0].service, 'test');
+  assert.equal(lines[0].externalId, hashValue('auth0|user-1'));
+});
+
+test('correlation ids do not leak between concurrent work', async (t) => {
+  const lines = await capture(t, logger => Promise.all(['evt-a', 'evt-b'].map(id => runWithCorrelationId(id, async () => {
+    await new Promise(resolve => setTimeout(resolve, id === 'evt-a' ? 10 : 0));
+    logger.info('done', { id });
+  }))));
+
+  assert.deepEqual(lines.map(line => [line.id, line.correlationId]).sort(), [['evt-a', 'evt-a'], ['evt-b', 'evt-b']]);
+  assert.equal(getCorrelationId(), null);
+});
+
+test('lines below the level are not written', async (t) => {
+  const lines = await capture(t, logger => {
+    logger.level = 'warn';
+    logger.info('hidden');
+    logger.error('shown', new Error('boom'));
+  });
+
+  assert.deepEqual(lines.map(line => line.msg), ['shown']);
+  assert.equal(lines[0].error.message, 'boom');
+  assert.equal(lines[0].correlationId, undefined);
+});
@@ -0,0 +1,96 @@
+// Observation normalization: UCUM lookup, conversions to each LOINC code's canonical unit, interpretation flags
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeQuantity, normalizeObservation, interpretationFlag, ucumCode, summarizeNormalization, UCUM_SYSTEM } = require('../observation-normalization');
+
+const LOINC = 'http://loinc.org';
+
+function converted(quantity, loinc) {
+  const result = normalizeQuantity(quantity, loinc);
+  return [result.normalized, result.normalizedUnit, result.status];
+}
+
+test('unit strings resolve to UCUM codes through aliases and case folding', () => {
+  assert.equal(ucumCode('mg/dl'), 'mg/dL');
+  assert.equal(ucumCode('°F'), '[degF]');
+  assert.equal(ucumCode('K/uL'), '10*3/uL');
+  assert.equal(ucumCode(' bpm '), '/min');
+  assert.equal(ucumCode('stone'), null);
+  assert.equal(ucumCode(''), null);
+});
+
+test('converts within a dimension, offsets included', () => {
+  assert.deepEqual(converted({ value: 98.6, unit: '°F' }, '8310-5'), [37, 'Cel', 'converted']);
+  assert.deepEqual(converted({ value: 310.15, unit: 'K' }, '8310-5'), [37, 'Cel', 'converted']);
+  assert.deepEqual(converted({ value: 154, unit: 'lbs' }, '29463-7'), [69.8532, 'kg', 'converted']);
+  assert.deepEqual(converted({ value: 70, unit: 'in' }, '8302-2'), [177.8, 'cm', 'converted']);
+});
+
+test('converts substance to mass concentration with the analyte\'s molar mass', () => {
+  assert.deepEqual(converted({ value: 5.5, unit: 'mmol/L' }, '2345-7'), [99.088, 'mg/dL', 'converted']);
+  assert.deepEqual(converted({ value: 88.4, unit: 'µmol/L' }, '2160-0'), [0.999981, 'mg/dL', 'converted']);
+});
+
+test('applies analyte-specific conversions', () => {
+  assert.deepEqual(converted({ value: 48, unit: 'mmol/mol' }, '4548-4'), [6.54304, '%', 'converted']);
+  assert.deepEqual(converted({ value: 140, unit: 'mEq/L' }, '2951-2'), [140, 'mmol/L', 'converted']);
+});
+
+test('prefers the UCUM code over the display unit', () => {
+  const result = normalizeQuantity({ value: 72, unit: 'beats per minute', system: UCUM_SYSTEM, code: '/min' }, '8867-4');
+  assert.equal(result.ucum, '/min');
+  assert.equal(result.unit, 'beats per minute');
+  assert.equal(result.status, 'canonical');
+  assert.equal(result.normalized, 72);
+});
+
+test('reports values that can\'t be converted', () => {
+  assert.equal(normalizeQuantity({ value: 12, unit: 'stone' }, '29463-7').status, 'unknown_unit');
+  assert.equal(normalizeQuantity({ value: 180, unit: 'cm' }, '29463-7').status, 'incompatible_unit');
+  assert.equal(normalizeQuantity({ value: 5, unit: 'mmol/L' }, '1751-7').status, 'incompatible_unit', 'albumin has no molar mass');
+  assert.equal(normalizeQuantity({ value: 5, unit: 'mg' }).status, 'no_canonical_unit');
+  assert.equal(normalizeQuantity({ value: 'high', unit: 'mg' }, '2345-7'), null);
+});
+
+test('normalizes an Observation\'s value and reference range by its LOINC code', () => {
+  const result = normalizeObservation({
+    code: { coding: [{ system: 'urn:oid:1.2.840.114350', code: 'GLU' }, { system: LOINC, code: '2345-7' }] },
+    valueQuantity: { value: 7.8, unit: 'mmol/L' },
+    referenceRange: [{ low: { value: 3.9, unit: 'mmol/L' }, high: { value: 5.6, unit: 'mmol/L' } }],
+    interpretation: [{ coding: [{ code: 'HU' }] }]
+  });
+
+  assert.equal(result.loinc, '2345-7');
+  assert.equal(result.quantity.normalized, 140.525);
+  assert.equal(result.referenceRange.lowNormalized, 70.2624);
+  assert.equal(result.referenceRange.highNormalized, 100.89);
+  assert.deepEqual(result.interpretation, { flag: 'H', abnormal: true, critical: false });
+});
+
+test('interpretation flags come from codes, then text', () => {
+  assert.deepEqual(interpretationFlag([{ coding: [{ code: 'LL' }] }]), { flag: 'LL', abnormal: true, critical: true });
+  assert.deepEqual(interpretationFlag({ text: 'Normal' }), { flag: 'N', abnormal: false, critical: false });
+  assert.deepEqual(interpretationFlag([]), { flag: null, abnormal: null, critical: null });
+});
+
+test('summarizes outcomes, components included', () => {
+  const summary = summarizeNormalization([
+    { code: { coding: [{ system: LOINC, code: '29463-7' }] }, valueQuantity: { value: 12, unit: 'stone' } },
+    {
+      code: { coding: [{ system: LOINC, code: '85354-9' }] },
+      component: [
+        { code: { coding: [{ system: LOINC, code: '8480-6' }] }, valueQuantity: { value: 120, unit: 'mmHg' } },
+        { code: { coding: [{ system: LOINC, code: '8462-4' }] }, valueQuantity: { value: 80, unit: 'mm[Hg]' } }
+      ]
+    }
+  ]);
+
+  assert.equal(summary.quantities, 3);
+  assert.equal(summary.byStatus.canonical, 2);
+  assert.equal(summary.unconvertible, 1);
+  assert.deepEqual(summary.unconvertibleUnits, { stone: 1 });
+});
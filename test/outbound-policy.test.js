@@ -0,0 +1,129 @@
+// Outbound request policy: backoff, Retry-After, circuit breaker, which methods are retried, and URLs in errors
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { OutboundPolicy, OutboundRequestError, backoffDelay, parseRetryAfter, safeUrl } = require('../outbound-policy');
+
+let server;
+let baseUrl;
+const hits = new Map(); // path -> request count
+const responders = new Map(); // path -> (req, res, count) => void
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    const count = (hits.get(path) || 0) + 1;
+    hits.set(path, count);
+    const respond = responders.get(path);
+    if (respond) return respond(req, res, count);
+    res.writeHead(200).end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function policy(options = {}) {
+  return new OutboundPolicy({ maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5, timeoutMs: 200, ...options });
+}
+
+test('backoff grows exponentially with jitter and is capped', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = backoffDelay(1, { baseDelayMs: 100, maxDelayMs: 1000 });
+    const third = backoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000 });
+    const capped = backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000 });
+    assert.ok(first >= 50 && first <= 100);
+    assert.ok(third >= 200 && third <= 400);
+    assert.ok(capped >= 500 && capped <= 1000);
+  }
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  const now = Date.parse('2024-05-01T00:00:00Z');
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter('Wed, 01 May 2024 00:00:10 GMT', now), 10000);
+  assert.equal(parseRetryAfter('Tue, 30 Apr 2024 00:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test('GET retries retryable statuses until one succeeds', async () => {
+  responders.set('/flaky', (req, res, count) => res.writeHead(count < 3 ? 503 : 200).end());
+  const response = await policy().fetch(`${baseUrl}/flaky`);
+  assert.equal(response.status, 200);
+  assert.equal(hits.get('/flaky'), 3);
+});
+
+test('a Retry-After beyond the longest allowed wait returns the response as is', async () => {
+  responders.set('/busy', (req, res) => res.writeHead(429, { 'Retry-After': '600' }).end());
+  const response = await policy({ maxRetryAfterMs: 1000 }).fetch(`${baseUrl}/busy`);
+  assert.equal(response.status, 429);
+  assert.equal(hits.get('/busy'), 1);
+});
+
+test('POST is retried on 5xx only with an Idempotency-Key', async () => {
+  responders.set('/ingest', (req, res) => res.writeHead(502).end());
+  const response = await policy().fetch(`${baseUrl}/ingest`, { method: 'POST', body: '{}' });
+  assert.equal(response.status, 502);
+  assert.equal(hits.get('/ingest'), 1);
+
+  responders.set('/ingest-keyed', (req, res) => res.writeHead(502).end());
+  await policy().fetch(`${baseUrl}/ingest-keyed`, { method: 'POST', body: '{}', headers: { 'Idempotency-Key': 'batch-1' } });
+  assert.equal(hits.get('/ingest-keyed'), 3);
+
+  responders.set('/ingest-throttled', (req, res, count) => res.writeHead(count === 1 ? 429 : 200, { 'Retry-After': '0' }).end());
+  const throttled = await policy().fetch(`${baseUrl}/ingest-throttled`, { method: 'POST', body: '{}' });
+  assert.equal(throttled.status, 200, '429 means the request was refused, so it is retried');
+});
+
+test('POST is not retried after a timeout without an Idempotency-Key', async () => {
+  responders.set('/slow', () => {}); // never answers
+  await assert.rejects(
+    policy({ timeoutMs: 50 }).fetch(`${baseUrl}/slow`, { method: 'POST', body: '{}' }),
+    error => error instanceof OutboundRequestError && error.code === 'timeout' && error.attempts === 1
+  );
+  assert.equal(hits.get('/slow'), 1);
+});
+
+test('errors never carry the query string of a signed URL', async () => {
+  responders.set('/export.jsonl', () => {});
+  const signed = `${baseUrl}/export.jsonl?X-Amz-Signature=secret-signature&X-Amz-Credential=secret-credential`;
+
+  await assert.rejects(policy({ timeoutMs: 50, maxRetries: 0 }).fetch(signed), error => {
+    assert.equal(error.url, `${baseUrl}/export.jsonl`);
+    assert.doesNotMatch(error.message, /secret/);
+    assert.doesNotMatch(JSON.stringify(error), /secret/);
+    return true;
+  });
+  assert.equal(safeUrl('not a url?token=secret'), 'not a url');
+});
+
+test('the circuit opens after repeated failures, fails fast, then closes after a good probe', async () => {
+  let healthy = false;
+  responders.set('/breaker', (req, res) => res.writeHead(healthy ? 200 : 500).end());
+  const breakerPolicy = policy({ maxRetries: 0, breaker: { failureThreshold: 2, resetTimeoutMs: 50 } });
+  const url = `${baseUrl}/breaker?token=secret`;
+
+  await breakerPolicy.fetch(url);
+  await breakerPolicy.fetch(url);
+  await assert.rejects(breakerPolicy.fetch(url), error => {
+    assert.equal(error.code, 'circuit_open');
+    assert.doesNotMatch(error.message, /secret/);
+    return true;
+  });
+  assert.equal(hits.get('/breaker'), 2);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  healthy = true;
+  assert.equal((await breakerPolicy.fetch(url)).status, 200);
+  const host = new URL(baseUrl).host;
+  assert.equal(breakerPolicy.getStats().hosts[host].state, 'closed');
+});
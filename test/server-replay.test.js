@@ -0,0 +1,160 @@
+// Event replay through the running server: replays are queued on the inbox, and a forced
+// replay of an export pushes every record again
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+const ADMIN_KEY = 'admin-test-key';
+const RESOURCES = [
+  { resourceType: 'Patient', id: 'p1', name: [{ family: 'Doe' }] },
+  { resourceType: 'Observation', id: 'o1', status: 'final', code: { text: 'Heart rate' }, subject: { reference: 'Patient/p1' } }
+];
+
+const ingested = []; // resource ids of every generic ingest request
+let upstream;
+let serverProcess;
+let baseUrl;
+let dir;
+
+// Fasten API, export download and backend proxy in one
+function startUpstream() {
+  upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url.startsWith('/export.jsonl')) {
+        res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+        return res.end(RESOURCES.map(resource => JSON.stringify(resource)).join('\n'));
+      }
+      if (req.url === '/api/v1/fasten/fhir/ingest') {
+        ingested.push(JSON.parse(body).records.map(record => record.resource_id));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"transaction_rid":"t","dataset_rid":"d","records_ingested":1}');
+    });
+  });
+  return new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+}
+
+async function freePort() {
+  const probe = http.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+async function request(method, url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitFor(check, what) {
+  for (let i = 0; i < 100; i++) {
+    const value = await check().catch(() => null);
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+test.before(async () => {
+  await startUpstream();
+  const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-replay-test-'));
+
+  // The server writes fallback files to its working directory: keep them out of the repo
+  serverProcess = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: dir,
+    stdio: 'ignore',
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LOG_LEVEL: 'error',
+      STORAGE_DRIVER: 'memory',
+      AUDIT_LOG_PATH: path.join(dir, 'audit-log.ndjson'),
+      OUTBOUND_MAX_RETRIES: '0',
+      FASTEN_PUBLIC_KEY: 'public_test',
+      FASTEN_PRIVATE_KEY: 'private_test',
+      FASTEN_API_BASE_URL: upstreamUrl,
+      BACKEND_PROXY_URL: upstreamUrl,
+      SERVICE_API_KEYS: JSON.stringify([{ name: 'admin', key: ADMIN_KEY, scopes: ['admin'] }])
+    }
+  });
+  await waitFor(async () => (await fetch(`${baseUrl}/health`)).ok, 'the server to start');
+
+  await request('POST', '/webhook/fasten', {
+    id: 'evt-connection',
+    type: 'patient.connection_success',
+    data: { org_connection_id: 'conn-1', external_id: 'auth0|user-1', connection_status: 'authorized' }
+  });
+  await waitFor(async () => (await request('GET', '/api/inbox?status=done')).body.events.length === 1, 'the connection event');
+  await request('POST', '/webhook/fasten', {
+    id: 'evt-export',
+    type: 'patient.ehi_export_success',
+    data: { org_connection_id: 'conn-1', task_id: 'task-1', download_link: `${upstreamUrl}/export.jsonl?signature=test` }
+  });
+  await waitFor(async () => (await request('GET', '/api/inbox?status=done')).body.events.length === 2, 'the export event');
+});
+
+test.after(() => {
+  serverProcess?.kill();
+  upstream?.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function exportEvent() {
+  const { body } = await request('GET', '/api/inbox?status=done');
+  return body.events.find(event => event.type === 'patient.ehi_export_success');
+}
+
+// Replay the export event and wait for the inbox to record the outcome of that replay
+async function replayExport(options) {
+  const { id, replays } = await exportEvent();
+  const { status, body } = await request('POST', `/api/admin/events/${id}/replay`, options);
+  assert.equal(status, 202);
+  assert.equal(body.results[0].outcome, 'queued');
+  return waitFor(async () => (await exportEvent())?.replays[replays.length], 'the replay to finish');
+}
+
+test('the export event pushed every resource once', () => {
+  assert.deepEqual(ingested.map(ids => ids.sort()), [['o1', 'p1']]);
+});
+
+test('a dry run is answered in the request without queueing the event', async () => {
+  const { id } = await exportEvent();
+  const { status, body } = await request('POST', `/api/admin/events/${id}/replay`, { dryRun: true, force: true });
+  assert.equal(status, 200);
+  assert.equal(body.results[0].outcome, 'dry_run');
+  assert.deepEqual((await exportEvent()).replays, []);
+});
+
+test('replaying a processed event without force skips it', async () => {
+  const replay = await replayExport();
+  assert.equal(replay.outcome, 'skipped_duplicate');
+  assert.equal(ingested.length, 1);
+});
+
+test('a forced replay pushes every record, not only those changed since they were stored', async () => {
+  const replay = await replayExport({ force: true });
+  assert.equal(replay.outcome, 'processed');
+  assert.equal(replay.force, true);
+  assert.deepEqual(ingested.map(ids => ids.sort()), [['o1', 'p1'], ['o1', 'p1']]);
+});
+
+test('a filtered replay queues the matching events', async () => {
+  const { status, body } = await request('POST', '/api/admin/events/replay', { type: 'patient.connection_success' });
+  assert.equal(status, 202);
+  assert.deepEqual(body.outcomes, { queued: 1 });
+});
@@ -0,0 +1,91 @@
+// Storage drivers: the Map API, reload of a file collection from its log, and log compaction
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createStorage, MemoryCollection, FileCollection } = require('../storage');
+
+// A file storage in its own temporary directory
+function tempStorage(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createStorage({ driver: 'file', dir });
+}
+
+const readLog = collection => fs.readFileSync(collection.filePath, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+test('the memory driver keeps collections in memory and returns the same collection by name', () => {
+  const storage = createStorage({ driver: 'memory' });
+  const connections = storage.collection('connections');
+
+  assert.ok(connections instanceof MemoryCollection);
+  assert.equal(storage.collection('connections'), connections);
+  assert.equal(storage.dir, null);
+
+  connections.set('conn-1', { status: 'authorized' }).set('conn-2', { status: 'revoked' });
+  assert.equal(connections.size, 2);
+  assert.deepEqual(connections.get('conn-1'), { status: 'authorized' });
+  assert.equal(connections.delete('conn-2'), true);
+  assert.deepEqual(Array.from(connections), [['conn-1', { status: 'authorized' }]]);
+});
+
+test('an unknown driver is refused', () => {
+  assert.throws(() => createStorage({ driver: 'redis' }), /Unknown STORAGE_DRIVER "redis"/);
+});
+
+test('a file collection survives a reload from its log', (t) => {
+  const storage = tempStorage(t);
+  const exports = storage.collection('exports');
+  assert.ok(exports instanceof FileCollection);
+
+  exports.set('conn-1', { taskId: 'task-1' });
+  exports.set('conn-2', { taskId: 'task-2' });
+  exports.set('conn-1', { taskId: 'task-3' });
+  exports.delete('conn-2');
+  exports.delete('conn-unknown');
+  assert.deepEqual(readLog(exports).map(entry => entry.op), ['set', 'set', 'set', 'delete'], 'deleting a missing key writes nothing');
+
+  const reloaded = createStorage({ driver: 'file', dir: storage.dir }).collection('exports');
+  assert.deepEqual(Array.from(reloaded.entries()), [['conn-1', { taskId: 'task-3' }]]);
+});
+
+test('a truncated final line is skipped on reload', (t) => {
+  const storage = tempStorage(t);
+  const events = storage.collection('events');
+  events.set('e1', { status: 'done' });
+  fs.appendFileSync(events.filePath, '{"op":"set","key":"e2","val');
+
+  const reloaded = new FileCollection('events', storage.dir);
+  assert.deepEqual(Array.from(reloaded.keys()), ['e1']);
+});
+
+test('clear empties the log', (t) => {
+  const storage = tempStorage(t);
+  const events = storage.collection('events');
+  events.set('e1', { status: 'done' });
+  events.clear();
+
+  assert.equal(fs.readFileSync(events.filePath, 'utf8'), '');
+  assert.equal(new FileCollection('events', storage.dir).size, 0);
+});
+
+test('the log is compacted to one set per live key once superseded operations pile up', (t) => {
+  const storage = tempStorage(t);
+  const counters = storage.collection('counters');
+  for (let i = 0; i <= 1001; i++) {
+    counters.set('count', i);
+  }
+  counters.set('other', 'kept');
+
+  assert.deepEqual(readLog(counters), [
+    { op: 'set', key: 'count', value: 1001 },
+    { op: 'set', key: 'other', value: 'kept' }
+  ]);
+  assert.equal(fs.existsSync(`${counters.filePath}.tmp`), false);
+  assert.deepEqual(Array.from(new FileCollection('counters', storage.dir).entries()), [['count', 1001], ['other', 'kept']]);
+});
@@ -0,0 +1,117 @@
+// Export timeout recovery: actions taken per classification, reuse of a missed export's
+// download link, and timeout records dropped once resolved
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookDiagnostics = require('../webhook-diagnostics');
+
+function createDiagnostics(config = {}, fasten = {}) {
+  const calls = { triggered: [], errored: [], processed: [] };
+  const diagnostics = new WebhookDiagnostics({
+    config: { retryBudget: 1, ...config },
+    triggerExport: async orgConnectionId => { calls.triggered.push(orgConnectionId); },
+    processExport: async (orgConnectionId, task) => { calls.processed.push({ orgConnectionId, ...task }); },
+    markErrored: (orgConnectionId, reason, classification) => { calls.errored.push({ orgConnectionId, classification }); },
+    fasten
+  });
+  return { diagnostics, calls };
+}
+
+// Fasten reporting an authorized connection whose export task finished at completedAt
+function finishedTask(completedAt) {
+  return {
+    getOrgConnection: async () => ({ status: 'authorized' }),
+    getExportTask: async taskId => ({ task_id: taskId, status: 'success', updated_at: completedAt, download_link: `https://fasten.test/download/${taskId}` })
+  };
+}
+
+const health = classification => ({ classification, detail: `probe said ${classification}` });
+
+test('retrigger requests a new export within the retry budget, then marks the connection errored', async (t) => {
+  const { diagnostics, calls } = createDiagnostics();
+  diagnostics.startExportMonitoring('conn-1', { platformType: 'epic' });
+  t.after(() => diagnostics.stopExportMonitoring('conn-1'));
+
+  const first = await diagnostics.recover('conn-1', {}, health('failed_silently'));
+  assert.equal(first.action, 'retrigger');
+  assert.deepEqual(calls.triggered, ['conn-1']);
+  assert.equal(diagnostics.getMonitoring('conn-1').retries, 1);
+
+  const second = await diagnostics.recover('conn-1', {}, health('failed_silently'));
+  assert.equal(second.action, 'mark_errored');
+  assert.deepEqual(calls.errored, [{ orgConnectionId: 'conn-1', classification: 'failed_silently' }]);
+});
+
+test('recovering a connection with no timeout record is skipped instead of throwing', async () => {
+  const { diagnostics, calls } = createDiagnostics();
+
+  const retrigger = await diagnostics.recover('conn-unknown', {}, health('never_requested'));
+  assert.equal(retrigger.action, 'none');
+  assert.equal(retrigger.status, 'not_monitored');
+
+  const extend = await diagnostics.recover('conn-unknown', {}, health('still_running'));
+  assert.equal(extend.status, 'not_monitored');
+
+  assert.deepEqual(calls.triggered, []);
+  assert.deepEqual(calls.errored, []);
+});
+
+test('an export that reported back while the timeout was being probed is not retriggered', async () => {
+  const { diagnostics, calls } = createDiagnostics();
+  diagnostics.startExportMonitoring('conn-2', {});
+  diagnostics.stopExportMonitoring('conn-2');
+
+  const result = await diagnostics.recover('conn-2', {}, health('failed_silently'));
+  assert.equal(result.action, 'none');
+  assert.equal(result.status, 'not_monitored');
+  assert.deepEqual(calls.triggered, []);
+  assert.equal(diagnostics.getMonitoring('conn-2'), null);
+  assert.equal(diagnostics.getStats().completed, 1);
+});
+
+test('a missed webhook reuses the finished task\'s download link while it is valid', async () => {
+  const completedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const { diagnostics, calls } = createDiagnostics({}, finishedTask(completedAt));
+  diagnostics.startExportMonitoring('conn-4', { pendingTaskId: 'task-4' });
+
+  const result = await diagnostics.handleExportTimeout('conn-4', { pendingTaskId: 'task-4' });
+  assert.equal(result.action, 'reuse_export');
+  assert.deepEqual(calls.processed, [{ orgConnectionId: 'conn-4', taskId: 'task-4', downloadLink: 'https://fasten.test/download/task-4', completedAt }]);
+  assert.deepEqual(calls.triggered, []);
+  assert.equal(diagnostics.getMonitoring('conn-4'), null);
+  assert.equal(diagnostics.getStats().actions.reuse_export, 1);
+});
+
+test('a missed webhook whose download link has expired requests a new export', async (t) => {
+  const completedAt = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+  const { diagnostics, calls } = createDiagnostics({}, finishedTask(completedAt));
+  diagnostics.startExportMonitoring('conn-5', { pendingTaskId: 'task-5' });
+  t.after(() => diagnostics.stopExportMonitoring('conn-5'));
+
+  const result = await diagnostics.handleExportTimeout('conn-5', { pendingTaskId: 'task-5' });
+  assert.equal(result.action, 'retrigger');
+  assert.match(result.reason, /expired/);
+  assert.deepEqual(calls.processed, []);
+  assert.deepEqual(calls.triggered, ['conn-5']);
+});
+
+test('a revoked connection\'s timeout record is dropped', async () => {
+  const { diagnostics } = createDiagnostics();
+  diagnostics.startExportMonitoring('conn-6', {});
+  await diagnostics.recover('conn-6', {}, health('authorization_lost'));
+  assert.equal(diagnostics.getMonitoring('conn-6').status, 'errored');
+
+  diagnostics.forget('conn-6');
+  assert.equal(diagnostics.getMonitoring('conn-6'), null);
+  assert.equal(diagnostics.getStats().totalConnections, 0);
+});
+
+test('authorization_lost still marks an unmonitored connection errored', async () => {
+  const { diagnostics, calls } = createDiagnostics();
+  const result = await diagnostics.recover('conn-3', {}, health('authorization_lost'));
+  assert.equal(result.action, 'mark_errored');
+  assert.deepEqual(calls.errored, [{ orgConnectionId: 'conn-3', classification: 'authorization_lost' }]);
+});
@@ -0,0 +1,144 @@
+// Webhook inbox: draining from the pending index, retries, replays, and retention of finished events
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebhookInbox } = require('../webhook-inbox');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function event(id, timestamp = new Date().toISOString()) {
+  return { id, timestamp, body: { id: `fasten-${id}`, type: 'patient.ehi_export_success' } };
+}
+
+// Resolves once every queued event has been handled
+async function settle(inbox) {
+  for (let i = 0; i < 50 && (inbox.active.size > 0 || inbox.pending.size > 0); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+test('processes queued events oldest first and drops them from the pending index', async () => {
+  const processed = [];
+  const inbox = new WebhookInbox(new Map(), async queued => { processed.push(queued.id); }, { concurrency: 1 });
+
+  inbox.enqueue(event('b', '2024-05-01T00:00:02Z'));
+  inbox.enqueue(event('a', '2024-05-01T00:00:01Z'));
+  assert.equal(inbox.pending.size, 2);
+  await settle(inbox);
+
+  assert.deepEqual(processed, ['a', 'b']);
+  assert.equal(inbox.pending.size, 0);
+  assert.equal(inbox.getStats().done, 2);
+});
+
+test('a failed event waits in the pending index until its retry is due, then fails permanently', async () => {
+  let calls = 0;
+  const events = new Map();
+  const inbox = new WebhookInbox(events, async () => { calls++; throw new Error('foundry down'); },
+    { maxAttempts: 2, retryBaseDelayMs: 60000 });
+
+  inbox.enqueue(event('e1'));
+  await settle(inbox);
+  assert.equal(calls, 1);
+  assert.equal(events.get('e1').status, 'queued');
+  assert.ok(inbox.pending.get('e1').dueAt > Date.now());
+
+  inbox.pending.get('e1').dueAt = 0;
+  inbox.drain();
+  await settle(inbox);
+  assert.equal(calls, 2);
+  assert.equal(events.get('e1').status, 'failed');
+  assert.equal(inbox.pending.size, 0);
+
+  inbox.retry('e1');
+  assert.equal(inbox.pending.has('e1'), true);
+  await settle(inbox);
+  assert.equal(calls, 3);
+});
+
+test('a replay is processed by a worker with its force flag and recorded on the event', async () => {
+  const seen = [];
+  const events = new Map();
+  const inbox = new WebhookInbox(events, async queued => {
+    seen.push(queued.replay?.force ?? null);
+    return { outcome: queued.replay ? 'processed' : 'first' };
+  });
+
+  inbox.enqueue(event('r1'));
+  await settle(inbox);
+  inbox.replay('r1', { force: true });
+  assert.equal(events.get('r1').status, 'queued');
+  await settle(inbox);
+
+  assert.deepEqual(seen, [null, true]);
+  const replayed = events.get('r1');
+  assert.equal(replayed.status, 'done');
+  assert.equal(replayed.replay, null);
+  assert.deepEqual(replayed.replays.map(({ force, outcome }) => ({ force, outcome })), [{ force: true, outcome: 'processed' }]);
+});
+
+test('an event that is queued or being processed is not replayed', async () => {
+  let release;
+  const events = new Map();
+  const inbox = new WebhookInbox(events, () => new Promise(resolve => { release = resolve; }));
+
+  inbox.enqueue(event('r2'));
+  assert.throws(() => inbox.replay('r2'), /is queued/);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(events.get('r2').status, 'processing');
+  assert.throws(() => inbox.replay('r2'), /is processing/);
+  assert.equal(inbox.replay('missing'), null);
+
+  release();
+  await settle(inbox);
+  assert.equal(inbox.replay('r2').status, 'queued');
+  await new Promise(resolve => setImmediate(resolve));
+  release();
+  await settle(inbox);
+  assert.equal(events.get('r2').replays.length, 1);
+});
+
+test('the pending index is rebuilt from stored events, including interrupted ones', async () => {
+  const events = new Map([
+    ['queued', { ...event('queued'), status: 'queued', attempts: 0 }],
+    ['interrupted', { ...event('interrupted'), status: 'processing', attempts: 1 }],
+    ['done', { ...event('done'), status: 'done', processed: true }]
+  ]);
+  const processed = [];
+  const inbox = new WebhookInbox(events, async queued => { processed.push(queued.id); }, { retentionMs: 0 });
+  assert.deepEqual(Array.from(inbox.pending.keys()), ['queued']);
+
+  inbox.start();
+  inbox.stop();
+  await settle(inbox);
+  assert.deepEqual(processed.sort(), ['interrupted', 'queued']);
+});
+
+test('prunes done and failed events past the retention window only', () => {
+  const now = Date.parse('2024-05-10T00:00:00Z');
+  const old = new Date(now - 8 * DAY).toISOString();
+  const recent = new Date(now - DAY).toISOString();
+  const events = new Map([
+    ['old-done', { ...event('old-done', old), status: 'done', completedAt: old }],
+    ['old-failed', { ...event('old-failed', old), status: 'failed', lastFailedAt: old }],
+    ['old-legacy', { ...event('old-legacy', old), processed: true }],
+    ['recent-done', { ...event('recent-done', old), status: 'done', completedAt: recent }],
+    ['old-queued', { ...event('old-queued', old), status: 'queued', nextAttemptAt: old }],
+    ['old-processing', { ...event('old-processing', old), status: 'processing' }]
+  ]);
+  const inbox = new WebhookInbox(events, async () => {}, { retentionMs: 7 * DAY });
+
+  assert.equal(inbox.prune(now), 3);
+  assert.deepEqual(Array.from(events.keys()), ['recent-done', 'old-queued', 'old-processing']);
+});
+
+test('a retention of 0 keeps every event', () => {
+  const old = new Date(Date.now() - 365 * DAY).toISOString();
+  const events = new Map([['old-done', { ...event('old-done', old), status: 'done', completedAt: old }]]);
+  const inbox = new WebhookInbox(events, async () => {}, { retentionMs: 0 });
+  assert.equal(inbox.prune(), 0);
+  assert.equal(events.size, 1);
+});
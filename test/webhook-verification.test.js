@@ -0,0 +1,60 @@
+// Standard Webhooks verification: signatures, timestamp tolerance, secret rotation and invalid secrets
+
+process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { Webhook } = require('standardwebhooks');
+const { WebhookVerifier } = require('../webhook-verification');
+
+const secret = () => `whsec_${crypto.randomBytes(24).toString('base64')}`;
+const OLD_SECRET = secret();
+const NEW_SECRET = secret();
+const BODY = JSON.stringify({ id: 'evt_1', type: 'patient.ehi_export_success', data: { org_connection_id: 'conn-1' } });
+
+function deliver(signingSecret, { timestamp = Math.floor(Date.now() / 1000), body = BODY, id = 'msg_1' } = {}) {
+  const signature = new Webhook(signingSecret).sign(id, new Date(timestamp * 1000), body);
+  return { 'Webhook-Id': id, 'Webhook-Timestamp': String(timestamp), 'Webhook-Signature': signature };
+}
+
+test('accepts a delivery signed with the configured secret', () => {
+  const verifier = new WebhookVerifier({ secrets: [OLD_SECRET] });
+  assert.deepEqual(verifier.verify(BODY, deliver(OLD_SECRET)), { ok: true, verified: true, secretIndex: 0 });
+  assert.equal(verifier.getStats().verified, 1);
+});
+
+test('rejects a wrong secret or a tampered body', () => {
+  const verifier = new WebhookVerifier({ secrets: [OLD_SECRET] });
+  assert.equal(verifier.verify(BODY, deliver(NEW_SECRET)).reason, 'invalid_signature');
+  assert.equal(verifier.verify(BODY.replace('conn-1', 'conn-2'), deliver(OLD_SECRET)).reason, 'invalid_signature');
+  assert.equal(verifier.verify(BODY, { 'webhook-id': 'msg_1' }).reason, 'missing_headers');
+  assert.equal(verifier.getStats().failures.invalid_signature, 2);
+});
+
+test('rejects timestamps outside the tolerance', () => {
+  const verifier = new WebhookVerifier({ secrets: [OLD_SECRET], toleranceSeconds: 300 });
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(verifier.verify(BODY, deliver(OLD_SECRET, { timestamp: now - 301 })).reason, 'timestamp_too_old');
+  assert.equal(verifier.verify(BODY, deliver(OLD_SECRET, { timestamp: now + 301 })).reason, 'timestamp_too_new');
+  assert.equal(verifier.verify(BODY, { ...deliver(OLD_SECRET), 'Webhook-Timestamp': 'yesterday' }).reason, 'invalid_timestamp');
+  assert.equal(verifier.verify(BODY, deliver(OLD_SECRET, { timestamp: now - 200 })).ok, true);
+});
+
+test('accepts either secret while one is being rotated', () => {
+  const verifier = new WebhookVerifier({ secrets: [OLD_SECRET, NEW_SECRET] });
+  assert.equal(verifier.verify(BODY, deliver(OLD_SECRET)).secretIndex, 0);
+  assert.equal(verifier.verify(BODY, deliver(NEW_SECRET)).secretIndex, 1);
+  assert.deepEqual(verifier.getStats().matchesBySecret, [1, 1]);
+});
+
+test('refuses to start with a secret that is not a valid Standard Webhooks secret', () => {
+  assert.throws(() => new WebhookVerifier({ secrets: ['whsec_not base64!'] }), /Webhook secret #1 is not a valid/);
+  assert.throws(() => new WebhookVerifier({ secrets: [OLD_SECRET, 'whsec_abc'] }), /Webhook secret #2 is not a valid/);
+});
+
+test('without secrets, deliveries pass unverified unless signatures are required', () => {
+  assert.deepEqual(new WebhookVerifier({ secrets: [], requireSignature: false }).verify(BODY, {}), { ok: true, verified: false });
+  assert.equal(new WebhookVerifier({ secrets: [], requireSignature: true }).verify(BODY, {}).reason, 'no_secret_configured');
+});
@@ -1,103 +1,393 @@
 // Webhook Diagnostics Module
 // Helps diagnose silent webhook failures from Fasten Connect
+//
+// When no export webhook arrives within the connection's timeout, the connection
+// and its export task are looked up at Fasten and the outcome is classified:
+//   still_running       - the task exists and hasn't finished
+//   failed_silently     - the task failed but no failure webhook arrived
+//   webhook_missed      - the task succeeded but no success webhook arrived
+//   authorization_lost  - Fasten reports the connection revoked, errored or gone
+//   never_requested     - no export task exists for the connection
+//   unknown             - Fasten couldn't be asked (not configured or API error)
+// Each classification maps to an action: extend (keep waiting), reuse_export
+// (process the finished task's download link while it is still valid), retrigger
+// (request a new export, within a retry budget) or mark_errored.
+// A connection's timeout record is dropped once its export reports back or its
+// authorization is revoked; errored records stay until then.
 
-const axios = require('axios');
+const { logger } = require('./logger');
+const fastenApi = require('./fasten-api');
+const { linkExpiresAt, isLinkExpired } = require('./download-links');
+
+function parseJsonEnv(name, fallback) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error(`❌ ${name} is not valid JSON`, { error: error.message });
+    return fallback;
+  }
+}
+
+const CLASSIFICATIONS = ['still_running', 'failed_silently', 'webhook_missed', 'authorization_lost', 'never_requested', 'unknown'];
+const ACTIONS = ['extend', 'reuse_export', 'retrigger', 'mark_errored'];
+
+const DIAGNOSTICS_CONFIG = {
+  // Timeouts: per portal, then per platformType, then the default
+  defaultTimeoutMs: parseInt(process.env.EXPORT_TIMEOUT_MS || String(30 * 60 * 1000), 10),
+  timeoutsByPlatform: { epic: 60 * 60 * 1000, ...parseJsonEnv('EXPORT_TIMEOUTS_BY_PLATFORM', {}) },
+  timeoutsByPortal: parseJsonEnv('EXPORT_TIMEOUTS_BY_PORTAL', {}),
+  retryBudget: parseInt(process.env.EXPORT_RETRY_BUDGET || '2', 10),
+  maxExtensions: parseInt(process.env.EXPORT_MAX_EXTENSIONS || '2', 10),
+  actions: {
+    still_running: 'extend',
+    failed_silently: 'retrigger',
+    webhook_missed: 'reuse_export',
+    authorization_lost: 'mark_errored',
+    never_requested: 'retrigger',
+    unknown: 'extend',
+    ...parseJsonEnv('EXPORT_TIMEOUT_ACTIONS', {})
+  }
+};
+
+const RUNNING_TASK_STATUSES = new Set(['pending', 'queued', 'running', 'in_progress', 'processing', 'requested']);
+const FAILED_TASK_STATUSES = new Set(['failed', 'error', 'errored', 'cancelled', 'canceled']);
+const SUCCESS_TASK_STATUSES = new Set(['success', 'succeeded', 'complete', 'completed', 'done']);
+const LOST_CONNECTION_STATUSES = new Set(['revoked', 'error', 'errored', 'unauthorized', 'expired', 'disconnected']);
 
 class WebhookDiagnostics {
-  constructor() {
+  /**
+   * options.triggerExport(orgConnectionId, connectionData) - request a new export
+   * options.processExport(orgConnectionId, { taskId, downloadLink, completedAt }) - process a finished export
+   * options.markErrored(orgConnectionId, reason, classification) - record a failed connection
+   * options.getConnection(orgConnectionId) - latest stored connection data
+   * options.fasten - Fasten API client (getOrgConnection, getExportTask)
+   */
+  constructor(options = {}) {
+    this.config = { ...DIAGNOSTICS_CONFIG, ...(options.config || {}) };
+    this.hooks = {
+      triggerExport: options.triggerExport || null,
+      processExport: options.processExport || null,
+      markErrored: options.markErrored || null,
+      getConnection: options.getConnection || null
+    };
+    this.fasten = options.fasten || fastenApi;
     this.connectionTimeouts = new Map(); // org_connection_id -> timeout info
     this.healthChecks = new Map(); // connection health tracking
-    this.EXPORT_TIMEOUT = 30 * 60 * 1000; // 30 minutes in milliseconds
+    // Outcome counts outlive the timeout records they came from
+    this.totals = {
+      completed: 0,
+      classifications: Object.fromEntries(CLASSIFICATIONS.map(classification => [classification, 0])),
+      actions: Object.fromEntries(ACTIONS.map(action => [action, 0]))
+    };
+    this.EXPORT_TIMEOUT = this.config.defaultTimeoutMs;
+  }
+
+  // Timeout for a connection: portal override, then platform, then default
+  getExportTimeout(connectionData = {}) {
+    const { timeoutsByPortal, timeoutsByPlatform, defaultTimeoutMs } = this.config;
+    if (connectionData.portalId && timeoutsByPortal[connectionData.portalId]) {
+      return timeoutsByPortal[connectionData.portalId];
+    }
+    const platform = (connectionData.platformType || '').toLowerCase();
+    if (platform && timeoutsByPlatform[platform]) {
+      return timeoutsByPlatform[platform];
+    }
+    return defaultTimeoutMs;
   }
 
   // Start monitoring a connection for export timeout
   startExportMonitoring(orgConnectionId, connectionData) {
-    console.log(`🕐 Starting export timeout monitoring for connection: ${orgConnectionId}`);
-    
-    const timeoutId = setTimeout(() => {
-      this.handleExportTimeout(orgConnectionId, connectionData);
-    }, this.EXPORT_TIMEOUT);
+    const previous = this.connectionTimeouts.get(orgConnectionId);
+    if (previous) {
+      clearTimeout(previous.timeoutId);
+    }
 
     this.connectionTimeouts.set(orgConnectionId, {
-      timeoutId,
+      timeoutId: null,
       startedAt: new Date().toISOString(),
       connectionData,
-      status: 'monitoring'
+      status: 'monitoring',
+      timeoutMs: this.getExportTimeout(connectionData),
+      extensions: 0,
+      retries: 0,
+      outcomes: []
+    });
+    this.schedule(orgConnectionId);
+
+    logger.info('🕐 Starting export timeout monitoring', {
+      org_connection_id: orgConnectionId,
+      timeoutMinutes: this.getExportTimeout(connectionData) / 60000
     });
   }
 
-  // Stop monitoring (called when export success/failure received)
+  schedule(orgConnectionId) {
+    const timeout = this.connectionTimeouts.get(orgConnectionId);
+    timeout.status = 'monitoring';
+    timeout.deadline = new Date(Date.now() + timeout.timeoutMs).toISOString();
+    timeout.timeoutId = setTimeout(() => {
+      this.handleExportTimeout(orgConnectionId, timeout.connectionData).catch(error => {
+        logger.error('❌ Export timeout handling failed', { org_connection_id: orgConnectionId, error });
+      });
+    }, timeout.timeoutMs);
+    timeout.timeoutId.unref?.();
+  }
+
+  // Stop monitoring (called when export success/failure received): the timeout is resolved
   stopExportMonitoring(orgConnectionId) {
     const timeout = this.connectionTimeouts.get(orgConnectionId);
     if (timeout) {
       clearTimeout(timeout.timeoutId);
-      timeout.status = 'completed';
-      console.log(`✅ Export monitoring stopped for connection: ${orgConnectionId}`);
+      this.connectionTimeouts.delete(orgConnectionId);
+      this.healthChecks.delete(orgConnectionId);
+      this.totals.completed++;
+      logger.info('✅ Export monitoring stopped', { org_connection_id: orgConnectionId });
+    }
+  }
+
+  // Drop everything tracked for a connection (called when its authorization is revoked)
+  forget(orgConnectionId) {
+    const timeout = this.connectionTimeouts.get(orgConnectionId);
+    if (timeout) {
+      clearTimeout(timeout.timeoutId);
+      this.connectionTimeouts.delete(orgConnectionId);
     }
+    this.healthChecks.delete(orgConnectionId);
   }
 
   // Handle export timeout (no webhook received)
   async handleExportTimeout(orgConnectionId, connectionData) {
-    console.log(`\n🚨 EXPORT TIMEOUT DETECTED 🚨`);
-    console.log(`Connection: ${orgConnectionId}`);
-    console.log(`Platform: ${connectionData.platformType}`);
-    console.log(`Connected at: ${connectionData.connectedAt}`);
-    console.log(`Timeout after: ${this.EXPORT_TIMEOUT / 60000} minutes`);
+    const latest = this.hooks.getConnection ? this.hooks.getConnection(orgConnectionId) : null;
+    const connection = latest || connectionData;
+
+    logger.warn('🚨 Export timeout detected', {
+      org_connection_id: orgConnectionId,
+      platformType: connection.platformType,
+      connectedAt: connection.connectedAt,
+      timeoutMinutes: this.getExportTimeout(connection) / 60000
+    });
     
     // Update timeout info
     const timeout = this.connectionTimeouts.get(orgConnectionId);
     if (timeout) {
       timeout.status = 'timed_out';
       timeout.timedOutAt = new Date().toISOString();
+      timeout.connectionData = connection;
     }
 
     // Log diagnostic information
-    await this.logDiagnosticInfo(orgConnectionId, connectionData);
+    await this.logDiagnosticInfo(orgConnectionId, connection);
     
-    // Attempt to probe the connection status
-    await this.probeConnectionHealth(orgConnectionId, connectionData);
+    // Ask Fasten what happened, then act on it
+    const health = await this.probeConnectionHealth(orgConnectionId, connection);
+    return this.recover(orgConnectionId, connection, health);
   }
 
   // Log comprehensive diagnostic information
   async logDiagnosticInfo(orgConnectionId, connectionData) {
-    console.log(`\n📊 DIAGNOSTIC INFORMATION:`);
-    console.log(`- Connection ID: ${orgConnectionId}`);
-    console.log(`- Platform: ${connectionData.platformType}`);
-    console.log(`- Endpoint ID: ${connectionData.endpointId || 'N/A'}`);
-    console.log(`- Brand ID: ${connectionData.brandId || 'N/A'}`);
-    console.log(`- Portal ID: ${connectionData.portalId || 'N/A'}`);
-    console.log(`- External ID: ${connectionData.externalId || 'MISSING'}`);
-    console.log(`- Connected at: ${connectionData.connectedAt}`);
+    logger.info('📊 Diagnostic information', {
+      org_connection_id: orgConnectionId,
+      platformType: connectionData.platformType,
+      endpointId: connectionData.endpointId || null,
+      brandId: connectionData.brandId || null,
+      portalId: connectionData.portalId || null,
+      external_id: connectionData.externalId || null,
+      externalIdMissing: !connectionData.externalId,
+      connectedAt: connectionData.connectedAt
+    });
     
     // Check if this is a known problematic provider
     const knownIssues = this.getKnownProviderIssues(connectionData);
     if (knownIssues.length > 0) {
-      console.log(`\n⚠️ KNOWN ISSUES WITH THIS PROVIDER:`);
-      knownIssues.forEach(issue => console.log(`- ${issue}`));
+      logger.warn('⚠️ Known issues with this provider', { org_connection_id: orgConnectionId, knownIssues });
     }
   }
 
-  // Probe connection health by checking if connection still exists
+  // Probe connection health: look up the connection and its export task at Fasten
   async probeConnectionHealth(orgConnectionId, connectionData) {
-    console.log(`\n🔍 PROBING CONNECTION HEALTH...`);
+    logger.info('🔍 Probing connection health', { org_connection_id: orgConnectionId });
+
+    const health = {
+      checkedAt: new Date().toISOString(),
+      classification: 'unknown',
+      detail: null,
+      connectionStatus: null,
+      taskId: connectionData.pendingTaskId || null,
+      taskStatus: null
+    };
     
     try {
-      // This would ideally call Fasten API to check connection status
-      // For now, we'll log what we would check
-      console.log(`- Would check Fasten API for connection status`);
-      console.log(`- Would verify if authorization is still valid`);
-      console.log(`- Would check if export task exists in Fasten system`);
-      
-      // Store health check result
-      this.healthChecks.set(orgConnectionId, {
-        checkedAt: new Date().toISOString(),
-        status: 'timeout_detected',
-        connectionData
-      });
-      
+      if (!fastenApi.FASTEN_CONFIGURED && this.fasten === fastenApi) {
+        health.detail = 'Fasten API credentials are not configured';
+      } else {
+        const connection = await this.fasten.getOrgConnection(orgConnectionId);
+        health.connectionStatus = connection ? connection.status : 'not_found';
+
+        if (!connection || LOST_CONNECTION_STATUSES.has((connection.status || '').toLowerCase())) {
+          health.classification = 'authorization_lost';
+          health.detail = connection ? `Fasten reports the connection as ${connection.status}` : 'Fasten no longer knows this connection';
+        } else if (!health.taskId) {
+          health.classification = 'never_requested';
+          health.detail = 'No export task was recorded for this connection';
+        } else {
+          Object.assign(health, await this.probeExportTask(health.taskId));
+        }
+      }
     } catch (error) {
-      console.error(`❌ Failed to probe connection health:`, error.message);
+      health.classification = 'unknown';
+      health.detail = `Fasten API error: ${error.message}`;
+      logger.error('❌ Failed to probe connection health', { org_connection_id: orgConnectionId, error: error.message });
     }
+
+    // Store health check result
+    this.healthChecks.set(orgConnectionId, health);
+    logger.info('🩺 Connection health classified', {
+      org_connection_id: orgConnectionId,
+      classification: health.classification,
+      connectionStatus: health.connectionStatus,
+      taskStatus: health.taskStatus
+    });
+    return health;
+  }
+
+  async probeExportTask(taskId) {
+    let task;
+    try {
+      task = await this.fasten.getExportTask(taskId);
+    } catch (error) {
+      if (error.status === 404) {
+        return { classification: 'never_requested', detail: `Fasten has no export task ${taskId}`, taskStatus: 'not_found' };
+      }
+      throw error;
+    }
+
+    const status = (task.status || '').toLowerCase();
+    if (RUNNING_TASK_STATUSES.has(status)) {
+      return { classification: 'still_running', detail: `Export task is ${task.status}`, taskStatus: task.status };
+    }
+    if (FAILED_TASK_STATUSES.has(status)) {
+      return {
+        classification: 'failed_silently',
+        detail: `Export task failed without a webhook${task.failure_reason ? `: ${task.failure_reason}` : ''}`,
+        taskStatus: task.status
+      };
+    }
+    if (SUCCESS_TASK_STATUSES.has(status)) {
+      // The link is issued when the task finishes, so its lifetime counts from updated_at
+      const completedAt = task.updated_at || null;
+      return {
+        classification: 'webhook_missed',
+        detail: 'Export task succeeded but no webhook arrived',
+        taskStatus: task.status,
+        downloadLink: task.download_link || null,
+        completedAt,
+        linkExpired: isLinkExpired({ downloadLink: task.download_link, expiresAt: completedAt && linkExpiresAt(completedAt) })
+      };
+    }
+    return { classification: 'unknown', detail: `Unrecognised export task status ${task.status}`, taskStatus: task.status };
+  }
+
+  // Act on a health classification with the configured action
+  async recover(orgConnectionId, connectionData, health) {
+    const timeout = this.connectionTimeouts.get(orgConnectionId);
+    let action = this.config.actions[health.classification] || 'mark_errored';
+    let reason = health.detail;
+
+    // The other actions act on the connection's timeout record: without one (never
+    // monitored, or its export reported back while Fasten was being probed) there is
+    // nothing to extend, no retry budget to charge, and another export would only duplicate it
+    if (action !== 'mark_errored' && !timeout) {
+      logger.warn('⚠️ Skipping export timeout recovery', {
+        org_connection_id: orgConnectionId,
+        classification: health.classification,
+        action,
+        status: 'not_monitored'
+      });
+      return { classification: health.classification, action: 'none', status: 'not_monitored', reason: 'No export timeout is tracked for this connection' };
+    }
+
+    // Without a link that is still valid there is nothing to reuse: request a new export
+    if (action === 'reuse_export' && (!health.downloadLink || health.linkExpired || !this.hooks.processExport)) {
+      action = 'retrigger';
+      if (health.linkExpired) reason = `${health.detail || health.classification}; its download link has expired`;
+    }
+    if (timeout && action === 'extend' && timeout.extensions >= this.config.maxExtensions) {
+      action = 'mark_errored';
+      reason = `${health.detail || health.classification}; still no result after ${timeout.extensions} extension(s)`;
+    }
+    if (timeout && action === 'retrigger' && (timeout.retries >= this.config.retryBudget || !this.hooks.triggerExport)) {
+      action = 'mark_errored';
+      reason = `${health.detail || health.classification}; export retry budget (${this.config.retryBudget}) exhausted`;
+    }
+
+    logger.warn('🛠️ Export timeout recovery', {
+      org_connection_id: orgConnectionId,
+      classification: health.classification,
+      action
+    });
+
+    if (timeout) {
+      timeout.outcomes.push({ at: new Date().toISOString(), classification: health.classification, action, detail: reason });
+      timeout.lastClassification = health.classification;
+      timeout.lastAction = action;
+    }
+    this.totals.classifications[health.classification] = (this.totals.classifications[health.classification] || 0) + 1;
+    this.totals.actions[action] = (this.totals.actions[action] || 0) + 1;
+
+    switch (action) {
+      case 'extend':
+        timeout.extensions++;
+        this.schedule(orgConnectionId);
+        break;
+      case 'reuse_export':
+        // Processing the export reports back like its webhook would have
+        await this.hooks.processExport(orgConnectionId, {
+          taskId: health.taskId,
+          downloadLink: health.downloadLink,
+          completedAt: health.completedAt
+        });
+        this.stopExportMonitoring(orgConnectionId);
+        break;
+      case 'retrigger':
+        timeout.retries++;
+        connectionData.pendingTaskId = null;
+        await this.hooks.triggerExport(orgConnectionId, connectionData);
+        // An export that reported back meanwhile has already resolved the timeout
+        if (this.connectionTimeouts.get(orgConnectionId) === timeout) {
+          this.schedule(orgConnectionId);
+        }
+        break;
+      default:
+        if (timeout) {
+          timeout.status = 'errored';
+          timeout.error = reason;
+        }
+        if (this.hooks.markErrored) {
+          this.hooks.markErrored(orgConnectionId, reason, health.classification);
+        }
+    }
+
+    return { classification: health.classification, action, reason };
+  }
+
+  // Monitoring state for one connection, as shown on its status route
+  getMonitoring(orgConnectionId) {
+    const timeout = this.connectionTimeouts.get(orgConnectionId);
+    if (!timeout) return null;
+    return {
+      status: timeout.status,
+      startedAt: timeout.startedAt,
+      deadline: timeout.status === 'monitoring' ? timeout.deadline : null,
+      timedOutAt: timeout.timedOutAt || null,
+      timeoutMs: timeout.timeoutMs,
+      extensions: timeout.extensions,
+      retries: timeout.retries,
+      retryBudget: this.config.retryBudget,
+      lastClassification: timeout.lastClassification || null,
+      lastAction: timeout.lastAction || null,
+      error: timeout.error || null
+    };
   }
 
   // Get known issues for specific providers
@@ -129,7 +419,8 @@ class WebhookDiagnostics {
       timestamp: new Date().toISOString(),
       activeMonitoring: [],
       timedOutConnections: [],
-      completedConnections: [],
+      erroredConnections: [],
+      completedCount: this.totals.completed,
       totalConnections: this.connectionTimeouts.size
     };
 
@@ -144,6 +435,9 @@ class WebhookDiagnostics {
       if (timeout.timedOutAt) {
         entry.timedOutAt = timeout.timedOutAt;
       }
+      if (timeout.outcomes.length > 0) {
+        entry.outcomes = timeout.outcomes;
+      }
 
       switch (timeout.status) {
         case 'monitoring':
@@ -152,8 +446,8 @@ class WebhookDiagnostics {
         case 'timed_out':
           report.timedOutConnections.push(entry);
           break;
-        case 'completed':
-          report.completedConnections.push(entry);
+        case 'errored':
+          report.erroredConnections.push(entry);
           break;
       }
     }
@@ -167,8 +461,19 @@ class WebhookDiagnostics {
       totalConnections: this.connectionTimeouts.size,
       activeMonitoring: 0,
       timedOut: 0,
-      completed: 0,
-      healthChecks: this.healthChecks.size
+      errored: 0,
+      completed: this.totals.completed,
+      healthChecks: this.healthChecks.size,
+      classifications: { ...this.totals.classifications },
+      actions: { ...this.totals.actions },
+      config: {
+        defaultTimeoutMs: this.config.defaultTimeoutMs,
+        timeoutsByPlatform: this.config.timeoutsByPlatform,
+        timeoutsByPortal: this.config.timeoutsByPortal,
+        retryBudget: this.config.retryBudget,
+        maxExtensions: this.config.maxExtensions,
+        actions: this.config.actions
+      }
     };
 
     for (const timeout of this.connectionTimeouts.values()) {
@@ -179,8 +484,8 @@ class WebhookDiagnostics {
         case 'timed_out':
           stats.timedOut++;
           break;
-        case 'completed':
-          stats.completed++;
+        case 'errored':
+          stats.errored++;
           break;
       }
     }
@@ -190,3 +495,5 @@ class WebhookDiagnostics {
 }
 
 module.exports = WebhookDiagnostics;
+module.exports.DIAGNOSTICS_CONFIG = DIAGNOSTICS_CONFIG;
+module.exports.CLASSIFICATIONS = CLASSIFICATIONS;
@@ -0,0 +1,285 @@
+// Webhook Inbox Module
+// Durable queue of received webhook events, drained by a background worker pool
+//
+// The webhook route only verifies and enqueues; processing (export downloads,
+// Foundry pushes) happens here so Fasten gets its 200 straight away. Each event
+// tracks status (queued/processing/done/failed), attempt count and next retry time.
+//
+// Queued events are also kept in an in-memory pending index (rebuilt from storage
+// on start), so draining never scans the whole collection. Done and failed events
+// are pruned once they are older than retentionMs.
+//
+// Replays of finished events are queued here too, so a replayed event is only ever
+// processed by one worker at a time; each replay's outcome is recorded on the event.
+
+const { logger } = require('./logger');
+
+const INBOX_CONFIG = {
+  concurrency: parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY || '2', 10),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000', 10),   // 30 seconds
+  retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '1800000', 10),   // 30 minutes
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000', 10),
+  retentionMs: parseInt(process.env.WEBHOOK_EVENT_RETENTION_MS || '604800000', 10),       // 7 days; 0 keeps events forever
+  pruneIntervalMs: parseInt(process.env.WEBHOOK_EVENT_PRUNE_INTERVAL_MS || '3600000', 10) // 1 hour
+};
+
+const INBOX_STATUSES = ['queued', 'processing', 'done', 'failed'];
+const FINISHED_STATUSES = new Set(['done', 'failed']);
+
+// Events stored before the inbox existed have no status
+function statusOf(event) {
+  return event.status || (event.processed ? 'done' : 'failed');
+}
+
+class WebhookInbox {
+  constructor(events, processor, options = {}) {
+    this.events = events; // storage collection: event id -> event record
+    this.processor = processor; // async (event) => void
+    this.config = { ...INBOX_CONFIG, ...options };
+    this.active = new Set(); // event ids being processed by this instance
+    this.pending = new Map(); // queued event id -> { timestamp, dueAt }
+    this.timer = null;
+    this.pruneTimer = null;
+
+    for (const event of this.events.values()) {
+      if (event.status === 'queued') this.track(event);
+    }
+  }
+
+  // Add a queued event to the pending index
+  track(event) {
+    this.pending.set(event.id, {
+      timestamp: new Date(event.timestamp).getTime() || 0,
+      dueAt: event.nextAttemptAt ? new Date(event.nextAttemptAt).getTime() : 0
+    });
+  }
+
+  // Persist a newly received event and schedule it for processing
+  enqueue(event) {
+    const queued = {
+      ...event,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      processed: false
+    };
+
+    this.events.set(queued.id, queued);
+    this.track(queued);
+    setImmediate(() => this.drain());
+    return queued;
+  }
+
+  // Start polling for due events
+  start() {
+    if (this.timer) return;
+
+    // Anything still marked processing was interrupted by a restart
+    let recovered = 0;
+    for (const [eventId, event] of Array.from(this.events.entries())) {
+      if (event.status === 'processing') {
+        const requeued = { ...event, status: 'queued', nextAttemptAt: new Date().toISOString() };
+        this.events.set(eventId, requeued);
+        this.track(requeued);
+        recovered++;
+      }
+    }
+    if (recovered > 0) {
+      logger.info('♻️ Re-queued webhook events interrupted by restart', { recovered });
+    }
+
+    this.timer = setInterval(() => this.drain(), this.config.pollIntervalMs);
+    this.timer.unref();
+    if (this.config.retentionMs > 0) {
+      this.prune();
+      this.pruneTimer = setInterval(() => this.prune(), this.config.pruneIntervalMs);
+      this.pruneTimer.unref();
+    }
+    logger.info('📬 Webhook inbox started', { concurrency: this.config.concurrency, maxAttempts: this.config.maxAttempts, pending: this.pending.size });
+    this.drain();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  // Fill free worker slots with due events, oldest first
+  drain() {
+    if (this.active.size >= this.config.concurrency) return;
+
+    const now = Date.now();
+    const due = Array.from(this.pending.entries())
+      .filter(([eventId, { dueAt }]) => dueAt <= now && !this.active.has(eventId))
+      .sort(([, a], [, b]) => a.timestamp - b.timestamp);
+
+    for (const [eventId] of due) {
+      if (this.active.size >= this.config.concurrency) break;
+      this.run(eventId);
+    }
+  }
+
+  async run(eventId) {
+    this.active.add(eventId);
+    this.pending.delete(eventId);
+
+    const event = {
+      ...this.events.get(eventId),
+      status: 'processing',
+      startedAt: new Date().toISOString()
+    };
+    event.attempts = (event.attempts || 0) + 1;
+    this.events.set(eventId, event);
+
+    try {
+      const result = await this.processor(event);
+
+      this.events.set(eventId, {
+        ...event,
+        ...this.finishReplay(event, { outcome: result?.outcome || 'processed' }),
+        status: 'done',
+        processed: true,
+        completedAt: new Date().toISOString(),
+        nextAttemptAt: null
+      });
+    } catch (error) {
+      const exhausted = event.attempts >= this.config.maxAttempts;
+      const failed = {
+        ...event,
+        ...(exhausted ? this.finishReplay(event, { outcome: 'failed', error: error.message }) : {}),
+        status: exhausted ? 'failed' : 'queued',
+        error: error.message,
+        lastFailedAt: new Date().toISOString(),
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + this.retryDelay(event.attempts)).toISOString()
+      };
+      this.events.set(eventId, failed);
+      if (!exhausted) this.track(failed);
+
+      if (exhausted) {
+        logger.error('❌ Webhook event failed permanently', { eventId, attempts: event.attempts, error: error.message });
+      } else {
+        logger.warn('⚠️ Webhook event failed; will retry', { eventId, attempt: event.attempts, maxAttempts: this.config.maxAttempts, nextAttemptAt: failed.nextAttemptAt });
+      }
+    } finally {
+      this.active.delete(eventId);
+      setImmediate(() => this.drain());
+    }
+  }
+
+  // Exponential backoff: base, 2x base, 4x base ... capped at retryMaxDelayMs
+  retryDelay(attempts) {
+    return Math.min(this.config.retryMaxDelayMs, this.config.retryBaseDelayMs * 2 ** (attempts - 1));
+  }
+
+  // Put a failed event back on the queue with a fresh attempt budget
+  retry(eventId) {
+    const event = this.events.get(eventId);
+    if (!event) {
+      return null;
+    }
+    if (event.status !== 'failed') {
+      throw new Error(`Event ${eventId} is ${event.status}; only failed events can be retried`);
+    }
+
+    const requeued = {
+      ...event,
+      status: 'queued',
+      attempts: 0,
+      manualRetries: (event.manualRetries || 0) + 1,
+      nextAttemptAt: new Date().toISOString()
+    };
+    this.events.set(eventId, requeued);
+    this.track(requeued);
+    setImmediate(() => this.drain());
+    return requeued;
+  }
+
+  // Put a finished event back on the queue to be processed again, e.g. after a bug in
+  // export handling lost data. force is handed to the processor on event.replay.
+  replay(eventId, { force = false } = {}) {
+    const event = this.events.get(eventId);
+    if (!event) {
+      return null;
+    }
+    const status = statusOf(event);
+    if (!FINISHED_STATUSES.has(status) || this.active.has(eventId)) {
+      throw new Error(`Event ${eventId} is ${status}; it can be replayed once it has finished`);
+    }
+
+    const requeued = {
+      ...event,
+      status: 'queued',
+      attempts: 0,
+      replay: { force, requestedAt: new Date().toISOString() },
+      nextAttemptAt: new Date().toISOString()
+    };
+    this.events.set(eventId, requeued);
+    this.track(requeued);
+    setImmediate(() => this.drain());
+    return requeued;
+  }
+
+  // Fields recording how a replayed event's processing ended; none for ordinary events
+  finishReplay(event, { outcome, error }) {
+    if (!event.replay) return {};
+    const replays = event.replays || [];
+    return {
+      replay: null,
+      replays: [...replays, { replayedAt: new Date().toISOString(), force: event.replay.force, outcome, error }]
+    };
+  }
+
+  // Delete done and failed events that finished more than retentionMs ago
+  prune(now = Date.now()) {
+    if (!(this.config.retentionMs > 0)) return 0;
+
+    const cutoff = now - this.config.retentionMs;
+    let removed = 0;
+    for (const [eventId, event] of Array.from(this.events.entries())) {
+      if (!FINISHED_STATUSES.has(statusOf(event)) || this.active.has(eventId)) continue;
+
+      const finishedAt = new Date(event.completedAt || event.lastFailedAt || event.timestamp).getTime();
+      if (finishedAt <= cutoff) {
+        this.events.delete(eventId);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.info('🧹 Pruned finished webhook events', { removed, retentionMs: this.config.retentionMs });
+    }
+    return removed;
+  }
+
+  // List events, newest first, optionally filtered by status
+  list({ status, limit = 50 } = {}) {
+    return Array.from(this.events.values())
+      .filter(event => !status || event.status === status)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+  }
+
+  getStats() {
+    const stats = { total: this.events.size, active: this.active.size, pending: this.pending.size, retentionMs: this.config.retentionMs };
+    INBOX_STATUSES.forEach(status => { stats[status] = 0; });
+
+    for (const event of this.events.values()) {
+      const status = statusOf(event);
+      stats[status] = (stats[status] || 0) + 1;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = {
+  WebhookInbox,
+  INBOX_CONFIG,
+  INBOX_STATUSES
+};
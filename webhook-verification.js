@@ -0,0 +1,148 @@
+// Webhook Verification Module
+// Standard Webhooks signature checks with secret rotation and replay protection
+//
+// FASTEN_WEBHOOK_SECRETS may list several signing secrets (comma or whitespace
+// separated) alongside FASTEN_WEBHOOK_SECRET, so a new secret can be added in the
+// Fasten portal before the old one is removed. With WEBHOOK_REQUIRE_SIGNATURE=true
+// deliveries are rejected when no secret is configured instead of being accepted
+// unverified. Deliveries whose webhook-timestamp is further than
+// WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS from now are rejected as replays.
+//
+// A configured secret that isn't a valid Standard Webhooks secret is a startup
+// error: dropping it could leave no secret at all and silently accept every
+// delivery unverified.
+
+const crypto = require('crypto');
+const { Webhook } = require('standardwebhooks');
+
+function parseSecrets() {
+  const secrets = [
+    ...(process.env.FASTEN_WEBHOOK_SECRETS || '').split(/[\s,]+/),
+    process.env.FASTEN_WEBHOOK_SECRET || ''
+  ].map(secret => secret.trim()).filter(Boolean);
+
+  return [...new Set(secrets)];
+}
+
+const WEBHOOK_VERIFICATION_CONFIG = {
+  secrets: parseSecrets(),
+  requireSignature: process.env.WEBHOOK_REQUIRE_SIGNATURE === 'true',
+  toleranceSeconds: parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS || '300', 10)
+};
+
+const FAILURE_REASONS = [
+  'no_secret_configured',
+  'missing_headers',
+  'invalid_timestamp',
+  'timestamp_too_old',
+  'timestamp_too_new',
+  'invalid_signature'
+];
+
+class WebhookVerifier {
+  constructor(options = {}) {
+    this.config = { ...WEBHOOK_VERIFICATION_CONFIG, ...options };
+    this.webhooks = this.config.secrets.map((secret, index) => {
+      try {
+        return { index, webhook: new Webhook(secret) };
+      } catch (error) {
+        throw new Error(`Webhook secret #${index + 1} is not a valid Standard Webhooks secret (${error.message}). Check FASTEN_WEBHOOK_SECRET(S).`);
+      }
+    });
+
+    this.stats = {
+      verified: 0,
+      skipped: 0,
+      failures: Object.fromEntries(FAILURE_REASONS.map(reason => [reason, 0])),
+      matchesBySecret: this.config.secrets.map(() => 0),
+      lastFailure: null
+    };
+  }
+
+  /**
+   * Verify a delivery. Returns { ok, verified, reason }:
+   * ok=false means the delivery must be rejected; verified=false with ok=true means
+   * no secret is configured and signatures are not required.
+   */
+  verify(rawBody, rawHeaders) {
+    if (this.webhooks.length === 0) {
+      if (this.config.requireSignature) {
+        return this.fail('no_secret_configured');
+      }
+      this.stats.skipped++;
+      return { ok: true, verified: false };
+    }
+
+    const headers = {};
+    for (const [key, value] of Object.entries(rawHeaders || {})) {
+      headers[key.toLowerCase()] = value;
+    }
+
+    const msgId = headers['webhook-id'];
+    const msgTimestamp = headers['webhook-timestamp'];
+    const msgSignature = headers['webhook-signature'];
+    if (!msgId || !msgTimestamp || !msgSignature) {
+      return this.fail('missing_headers');
+    }
+
+    const timestamp = parseInt(msgTimestamp, 10);
+    if (Number.isNaN(timestamp)) {
+      return this.fail('invalid_timestamp');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (now - timestamp > this.config.toleranceSeconds) {
+      return this.fail('timestamp_too_old');
+    }
+    if (timestamp - now > this.config.toleranceSeconds) {
+      return this.fail('timestamp_too_new');
+    }
+
+    const passedSignatures = msgSignature.split(' ')
+      .map(versioned => versioned.split(','))
+      .filter(([version, signature]) => version === 'v1' && signature)
+      .map(([, signature]) => Buffer.from(signature));
+
+    for (const { index, webhook } of this.webhooks) {
+      const expected = Buffer.from(webhook.sign(msgId, new Date(timestamp * 1000), rawBody).split(',')[1]);
+      const matched = passedSignatures.some(signature =>
+        signature.length === expected.length && crypto.timingSafeEqual(signature, expected)
+      );
+
+      if (matched) {
+        this.stats.verified++;
+        this.stats.matchesBySecret[index]++;
+        return { ok: true, verified: true, secretIndex: index };
+      }
+    }
+
+    return this.fail('invalid_signature');
+  }
+
+  fail(reason) {
+    this.stats.failures[reason]++;
+    this.stats.lastFailure = { reason, at: new Date().toISOString() };
+    return { ok: false, verified: false, reason };
+  }
+
+  getStats() {
+    const totalFailures = Object.values(this.stats.failures).reduce((sum, count) => sum + count, 0);
+    return {
+      secretsConfigured: this.webhooks.length,
+      requireSignature: this.config.requireSignature,
+      toleranceSeconds: this.config.toleranceSeconds,
+      verified: this.stats.verified,
+      skipped: this.stats.skipped,
+      totalFailures,
+      failures: { ...this.stats.failures },
+      matchesBySecret: [...this.stats.matchesBySecret],
+      lastFailure: this.stats.lastFailure
+    };
+  }
+}
+
+module.exports = {
+  WebhookVerifier,
+  WEBHOOK_VERIFICATION_CONFIG,
+  FAILURE_REASONS
+};